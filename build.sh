@@ -4,13 +4,16 @@ rm -R build
 mkdir build
 
 cat ./src/WebRTComm/PrivateJainSipMessageConnector.js > ./build/WebRTComm.debug.js
+cat ./src/WebRTComm/PrivateJainSipEventConnector.js >> ./build/WebRTComm.debug.js
 cat ./src/WebRTComm/PrivateJainSipCallConnector.js >> ./build/WebRTComm.debug.js
 cat ./src/WebRTComm/PrivateJainSipClientConnector.js  >> ./build/WebRTComm.debug.js
 cat ./src/WebRTComm/WebRTCommCall.js  >> ./build/WebRTComm.debug.js
+cat ./src/WebRTComm/WebRTCommConference.js  >> ./build/WebRTComm.debug.js
 cat ./src/WebRTComm/WebRTCommMessage.js  >> ./build/WebRTComm.debug.js
 cat ./src/WebRTComm/WebRTCommClient.js  >> ./build/WebRTComm.debug.js
 cat ./src/WebRTComm/WebRTCommClientEventListenerInterface.js  >> ./build/WebRTComm.debug.js
 cat ./src/WebRTComm/WebRTCommCallEventListenerInterface.js  >> ./build/WebRTComm.debug.js
+cat ./src/WebRTComm/WebRTCommConferenceEventListenerInterface.js  >> ./build/WebRTComm.debug.js
 cat ./src/WebRTComm/WebRTCommMessageEventListenerInterface.js  >> ./build/WebRTComm.debug.js
 grep -v "logger.debug" ./build/WebRTComm.debug.js  >  ./build/WebRTComm.js
 java -jar yuicompressor-2.4.7.jar  ./build/WebRTComm.js -o ./build/WebRTComm.min.js
@@ -113,6 +113,21 @@ copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\he
 copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\header\AllowEventsList.js .\build\jain-sip.debug.js
 copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\header\RecordRouteList.js .\build\jain-sip.debug.js
 copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\header\SupportedList.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\header\ReferTo.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\header\ReferredBy.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\header\Replaces.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\header\Require.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\header\RequireList.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\header\RSeq.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\header\RAck.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\header\SessionExpires.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\header\MinSE.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\header\PAssertedIdentity.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\header\PAssertedIdentityList.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\header\PPreferredIdentity.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\header\PPreferredIdentityList.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\header\Privacy.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\header\PrivacyList.js .\build\jain-sip.debug.js
 copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\header\HeaderFactoryImpl.js .\build\jain-sip.debug.js
 
 copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\parser\Parser.js .\build\jain-sip.debug.js
@@ -154,6 +169,17 @@ copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\pa
 copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\parser\ContentDispositionParser.js .\build\jain-sip.debug.js
 copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\parser\AllowParser.js .\build\jain-sip.debug.js
 copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\parser\AllowEventsParser.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\parser\ReferToParser.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\parser\ReferredByParser.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\parser\ReplacesParser.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\parser\RequireParser.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\parser\RSeqParser.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\parser\RAckParser.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\parser\SessionExpiresParser.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\parser\MinSEParser.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\parser\PAssertedIdentityParser.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\parser\PPreferredIdentityParser.js .\build\jain-sip.debug.js
+copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\parser\PrivacyParser.js .\build\jain-sip.debug.js
 copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\parser\ParserFactory.js .\build\jain-sip.debug.js
 copy /b .\build\jain-sip.debug.js+.\src\main\javascript\jain-sip\gov\nist\sip\parser\WSMsgParser.js .\build\jain-sip.debug.js
 
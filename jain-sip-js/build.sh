@@ -63,6 +63,7 @@ cat ./src/main/javascript/jain-sip/gov/nist/sip/address/GenericURI.js >> ./build
 cat ./src/main/javascript/jain-sip/gov/nist/sip/address/UserInfo.js >> ./build/jain-sip.debug.js
 cat ./src/main/javascript/jain-sip/gov/nist/sip/address/Authority.js >> ./build/jain-sip.debug.js
 cat ./src/main/javascript/jain-sip/gov/nist/sip/address/TelephoneNumber.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/address/TelURLImpl.js >> ./build/jain-sip.debug.js
 cat ./src/main/javascript/jain-sip/gov/nist/sip/address/SipUri.js >> ./build/jain-sip.debug.js
 cat ./src/main/javascript/jain-sip/gov/nist/sip/address/AddressImpl.js >> ./build/jain-sip.debug.js
 cat ./src/main/javascript/jain-sip/gov/nist/sip/address/AddressFactoryImpl.js >> ./build/jain-sip.debug.js
@@ -115,6 +116,21 @@ cat ./src/main/javascript/jain-sip/gov/nist/sip/header/AllowEvents.js >> ./build
 cat ./src/main/javascript/jain-sip/gov/nist/sip/header/AllowEventsList.js >> ./build/jain-sip.debug.js
 cat ./src/main/javascript/jain-sip/gov/nist/sip/header/RecordRouteList.js >> ./build/jain-sip.debug.js
 cat ./src/main/javascript/jain-sip/gov/nist/sip/header/SupportedList.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/header/ReferTo.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/header/ReferredBy.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/header/Replaces.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/header/Require.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/header/RequireList.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/header/RSeq.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/header/RAck.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/header/SessionExpires.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/header/MinSE.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/header/PAssertedIdentity.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/header/PAssertedIdentityList.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/header/PPreferredIdentity.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/header/PPreferredIdentityList.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/header/Privacy.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/header/PrivacyList.js >> ./build/jain-sip.debug.js
 cat ./src/main/javascript/jain-sip/gov/nist/sip/header/HeaderFactoryImpl.js >> ./build/jain-sip.debug.js
 
 cat ./src/main/javascript/jain-sip/gov/nist/sip/parser/Parser.js >> ./build/jain-sip.debug.js
@@ -156,6 +172,17 @@ cat ./src/main/javascript/jain-sip/gov/nist/sip/parser/StatusLineParser.js >> ./
 cat ./src/main/javascript/jain-sip/gov/nist/sip/parser/ContentDispositionParser.js >> ./build/jain-sip.debug.js
 cat ./src/main/javascript/jain-sip/gov/nist/sip/parser/AllowParser.js >> ./build/jain-sip.debug.js
 cat ./src/main/javascript/jain-sip/gov/nist/sip/parser/AllowEventsParser.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/parser/ReferToParser.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/parser/ReferredByParser.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/parser/ReplacesParser.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/parser/RequireParser.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/parser/RSeqParser.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/parser/RAckParser.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/parser/SessionExpiresParser.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/parser/MinSEParser.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/parser/PAssertedIdentityParser.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/parser/PPreferredIdentityParser.js >> ./build/jain-sip.debug.js
+cat ./src/main/javascript/jain-sip/gov/nist/sip/parser/PrivacyParser.js >> ./build/jain-sip.debug.js
 cat ./src/main/javascript/jain-sip/gov/nist/sip/parser/ParserFactory.js >> ./build/jain-sip.debug.js
 cat ./src/main/javascript/jain-sip/gov/nist/sip/parser/WSMsgParser.js >> ./build/jain-sip.debug.js
 
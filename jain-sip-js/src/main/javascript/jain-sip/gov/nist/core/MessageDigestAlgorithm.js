@@ -27,6 +27,9 @@
  * Other contributors: Greg Holt, Andrew Kepert, Ydnar, Lostinet
  * Distributed under the BSD License
  * See http://pajhome.org.uk/crypt/md5 for more info.
+ *
+ * SHA-256 and SHA-512/256 (FIPS 180-4) added for the RFC 7616 digest algorithms,
+ * MD5 remains the default algorithm.
  */
 
 function MessageDigestAlgorithm() {
@@ -34,13 +37,38 @@ function MessageDigestAlgorithm() {
     this.classname="MessageDigestAlgorithm"; 
     this.toHex=['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', 'a', 'b', 'c', 'd', 'e', 'f'];
     this.hexcase=0;
+    this.algorithm=this.MD5;
 }
 
+MessageDigestAlgorithm.prototype.MD5="MD5";
+MessageDigestAlgorithm.prototype.SHA256="SHA-256";
+MessageDigestAlgorithm.prototype.SHA512_256="SHA-512-256";
+MessageDigestAlgorithm.prototype.SESS="-sess";
+// Supported digest algorithms, from the weakest to the strongest
+MessageDigestAlgorithm.prototype.ALGORITHMS=["MD5-sess","MD5","SHA-256-sess","SHA-256","SHA-512-256-sess","SHA-512-256"];
+
 MessageDigestAlgorithm.prototype.calculateResponse =function(username_value,realm_value,
-    passwd,nonce_value,nc_value,cnonce_value,method,digest_uri_value,entity_body,qop_value){
-    if(logger!=undefined) logger.debug("MessageDigestAlgorithm:calculateResponse()");
+    passwd,nonce_value,nc_value,cnonce_value,method,digest_uri_value,entity_body,qop_value,algorithm_value){
+    if(logger!=undefined) logger.debug("MessageDigestAlgorithm:calculateResponse():algorithm_value="+algorithm_value);
+    var sessFlag = false;
+    this.algorithm = this.MD5;
+    if (algorithm_value != null)
+    {
+        if (this.getAlgorithmStrength(algorithm_value) == -1)
+        {
+            console.error("MessageDigestAlgorithm:calculateResponse(): unsupported algorithm: "+algorithm_value);
+            throw "MessageDigestAlgorithm:calculateResponse(): unsupported algorithm: "+algorithm_value;
+        }
+        var algorithm = algorithm_value.toUpperCase();
+        sessFlag = (algorithm.length > this.SESS.length) && (algorithm.substring(algorithm.length-this.SESS.length)==this.SESS.toUpperCase());
+        this.algorithm = sessFlag ? algorithm.substring(0, algorithm.length-this.SESS.length) : algorithm;
+    }
     var A1 = null;
     A1 = username_value + ":" + realm_value + ":" + passwd;
+    if (sessFlag)
+    {
+        A1 = this.H(A1) + ":" + nonce_value + ":" + cnonce_value;
+    }
     var A2 = null;
     if (qop_value == null || qop_value.length == 0|| qop_value=="auth") 
     {
@@ -67,8 +95,55 @@ MessageDigestAlgorithm.prototype.calculateResponse =function(username_value,real
 
 MessageDigestAlgorithm.prototype.H =function(data){
     if(logger!=undefined) logger.debug("MessageDigestAlgorithm:H():data="+data);
+    if (this.algorithm == this.SHA256)
+    {
+        return this.sha256(data);
+    }
+    else if (this.algorithm == this.SHA512_256)
+    {
+        return this.sha512_256(data);
+    }
     return this.md5(data);
 }
+
+MessageDigestAlgorithm.prototype.getAlgorithmStrength =function(algorithm){
+    if(logger!=undefined) logger.debug("MessageDigestAlgorithm:getAlgorithmStrength():algorithm="+algorithm);
+    if (algorithm == null)
+    {
+        // No algorithm parameter means MD5 (RFC 2617)
+        algorithm = this.MD5;
+    }
+    for(var i=0;i<this.ALGORITHMS.length;i++)
+    {
+        if(this.ALGORITHMS[i].toUpperCase()==algorithm.toUpperCase())
+        {
+            return i;
+        }
+    }
+    return -1;
+}
+
+MessageDigestAlgorithm.prototype.generateCNonce =function(){
+    if(logger!=undefined) logger.debug("MessageDigestAlgorithm:generateCNonce()");
+    var cnonce = "";
+    if (typeof window != "undefined" && window.crypto && window.crypto.getRandomValues)
+    {
+        var bytes = new Uint8Array(16);
+        window.crypto.getRandomValues(bytes);
+        for(var i=0;i<bytes.length;i++)
+        {
+            cnonce = cnonce + this.toHex[(bytes[i] >> 4) & 0x0f] + this.toHex[bytes[i] & 0x0f];
+        }
+    }
+    else
+    {
+        for(i=0;i<32;i++)
+        {
+            cnonce = cnonce + this.toHex[Math.floor(Math.random()*16)];
+        }
+    }
+    return cnonce;
+}
 MessageDigestAlgorithm.prototype.KD =function(secret,data){
     if(logger!=undefined) logger.debug("MessageDigestAlgorithm:KD(): secret"+secret);
     if(logger!=undefined) logger.debug("MessageDigestAlgorithm:KD():data:"+data);
@@ -93,6 +168,20 @@ MessageDigestAlgorithm.prototype.md5 =function(chaine){
     return this.hex_md5(chaine);    
 }
 
+MessageDigestAlgorithm.prototype.sha256 =function(chaine){
+    if(logger!=undefined) logger.debug("MessageDigestAlgorithm:sha256():chaine="+chaine);
+    var s = this.str2rstr_utf8(chaine);
+    return this.rstr2hex(this.binb2rstr(this.binb_sha256(this.rstr2binb(s), s.length * 8)));
+}
+
+MessageDigestAlgorithm.prototype.sha512_256 =function(chaine){
+    if(logger!=undefined) logger.debug("MessageDigestAlgorithm:sha512_256():chaine="+chaine);
+    var s = this.str2rstr_utf8(chaine);
+    var hash = this.binb_sha512(this.rstr2binb(s), s.length * 8, this.SHA512_256_IV);
+    // SHA-512/256: leftmost 256 bits of the SHA-512 computation
+    return this.rstr2hex(this.binb2rstr(hash.slice(0, 8)));
+}
+
 MessageDigestAlgorithm.prototype.hex_md5=function(s)    {
     return this.rstr2hex(this.rstr_md5(this.str2rstr_utf8(s)));
 }
@@ -295,4 +384,197 @@ MessageDigestAlgorithm.prototype.safe_add=function(x, y)
 MessageDigestAlgorithm.prototype.bit_rol=function(num, cnt)
 {
     return (num << cnt) | (num >>> (32 - cnt));
-}
\ No newline at end of file
+}
+
+MessageDigestAlgorithm.prototype.rstr2binb=function(input)
+{
+    var output = Array(input.length >> 2);
+    for(var i = 0; i < output.length; i++)
+        output[i] = 0;
+    for(i = 0; i < input.length * 8; i += 8)
+        output[i>>5] |= (input.charCodeAt(i / 8) & 0xFF) << (24 - i % 32);
+    return output;
+}
+
+MessageDigestAlgorithm.prototype.binb2rstr=function(input)
+{
+    var output = "";
+    for(var i = 0; i < input.length * 32; i += 8)
+        output += String.fromCharCode((input[i>>5] >>> (24 - i % 32)) & 0xFF);
+    return output;
+}
+
+MessageDigestAlgorithm.prototype.SHA256_K=[
+    1116352408, 1899447441, -1245643825, -373957723, 961987163, 1508970993, -1841331548, -1424204075,
+    -670586216, 310598401, 607225278, 1426881987, 1925078388, -2132889090, -1680079193, -1046744716,
+    -459576895, -272742522, 264347078, 604807628, 770255983, 1249150122, 1555081692, 1996064986,
+    -1740746414, -1473132947, -1341970488, -1084653625, -958395405, -710438585, 113926993, 338241895,
+    666307205, 773529912, 1294757372, 1396182291, 1695183700, 1986661051, -2117940946, -1838011259,
+    -1564481375, -1474664885, -1035236496, -949202525, -778901479, -694614492, -200395387, 275423344,
+    430227734, 506948616, 659060556, 883997877, 958139571, 1322822218, 1537002063, 1747873779,
+    1955562222, 2024104815, -2067236844, -1933114872, -1866530822, -1538233109, -1090935817, -965641998
+];
+
+MessageDigestAlgorithm.prototype.SHA256_IV=[
+    1779033703, -1150833019, 1013904242, -1521486534, 1359893119, -1694144372, 528734635, 1541459225
+];
+
+MessageDigestAlgorithm.prototype.binb_sha256=function(x, len)
+{
+    var K = this.SHA256_K;
+    var H = this.SHA256_IV.slice(0);
+    var W = new Array(64);
+    var a, b, c, d, e, f, g, h, T1, T2;
+
+    x[len >> 5] |= 0x80 << (24 - len % 32);
+    x[((len + 64 >> 9) << 4) + 15] = len;
+
+    for(var i = 0; i < x.length; i += 16)
+    {
+        a = H[0]; b = H[1]; c = H[2]; d = H[3];
+        e = H[4]; f = H[5]; g = H[6]; h = H[7];
+
+        for(var j = 0; j < 64; j++)
+        {
+            if (j < 16) W[j] = x[i + j] | 0;
+            else W[j] = this.safe_add(this.safe_add(this.safe_add(
+                this.bit_ror(W[j - 2], 17) ^ this.bit_ror(W[j - 2], 19) ^ (W[j - 2] >>> 10), W[j - 7]),
+                this.bit_ror(W[j - 15], 7) ^ this.bit_ror(W[j - 15], 18) ^ (W[j - 15] >>> 3)), W[j - 16]);
+
+            T1 = this.safe_add(this.safe_add(this.safe_add(this.safe_add(h,
+                this.bit_ror(e, 6) ^ this.bit_ror(e, 11) ^ this.bit_ror(e, 25)),
+                (e & f) ^ ((~e) & g)), K[j]), W[j]);
+            T2 = this.safe_add(this.bit_ror(a, 2) ^ this.bit_ror(a, 13) ^ this.bit_ror(a, 22),
+                (a & b) ^ (a & c) ^ (b & c));
+            h = g; g = f; f = e;
+            e = this.safe_add(d, T1);
+            d = c; c = b; b = a;
+            a = this.safe_add(T1, T2);
+        }
+
+        H[0] = this.safe_add(a, H[0]); H[1] = this.safe_add(b, H[1]);
+        H[2] = this.safe_add(c, H[2]); H[3] = this.safe_add(d, H[3]);
+        H[4] = this.safe_add(e, H[4]); H[5] = this.safe_add(f, H[5]);
+        H[6] = this.safe_add(g, H[6]); H[7] = this.safe_add(h, H[7]);
+    }
+    return H;
+}
+
+MessageDigestAlgorithm.prototype.bit_ror=function(num, cnt)
+{
+    return (num >>> cnt) | (num << (32 - cnt));
+}
+
+// SHA-512 round constants, 64 bits words stored as [high 32 bits, low 32 bits] pairs
+MessageDigestAlgorithm.prototype.SHA512_K=[
+    1116352408, -685199838, 1899447441, 602891725, -1245643825, -330482897, -373957723, -2121671748,
+    961987163, -213338824, 1508970993, -1241133031, -1841331548, -1357295717, -1424204075, -630357736,
+    -670586216, -1560083902, 310598401, 1164996542, 607225278, 1323610764, 1426881987, -704662302,
+    1925078388, -226784913, -2132889090, 991336113, -1680079193, 633803317, -1046744716, -815192428,
+    -459576895, -1628353838, -272742522, 944711139, 264347078, -1953704523, 604807628, 2007800933,
+    770255983, 1495990901, 1249150122, 1856431235, 1555081692, -1119749164, 1996064986, -2096016459,
+    -1740746414, -295247957, -1473132947, 766784016, -1341970488, -1728372417, -1084653625, -1091629340,
+    -958395405, 1034457026, -710438585, -1828018395, 113926993, -536640913, 338241895, 168717936,
+    666307205, 1188179964, 773529912, 1546045734, 1294757372, 1522805485, 1396182291, -1651133473,
+    1695183700, -1951439906, 1986661051, 1014477480, -2117940946, 1206759142, -1838011259, 344077627,
+    -1564481375, 1290863460, -1474664885, -1136513023, -1035236496, -789014639, -949202525, 106217008,
+    -778901479, -688958952, -694614492, 1432725776, -200395387, 1467031594, 275423344, 851169720,
+    430227734, -1194143544, 506948616, 1363258195, 659060556, -544281703, 883997877, -509917016,
+    958139571, -976659869, 1322822218, -482243893, 1537002063, 2003034995, 1747873779, -692930397,
+    1955562222, 1575990012, 2024104815, 1125592928, -2067236844, -1578062990, -1933114872, 442776044,
+    -1866530822, 593698344, -1538233109, -561857047, -1090935817, -1295615723, -965641998, -479046869,
+    -903397682, -366583396, -779700025, 566280711, -354779690, -840897762, -176337025, -294727304,
+    116418474, 1914138554, 174292421, -1563912026, 289380356, -1090974290, 460393269, 320620315,
+    685471733, 587496836, 852142971, 1086792851, 1017036298, 365543100, 1126000580, -1676669620,
+    1288033470, -885112138, 1501505948, -60457430, 1607167915, 987167468, 1816402316, 1246189591
+];
+
+MessageDigestAlgorithm.prototype.SHA512_256_IV=[
+    573645204, -64227540, -1621794909, -934517566, 596883563, 1867755857, -1774684391, 1497426621,
+    -1775747358, -1467023389, -1101128155, 1401305490, 721525244, 746961066, 246885852, -2117784414
+];
+
+MessageDigestAlgorithm.prototype.binb_sha512=function(x, len, iv)
+{
+    var K = this.SHA512_K;
+    var H = new Array(8);
+    var W = new Array(80);
+    var v = new Array(8);
+    var i, j, T1, T2;
+    for(i = 0; i < 8; i++)
+        H[i] = [iv[2 * i], iv[2 * i + 1]];
+
+    x[len >> 5] |= 0x80 << (24 - (len & 0x1f));
+    x[((len + 128 >> 10) << 5) + 31] = len;
+
+    for(i = 0; i < x.length; i += 32)
+    {
+        for(j = 0; j < 8; j++)
+            v[j] = H[j];
+
+        for(j = 0; j < 80; j++)
+        {
+            if (j < 16) W[j] = [x[i + 2 * j] | 0, x[i + 2 * j + 1] | 0];
+            else W[j] = this.int64_add(
+                this.int64_xor(this.int64_rotr(W[j - 2], 19), this.int64_rotr(W[j - 2], 61), this.int64_shr(W[j - 2], 6)),
+                W[j - 7],
+                this.int64_xor(this.int64_rotr(W[j - 15], 1), this.int64_rotr(W[j - 15], 8), this.int64_shr(W[j - 15], 7)),
+                W[j - 16]);
+
+            T1 = this.int64_add(v[7],
+                this.int64_xor(this.int64_rotr(v[4], 14), this.int64_rotr(v[4], 18), this.int64_rotr(v[4], 41)),
+                [(v[4][0] & v[5][0]) ^ ((~v[4][0]) & v[6][0]), (v[4][1] & v[5][1]) ^ ((~v[4][1]) & v[6][1])],
+                [K[2 * j], K[2 * j + 1]],
+                W[j]);
+            T2 = this.int64_add(
+                this.int64_xor(this.int64_rotr(v[0], 28), this.int64_rotr(v[0], 34), this.int64_rotr(v[0], 39)),
+                [(v[0][0] & v[1][0]) ^ (v[0][0] & v[2][0]) ^ (v[1][0] & v[2][0]), (v[0][1] & v[1][1]) ^ (v[0][1] & v[2][1]) ^ (v[1][1] & v[2][1])]);
+            v[7] = v[6]; v[6] = v[5]; v[5] = v[4];
+            v[4] = this.int64_add(v[3], T1);
+            v[3] = v[2]; v[2] = v[1]; v[1] = v[0];
+            v[0] = this.int64_add(T1, T2);
+        }
+
+        for(j = 0; j < 8; j++)
+            H[j] = this.int64_add(H[j], v[j]);
+    }
+
+    var output = new Array(16);
+    for(i = 0; i < 8; i++)
+    {
+        output[2 * i] = H[i][0];
+        output[2 * i + 1] = H[i][1];
+    }
+    return output;
+}
+
+MessageDigestAlgorithm.prototype.int64_add=function()
+{
+    var hi = 0;
+    var lo = 0;
+    for(var i = 0; i < arguments.length; i++)
+    {
+        hi += arguments[i][0] >>> 0;
+        lo += arguments[i][1] >>> 0;
+    }
+    hi += Math.floor(lo / 0x100000000);
+    return [hi | 0, lo | 0];
+}
+
+MessageDigestAlgorithm.prototype.int64_xor=function(a, b, c)
+{
+    return [a[0] ^ b[0] ^ c[0], a[1] ^ b[1] ^ c[1]];
+}
+
+MessageDigestAlgorithm.prototype.int64_rotr=function(x, cnt)
+{
+    if (cnt < 32)
+        return [(x[0] >>> cnt) | (x[1] << (32 - cnt)), (x[1] >>> cnt) | (x[0] << (32 - cnt))];
+    cnt -= 32;
+    return [(x[1] >>> cnt) | (x[0] << (32 - cnt)), (x[0] >>> cnt) | (x[1] << (32 - cnt))];
+}
+
+MessageDigestAlgorithm.prototype.int64_shr=function(x, cnt)
+{
+    return [x[0] >>> cnt, (x[1] >>> cnt) | (x[0] << (32 - cnt))];
+}
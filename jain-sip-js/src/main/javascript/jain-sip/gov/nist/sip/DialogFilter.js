@@ -187,6 +187,11 @@ DialogFilter.prototype.processResponseargu3 =function(response,incomingMessageCh
         sipProvider.handleEvent(sipEvent, transaction);
         return;
     }
+    if (dialog != null && response.getStatusCode() > 100 && response.getStatusCode() < 200
+        && !dialog.checkReliableProvisionalResponse(response)) {
+        // RFC 3262: retransmitted or out of order reliable provisional response
+        return;
+    }
     var responseEvent = null;
     responseEvent = new ResponseEventExt(sipProvider,transaction,dialog,response);
     if (response.getCSeqHeader().getMethod()=="INVITE") {
@@ -385,6 +390,12 @@ DialogFilter.prototype.processRequest =function(sipRequest,incomingMessageChanne
             }
         }
     }
+    else if (sipRequest.getMethod()=="PRACK") {
+        if (dialog == null || !dialog.handlePrack(sipRequest)) {
+            this.sendCallOrTransactionDoesNotExistResponse(sipRequest, transaction);
+            return;
+        }
+    }
     else if (sipRequest.getMethod()=="INVITE") {
         var lastTransaction = dialog == null ? null : dialog.getInviteTransaction();
         /*
@@ -32,6 +32,7 @@ function HeaderFactoryImpl() {
     if(logger!=undefined) logger.debug("HeaderFactoryImpl:HeaderFactoryImpl()");
     this.classname="HeaderFactoryImpl";
     this.stripAddressScopeZones = false;
+    this.digestNonceCounts = new Object();
 }
 
 HeaderFactoryImpl.prototype = new SIPHeaderList();
@@ -280,6 +281,50 @@ HeaderFactoryImpl.prototype.createRecordRouteHeader =function(address){
     return recordRoute;
 }
 
+HeaderFactoryImpl.prototype.createReferToHeader =function(address){
+    if(logger!=undefined) logger.debug("HeaderFactoryImpl:createReferToHeader():address="+address);
+    if (address == null)
+    {
+        console.error("HeaderFactoryImpl:createReferToHeader(): null address arg");
+        throw "HeaderFactoryImpl:createReferToHeader(): null address arg";
+    }
+    var referTo = new ReferTo();
+    referTo.setAddress(address);
+    return referTo;
+}
+
+HeaderFactoryImpl.prototype.createReferredByHeader =function(address){
+    if(logger!=undefined) logger.debug("HeaderFactoryImpl:createReferredByHeader():address="+address);
+    if (address == null)
+    {
+        console.error("HeaderFactoryImpl:createReferredByHeader(): null address arg");
+        throw "HeaderFactoryImpl:createReferredByHeader(): null address arg";
+    }
+    var referredBy = new ReferredBy();
+    referredBy.setAddress(address);
+    return referredBy;
+}
+
+HeaderFactoryImpl.prototype.createReplacesHeader =function(callId,toTag,fromTag){
+    if(logger!=undefined) logger.debug("HeaderFactoryImpl:createReplacesHeader():callId="+callId+", toTag="+toTag+", fromTag="+fromTag);
+    if (callId == null)
+    {
+        console.error("HeaderFactoryImpl:createReplacesHeader(): null callId arg");
+        throw "HeaderFactoryImpl:createReplacesHeader(): null callId arg";
+    }
+    var replaces = new Replaces();
+    replaces.setCallId(callId);
+    if (toTag != null)
+    {
+        replaces.setToTag(toTag);
+    }
+    if (fromTag != null)
+    {
+        replaces.setFromTag(fromTag);
+    }
+    return replaces;
+}
+
 HeaderFactoryImpl.prototype.createRouteHeader =function(address){
     if(logger!=undefined) logger.debug("HeaderFactoryImpl:createRouteHeader():address="+address);
     if (address == null)
@@ -316,6 +361,104 @@ HeaderFactoryImpl.prototype.createSupportedHeader =function(optionTag){
     return supported;
 }
 
+HeaderFactoryImpl.prototype.createRequireHeader =function(optionTag){
+    if(logger!=undefined) logger.debug("HeaderFactoryImpl:createRequireHeader():optionTag="+optionTag);
+    if (optionTag == null)
+    {
+        console.error("HeaderFactoryImpl:createRequireHeader(): null optionTag arg");
+        throw "HeaderFactoryImpl:createRequireHeader(): null optionTag arg";
+    }
+    var require = new Require();
+    require.setOptionTag(optionTag);
+    return require;
+}
+
+HeaderFactoryImpl.prototype.createRSeqHeader =function(sequenceNumber){
+    if(logger!=undefined) logger.debug("HeaderFactoryImpl:createRSeqHeader():sequenceNumber="+sequenceNumber);
+    if (sequenceNumber <= 0)
+    {
+        console.error("HeaderFactoryImpl:createRSeqHeader(): bad sequenceNumber arg");
+        throw "HeaderFactoryImpl:createRSeqHeader(): bad sequenceNumber arg";
+    }
+    var rseq = new RSeq();
+    rseq.setSeqNumber(sequenceNumber);
+    return rseq;
+}
+
+HeaderFactoryImpl.prototype.createRAckHeader =function(rSeqNumber,cSeqNumber,method){
+    if(logger!=undefined) logger.debug("HeaderFactoryImpl:createRAckHeader():rSeqNumber="+rSeqNumber+", cSeqNumber="+cSeqNumber+", method="+method);
+    if (method == null)
+    {
+        console.error("HeaderFactoryImpl:createRAckHeader(): null method arg");
+        throw "HeaderFactoryImpl:createRAckHeader(): null method arg";
+    }
+    var rack = new RAck();
+    rack.setRSequenceNumber(rSeqNumber);
+    rack.setCSequenceNumber(cSeqNumber);
+    rack.setMethod(method);
+    return rack;
+}
+
+HeaderFactoryImpl.prototype.createSessionExpiresHeader =function(expires){
+    if(logger!=undefined) logger.debug("HeaderFactoryImpl:createSessionExpiresHeader():expires="+expires);
+    if (expires < 0)
+    {
+        console.error("HeaderFactoryImpl:createSessionExpiresHeader(): bad value " + expires);
+        throw "HeaderFactoryImpl:createSessionExpiresHeader(): bad value " + expires;
+    }
+    var sessionExpires = new SessionExpires();
+    sessionExpires.setExpires(expires);
+    return sessionExpires;
+}
+
+HeaderFactoryImpl.prototype.createMinSEHeader =function(expires){
+    if(logger!=undefined) logger.debug("HeaderFactoryImpl:createMinSEHeader():expires="+expires);
+    if (expires < 0)
+    {
+        console.error("HeaderFactoryImpl:createMinSEHeader(): bad value " + expires);
+        throw "HeaderFactoryImpl:createMinSEHeader(): bad value " + expires;
+    }
+    var minSE = new MinSE();
+    minSE.setExpires(expires);
+    return minSE;
+}
+
+HeaderFactoryImpl.prototype.createPAssertedIdentityHeader =function(address){
+    if(logger!=undefined) logger.debug("HeaderFactoryImpl:createPAssertedIdentityHeader():address="+address);
+    if (address == null)
+    {
+        console.error("HeaderFactoryImpl:createPAssertedIdentityHeader(): null address arg");
+        throw "HeaderFactoryImpl:createPAssertedIdentityHeader(): null address arg";
+    }
+    var pAssertedIdentity = new PAssertedIdentity();
+    pAssertedIdentity.setAddress(address);
+    return pAssertedIdentity;
+}
+
+HeaderFactoryImpl.prototype.createPPreferredIdentityHeader =function(address){
+    if(logger!=undefined) logger.debug("HeaderFactoryImpl:createPPreferredIdentityHeader():address="+address);
+    if (address == null)
+    {
+        console.error("HeaderFactoryImpl:createPPreferredIdentityHeader(): null address arg");
+        throw "HeaderFactoryImpl:createPPreferredIdentityHeader(): null address arg";
+    }
+    var pPreferredIdentity = new PPreferredIdentity();
+    pPreferredIdentity.setAddress(address);
+    return pPreferredIdentity;
+}
+
+HeaderFactoryImpl.prototype.createPrivacyHeader =function(privacyType){
+    if(logger!=undefined) logger.debug("HeaderFactoryImpl:createPrivacyHeader():privacyType="+privacyType);
+    if (privacyType == null)
+    {
+        console.error("HeaderFactoryImpl:createPrivacyHeader(): null privacyType arg");
+        throw "HeaderFactoryImpl:createPrivacyHeader(): null privacyType arg";
+    }
+    var privacy = new Privacy();
+    privacy.setPrivacy(privacyType);
+    return privacy;
+}
+
 HeaderFactoryImpl.prototype.createTimeStampHeader =function(timeStamp){
     if(logger!=undefined) logger.debug("HeaderFactoryImpl:createTimeStampHeader():timeStamp="+timeStamp);
     if (timeStamp < 0)
@@ -546,59 +689,121 @@ HeaderFactoryImpl.prototype.createAuthorizationHeaderargu1 =function(scheme){
 
 HeaderFactoryImpl.prototype.createAuthorizationHeaderargu2 =function(response,request,sipPassword,sipLogin){
     if(logger!=undefined) logger.debug("HeaderFactoryImpl:createAuthorizationHeaderargu2():response="+response+",request="+request);
+    var challenge=this.getStrongestAuthenticateHeader(response);
+    if(challenge==null)
+    {
+        console.error("HeaderFactoryImpl:createAuthorizationHeaderargu2(): no supported authentication challenge");
+        throw "HeaderFactoryImpl:createAuthorizationHeaderargu2(): no supported authentication challenge";
+    }
+    return this.createDigestAuthorizationHeader(challenge, request, sipPassword, sipLogin);
+}
+
+HeaderFactoryImpl.prototype.getStrongestAuthenticateHeader =function(response){
+    if(logger!=undefined) logger.debug("HeaderFactoryImpl:getStrongestAuthenticateHeader():response="+response);
+    var challenges=null;
     if(response.hasHeader("www-authenticate"))
     {
-        var realm=response.getWWWAuthenticate().getRealm();
-        var scheme=response.getWWWAuthenticate().getScheme();
-        var nonce=response.getWWWAuthenticate().getNonce();
-        var qop=response.getWWWAuthenticate().getQop();
-        var authorization=new Authorization();
+        challenges=response.getHeaderList("WWW-Authenticate");
     }
     else if(response.hasHeader("proxy-authenticate"))
     {
-        realm=response.getProxyAuthenticate().getRealm();
-        scheme=response.getProxyAuthenticate().getScheme();
-        nonce=response.getProxyAuthenticate().getNonce(); 
-        qop=response.getProxyAuthenticate().getQop();
-        var proxyauthorization=new ProxyAuthorization();
+        challenges=response.getHeaderList("Proxy-Authenticate");
+    }
+    if(challenges==null)
+    {
+        return null;
+    }
+    var mda=new MessageDigestAlgorithm();
+    var strongest=null;
+    var strongestStrength=-1;
+    for(var i=0;i<challenges.length;i++)
+    {
+        var strength=mda.getAlgorithmStrength(challenges[i].getAlgorithm());
+        if(strength>strongestStrength)
+        {
+            strongest=challenges[i];
+            strongestStrength=strength;
+        }
+    }
+    return strongest;
+}
+
+HeaderFactoryImpl.prototype.createDigestAuthorizationHeader =function(challenge,request,sipPassword,sipLogin){
+    if(logger!=undefined) logger.debug("HeaderFactoryImpl:createDigestAuthorizationHeader():challenge="+challenge+",request="+request);
+    var realm=challenge.getRealm();
+    var nonce=challenge.getNonce();
+    var algorithm=challenge.getAlgorithm();
+    var qop=null;
+    if(challenge.getQop()!=null)
+    {
+        // auth preferred to auth-int when both are offered
+        var qopOptions=challenge.getQop().split(",");
+        for(var i=0;i<qopOptions.length;i++)
+        {
+            var qopOption=qopOptions[i].trim();
+            if(qop==null || qopOption=="auth")
+            {
+                qop=qopOption;
+            }
+        }
     }
     var mda=new MessageDigestAlgorithm();
-    var method=response.getCSeq().getMethod();
     var cnonce=null;
     var nc=null;
     if(qop!=null)
     {
-        var cnonce=Math.floor(Math.random()*16777215).toString(16);
-        var nc="00000001"; 
+        cnonce=mda.generateCNonce();
+        nc=this.getNextNonceCount(realm, nonce);
+    }
+    else if(algorithm!=null && algorithm.toLowerCase().indexOf("-sess")!=-1)
+    {
+        cnonce=mda.generateCNonce();
     }
-    var resp=mda.calculateResponse(sipLogin,realm,sipPassword,nonce,nc,cnonce,method,request.getRequestURI().toString(),null,qop);
+    var entityBody=null;
+    if(qop=="auth-int")
+    {
+        entityBody=request.getContent()==null ? "" : request.getContent().toString();
+    }
+    var resp=mda.calculateResponse(sipLogin,realm,sipPassword,nonce,nc,cnonce,request.getMethod(),request.getRequestURI().toString(),entityBody,qop,algorithm);
     
-    if(response.hasHeader("www-authenticate"))
+    var authorization=null;
+    if(challenge instanceof ProxyAuthenticate)
     {
-        authorization.setUsername(sipLogin);
-        authorization.setRealm(realm);
-        authorization.setNonce(nonce);
-        if(cnonce!=null)  authorization.setCNonce(cnonce);
-        if(nc!=null)  authorization.setNonceCount(nc);
-        authorization.setScheme(scheme);
-        authorization.setResponse(resp);
-        authorization.setURI(request.getRequestURI());
-        authorization.setAlgorithm("MD5");
-        if(qop!=null) authorization.setQop(qop);
-        return authorization;
+        authorization=new ProxyAuthorization();
     }
-    else if(response.hasHeader("proxy-authenticate"))
+    else
+    {
+        authorization=new Authorization();
+    }
+    authorization.setScheme(challenge.getScheme());
+    authorization.setUsername(sipLogin);
+    authorization.setRealm(realm);
+    authorization.setNonce(nonce);
+    authorization.setURI(request.getRequestURI());
+    authorization.setResponse(resp);
+    authorization.setAlgorithm(algorithm==null ? "MD5" : algorithm);
+    if(challenge.getOpaque()!=null) authorization.setOpaque(challenge.getOpaque());
+    if(cnonce!=null) authorization.setCNonce(cnonce);
+    if(qop!=null)
+    {
+        authorization.setQop(qop);
+        authorization.setNonceCount(nc);
+    }
+    return authorization;
+}
+
+HeaderFactoryImpl.prototype.getNextNonceCount =function(realm,nonce){
+    if(logger!=undefined) logger.debug("HeaderFactoryImpl:getNextNonceCount():realm="+realm+",nonce="+nonce);
+    var nonceCount=this.digestNonceCounts[realm];
+    if(nonceCount==null || nonceCount.nonce!=nonce)
     {
-        proxyauthorization.setUsername(sipLogin);
-        proxyauthorization.setRealm(realm);
-        proxyauthorization.setNonce(nonce);
-        if(cnonce!=null) proxyauthorization.setCNonce(cnonce);
-        if(nc!=null) proxyauthorization.setNonceCount(nc);
-        proxyauthorization.setScheme(scheme);
-        proxyauthorization.setResponse(resp);
-        proxyauthorization.setURI(request.getRequestURI());
-        proxyauthorization.setAlgorithm("MD5");
-        if(qop!=null)  proxyauthorization.setQop(qop);
-        return proxyauthorization;
+        // New nonce for the realm, restart the nonce count
+        nonceCount=new Object();
+        nonceCount.nonce=nonce;
+        nonceCount.count=0;
+        this.digestNonceCounts[realm]=nonceCount;
     }
+    nonceCount.count=nonceCount.count+1;
+    var nc=nonceCount.count.toString(16);
+    return "00000000".substring(0, 8 - nc.length) + nc;
 }
\ No newline at end of file
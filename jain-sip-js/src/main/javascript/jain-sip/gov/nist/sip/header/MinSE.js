@@ -0,0 +1,71 @@
+/*
+ * TeleStax, Open Source Cloud Communications  Copyright 2012. 
+ * and individual contributors
+ * by the @authors tag. See the copyright.txt in the distribution for a
+ * full listing of individual contributors.
+ *
+ * This is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as
+ * published by the Free Software Foundation; either version 2.1 of
+ * the License, or (at your option) any later version.
+ *
+ * This software is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public
+ * License along with this software; if not, write to the Free
+ * Software Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA
+ * 02110-1301 USA, or see the FSF site: http://www.fsf.org.
+ */
+
+/*
+ *  Implementation of the JAIN-SIP MinSE (RFC 4028) .
+ *  @see  gov/nist/javax/sip/header/extensions/MinSE.java 
+ *  @version 1.0 
+ */
+function MinSE() {
+    if(logger!=undefined) logger.debug("MinSE:MinSE()");
+    this.classname="MinSE";
+    this.headerName=this.NAME;
+    this.parameters = new NameValueList();
+    this.duplicates = new DuplicateNameValueList();
+    this.expires=null;
+}
+
+MinSE.prototype = new ParametersHeader();
+MinSE.prototype.constructor=MinSE;
+MinSE.prototype.NAME="Min-SE";
+MinSE.prototype.SEMICOLON=";";
+
+MinSE.prototype.getName =function(){
+    if(logger!=undefined) logger.debug("MinSE:getName()");
+    return this.NAME;
+}
+
+MinSE.prototype.getExpires =function(){
+    if(logger!=undefined) logger.debug("MinSE:getExpires()");
+    return this.expires;
+}
+
+MinSE.prototype.setExpires =function(expires){
+    if(logger!=undefined) logger.debug("MinSE:setExpires():expires="+expires);
+    if (expires < 0)
+    {
+        console.error("MinSE:setExpires(): bad argument " + expires);
+        throw "MinSE:setExpires(): bad argument " + expires;
+    }
+    this.expires = expires;
+}
+
+MinSE.prototype.encodeBody =function(){
+    if(logger!=undefined) logger.debug("MinSE:encodeBody()");
+    var s = "";
+    s=s+this.expires;
+    if (this.parameters != null && this.parameters.hmap.length!=0)
+    {
+        s=s+this.SEMICOLON+this.parameters.encode()
+    }
+    return s.toString();
+}
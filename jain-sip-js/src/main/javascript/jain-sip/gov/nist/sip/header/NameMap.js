@@ -135,7 +135,7 @@ NameMap.prototype.initializeNameMap =function(){
     //this.putNameMap(ORGANIZATION, Organization); //31
     this.putNameMap(new ProxyAuthorization().headerName, new ProxyAuthorization().classname); //32
     //this.putNameMap(PROXY_REQUIRE, ProxyRequire); //33
-    //this.putNameMap(REQUIRE, Require); //34
+    this.putNameMap(new Require().headerName, new Require().classname); //34
     this.putNameMap(new ContentDisposition().headerName, new ContentDisposition().classname); //35
     this.putNameMap(new Subject().headerName, new Subject().classname); //36
     this.putNameMap(new UserAgent().headerName, new UserAgent().classname); //37
@@ -148,6 +148,9 @@ NameMap.prototype.initializeNameMap =function(){
     //this.putNameMap(SUBSCRIPTION_STATE, SubscriptionState); //44 
     this.putNameMap(new Event().headerName, new Event().classname); //45
     this.putNameMap(new AllowEvents().headerName, new AllowEvents().classname); //46
+    this.putNameMap(new ReferTo().headerName, new ReferTo().classname); //47
+    this.putNameMap(new RSeq().headerName, new RSeq().classname); //48
+    this.putNameMap(new RAck().headerName, new RAck().classname); //49
 
     // pmusgrave - extensions
     this.putNameMap("Referred-By", "ReferredBy");
@@ -157,6 +160,11 @@ NameMap.prototype.initializeNameMap =function(){
     // jean deruelle
     this.putNameMap("Join", "Join");
 
+    // RFC 3323 and RFC 3325
+    this.putNameMap("P-Asserted-Identity", "PAssertedIdentity");
+    this.putNameMap("P-Preferred-Identity", "PPreferredIdentity");
+    this.putNameMap("Privacy", "Privacy");
+
 // IMS Specific headers.
 // this.putNameMap(PAccessNetworkInfoHeader.NAME, PAccessNetworkInfo.class);
 //   this.putNameMap(PAssertedIdentityHeader.NAME, PAssertedIdentity.class);
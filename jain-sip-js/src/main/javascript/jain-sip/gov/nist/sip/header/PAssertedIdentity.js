@@ -0,0 +1,71 @@
+/*
+ * TeleStax, Open Source Cloud Communications  Copyright 2012. 
+ * and individual contributors
+ * by the @authors tag. See the copyright.txt in the distribution for a
+ * full listing of individual contributors.
+ *
+ * This is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as
+ * published by the Free Software Foundation; either version 2.1 of
+ * the License, or (at your option) any later version.
+ *
+ * This software is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public
+ * License along with this software; if not, write to the Free
+ * Software Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA
+ * 02110-1301 USA, or see the FSF site: http://www.fsf.org.
+ */
+
+/*
+ *  Implementation of the JAIN-SIP PAssertedIdentity (RFC 3325) .
+ *  @see  gov/nist/javax/sip/header/ims/PAssertedIdentity.java 
+ *  @version 1.0 
+ */
+function PAssertedIdentity(address) {
+    if(logger!=undefined) logger.debug("PAssertedIdentity:PAssertedIdentity()");
+    this.classname="PAssertedIdentity";
+    this.headerName=this.NAME;
+    if(address==null)
+    {
+        this.address=new AddressImpl();
+    }
+    else
+    {
+        this.address=address;
+    }
+    this.parameters = new NameValueList();
+    this.duplicates = new DuplicateNameValueList();
+}
+
+PAssertedIdentity.prototype = new AddressParametersHeader();
+PAssertedIdentity.prototype.constructor=PAssertedIdentity;
+PAssertedIdentity.prototype.NAME="P-Asserted-Identity";
+PAssertedIdentity.prototype.ADDRESS_SPEC = 2;
+PAssertedIdentity.prototype.LESS_THAN="<";
+PAssertedIdentity.prototype.GREATER_THAN=">";
+PAssertedIdentity.prototype.SEMICOLON=";";
+
+PAssertedIdentity.prototype.encodeBody =function(){
+    if(logger!=undefined) logger.debug("PAssertedIdentity:encodeBody()");
+    return this.encodeBodyBuffer("").toString();
+}
+
+PAssertedIdentity.prototype.encodeBodyBuffer =function(buffer){
+    if(logger!=undefined) logger.debug("PAssertedIdentity:encodeBodyBuffer():buffer="+buffer);
+    if (this.address.getAddressType() == this.ADDRESS_SPEC) {
+        buffer=buffer+this.LESS_THAN;
+    }
+    buffer=this.address.encodeBuffer(buffer);
+    if (this.address.getAddressType() == this.ADDRESS_SPEC) {
+        buffer=buffer+this.GREATER_THAN;
+    }
+    if (!this.parameters.isEmpty()) {
+        buffer=buffer+this.SEMICOLON;
+        buffer=this.parameters.encodeBuffer(buffer);
+    }
+    return buffer;
+}
@@ -0,0 +1,74 @@
+/*
+ * TeleStax, Open Source Cloud Communications  Copyright 2012. 
+ * and individual contributors
+ * by the @authors tag. See the copyright.txt in the distribution for a
+ * full listing of individual contributors.
+ *
+ * This is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as
+ * published by the Free Software Foundation; either version 2.1 of
+ * the License, or (at your option) any later version.
+ *
+ * This software is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public
+ * License along with this software; if not, write to the Free
+ * Software Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA
+ * 02110-1301 USA, or see the FSF site: http://www.fsf.org.
+ */
+
+/*
+ *  Implementation of the JAIN-SIP Privacy (RFC 3323) .
+ *  @see  gov/nist/javax/sip/header/ims/Privacy.java 
+ *  @version 1.0 
+ */
+function Privacy(privacy) {
+    if(logger!=undefined) logger.debug("Privacy:Privacy()");
+    this.classname="Privacy";
+    this.headerName=this.NAME;
+    this.privacy=null;
+    if(privacy!=null)
+    {
+        this.privacy=privacy;
+    }
+}
+
+Privacy.prototype = new SIPHeader();
+Privacy.prototype.constructor=Privacy;
+Privacy.prototype.NAME="Privacy";
+Privacy.prototype.COLON=":";
+Privacy.prototype.NEWLINE="\r\n";
+
+Privacy.prototype.encode =function(){
+    if(logger!=undefined) logger.debug("Privacy:encode()");
+    var retval = this.headerName + this.COLON;
+    if (this.privacy != null)
+    {
+        retval = retval+this.SP + this.privacy;
+    }
+    retval = retval+this.NEWLINE;
+    return retval;
+}
+
+Privacy.prototype.encodeBody =function(){
+    if(logger!=undefined) logger.debug("Privacy:encodeBody()");
+    return this.privacy != null ? this.privacy : "";
+}
+
+Privacy.prototype.setPrivacy =function(privacy){
+    if(logger!=undefined) logger.debug("Privacy:setPrivacy():privacy="+privacy);
+    if (privacy == null || privacy == "")
+    {
+        console.error("Privacy:setPrivacy(): the privacy parameter is null");
+        throw "Privacy:setPrivacy(): the privacy parameter is null"; 
+    }
+    this.privacy = privacy;
+}
+
+Privacy.prototype.getPrivacy =function(){
+    if(logger!=undefined) logger.debug("Privacy:getPrivacy()");
+    return this.privacy;
+}
@@ -0,0 +1,96 @@
+/*
+ * TeleStax, Open Source Cloud Communications  Copyright 2012. 
+ * and individual contributors
+ * by the @authors tag. See the copyright.txt in the distribution for a
+ * full listing of individual contributors.
+ *
+ * This is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as
+ * published by the Free Software Foundation; either version 2.1 of
+ * the License, or (at your option) any later version.
+ *
+ * This software is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public
+ * License along with this software; if not, write to the Free
+ * Software Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA
+ * 02110-1301 USA, or see the FSF site: http://www.fsf.org.
+ */
+
+/*
+ *  Implementation of the JAIN-SIP RAck (RFC 3262) .
+ *  @see  gov/nist/javax/sip/header/RAck.java 
+ *  @version 1.0 
+ */
+function RAck() {
+    if(logger!=undefined) logger.debug("RAck:RAck()");
+    this.classname="RAck";
+    this.headerName=this.NAME;
+    this.rSeqNumber=null;
+    this.cSeqNumber=null;
+    this.method=null;
+}
+
+RAck.prototype = new SIPHeader();
+RAck.prototype.constructor=RAck;
+RAck.prototype.NAME="RAck";
+RAck.prototype.SP=" ";
+
+RAck.prototype.encodeBody =function(){
+    if(logger!=undefined) logger.debug("RAck:encodeBody()");
+    return this.encodeBodyBuffer("").toString();
+}
+
+RAck.prototype.encodeBodyBuffer =function(buffer){
+    if(logger!=undefined) logger.debug("RAck:encodeBodyBuffer():buffer="+buffer);
+    buffer=buffer+this.rSeqNumber+this.SP+this.cSeqNumber+this.SP+this.method;
+    return buffer;
+}
+
+RAck.prototype.getRSequenceNumber =function(){
+    if(logger!=undefined) logger.debug("RAck:getRSequenceNumber()");
+    return this.rSeqNumber;
+}
+
+RAck.prototype.setRSequenceNumber =function(rSequenceNumber){
+    if(logger!=undefined) logger.debug("RAck:setRSequenceNumber():rSequenceNumber="+rSequenceNumber);
+    if (rSequenceNumber <= 0 || rSequenceNumber > 2147483647)
+    {
+        console.error("RAck:setRSequenceNumber(): bad RSeq number " + rSequenceNumber);
+        throw "RAck:setRSequenceNumber(): bad RSeq number " + rSequenceNumber;
+    }
+    this.rSeqNumber = rSequenceNumber;
+}
+
+RAck.prototype.getCSequenceNumber =function(){
+    if(logger!=undefined) logger.debug("RAck:getCSequenceNumber()");
+    return this.cSeqNumber;
+}
+
+RAck.prototype.setCSequenceNumber =function(cSequenceNumber){
+    if(logger!=undefined) logger.debug("RAck:setCSequenceNumber():cSequenceNumber="+cSequenceNumber);
+    if (cSequenceNumber < 0 || cSequenceNumber > 2147483647)
+    {
+        console.error("RAck:setCSequenceNumber(): bad CSeq number " + cSequenceNumber);
+        throw "RAck:setCSequenceNumber(): bad CSeq number " + cSequenceNumber;
+    }
+    this.cSeqNumber = cSequenceNumber;
+}
+
+RAck.prototype.getMethod =function(){
+    if(logger!=undefined) logger.debug("RAck:getMethod()");
+    return this.method;
+}
+
+RAck.prototype.setMethod =function(method){
+    if(logger!=undefined) logger.debug("RAck:setMethod():method="+method);
+    if (method == null)
+    {
+        console.error("RAck:setMethod(): the method parameter is null");
+        throw "RAck:setMethod(): the method parameter is null";
+    }
+    this.method = method;
+}
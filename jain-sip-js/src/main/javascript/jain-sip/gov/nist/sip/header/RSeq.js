@@ -0,0 +1,63 @@
+/*
+ * TeleStax, Open Source Cloud Communications  Copyright 2012. 
+ * and individual contributors
+ * by the @authors tag. See the copyright.txt in the distribution for a
+ * full listing of individual contributors.
+ *
+ * This is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as
+ * published by the Free Software Foundation; either version 2.1 of
+ * the License, or (at your option) any later version.
+ *
+ * This software is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public
+ * License along with this software; if not, write to the Free
+ * Software Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA
+ * 02110-1301 USA, or see the FSF site: http://www.fsf.org.
+ */
+
+/*
+ *  Implementation of the JAIN-SIP RSeq (RFC 3262) .
+ *  @see  gov/nist/javax/sip/header/RSeq.java 
+ *  @version 1.0 
+ */
+function RSeq() {
+    if(logger!=undefined) logger.debug("RSeq:RSeq()");
+    this.classname="RSeq";
+    this.headerName=this.NAME;
+    this.sequenceNumber=null;
+}
+
+RSeq.prototype = new SIPHeader();
+RSeq.prototype.constructor=RSeq;
+RSeq.prototype.NAME="RSeq";
+
+RSeq.prototype.encodeBody =function(){
+    if(logger!=undefined) logger.debug("RSeq:encodeBody()");
+    return this.encodeBodyBuffer("").toString();
+}
+
+RSeq.prototype.encodeBodyBuffer =function(buffer){
+    if(logger!=undefined) logger.debug("RSeq:encodeBodyBuffer():buffer="+buffer);
+    buffer=buffer+this.sequenceNumber;
+    return buffer;
+}
+
+RSeq.prototype.getSeqNumber =function(){
+    if(logger!=undefined) logger.debug("RSeq:getSeqNumber()");
+    return this.sequenceNumber;
+}
+
+RSeq.prototype.setSeqNumber =function(sequenceNumber){
+    if(logger!=undefined) logger.debug("RSeq:setSeqNumber():sequenceNumber="+sequenceNumber);
+    if (sequenceNumber <= 0 || sequenceNumber > 2147483647)
+    {
+        console.error("RSeq:setSeqNumber(): bad sequence number " + sequenceNumber);
+        throw "RSeq:setSeqNumber(): bad sequence number " + sequenceNumber;
+    }
+    this.sequenceNumber = sequenceNumber;
+}
@@ -0,0 +1,74 @@
+/*
+ * TeleStax, Open Source Cloud Communications  Copyright 2012. 
+ * and individual contributors
+ * by the @authors tag. See the copyright.txt in the distribution for a
+ * full listing of individual contributors.
+ *
+ * This is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as
+ * published by the Free Software Foundation; either version 2.1 of
+ * the License, or (at your option) any later version.
+ *
+ * This software is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public
+ * License along with this software; if not, write to the Free
+ * Software Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA
+ * 02110-1301 USA, or see the FSF site: http://www.fsf.org.
+ */
+
+/*
+ *  Implementation of the JAIN-SIP ReferTo .
+ *  @see  gov/nist/javax/sip/header/ReferTo.java 
+ *  @version 1.0 
+ */
+function ReferTo() {
+    if(logger!=undefined) logger.debug("ReferTo:ReferTo()");
+    this.classname="ReferTo";
+    this.headerName=this.NAME;
+    this.address=new AddressImpl();
+    this.parameters = new NameValueList();
+    this.duplicates = new DuplicateNameValueList();
+}
+
+ReferTo.prototype = new AddressParametersHeader();
+ReferTo.prototype.constructor=ReferTo;
+ReferTo.prototype.NAME="Refer-To";
+ReferTo.prototype.ADDRESS_SPEC = 2;
+ReferTo.prototype.LESS_THAN="<";
+ReferTo.prototype.GREATER_THAN=">";
+ReferTo.prototype.SEMICOLON=";";
+ReferTo.prototype.COLON=":";
+ReferTo.prototype.SP=" ";
+ReferTo.prototype.NEWLINE="\r\n";
+
+ReferTo.prototype.encode =function(){
+    if(logger!=undefined) logger.debug("ReferTo:encode()");
+    return this.headerName + this.COLON + this.SP + this.encodeBody() + this.NEWLINE;
+}
+
+ReferTo.prototype.encodeBody =function(){
+    if(logger!=undefined) logger.debug("ReferTo:encodeBody()");
+    return this.encodeBodyBuffer("").toString();
+}
+
+ReferTo.prototype.encodeBodyBuffer =function(buffer){
+    if(logger!=undefined) logger.debug("ReferTo:encodeBodyBuffer():buffer="+buffer);
+    if (this.address != null) {
+        if (this.address.getAddressType() == this.ADDRESS_SPEC) {
+            buffer=buffer+this.LESS_THAN;
+        }
+        buffer=this.address.encodeBuffer(buffer);
+        if (this.address.getAddressType() == this.ADDRESS_SPEC) {
+            buffer=buffer+this.GREATER_THAN;
+        }
+        if (!this.parameters.isEmpty()) {
+            buffer=buffer+this.SEMICOLON
+            buffer=this.parameters.encodeBuffer(buffer);
+        }
+    }
+    return buffer;
+}
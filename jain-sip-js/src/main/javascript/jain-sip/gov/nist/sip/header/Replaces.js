@@ -0,0 +1,106 @@
+/*
+ * TeleStax, Open Source Cloud Communications  Copyright 2012. 
+ * and individual contributors
+ * by the @authors tag. See the copyright.txt in the distribution for a
+ * full listing of individual contributors.
+ *
+ * This is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as
+ * published by the Free Software Foundation; either version 2.1 of
+ * the License, or (at your option) any later version.
+ *
+ * This software is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public
+ * License along with this software; if not, write to the Free
+ * Software Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA
+ * 02110-1301 USA, or see the FSF site: http://www.fsf.org.
+ */
+
+/*
+ *  Implementation of the JAIN-SIP Replaces (RFC 3891) .
+ *  @see  gov/nist/javax/sip/header/extensions/Replaces.java 
+ *  @version 1.0 
+ */
+function Replaces() {
+    if(logger!=undefined) logger.debug("Replaces:Replaces()");
+    this.classname="Replaces";
+    this.callId=null;
+    this.headerName=this.NAME;
+    this.parameters = new NameValueList();
+    this.duplicates = new DuplicateNameValueList();
+}
+
+Replaces.prototype = new ParametersHeader();
+Replaces.prototype.constructor=Replaces;
+Replaces.prototype.NAME="Replaces";
+Replaces.prototype.TO_TAG="to-tag";
+Replaces.prototype.FROM_TAG="from-tag";
+Replaces.prototype.EARLY_ONLY="early-only";
+Replaces.prototype.SEMICOLON=";";
+
+Replaces.prototype.setCallId =function(callId){
+    if(logger!=undefined) logger.debug("Replaces:setCallId():callId="+callId);
+    if (callId == null)
+    {
+        console.error("Replaces:setCallId(): the callId is null");
+        throw "Replaces:setCallId(): the callId is null";
+    }
+    this.callId = callId;
+}
+
+Replaces.prototype.getCallId =function(){
+    if(logger!=undefined) logger.debug("Replaces:getCallId()");
+    return this.callId;
+}
+
+Replaces.prototype.setToTag =function(toTag){
+    if(logger!=undefined) logger.debug("Replaces:setToTag():toTag="+toTag);
+    if (toTag == null)
+    {
+        console.error("Replaces:setToTag(): the toTag is null");
+        throw "Replaces:setToTag(): the toTag is null";
+    }
+    this.setParameter(this.TO_TAG, toTag);
+}
+
+Replaces.prototype.getToTag =function(){
+    if(logger!=undefined) logger.debug("Replaces:getToTag()");
+    return this.getParameter(this.TO_TAG);
+}
+
+Replaces.prototype.setFromTag =function(fromTag){
+    if(logger!=undefined) logger.debug("Replaces:setFromTag():fromTag="+fromTag);
+    if (fromTag == null)
+    {
+        console.error("Replaces:setFromTag(): the fromTag is null");
+        throw "Replaces:setFromTag(): the fromTag is null";
+    }
+    this.setParameter(this.FROM_TAG, fromTag);
+}
+
+Replaces.prototype.getFromTag =function(){
+    if(logger!=undefined) logger.debug("Replaces:getFromTag()");
+    return this.getParameter(this.FROM_TAG);
+}
+
+Replaces.prototype.encodeBody =function(){
+    if(logger!=undefined) logger.debug("Replaces:encodeBody()");
+    return this.encodeBodyBuffer("").toString();
+}
+
+Replaces.prototype.encodeBodyBuffer =function(buffer){
+    if(logger!=undefined) logger.debug("Replaces:encodeBodyBuffer():buffer="+buffer);
+    if (this.callId != null)
+    {
+        buffer=buffer+this.callId;
+    }
+    if (!this.parameters.isEmpty()) {
+        buffer=buffer+this.SEMICOLON;
+        buffer=this.parameters.encodeBuffer(buffer);
+    }
+    return buffer;
+}
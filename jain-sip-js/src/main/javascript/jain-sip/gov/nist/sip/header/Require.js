@@ -0,0 +1,77 @@
+/*
+ * TeleStax, Open Source Cloud Communications  Copyright 2012. 
+ * and individual contributors
+ * full listing of individual contributors.
+ *
+ * This is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as
+ * published by the Free Software Foundation; either version 2.1 of
+ * the License, or (at your option) any later version.
+ *
+ * This software is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public
+ * License along with this software; if not, write to the Free
+ * Software Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA
+ * 02110-1301 USA, or see the FSF site: http://www.fsf.org.
+ */
+
+/*
+ *  Implementation of the JAIN-SIP Require .
+ *  @see  gov/nist/javax/sip/header/Require.java 
+ *  @version 1.0 
+ */
+function Require(option_tag) {
+    if(logger!=undefined) logger.debug("Require:Require()");
+    this.classname="Require";
+    this.optionTag=null;
+    if(option_tag!=null)
+    {
+        this.headerName="Require";
+        this.optionTag=option_tag;
+    }
+    else
+    {
+        this.headerName="Require";
+        this.optionTag=null;    
+    }
+}
+
+Require.prototype = new SIPHeader();
+Require.prototype.constructor=Require;
+Require.prototype.COLON=":";
+Require.prototype.NEWLINE="\r\n";
+
+Require.prototype.encode =function(){
+    if(logger!=undefined) logger.debug("Require:encode()");
+    var retval = this.headerName + this.COLON;
+    if (this.optionTag != null)
+    {
+        retval = retval+this.SP + this.optionTag;
+    }
+    retval = retval+this.NEWLINE;
+    return retval;
+}
+
+Require.prototype.encodeBody =function(){
+    if(logger!=undefined) logger.debug("Require:encodeBody()");
+    return this.optionTag != null ? this.optionTag : "";
+}
+
+Require.prototype.setOptionTag =function(optionTag){
+    if(logger!=undefined) logger.debug("Require:setOptionTag():optionTag="+optionTag);
+    if (optionTag == null)
+    {
+        console.error("Require:setOptionTag(): the optionTag parameter is null");
+        throw "Require:setOptionTag(): the optionTag parameter is null"; 
+    }
+    this.optionTag = optionTag;
+}
+
+Require.prototype.getOptionTag =function(){
+    if(logger!=undefined) logger.debug("Require:getOptionTag()");
+    return this.optionTag;
+}
\ No newline at end of file
@@ -0,0 +1,42 @@
+/*
+ * TeleStax, Open Source Cloud Communications  Copyright 2012. 
+ * and individual contributors
+ * full listing of individual contributors.
+ *
+ * This is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as
+ * published by the Free Software Foundation; either version 2.1 of
+ * the License, or (at your option) any later version.
+ *
+ * This software is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public
+ * License along with this software; if not, write to the Free
+ * Software Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA
+ * 02110-1301 USA, or see the FSF site: http://www.fsf.org.
+ */
+
+/*
+ *  Implementation of the JAIN-SIP RequireList .
+ *  @see  gov/nist/javax/sip/header/RequireList.java 
+ *  @version 1.0 
+ */
+function RequireList() {
+    if(logger!=undefined) logger.debug("RequireList:RequireList()");
+    this.classname="RequireList";
+    this.headerName = this.NAME;
+    this.myClass =  "Require";
+    this.hlist=new Array();
+}
+
+RequireList.prototype = new SIPHeaderList();
+RequireList.prototype.constructor=RequireList;
+RequireList.prototype.NAME="Require";
+
+RequireList.prototype.clone =function(){
+    if(logger!=undefined) logger.debug("RequireList:clone()");  
+}
+
@@ -124,11 +124,11 @@ SIPHeaderList.prototype.concatenate =function(other, topFlag){
     if(logger!=undefined) logger.debug("SIPHeaderList:concatenate():other="+other+",topFlag="+topFlag);
     if (!topFlag) 
     {
-        this.addAll(other);
+        this.addAll(other.hlist);
     } 
     else 
     {
-        this.addAll(0, other);
+        this.addAll(0, other.hlist);
     }
 }
 
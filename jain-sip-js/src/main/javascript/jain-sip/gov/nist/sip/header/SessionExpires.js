@@ -0,0 +1,82 @@
+/*
+ * TeleStax, Open Source Cloud Communications  Copyright 2012. 
+ * and individual contributors
+ * by the @authors tag. See the copyright.txt in the distribution for a
+ * full listing of individual contributors.
+ *
+ * This is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as
+ * published by the Free Software Foundation; either version 2.1 of
+ * the License, or (at your option) any later version.
+ *
+ * This software is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public
+ * License along with this software; if not, write to the Free
+ * Software Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA
+ * 02110-1301 USA, or see the FSF site: http://www.fsf.org.
+ */
+
+/*
+ *  Implementation of the JAIN-SIP SessionExpires (RFC 4028) .
+ *  @see  gov/nist/javax/sip/header/extensions/SessionExpires.java 
+ *  @version 1.0 
+ */
+function SessionExpires() {
+    if(logger!=undefined) logger.debug("SessionExpires:SessionExpires()");
+    this.classname="SessionExpires";
+    this.headerName=this.NAME;
+    this.parameters = new NameValueList();
+    this.duplicates = new DuplicateNameValueList();
+    this.expires=null;
+}
+
+SessionExpires.prototype = new ParametersHeader();
+SessionExpires.prototype.constructor=SessionExpires;
+SessionExpires.prototype.NAME="Session-Expires";
+SessionExpires.prototype.REFRESHER="refresher";
+SessionExpires.prototype.SEMICOLON=";";
+
+SessionExpires.prototype.getName =function(){
+    if(logger!=undefined) logger.debug("SessionExpires:getName()");
+    return this.NAME;
+}
+
+SessionExpires.prototype.getExpires =function(){
+    if(logger!=undefined) logger.debug("SessionExpires:getExpires()");
+    return this.expires;
+}
+
+SessionExpires.prototype.setExpires =function(expires){
+    if(logger!=undefined) logger.debug("SessionExpires:setExpires():expires="+expires);
+    if (expires < 0)
+    {
+        console.error("SessionExpires:setExpires(): bad argument " + expires);
+        throw "SessionExpires:setExpires(): bad argument " + expires;
+    }
+    this.expires = expires;
+}
+
+SessionExpires.prototype.getRefresher =function(){
+    if(logger!=undefined) logger.debug("SessionExpires:getRefresher()");
+    return this.parameters.getParameter(this.REFRESHER);
+}
+
+SessionExpires.prototype.setRefresher =function(refresher){
+    if(logger!=undefined) logger.debug("SessionExpires:setRefresher():refresher="+refresher);
+    this.parameters.set_name_value(this.REFRESHER, refresher);
+}
+
+SessionExpires.prototype.encodeBody =function(){
+    if(logger!=undefined) logger.debug("SessionExpires:encodeBody()");
+    var s = "";
+    s=s+this.expires;
+    if (this.parameters != null && this.parameters.hmap.length!=0)
+    {
+        s=s+this.SEMICOLON+this.parameters.encode()
+    }
+    return s.toString();
+}
@@ -73,6 +73,10 @@ ListMap.prototype.initializeListMap =function(){
     this.put(this.headerListTable, "Allow", "AllowList");
     this.put(this.headerListTable, "Record-Route", "RecordRouteList");
     this.put(this.headerListTable, "Supported", "SupportedList");
+    this.put(this.headerListTable, "Require", "RequireList");
+    this.put(this.headerListTable, "P-Asserted-Identity", "PAssertedIdentityList");
+    this.put(this.headerListTable, "P-Preferred-Identity", "PPreferredIdentityList");
+    this.put(this.headerListTable, "Privacy", "PrivacyList");
     this.initialized = true;
 }
 
@@ -91,7 +95,7 @@ ListMap.prototype.hasList =function(){
         }
         else
         {
-            var headerClass = sipHeader.classname;
+            var headerClass = sipHeader.headerName;
             var listClass =null;
         }
     }
@@ -146,6 +146,10 @@ HeaderParser.prototype.parse =function(){
     var name = this.lexer.getNextToken(':');
     this.lexer.consume(1);
     var body = this.lexer.getLine().replace(/^(\s)+|(\s)+$/g, '');
+    // Event headers are parsed as extension headers, the compact form "o" is expanded (RFC 6665 8.2.1)
+    if (name.replace(/^(\s)+|(\s)+$/g, '').toLowerCase() == "o") {
+        name = "Event";
+    }
     var retval = new ExtensionHeaderImpl(name);
     retval.setValue(body);
     return retval;
@@ -0,0 +1,58 @@
+/*
+ * TeleStax, Open Source Cloud Communications  Copyright 2012. 
+ * and individual contributors
+ * by the @authors tag. See the copyright.txt in the distribution for a
+ * full listing of individual contributors.
+ *
+ * This is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as
+ * published by the Free Software Foundation; either version 2.1 of
+ * the License, or (at your option) any later version.
+ *
+ * This software is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public
+ * License along with this software; if not, write to the Free
+ * Software Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA
+ * 02110-1301 USA, or see the FSF site: http://www.fsf.org.
+ */
+
+/*
+ *  Implementation of the JAIN-SIP MinSEParser (RFC 4028) .
+ *  @see  gov/nist/javax/sip/parser/extensions/MinSEParser.java 
+ *  @version 1.0 
+ *   
+ */
+function MinSEParser() {
+    if(logger!=undefined) logger.debug("MinSEParser:MinSEParser()");
+    this.classname="MinSEParser"; 
+    if(typeof arguments[0]=="object")
+    {
+        var lexer=arguments[0];
+        this.lexer = lexer;
+        this.lexer.selectLexer("command_keywordLexer");
+    }
+    else if(typeof arguments[0]=="string")
+    {
+        var text=arguments[0];
+        this.lexer = new Lexer("command_keywordLexer", text);
+    }
+}
+
+MinSEParser.prototype = new ParametersParser();
+MinSEParser.prototype.constructor=MinSEParser;
+
+MinSEParser.prototype.parse =function(){
+    if(logger!=undefined) logger.debug("MinSEParser:parse()");
+    var minSE = new MinSE();
+    this.headerName(TokenTypes.prototype.MINSE_TO);
+    var number = this.lexer.number();
+    minSE.setExpires(parseInt(number, 10));
+    this.lexer.SPorHT();
+    ParametersParser.prototype.parse.call(this,minSE);
+    this.lexer.match('\n');
+    return minSE;
+}
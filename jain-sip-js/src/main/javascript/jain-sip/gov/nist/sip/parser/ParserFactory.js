@@ -66,12 +66,25 @@ function ParserFactory() {
     this.put(this.parserTable,"Max-Forwards".toLowerCase(),new MaxForwardsParser().classname);
     this.put(this.parserTable,"Reason".toLowerCase(),new ReasonParser().classname);
     this.put(this.parserTable,"Expires".toLowerCase(),new ExpiresParser().classname);
-    this.put(this.parserTable,"Event".toLowerCase(),new EventParser().classname);
-    this.put(this.parserTable,"o",new EventParser().classname);
+    // Event header class is not bundled (it would override the DOM Event constructor), Event headers (compact form "o" included) are parsed as extension headers
     this.put(this.parserTable,"Content-Disposition".toLowerCase(),new ContentDispositionParser().classname);
     this.put(this.parserTable,"Allow".toLowerCase(),new AllowParser().classname);
     this.put(this.parserTable,"Allow-Events".toLowerCase(),new AllowEventsParser().classname);
     this.put(this.parserTable,"u",new AllowEventsParser().classname);
+    this.put(this.parserTable,"Refer-To".toLowerCase(),new ReferToParser().classname);
+    this.put(this.parserTable,"r",new ReferToParser().classname);
+    this.put(this.parserTable,"Referred-By".toLowerCase(),new ReferredByParser().classname);
+    this.put(this.parserTable,"b",new ReferredByParser().classname);
+    this.put(this.parserTable,"Replaces".toLowerCase(),new ReplacesParser().classname);
+    this.put(this.parserTable,"Require".toLowerCase(),new RequireParser().classname);
+    this.put(this.parserTable,"RSeq".toLowerCase(),new RSeqParser().classname);
+    this.put(this.parserTable,"RAck".toLowerCase(),new RAckParser().classname);
+    this.put(this.parserTable,"Session-Expires".toLowerCase(),new SessionExpiresParser().classname);
+    this.put(this.parserTable,"x",new SessionExpiresParser().classname);
+    this.put(this.parserTable,"Min-SE".toLowerCase(),new MinSEParser().classname);
+    this.put(this.parserTable,"P-Asserted-Identity".toLowerCase(),new PAssertedIdentityParser().classname);
+    this.put(this.parserTable,"P-Preferred-Identity".toLowerCase(),new PPreferredIdentityParser().classname);
+    this.put(this.parserTable,"Privacy".toLowerCase(),new PrivacyParser().classname);
 }
 
 ParserFactory.prototype.createParser =function(line){
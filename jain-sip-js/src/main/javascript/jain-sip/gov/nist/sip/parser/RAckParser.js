@@ -0,0 +1,64 @@
+/*
+ * TeleStax, Open Source Cloud Communications  Copyright 2012. 
+ * and individual contributors
+ * by the @authors tag. See the copyright.txt in the distribution for a
+ * full listing of individual contributors.
+ *
+ * This is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as
+ * published by the Free Software Foundation; either version 2.1 of
+ * the License, or (at your option) any later version.
+ *
+ * This software is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public
+ * License along with this software; if not, write to the Free
+ * Software Foundation, Inc., 51 Franklin St, Fifth Floor, Boston, MA
+ * 02110-1301 USA, or see the FSF site: http://www.fsf.org.
+ */
+
+/*
+ *  Implementation of the JAIN-SIP RAckParser (RFC 3262) .
+ *  @see  gov/nist/javax/sip/parser/RAckParser.java 
+ *  @version 1.0 
+ *   
+ */
+function RAckParser() {
+    if(logger!=undefined) logger.debug("RAckParser:RAckParser()");
+    this.classname="RAckParser"; 
+    if(typeof arguments[0]=="object")
+    {
+        var lexer=arguments[0];
+        this.lexer = lexer;
+        this.lexer.selectLexer("command_keywordLexer");
+    }
+    else if(typeof arguments[0]=="string")
+    {
+        var text=arguments[0];
+        this.lexer = new Lexer("command_keywordLexer", text);
+    }
+}
+
+RAckParser.prototype = new HeaderParser();
+RAckParser.prototype.constructor=RAckParser;
+
+RAckParser.prototype.parse =function(){
+    if(logger!=undefined) logger.debug("RAckParser:parse()");
+    var rack = new RAck();
+    this.headerName(TokenTypes.prototype.RACK);
+    var number = this.lexer.number();
+    rack.setRSequenceNumber(parseInt(number, 10));
+    this.lexer.SPorHT();
+    number = this.lexer.number();
+    rack.setCSequenceNumber(parseInt(number, 10));
+    this.lexer.SPorHT();
+    this.lexer.match(TokenTypes.prototype.ID);
+    var token = this.lexer.getNextToken();
+    rack.setMethod(token.getTokenValue());
+    this.lexer.SPorHT();
+    this.lexer.match('\n');
+    return rack;
+}
@@ -34,9 +34,22 @@ function WSMsgParser(messageChannel) {
 
 WSMsgParser.prototype.RPORT="rport";
 WSMsgParser.prototype.RECEIVED="received";
+WSMsgParser.prototype.CRLF="\r\n";
+WSMsgParser.prototype.DOUBLE_CRLF="\r\n\r\n";
 
 WSMsgParser.prototype.parsermessage =function(sipMessage){
     if(logger!=undefined) logger.debug("WSMsgParser:parsermessage()");
+    // RFC 5626 keep-alive: double CRLF ping, CRLF pong
+    if(sipMessage==this.DOUBLE_CRLF)
+    {
+        this.messageChannel.sendKeepAlivePong();
+        return;
+    }
+    else if(sipMessage==this.CRLF)
+    {
+        this.messageChannel.processKeepAlivePong();
+        return;
+    }
     var smp = new StringMsgParser();
     var parsedSipMessage = smp.parseSIPMessage(sipMessage);
     var cl =  parsedSipMessage.getContentLength();
@@ -85,6 +85,7 @@ function SIPDialog() {
     this.contactHeader=null;
     this.timer=null;
     this.inviteTransaction=null;
+    this.lastRseq=-1;
     if(arguments[0].classname=="SipProviderImpl")
     {
         this.terminateOnBye = true;
@@ -440,8 +441,8 @@ SIPDialog.prototype.setLastResponse =function(transaction,sipResponse){
                 this.setLocalTag(sipResponse.getTo().getTag());
                 doPutDialog = true;
             }
-            if (statusCode / 100 != 2) {
-                if (statusCode / 100 == 1) {
+            if (Math.floor(statusCode / 100) != 2) {
+                if (Math.floor(statusCode / 100) == 1) {
                     if (doPutDialog) {
                         this.setState(this.EARLY_STATE);
                         this.setDialogId(sipResponse.getDialogId(true));
@@ -449,8 +450,8 @@ SIPDialog.prototype.setLastResponse =function(transaction,sipResponse){
                     }
                 } 
                 else {
-                    if (!this.isReInvite() && this.getState() != this.CONFIRMED) {
-                        this.setState(SIPDialog.TERMINATED_STATE);
+                    if (!this.isReInvite() && this.getState() != "CONFIRMED") {
+                        this.setState(this.TERMINATED_STATE);
                     }
                 }
             } else {
@@ -1376,20 +1377,24 @@ SIPDialog.prototype.createReliableProvisionalResponse =function(statusCode){
         console.error("SIPDialog:createReliableProvisionalResponse(): bad method");
         throw "SIPDialog:createReliableProvisionalResponse(): bad method";
     }
-    var list = request.getHeaders("Supported");
-    if (list == null&&!optionPresent(list, "100rel")) {
-        list = request.getHeaders("Require");
-        if (list == null&&!optionPresent(list, "100rel")) {
-            console.error("SIPDialog:createReliableProvisionalResponse(): no Supported/Require 100rel header in the request");
-            throw "SIPDialog:createReliableProvisionalResponse(): no Supported/Require 100rel header in the request";
-        }
+    if (!this.optionPresent(request.getHeaders("Supported"), "100rel")
+        && !this.optionPresent(request.getHeaders("Require"), "100rel")) {
+        console.error("SIPDialog:createReliableProvisionalResponse(): no Supported/Require 100rel header in the request");
+        throw "SIPDialog:createReliableProvisionalResponse(): no Supported/Require 100rel header in the request";
     }
     var response = request.createResponse(statusCode);
+    if (this.getLocalTag() != null) {
+        response.getTo().setTag(this.getLocalTag());
+    } 
+    else {
+        response.getTo().setTag(Utils.prototype.generateTag());
+    }
     var require = new Require();
     require.setOptionTag("100rel");
     response.addHeader(require);
     var rseq = new RSeq();
-    rseq.setSeqNumber("1L");
+    rseq.setSeqNumber(1);
+    response.addHeader(rseq);
     var rrl = request.getRecordRouteHeaders();
     if (rrl != null) {
         var rrlclone = rrl;
@@ -1409,7 +1414,7 @@ SIPDialog.prototype.sendReliableProvisionalResponse =function(relResponse){
         console.error("SIPDialog:sendReliableProvisionalResponse(): cannot send 100 as a reliable provisional response");
         throw "SIPDialog:sendReliableProvisionalResponse(): cannot send 100 as a reliable provisional response";
     }
-    if (relResponse.getStatusCode() / 100 > 2) {
+    if (relResponse.getStatusCode() > 199) {
         console.error("SIPDialog:sendReliableProvisionalResponse(): response code is not a 1xx response - should be in the range 101 to 199 ");
         throw "SIPDialog:sendReliableProvisionalResponse(): response code is not a 1xx response - should be in the range 101 to 199 ";
     }
@@ -1417,28 +1422,81 @@ SIPDialog.prototype.sendReliableProvisionalResponse =function(relResponse){
         console.error("SIPDialog:sendReliableProvisionalResponse(): badly formatted response -- To tag mandatory for Reliable Provisional Response");
         throw "SIPDialog:sendReliableProvisionalResponse(): badly formatted response -- To tag mandatory for Reliable Provisional Response";
     }
-    var requireList = relResponse.getHeaders("Require");
-    var found = false;
-    if (requireList != null) {
-        for(var i=0;i<requireList.length && !found;i++)
-        {
-            var rh = requireList[i];
-            if (rh.getOptionTag().toLowerCase()=="100rel") {
-                found = true;
-            }
-        }
-    }
-    if (!found) {
+    if (!this.optionPresent(relResponse.getHeaders("Require"), "100rel")) {
         var require = new Require("100rel");
         relResponse.addHeader(require);
-
     }
     var serverTransaction = this.getFirstTransaction();
+    this.setResponseTags(sipResponse);
     this.setLastResponse(serverTransaction, sipResponse);
     this.setDialogId(sipResponse.getDialogId(true));
     serverTransaction.sendReliableProvisionalResponse(relResponse);
 }
 
+SIPDialog.prototype.createPrack =function(relResponse){
+    if(logger!=undefined) logger.debug("SIPDialog:createPrack():relResponse="+relResponse);
+    if (this.getState() == null || this.getState() == "TERMINATED") {
+        console.error("SIPDialog:createPrack(): dialog not initialized or terminated");
+        throw "SIPDialog:createPrack(): dialog not initialized or terminated";
+    }
+    var rseq = relResponse.getHeader("RSeq");
+    if (rseq == null) {
+        console.error("SIPDialog:createPrack(): missing RSeq header in the reliable provisional response");
+        throw "SIPDialog:createPrack(): missing RSeq header in the reliable provisional response";
+    }
+    if (relResponse.getContactHeader() == null) {
+        console.error("SIPDialog:createPrack(): missing Contact header in the reliable provisional response");
+        throw "SIPDialog:createPrack(): missing Contact header in the reliable provisional response";
+    }
+    var sipRequest = this.createRequest("PRACK", relResponse);
+    var rack = new RAck();
+    rack.setRSequenceNumber(rseq.getSeqNumber());
+    rack.setCSequenceNumber(relResponse.getCSeq().getSeqNumber());
+    rack.setMethod(relResponse.getCSeq().getMethod());
+    sipRequest.setHeader(rack);
+    return sipRequest;
+}
+
+SIPDialog.prototype.handlePrack =function(prackRequest){
+    if(logger!=undefined) logger.debug("SIPDialog:handlePrack():prackRequest="+prackRequest);
+    if (!this.isServer()) {
+        return false;
+    }
+    var serverTransaction = this.getFirstTransaction();
+    if (serverTransaction == null || !(serverTransaction instanceof SIPServerTransaction)) {
+        return false;
+    }
+    var sipResponse = serverTransaction.getReliableProvisionalResponse();
+    if (sipResponse == null) {
+        return false;
+    }
+    var rack = prackRequest.getHeader("RAck");
+    if (rack == null) {
+        return false;
+    }
+    var rseq = sipResponse.getHeader("RSeq");
+    if (rack.getMethod()!=sipResponse.getCSeq().getMethod()
+        || rack.getCSequenceNumber()!=sipResponse.getCSeq().getSeqNumber()
+        || rack.getRSequenceNumber()!=rseq.getSeqNumber()) {
+        return false;
+    }
+    return serverTransaction.prackRecieved();
+}
+
+SIPDialog.prototype.checkReliableProvisionalResponse =function(sipResponse){
+    if(logger!=undefined) logger.debug("SIPDialog:checkReliableProvisionalResponse():sipResponse="+sipResponse);
+    var rseq = sipResponse.getHeader("RSeq");
+    if (rseq == null) {
+        return true;
+    }
+    var rseqNumber = rseq.getSeqNumber();
+    if (this.lastRseq != -1 && rseqNumber != this.lastRseq + 1) {
+        return false;
+    }
+    this.lastRseq = rseqNumber;
+    return true;
+}
+
 SIPDialog.prototype.terminateOnBye =function(terminateFlag){
     if(logger!=undefined) logger.debug("SIPDialog:terminateOnBye():terminateFlag:"+terminateFlag);
     this.terminateOnBye = terminateFlag;
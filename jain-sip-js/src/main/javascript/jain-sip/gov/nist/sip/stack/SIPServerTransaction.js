@@ -44,7 +44,7 @@ function SIPServerTransaction(sipStack,newChannelToUse) {
         this.timer=setTimeout(this.listenerExecutionMaxTimer(), sipStack.maxListenerResponseTime * 1000);
     }
     
-    this.rseqNumber =  (Math.random() * 1000);
+    this.rseqNumber =  Math.floor(Math.random() * 1000);
     this.requestOf=null;
     this.dialog=null;
     this.pendingReliableResponse=null;
@@ -277,6 +277,9 @@ SIPServerTransaction.prototype.sendMessage =function(messageToSend){
         this.sendResponseSRT(transactionResponse);
         return;
     }
+    if (statusCode >= 200 && this.provisionalResponseTask != null) {
+        this.stopReliableProvisionalResponseTask();
+    }
     if (this.getRealState() == "TRYING") {
         if (statusCode <=199 && statusCode>=100) {
             this.setState("PROCEEDING");
@@ -306,7 +309,10 @@ SIPServerTransaction.prototype.sendMessage =function(messageToSend){
     }
     else if (this.getRealState() == "PROCEEDING") {
         if (this.isInviteTransaction()) {
-            if (statusCode <=299 && statusCode>=100) {
+            if (statusCode <=199 && statusCode>=100) {
+                // stay in PROCEEDING state, more than one provisional response may be sent
+            }
+            else if (statusCode <=299 && statusCode>=200) {
                 this.disableTimeoutTimer();
                 this.collectionTime = this.TIMER_J;
                 this.setState("TERMINATED");
@@ -497,6 +503,68 @@ SIPServerTransaction.prototype.sendResponse =function(response){
     }
 }
 
+SIPServerTransaction.prototype.sendReliableProvisionalResponse =function(relResponse){
+    if(logger!=undefined) logger.debug("SIPServerTransaction:sendReliableProvisionalResponse():relResponse="+relResponse);
+    if (this.pendingReliableResponse != null) {
+        console.error("SIPServerTransaction:sendReliableProvisionalResponse(): unacknowledged reliable response");
+        throw "SIPServerTransaction:sendReliableProvisionalResponse(): unacknowledged reliable response";
+    }
+    this.rseqNumber++;
+    var rseq = relResponse.getHeader("RSeq");
+    if (rseq == null) {
+        rseq = new RSeq();
+        relResponse.setHeader(rseq);
+    }
+    rseq.setSeqNumber(this.rseqNumber);
+    this.pendingReliableResponse = relResponse;
+    this.sendMessage(relResponse);
+    var that=this;
+    var retransmissionInterval = this.BASE_TIMER_INTERVAL;
+    var ticks = 0;
+    var retransmitReliableResponse = function() {
+        ticks = ticks + retransmissionInterval;
+        if (ticks >= that.TIMER_H * that.BASE_TIMER_INTERVAL || that.isTerminated()) {
+            that.stopReliableProvisionalResponseTask();
+            if (!that.isTerminated()) {
+                that.raiseErrorEvent(that.TIMEOUT_ERROR);
+            }
+        } 
+        else {
+            try {
+                that.getMessageChannel().sendMessage(that.pendingReliableResponse);
+            } catch (ex) {
+                console.error("SIPServerTransaction:sendReliableProvisionalResponse(): catched exception:"+ex);
+            }
+            retransmissionInterval = Math.min(2 * retransmissionInterval, that.T2 * that.BASE_TIMER_INTERVAL);
+            that.provisionalResponseTask = setTimeout(retransmitReliableResponse, retransmissionInterval);
+        }
+    };
+    this.provisionalResponseTask = setTimeout(retransmitReliableResponse, retransmissionInterval);
+}
+
+SIPServerTransaction.prototype.stopReliableProvisionalResponseTask =function(){
+    if(logger!=undefined) logger.debug("SIPServerTransaction:stopReliableProvisionalResponseTask()");
+    if (this.provisionalResponseTask != null) {
+        clearTimeout(this.provisionalResponseTask);
+        this.provisionalResponseTask = null;
+    }
+    this.pendingReliableResponse = null;
+}
+
+SIPServerTransaction.prototype.getReliableProvisionalResponse =function(){
+    if(logger!=undefined) logger.debug("SIPServerTransaction:getReliableProvisionalResponse()");
+    return this.pendingReliableResponse;
+}
+
+SIPServerTransaction.prototype.prackRecieved =function(){
+    if(logger!=undefined) logger.debug("SIPServerTransaction:prackRecieved()");
+    if (this.pendingReliableResponse == null) {
+        return false;
+    }
+    this.stopReliableProvisionalResponseTask();
+    return true;
+}
+
 SIPServerTransaction.prototype.getRealState =function(){
     if(logger!=undefined) logger.debug("SIPServerTransaction:getRealState()");
     return SIPTransaction.prototype.getState.call(this);
@@ -39,11 +39,17 @@ function WSMessageChannel(messageProcessor, wsUrl) {
        console.warn("WSMessageChannel:createWebSocket(): bad Websocket Url");
     }
     this.messageProcessor=messageProcessor;
+    this.keepAlivePongTimer=null;
+    this.reconnectMode=false;
     this.myAddress = this.messageProcessor.sipStack.getHostAddress();
     this.websocket=this.createWebSocket();
     this.wsMsgParser=new WSMsgParser(this);
 }
 
+WSMessageChannel.prototype.KEEP_ALIVE_PING="\r\n\r\n";
+WSMessageChannel.prototype.KEEP_ALIVE_PONG="\r\n";
+WSMessageChannel.prototype.KEEP_ALIVE_PONG_TIMEOUT=10000;
+
 WSMessageChannel.prototype.isReliable =function(){
     if(logger!=undefined) logger.debug("WSMessageChannel:isReliable()");
     return true;
@@ -57,8 +63,9 @@ WSMessageChannel.prototype.createWebSocket =function(){
     this.websocket.onclose=function()
     {
         console.warn("WSMessageChannel:createWebSocket(): the websocket is closed");
-        that.messageProcessor.sipStack.sipListener.processDisconnected();
+        that.clearKeepAlivePongTimer();
         that.websocket=null;
+        that.messageProcessor.sipStack.sipListener.processDisconnected();
     }
     
     this.websocket.onopen=function()
@@ -94,10 +101,82 @@ WSMessageChannel.prototype.createWebSocket =function(){
 
 WSMessageChannel.prototype.close =function(){
     if(logger!=undefined) logger.debug("WSMessageChannel:close()");
+    this.clearKeepAlivePongTimer();
     this.websocket.close();
     this.websocket = null;
 }
 
+WSMessageChannel.prototype.detachWebSocket =function(){
+    if(logger!=undefined) logger.debug("WSMessageChannel:detachWebSocket()");
+    this.clearKeepAlivePongTimer();
+    if(this.websocket!=null)
+    {
+        // Forget the websocket, its events must not be notified anymore
+        this.websocket.onclose=null;
+        this.websocket.onopen=null;
+        this.websocket.onerror=null;
+        this.websocket.onmessage=null;
+        this.websocket.close();
+        this.websocket=null;
+    }
+}
+
+WSMessageChannel.prototype.reconnect =function(wsUrl){
+    if(logger!=undefined) logger.debug("WSMessageChannel:reconnect():wsUrl="+wsUrl);
+    if(wsUrl!=undefined)
+    {
+        if(wsUrl.toLowerCase().indexOf("ws://")==0) this.transport="WS";
+        else if(wsUrl.toLowerCase().indexOf("wss://")==0) this.transport="WSS";
+        else 
+        {
+            console.error("WSMessageChannel:reconnect(): bad Websocket Url");
+            throw "WSMessageChannel:reconnect(): bad Websocket Url";
+        }
+        this.wsurl=wsUrl;
+    }
+    this.detachWebSocket();
+    this.websocket=this.createWebSocket();
+}
+
+WSMessageChannel.prototype.setReconnectMode =function(reconnectMode){
+    if(logger!=undefined) logger.debug("WSMessageChannel:setReconnectMode():reconnectMode="+reconnectMode);
+    this.reconnectMode=reconnectMode;
+}
+
+WSMessageChannel.prototype.sendKeepAlivePing =function(pongExpected){
+    if(logger!=undefined) logger.debug("WSMessageChannel:sendKeepAlivePing():pongExpected="+pongExpected);
+    this.sendMessage(this.KEEP_ALIVE_PING);
+    if(pongExpected && this.keepAlivePongTimer==null)
+    {
+        var that=this;
+        this.keepAlivePongTimer=setTimeout(function(){
+            that.keepAlivePongTimer=null;
+            console.warn("WSMessageChannel:sendKeepAlivePing(): no keep-alive pong received, the flow has failed");
+            that.detachWebSocket();
+            that.messageProcessor.sipStack.sipListener.processDisconnected();
+        }, this.KEEP_ALIVE_PONG_TIMEOUT);
+    }
+}
+
+WSMessageChannel.prototype.processKeepAlivePong =function(){
+    if(logger!=undefined) logger.debug("WSMessageChannel:processKeepAlivePong()");
+    this.clearKeepAlivePongTimer();
+}
+
+WSMessageChannel.prototype.sendKeepAlivePong =function(){
+    if(logger!=undefined) logger.debug("WSMessageChannel:sendKeepAlivePong()");
+    this.sendMessage(this.KEEP_ALIVE_PONG);
+}
+
+WSMessageChannel.prototype.clearKeepAlivePongTimer =function(){
+    if(logger!=undefined) logger.debug("WSMessageChannel:clearKeepAlivePongTimer()");
+    if(this.keepAlivePongTimer!=null)
+    {
+        clearTimeout(this.keepAlivePongTimer);
+        this.keepAlivePongTimer=null;
+    }
+}
+
 WSMessageChannel.prototype.getSIPStack =function(){
     if(logger!=undefined) logger.debug("WSMessageChannel:getSIPStack()");
     return this.messageProcessor.sipStack;
@@ -120,6 +199,17 @@ WSMessageChannel.prototype.sendMessage = function(sipMessage){
         var encodedSipMessage = sipMessage.encode();
         sipMessage=encodedSipMessage;
     }
+    if(this.websocket==null || this.websocket.readyState!=1)
+    {
+        if(this.reconnectMode)
+        {
+            // Stack timers may send while the websocket is reconnected, the message is dropped
+            console.warn("WSMessageChannel:sendMessage(): the websocket is not opened, SIP message dropped");
+            return;
+        }
+        console.error("WSMessageChannel:sendMessage(): the websocket is not opened");
+        throw "WSMessageChannel:sendMessage(): the websocket is not opened";
+    }
     this.websocket.send(sipMessage);
     console.info("SIP message sent: "+sipMessage); 
 }
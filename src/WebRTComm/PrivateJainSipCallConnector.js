@@ -64,6 +64,9 @@ PrivateJainSipCallConnector = function(clientConnector, webRTCommCall, sipCallId
         this.webRTCommCall = webRTCommCall;
         this.webRTCommCall.id = this.sipCallId;
         this.configuration = undefined;
+        this.referringCallConnector = undefined;
+        this.sipReplaces = undefined;
+        this.sipReferredBy = undefined;
         this.resetSipContext();
     }
     else
@@ -95,6 +98,46 @@ PrivateJainSipCallConnector.prototype.SIP_INVITED_HANGUP_STATE = "INVITED_HANGUP
 PrivateJainSipCallConnector.prototype.SIP_INVITED_ERROR_STATE = "INVITED_ERROR_STATE";
 PrivateJainSipCallConnector.prototype.SIP_INVITED_CANCELLED_STATE = "INVITING_HANGUP_STATE";
 
+/**
+ * SIP re-INVITE/UPDATE (e.g. hold/resume) state machine constant, 
+ * applicable only when the call is accepted
+ * @private
+ * @constant
+ */
+PrivateJainSipCallConnector.prototype.SIP_REINVITING_STATE = "REINVITING_STATE";
+PrivateJainSipCallConnector.prototype.SIP_REINVITING_407_STATE = "REINVITING_407_STATE";
+PrivateJainSipCallConnector.prototype.SIP_REINVITED_STATE = "REINVITED_STATE";
+PrivateJainSipCallConnector.prototype.SIP_REINVITED_OFFERLESS_STATE = "REINVITED_OFFERLESS_STATE";
+PrivateJainSipCallConnector.prototype.SIP_REINVITED_WAITING_ACK_STATE = "REINVITED_WAITING_ACK_STATE";
+
+/**
+ * SIP REFER (call transfer) state machine constant, 
+ * applicable only when the call is accepted
+ * @private
+ * @constant
+ */
+PrivateJainSipCallConnector.prototype.SIP_REFERRING_STATE = "REFERRING_STATE";
+PrivateJainSipCallConnector.prototype.SIP_REFERRING_407_STATE = "REFERRING_407_STATE";
+PrivateJainSipCallConnector.prototype.SIP_REFER_ACCEPTED_STATE = "REFER_ACCEPTED_STATE";
+PrivateJainSipCallConnector.prototype.SIP_REFERRED_STATE = "REFERRED_STATE";
+
+/**
+ * SIP session timer (RFC 4028) constant: minimum session interval (Min-SE) in seconds, 
+ * delay in milliseconds before retrying a session refresh while a SIP re-INVITE/UPDATE is in progress
+ * @private
+ * @constant
+ */
+PrivateJainSipCallConnector.prototype.SIP_SESSION_MIN_SE = 90;
+PrivateJainSipCallConnector.prototype.SIP_SESSION_REFRESH_RETRY_DELAY = 2000;
+
+/**
+ * SIP anonymous caller constant (RFC 3323): From user/host and display name of anonymous calls
+ * @private
+ * @constant
+ */
+PrivateJainSipCallConnector.prototype.SIP_ANONYMOUS_USER = "anonymous@anonymous.invalid";
+PrivateJainSipCallConnector.prototype.SIP_ANONYMOUS_DISPLAY_NAME = "Anonymous";
+
 /**
  * Get SIP communication opened/closed status 
  * @public
@@ -104,6 +147,16 @@ PrivateJainSipCallConnector.prototype.isOpened = function() {
     return ((this.sipCallState === this.SIP_INVITING_ACCEPTED_STATE) || (this.sipCallState === this.SIP_INVITED_ACCEPTED_STATE));
 };
 
+/**
+ * Get SIP communication line status: ringing, calling or opened
+ * @public
+ * @returns {boolean} true if the communication is being established or established, false otherwise
+ */
+PrivateJainSipCallConnector.prototype.isLine = function() {
+    return this.isOpened() || (this.sipCallState === this.SIP_INVITED_INITIAL_STATE) || (this.sipCallState === this.SIP_INVITING_INITIAL_STATE)
+            || (this.sipCallState === this.SIP_INVITING_STATE) || (this.sipCallState === this.SIP_INVITING_407_STATE);
+};
+
 /**
  * Get SIP call ID
  * @public
@@ -171,6 +224,11 @@ PrivateJainSipCallConnector.prototype.open = function(configuration) {
  */
 PrivateJainSipCallConnector.prototype.close = function() {
     console.debug("PrivateJainSipCallConnector:close(): this.sipCallState=" + this.sipCallState);
+    if (this.referringCallConnector)
+    {
+        // Referred call closed before final response
+        this.notifyReferringCallConnector(487, "Request Terminated");
+    }
     if (this.sipCallState !== undefined)
     {
         try
@@ -199,6 +257,7 @@ PrivateJainSipCallConnector.prototype.close = function() {
                 jainSipByeRequest.removeHeader("Contact");
                 jainSipByeRequest.removeHeader("User-Agent");
                 jainSipByeRequest.addHeader(this.clientConnector.jainSipContactHeader);
+                this.clientConnector.authenticateSipRequest(jainSipByeRequest);
                 var clientTransaction = this.clientConnector.jainSipProvider.getNewClientTransaction(jainSipByeRequest);
                 this.jainSipInvitingDialog.sendRequest(clientTransaction);
                 this.sipCallState = this.SIP_INVITING_LOCAL_HANGINGUP_STATE;
@@ -221,6 +280,7 @@ PrivateJainSipCallConnector.prototype.close = function() {
                 jainSipByeRequest.removeHeader("Contact");
                 jainSipByeRequest.removeHeader("User-Agent");
                 jainSipByeRequest.addHeader(this.clientConnector.jainSipContactHeader);
+                this.clientConnector.authenticateSipRequest(jainSipByeRequest);
                 var clientTransaction = this.clientConnector.jainSipProvider.getNewClientTransaction(jainSipByeRequest);
                 this.jainSipInvitedDialog.sendRequest(clientTransaction);
                 this.sipCallState = this.SIP_INVITED_LOCAL_HANGINGUP_STATE;
@@ -274,6 +334,51 @@ PrivateJainSipCallConnector.prototype.reject = function() {
     }
 };
 
+/**
+ * Process redirection of the SIP incoming communication (deflection): SIP 302 Moved Temporarily 
+ * with the redirect URIs as Contact, in decreasing q-value order 
+ * @public 
+ * @param {Array} sipRedirectUris redirect URIs (e.g. ["bob@sip.net","sip:voicemail@sip.net"])
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+PrivateJainSipCallConnector.prototype.redirect = function(sipRedirectUris) {
+    console.debug("PrivateJainSipCallConnector:redirect(): sipRedirectUris=" + sipRedirectUris);
+    if (this.sipCallState === this.SIP_INVITED_INITIAL_STATE)
+    {
+        try
+        {
+            var jainSipResponse302 = this.jainSipInvitedRequest.createResponse(302, "Moved Temporarily");
+            for (var i = 0; i < sipRedirectUris.length; i++)
+            {
+                var sipRedirectUri = sipRedirectUris[i];
+                if (sipRedirectUri.indexOf("@") === -1 && sipRedirectUri.indexOf("tel:") !== 0)
+                {
+                    //No domain, add caller one 
+                    sipRedirectUri += "@" + this.clientConnector.configuration.sipDomain;
+                }
+                if (!/^(sip|sips|tel):/.test(sipRedirectUri))
+                {
+                    sipRedirectUri = "sip:" + sipRedirectUri;
+                }
+                var qValue = Math.max(10 - i, 1) / 10;
+                jainSipResponse302.addHeader(this.clientConnector.jainSipHeaderFactory.createHeader("Contact: <" + sipRedirectUri + ">;q=" + qValue.toFixed(1)));
+            }
+            this.jainSipInvitedTransaction.sendResponse(jainSipResponse302);
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipCallConnector:redirect(): catched exception:" + exception);
+        }
+        this.resetSipContext();
+        this.clientConnector.removeSessionConnector(this.sipCallId);
+    }
+    else
+    {
+        console.error("PrivateJainSipCallConnector:redirect(): bad state, unauthorized action");
+        throw "PrivateJainSipCallConnector:redirect(): bad state, unauthorized action";
+    }
+};
+
 /**
  * Check configuration 
  * @param {object} configuration SIP call configuration JSON object
@@ -300,6 +405,90 @@ PrivateJainSipCallConnector.prototype.resetSipContext = function() {
     this.jainSipInvitedReceivedRequest = undefined;
     this.jainSipInvitedDialog = undefined;
     this.jainSipInvitedTransaction = undefined;
+    this.sipRemoteTrickleIceFlag = false;
+    this.sdpEarlyMediaAnswer = undefined;
+    this.jainSipReliableResponse = undefined;
+    this.jainSipInvitedPendingReliableResponse = undefined;
+    this.sipRemoteUpdateFlag = false;
+    this.sipRedirectTargets = [];
+    this.sipRedirectedUris = [];
+    this.sipRedirectCount = 0;
+    this.stopSipSessionTimer();
+    this.sipSessionInterval = undefined;
+    this.sipSessionMinSE = this.SIP_SESSION_MIN_SE;
+    this.sipSessionRefresher = undefined;
+    this.resetSipReInviteContext();
+    this.resetSipReferContext();
+};
+
+/**
+ * Reset SIP re-INVITE context 
+ * @private
+ */
+PrivateJainSipCallConnector.prototype.resetSipReInviteContext = function() {
+    console.debug("PrivateJainSipCallConnector:resetSipReInviteContext()");
+    this.sipReInviteState = undefined;
+    this.sdpReOffer = undefined;
+    this.jainSipReInvitingRequest = undefined;
+    this.jainSipReInvitingTransaction = undefined;
+    this.jainSipReInvitedRequest = undefined;
+    this.jainSipReInvitedTransaction = undefined;
+};
+
+/**
+ * Reset SIP REFER context 
+ * @private
+ */
+PrivateJainSipCallConnector.prototype.resetSipReferContext = function() {
+    console.debug("PrivateJainSipCallConnector:resetSipReferContext()");
+    this.sipReferState = undefined;
+    this.jainSipReferToHeader = undefined;
+    this.jainSipReferringRequest = undefined;
+    this.jainSipReferringTransaction = undefined;
+    this.jainSipReferredRequest = undefined;
+};
+
+/**
+ * Get the JAIN SIP dialog of the accepted call
+ * @private
+ * @returns {SIPDialog} JAIN SIP dialog, undefined if call not accepted
+ */
+PrivateJainSipCallConnector.prototype.getJainSipDialog = function() {
+    if (this.sipCallState === this.SIP_INVITING_ACCEPTED_STATE)
+        return this.jainSipInvitingDialog;
+    else if (this.sipCallState === this.SIP_INVITED_ACCEPTED_STATE)
+        return this.jainSipInvitedDialog;
+    else
+        return undefined;
+};
+
+/**
+ * Get trickle ICE support of the remote peer (Supported: trickle-ice, RFC 8840)
+ * @public
+ * @returns {boolean} true if the remote peer has advertised trickle ICE support in the SIP INVITE or its 200 OK, false otherwise
+ */
+PrivateJainSipCallConnector.prototype.isTrickleIceSupported = function() {
+    return this.sipRemoteTrickleIceFlag;
+};
+
+/**
+ * Check if a SIP option tag is listed in the SIP message headers (e.g. Supported, Require)
+ * @private
+ * @param {SIPMessage} jainSipMessage SIP request or response
+ * @param {String} headerName header name (e.g. Supported)
+ * @param {String} optionTag option tag (e.g. trickle-ice)
+ * @returns {boolean} true if the option tag is listed, false otherwise
+ */
+PrivateJainSipCallConnector.prototype.hasSipOptionTag = function(jainSipMessage, headerName, optionTag) {
+    var jainSipHeaders = jainSipMessage.getHeaders(headerName);
+    for (var i = 0; i < jainSipHeaders.length; i++)
+    {
+        if (jainSipHeaders[i].getHeaderValue().trim().toLowerCase() === optionTag)
+        {
+            return true;
+        }
+    }
+    return false;
 };
 
 /**
@@ -325,11 +514,269 @@ PrivateJainSipCallConnector.prototype.accept = function(sdpAnswer) {
     // Send 200 OK
     var jainSip200OKResponse = this.jainSipInvitedRequest.createResponse(200, "OK");
     jainSip200OKResponse.addHeader(this.clientConnector.jainSipContactHeader);
+    if (this.webRTCommCall.getConfiguration().trickleIceMode === true)
+    {
+        jainSip200OKResponse.addHeader(this.clientConnector.jainSipHeaderFactory.createHeader("Supported: trickle-ice"));
+        jainSip200OKResponse.addHeader(this.clientConnector.jainSipHeaderFactory.createHeader("Recv-Info: trickle-ice"));
+    }
+    this.sipSessionInterval = this.webRTCommCall.getConfiguration().sessionTimerInterval;
+    this.processSipSessionTimerRequest(this.jainSipInvitedRequest, jainSip200OKResponse);
     jainSip200OKResponse.setMessageContent("application", "sdp", sdpAnswer);
     this.jainSipInvitedTransaction.sendResponse(jainSip200OKResponse);
     this.sipCallState = this.SIP_INVITED_ACCEPTED_STATE;
 };
 
+/**
+ * Process early media of incoming SIP communication: send SIP 183 Session Progress with the SDP answer,
+ * reliably if the caller supports 100rel (RFC 3262)
+ * @public 
+ * @param {string} sdpAnswer SDP answer received from RTCPeerConnection
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+PrivateJainSipCallConnector.prototype.acceptEarlyMedia = function(sdpAnswer) {
+    console.debug("PrivateJainSipCallConnector:acceptEarlyMedia()");
+    if (this.sipCallState === this.SIP_INVITED_INITIAL_STATE)
+    {
+        var jainSip183Response = undefined;
+        if (this.hasSipOptionTag(this.jainSipInvitedRequest, "Supported", "100rel") || this.hasSipOptionTag(this.jainSipInvitedRequest, "Require", "100rel"))
+        {
+            jainSip183Response = this.jainSipInvitedDialog.createReliableProvisionalResponse(183);
+            jainSip183Response.setReasonPhrase("Session Progress");
+            jainSip183Response.addHeader(this.clientConnector.jainSipContactHeader);
+            jainSip183Response.setMessageContent("application", "sdp", sdpAnswer);
+            if (this.jainSipInvitedTransaction.getReliableProvisionalResponse() !== null)
+            {
+                // Previous reliable provisional response not yet acknowledged, sent on PRACK reception
+                this.jainSipInvitedPendingReliableResponse = jainSip183Response;
+            }
+            else
+            {
+                this.jainSipInvitedDialog.sendReliableProvisionalResponse(jainSip183Response);
+            }
+        }
+        else
+        {
+            jainSip183Response = this.jainSipInvitedRequest.createResponse(183, "Session Progress");
+            // Same To tag in the SIP 183 and the SIP 200 OK
+            var localTag = this.jainSipInvitedDialog.getLocalTag();
+            jainSip183Response.getTo().setTag(localTag ? localTag : new Date().getTime());
+            jainSip183Response.addHeader(this.clientConnector.jainSipContactHeader);
+            jainSip183Response.setMessageContent("application", "sdp", sdpAnswer);
+            this.jainSipInvitedTransaction.sendResponse(jainSip183Response);
+        }
+    }
+    else
+    {
+        console.error("PrivateJainSipCallConnector:acceptEarlyMedia(): bad state, unauthorized action");
+        throw "PrivateJainSipCallConnector:acceptEarlyMedia(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Process renegotiation (e.g. hold/resume) of the accepted SIP communication: send SIP re-INVITE,
+ * or the 200 OK of a received SIP re-INVITE without SDP offer. 
+ * The SDP answer is notified to the WebRTCommCall 
+ * @public 
+ * @param {String} sdpOffer SDP offer received from RTCPeerConnection
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+PrivateJainSipCallConnector.prototype.reinvite = function(sdpOffer) {
+    console.debug("PrivateJainSipCallConnector:reinvite()");
+    if (this.isOpened() && this.sipReInviteState === undefined)
+    {
+        this.sendSipReInviteRequest(sdpOffer);
+        this.sipReInviteState = this.SIP_REINVITING_STATE;
+    }
+    else if (this.isOpened() && this.sipReInviteState === this.SIP_REINVITED_OFFERLESS_STATE)
+    {
+        // Send 200 OK with the SDP offer, SDP answer expected in the ACK
+        var jainSip200OKResponse = this.jainSipReInvitedRequest.createResponse(200, "OK");
+        jainSip200OKResponse.addHeader(this.clientConnector.jainSipContactHeader);
+        this.processSipSessionTimerRequest(this.jainSipReInvitedRequest, jainSip200OKResponse);
+        jainSip200OKResponse.setMessageContent("application", "sdp", sdpOffer);
+        this.jainSipReInvitedTransaction.sendResponse(jainSip200OKResponse);
+        this.sipReInviteState = this.SIP_REINVITED_WAITING_ACK_STATE;
+    }
+    else
+    {
+        console.error("PrivateJainSipCallConnector:reinvite(): bad state, unauthorized action");
+        throw "PrivateJainSipCallConnector:reinvite(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Process acceptation of the incoming SIP re-INVITE/UPDATE
+ * @public 
+ * @param {String} sdpAnswer SDP answer received from RTCPeerConnection, undefined if no SDP offer has been received (UPDATE session refresh)
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+PrivateJainSipCallConnector.prototype.acceptReinvite = function(sdpAnswer) {
+    console.debug("PrivateJainSipCallConnector:acceptReinvite()");
+    if (this.isOpened() && this.sipReInviteState === this.SIP_REINVITED_STATE)
+    {
+        // Send 200 OK
+        var jainSip200OKResponse = this.jainSipReInvitedRequest.createResponse(200, "OK");
+        jainSip200OKResponse.addHeader(this.clientConnector.jainSipContactHeader);
+        this.processSipSessionTimerRequest(this.jainSipReInvitedRequest, jainSip200OKResponse);
+        if (sdpAnswer)
+        {
+            jainSip200OKResponse.setMessageContent("application", "sdp", sdpAnswer);
+        }
+        this.jainSipReInvitedTransaction.sendResponse(jainSip200OKResponse);
+        this.resetSipReInviteContext();
+    }
+    else
+    {
+        console.error("PrivateJainSipCallConnector:acceptReinvite(): bad state, unauthorized action");
+        throw "PrivateJainSipCallConnector:acceptReinvite(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Process reject of the incoming SIP re-INVITE/UPDATE, the call remains established
+ * @public 
+ * @param {Number} statusCode SIP error status code (e.g. 488)
+ * @param {String} reasonPhrase SIP reason phrase (e.g. Not Acceptable Here)
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+PrivateJainSipCallConnector.prototype.rejectReinvite = function(statusCode, reasonPhrase) {
+    console.debug("PrivateJainSipCallConnector:rejectReinvite(): statusCode=" + statusCode);
+    if (this.sipReInviteState === this.SIP_REINVITED_STATE || this.sipReInviteState === this.SIP_REINVITED_OFFERLESS_STATE)
+    {
+        try
+        {
+            var jainSipErrorResponse = this.jainSipReInvitedRequest.createResponse(statusCode, reasonPhrase);
+            jainSipErrorResponse.addHeader(this.clientConnector.jainSipContactHeader);
+            this.jainSipReInvitedTransaction.sendResponse(jainSipErrorResponse);
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipCallConnector:rejectReinvite(): catched exception:" + exception);
+        }
+        this.resetSipReInviteContext();
+    }
+    else
+    {
+        console.error("PrivateJainSipCallConnector:rejectReinvite(): bad state, unauthorized action");
+        throw "PrivateJainSipCallConnector:rejectReinvite(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Send local ICE candidates gathered after the SDP offer/answer (trickle ICE, RFC 8840) in a SIP INFO
+ * @public 
+ * @param {String} sdpFragment ICE candidates SDP fragment (application/trickle-ice-sdpfrag)
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+PrivateJainSipCallConnector.prototype.sendIceCandidates = function(sdpFragment) {
+    console.debug("PrivateJainSipCallConnector:sendIceCandidates()");
+    if (this.isOpened())
+    {
+        this.sendSipInfoRequest("trickle-ice", "application", "trickle-ice-sdpfrag", sdpFragment);
+    }
+    else
+    {
+        console.error("PrivateJainSipCallConnector:sendIceCandidates(): bad state, unauthorized action");
+        throw "PrivateJainSipCallConnector:sendIceCandidates(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Send a DTMF tone in a SIP INFO (application/dtmf-relay)
+ * @public 
+ * @param {String} tone DTMF tone (0-9, A-D, *, #)
+ * @param {Number} duration tone duration in milliseconds
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+PrivateJainSipCallConnector.prototype.sendDTMF = function(tone, duration) {
+    console.debug("PrivateJainSipCallConnector:sendDTMF(): tone=" + tone);
+    if (this.isOpened())
+    {
+        this.sendSipInfoRequest(undefined, "application", "dtmf-relay", "Signal=" + tone + "\r\nDuration=" + duration + "\r\n");
+    }
+    else
+    {
+        console.error("PrivateJainSipCallConnector:sendDTMF(): bad state, unauthorized action");
+        throw "PrivateJainSipCallConnector:sendDTMF(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Process transfer of the accepted SIP communication: send SIP REFER, 
+ * the transfer progress (NOTIFY) is notified to the WebRTCommCall
+ * @public 
+ * @param {String} referToUri transfer target contact identifier (e.g. bob@sip.net)
+ * @param {PrivateJainSipCallConnector} replacedCallConnector optional accepted call connector to replace (attended transfer)
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+PrivateJainSipCallConnector.prototype.refer = function(referToUri, replacedCallConnector) {
+    console.debug("PrivateJainSipCallConnector:refer(): referToUri=" + referToUri);
+    if (this.isOpened() && this.sipReferState === undefined)
+    {
+        var referToSipUri = referToUri;
+        if (referToSipUri.indexOf("@") === -1)
+        {
+            //No domain, add caller one 
+            referToSipUri += "@" + this.clientConnector.configuration.sipDomain;
+        }
+        var jainSipReferToUri = this.clientConnector.jainSipAddressFactory.createSipURI_user_host(null, referToSipUri);
+        if (replacedCallConnector)
+        {
+            // Attended transfer, the target replaces its dialog with the transferor (RFC 3891)
+            var jainSipReplacedDialog = replacedCallConnector.getJainSipDialog();
+            var replaces = replacedCallConnector.getId() + ";to-tag=" + jainSipReplacedDialog.getRemoteTag() + ";from-tag=" + jainSipReplacedDialog.getLocalTag();
+            jainSipReferToUri.setHeader("Replaces", encodeURIComponent(replaces));
+        }
+        var jainSipReferToAddress = this.clientConnector.jainSipAddressFactory.createAddress_name_uri(null, jainSipReferToUri);
+        this.jainSipReferToHeader = this.clientConnector.jainSipHeaderFactory.createReferToHeader(jainSipReferToAddress);
+        this.sendSipReferRequest();
+        this.sipReferState = this.SIP_REFERRING_STATE;
+    }
+    else
+    {
+        console.error("PrivateJainSipCallConnector:refer(): bad state, unauthorized action");
+        throw "PrivateJainSipCallConnector:refer(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Notify the progress of the referred call to the transferor (NOTIFY sipfrag of the implicit REFER subscription)
+ * @public 
+ * @param {Number} statusCode SIP status code of the referred call (e.g. 180)
+ * @param {String} reasonPhrase SIP reason phrase of the referred call (e.g. Ringing)
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+PrivateJainSipCallConnector.prototype.notifyRefer = function(statusCode, reasonPhrase) {
+    console.debug("PrivateJainSipCallConnector:notifyRefer(): statusCode=" + statusCode);
+    if (this.isOpened() && this.sipReferState === this.SIP_REFERRED_STATE)
+    {
+        this.sendSipReferNotifyRequest(statusCode, reasonPhrase);
+        if (statusCode >= 200)
+        {
+            this.resetSipReferContext();
+        }
+    }
+    else
+    {
+        console.error("PrivateJainSipCallConnector:notifyRefer(): bad state, unauthorized action");
+        throw "PrivateJainSipCallConnector:notifyRefer(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Set the transfer context of an outgoing call requested by a received SIP REFER
+ * @public 
+ * @param {PrivateJainSipCallConnector} referringCallConnector call connector which has received the SIP REFER
+ * @param {String} sipReplaces optional Replaces header value (attended transfer)
+ * @param {String} sipReferredBy Referred-By header value
+ */
+PrivateJainSipCallConnector.prototype.setReferredCallContext = function(referringCallConnector, sipReplaces, sipReferredBy) {
+    console.debug("PrivateJainSipCallConnector:setReferredCallContext()");
+    this.referringCallConnector = referringCallConnector;
+    this.sipReplaces = sipReplaces;
+    this.sipReferredBy = sipReferredBy;
+};
+
 
 /**
  * PrivateJainSipClientConnector interface implementation: handle SIP Request event
@@ -355,7 +802,21 @@ PrivateJainSipCallConnector.prototype.onJainSipClientConnectorSipRequestEvent =
  */
 PrivateJainSipCallConnector.prototype.onJainSipClientConnectorSipResponseEvent = function(responseEvent) {
     console.debug("PrivateJainSipCallConnector:onJainSipClientConnectorSipResponseEvent()");
-    if (this.jainSipInvitingDialog !== undefined)
+    var jainSipResponse = responseEvent.getResponse();
+    if ((this.sipReInviteState === this.SIP_REINVITING_STATE || this.sipReInviteState === this.SIP_REINVITING_407_STATE)
+            && jainSipResponse.getCSeq().getMethod() === "INVITE")
+        this.processSipReInviteResponseEvent(responseEvent);
+    else if (jainSipResponse.getCSeq().getMethod() === "PRACK")
+        this.processSipPrackResponseEvent(responseEvent);
+    else if (jainSipResponse.getCSeq().getMethod() === "UPDATE")
+        this.processSipUpdateResponseEvent(responseEvent);
+    else if (jainSipResponse.getCSeq().getMethod() === "REFER")
+        this.processSipReferResponseEvent(responseEvent);
+    else if (jainSipResponse.getCSeq().getMethod() === "NOTIFY")
+        console.debug("PrivateJainSipCallConnector:onJainSipClientConnectorSipResponseEvent(): NOTIFY response ignored");
+    else if (jainSipResponse.getCSeq().getMethod() === "INFO")
+        this.processSipInfoResponseEvent(responseEvent);
+    else if (this.jainSipInvitingDialog !== undefined)
         this.processInvitingSipResponseEvent(responseEvent);
     else if (this.jainSipInvitedDialog !== undefined)
         this.processInvitedSipResponseEvent(responseEvent);
@@ -376,6 +837,19 @@ PrivateJainSipCallConnector.prototype.onJainSipClientConnectorSipTimeoutEvent =
     this.close();
 };
 
+/**
+ * PrivateJainSipClientConnector interface implementation: handle SIP connectivity recovered event,
+ * the Contact of the accepted call is refreshed by a SIP re-INVITE sent on the new WebSocket
+ * @public
+ */
+PrivateJainSipCallConnector.prototype.onJainSipClientConnectorReconnectedEvent = function() {
+    console.debug("PrivateJainSipCallConnector:onJainSipClientConnectorReconnectedEvent(): this.sipCallState=" + this.sipCallState);
+    if (this.isOpened())
+    {
+        this.webRTCommCall.onPrivateCallConnectorContactRefreshRequestEvent();
+    }
+};
+
 
 /**
  * Handle SIP request event for inviting call
@@ -426,6 +900,30 @@ PrivateJainSipCallConnector.prototype.processInvitingSipRequestEvent = function(
             // Close the call
             this.close();
         }
+        else if (requestMethod === "INVITE" || requestMethod === "UPDATE")
+        {
+            this.processSipReInviteRequestEvent(requestEvent);
+        }
+        else if (requestMethod === "CANCEL")
+        {
+            this.processSipReInviteCancelRequestEvent(requestEvent);
+        }
+        else if (requestMethod === "REFER")
+        {
+            this.processSipReferRequestEvent(requestEvent);
+        }
+        else if (requestMethod === "NOTIFY")
+        {
+            this.processSipReferNotifyRequestEvent(requestEvent);
+        }
+        else if (requestMethod === "INFO")
+        {
+            this.processSipInfoRequestEvent(requestEvent);
+        }
+        else if (requestMethod === "ACK")
+        {
+            this.processSipReInviteAckRequestEvent(requestEvent);
+        }
         else
         {
             console.error("PrivateJainSipCallConnector:processInvitingSipRequestEvent(): bad state, SIP request ignored");
@@ -451,15 +949,21 @@ PrivateJainSipCallConnector.prototype.sendSipInviteRequest = function() {
         calleeSipUri += "@" + this.clientConnector.configuration.sipDomain;
     }
     var fromSipUriString = this.clientConnector.configuration.sipUserName + "@" + this.clientConnector.configuration.sipDomain;
+    var anonymousMode = this.webRTCommCall.getConfiguration().anonymousMode === true;
+    var preferredIdentity = this.webRTCommCall.getConfiguration().preferredIdentity;
     var jainSipCseqHeader = this.clientConnector.jainSipHeaderFactory.createCSeqHeader(1, "INVITE");
     var jainSipCallIdHeader = this.clientConnector.jainSipHeaderFactory.createCallIdHeader(this.sipCallId);
     var jainSipMaxForwardHeader = this.clientConnector.jainSipHeaderFactory.createMaxForwardsHeader(70);
     var jainSipRequestUri = this.clientConnector.jainSipAddressFactory.createSipURI_user_host(null, calleeSipUri);
-    var jainSipAllowListHeader = this.clientConnector.jainSipHeaderFactory.createHeaders("Allow: INVITE,ACK,CANCEL,BYE");
-    var jainSipFromUri = this.clientConnector.jainSipAddressFactory.createSipURI_user_host(null, fromSipUriString);
+    var jainSipAllowListHeader = this.clientConnector.jainSipHeaderFactory.createHeaders("Allow: INVITE,ACK,CANCEL,BYE,UPDATE,REFER,NOTIFY,INFO,PRACK");
+    var jainSipFromUri = this.clientConnector.jainSipAddressFactory.createSipURI_user_host(null, anonymousMode ? this.SIP_ANONYMOUS_USER : fromSipUriString);
     var jainSipFromAdress = this.clientConnector.jainSipAddressFactory.createAddress_name_uri(this.configuration.displayName, jainSipFromUri);
     // Setup display name
-    if (this.configuration.displayName)
+    if (anonymousMode)
+    {
+        jainSipFromAdress.setDisplayName(this.SIP_ANONYMOUS_DISPLAY_NAME);
+    }
+    else if (this.configuration.displayName)
     {
         jainSipFromAdress.setDisplayName(this.configuration.displayName);
     }
@@ -486,6 +990,48 @@ PrivateJainSipCallConnector.prototype.sendSipInviteRequest = function() {
 
     this.clientConnector.jainSipMessageFactory.addHeader(this.jainSipInvitingRequest, jainSipAllowListHeader);
     this.clientConnector.jainSipMessageFactory.addHeader(this.jainSipInvitingRequest, this.clientConnector.jainSipContactHeader);
+    // Reliable provisional responses (RFC 3262)
+    this.clientConnector.jainSipMessageFactory.addHeader(this.jainSipInvitingRequest, this.clientConnector.jainSipHeaderFactory.createSupportedHeader("100rel"));
+    if (this.isSipSessionTimerEnabled())
+    {
+        // Session timer (RFC 4028), the refresher is chosen by the callee
+        this.sipSessionInterval = this.webRTCommCall.getConfiguration().sessionTimerInterval;
+        this.clientConnector.jainSipMessageFactory.addHeader(this.jainSipInvitingRequest, this.clientConnector.jainSipHeaderFactory.createSupportedHeader("timer"));
+        this.addSipSessionTimerHeaders(this.jainSipInvitingRequest);
+    }
+    if (this.webRTCommCall.getConfiguration().trickleIceMode === true)
+    {
+        // Trickle ICE (RFC 8840), ICE candidates gathered after the SDP offer/answer are sent in SIP INFO
+        this.clientConnector.jainSipMessageFactory.addHeader(this.jainSipInvitingRequest, this.clientConnector.jainSipHeaderFactory.createHeader("Supported: trickle-ice"));
+        this.clientConnector.jainSipMessageFactory.addHeader(this.jainSipInvitingRequest, this.clientConnector.jainSipHeaderFactory.createHeader("Recv-Info: trickle-ice"));
+    }
+    if (this.sipReferredBy)
+    {
+        // Call requested by a SIP REFER (RFC 3892)
+        var jainSipReferredByHeader = this.clientConnector.jainSipHeaderFactory.createHeader("Referred-By: " + this.sipReferredBy);
+        this.clientConnector.jainSipMessageFactory.addHeader(this.jainSipInvitingRequest, jainSipReferredByHeader);
+    }
+    if (this.sipReplaces)
+    {
+        var jainSipReplacesHeader = this.clientConnector.jainSipHeaderFactory.createHeader("Replaces: " + this.sipReplaces);
+        this.clientConnector.jainSipMessageFactory.addHeader(this.jainSipInvitingRequest, jainSipReplacesHeader);
+    }
+    if (anonymousMode)
+    {
+        // Anonymous call (RFC 3323), the network must not forward the asserted identity to the callee
+        this.clientConnector.jainSipMessageFactory.addHeader(this.jainSipInvitingRequest, this.clientConnector.jainSipHeaderFactory.createPrivacyHeader("id"));
+        if (preferredIdentity === undefined)
+        {
+            preferredIdentity = "sip:" + fromSipUriString;
+        }
+    }
+    if (preferredIdentity)
+    {
+        // Identity to be asserted by the network (RFC 3325)
+        var jainSipPreferredIdentityAddress = this.clientConnector.jainSipAddressFactory.createAddress_name_uri(null, this.clientConnector.jainSipAddressFactory.createURI(preferredIdentity));
+        this.clientConnector.jainSipMessageFactory.addHeader(this.jainSipInvitingRequest, this.clientConnector.jainSipHeaderFactory.createPPreferredIdentityHeader(jainSipPreferredIdentityAddress));
+    }
+    this.clientConnector.authenticateSipRequest(this.jainSipInvitingRequest);
     this.jainSipInvitingTransaction = this.clientConnector.jainSipProvider.getNewClientTransaction(this.jainSipInvitingRequest);
     this.jainSipInvitingRequest.setTransaction(this.jainSipInvitingTransaction);
     this.jainSipInvitingDialog = this.jainSipInvitingTransaction.getDialog();
@@ -493,13 +1039,11 @@ PrivateJainSipCallConnector.prototype.sendSipInviteRequest = function() {
 };
 
 /**
- * Send SIP INVITE request
+ * Send authenticated SIP INVITE request
  * @private 
- * @param {AuthorizationHeader} jainSipAuthorizationHeader Authorization Header
  */
-PrivateJainSipCallConnector.prototype.sendAuthenticatedSipInviteRequest = function(jainSipAuthorizationHeader) {
+PrivateJainSipCallConnector.prototype.sendAuthenticatedSipInviteRequest = function() {
     console.debug("PrivateJainSipCallConnector:sendAuthenticatedSipInviteRequest()");
-    this.jainSipInvitingRequest.removeHeader("Authorization");
     var newJainSipInvitingRequest = new SIPRequest();
     newJainSipInvitingRequest.setMethod(this.jainSipInvitingRequest.getMethod());
     newJainSipInvitingRequest.setRequestURI(this.jainSipInvitingRequest.getRequestURI());
@@ -524,25 +1068,1363 @@ PrivateJainSipCallConnector.prototype.sendAuthenticatedSipInviteRequest = functi
         newJainSipInvitingRequest.setContent(content, contentType);
     }
     this.jainSipInvitingRequest = newJainSipInvitingRequest;
-    this.clientConnector.jainSipMessageFactory.addHeader(this.jainSipInvitingRequest, jainSipAuthorizationHeader);
+    this.clientConnector.authenticateSipRequest(this.jainSipInvitingRequest);
     this.jainSipInvitingTransaction = this.clientConnector.jainSipProvider.getNewClientTransaction(this.jainSipInvitingRequest);
-    this.jainSipInvitingRequest.setTransaction(this.jainSipInvitingransaction);
+    this.jainSipInvitingRequest.setTransaction(this.jainSipInvitingTransaction);
     this.jainSipInvitingTransaction.sendRequest();
 };
 
 /**
- * Handle SIP response event for inviting call
+ * Send SIP INVITE request to a redirect target (SIP 3xx Contact), same Call-ID, From and To (RFC 3261 8.1.3.4)
  * @private 
- * @param {ResponseEvent} responseEvent 
+ * @param {String} sipRedirectUri redirect target URI
  */
-PrivateJainSipCallConnector.prototype.processInvitingSipResponseEvent = function(responseEvent) {
-    console.debug("PrivateJainSipCallConnector:processInvitingSipResponseEvent(): this.sipCallState=" + this.sipCallState);
-    var jainSipResponse = responseEvent.getResponse();
-    var statusCode = parseInt(jainSipResponse.getStatusCode());
-    if (this.sipCallState === this.SIP_INVITING_STATE)
+PrivateJainSipCallConnector.prototype.sendRedirectedSipInviteRequest = function(sipRedirectUri) {
+    console.debug("PrivateJainSipCallConnector:sendRedirectedSipInviteRequest(): sipRedirectUri=" + sipRedirectUri);
+    this.jainSipInvitingRequest.setRequestURI(this.clientConnector.jainSipAddressFactory.createURI(sipRedirectUri));
+    this.sendAuthenticatedSipInviteRequest();
+};
+
+/**
+ * Get the next approved redirect target of a SIP 3xx response: the Contact URIs not tried yet are 
+ * added to the redirect targets in decreasing q-value order, each target is submitted to the listener
+ * @private 
+ * @param {SIPResponse} jainSipResponse SIP 3xx response
+ * @returns {String} redirect target URI, undefined if none or if the redirect limit is reached
+ */
+PrivateJainSipCallConnector.prototype.getSipRedirectTarget = function(jainSipResponse) {
+    console.debug("PrivateJainSipCallConnector:getSipRedirectTarget()");
+    var jainSipContactHeaders = jainSipResponse.getHeader("Contact") ? jainSipResponse.getHeaders("Contact") : [];
+    for (var i = 0; i < jainSipContactHeaders.length; i++)
     {
-        if (statusCode < 200)
+        var sipRedirectUri = jainSipContactHeaders[i].getAddress().getURI().toString();
+        var qValue = parseFloat(jainSipContactHeaders[i].getParameter("q"));
+        if (this.sipRedirectedUris.indexOf(sipRedirectUri) === -1)
         {
+            this.sipRedirectedUris.push(sipRedirectUri);
+            this.sipRedirectTargets.push({
+                uri: sipRedirectUri,
+                q: isNaN(qValue) ? 1 : qValue,
+                rank: this.sipRedirectedUris.length
+            });
+        }
+    }
+    this.sipRedirectTargets.sort(function(target1, target2) {
+        return (target2.q - target1.q) || (target1.rank - target2.rank);
+    });
+    while (this.sipRedirectTargets.length > 0 && this.sipRedirectCount < this.webRTCommCall.getConfiguration().redirectMaxCount)
+    {
+        var sipRedirectTarget = this.sipRedirectTargets.shift();
+        if (this.webRTCommCall.onPrivateCallConnectorRedirectEvent(sipRedirectTarget.uri))
+        {
+            this.sipRedirectCount++;
+            return sipRedirectTarget.uri;
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Get the forwarding history of an incoming SIP INVITE out of its History-Info (RFC 7044) 
+ * or Diversion (RFC 5806) header
+ * @private 
+ * @param {SIPRequest} jainSipRequest SIP INVITE
+ * @returns {Array} forwarding parties, first one is the original called party: [{uri:String, reason:String|undefined}]
+ */
+PrivateJainSipCallConnector.prototype.getSipForwardingHistory = function(jainSipRequest) {
+    console.debug("PrivateJainSipCallConnector:getSipForwardingHistory()");
+    var forwardingHistory = [];
+    var jainSipHistoryInfoHeader = jainSipRequest.getHeader("History-Info");
+    var jainSipDiversionHeader = jainSipRequest.getHeader("Diversion");
+    if (jainSipHistoryInfoHeader)
+    {
+        // Entries in index order, the last one is the current target 
+        var historyEntries = this.parseSipAddressList(jainSipHistoryInfoHeader.getHeaderValue());
+        for (var i = 0; i < historyEntries.length - 1; i++)
+        {
+            var uriParts = historyEntries[i].uri.split("?");
+            var reason = undefined;
+            var reasonMatch = /(?:^|&)Reason=([^&]*)/i.exec(uriParts[1] || "");
+            if (reasonMatch)
+            {
+                // Escaped Reason header (RFC 7044), e.g. SIP;cause=302
+                var causeMatch = /cause=(\d+)/.exec(decodeURIComponent(reasonMatch[1]));
+                reason = causeMatch ? causeMatch[1] : undefined;
+            }
+            if (reason === undefined)
+            {
+                // Retargeting cause of the next entry (RFC 4458)
+                var nextCauseMatch = /;cause=(\d+)/.exec(historyEntries[i + 1].uri);
+                reason = nextCauseMatch ? nextCauseMatch[1] : undefined;
+            }
+            forwardingHistory.push({
+                uri: uriParts[0].replace(/;cause=\d+/, ""),
+                reason: reason
+            });
+        }
+    }
+    else if (jainSipDiversionHeader)
+    {
+        // Most recent diversion first
+        var diversionEntries = this.parseSipAddressList(jainSipDiversionHeader.getHeaderValue());
+        for (var i = diversionEntries.length - 1; i >= 0; i--)
+        {
+            forwardingHistory.push({
+                uri: diversionEntries[i].uri,
+                reason: diversionEntries[i].parameters.reason
+            });
+        }
+    }
+    return forwardingHistory;
+};
+
+/**
+ * Get the caller identity asserted by the network in an incoming SIP INVITE: P-Asserted-Identity (RFC 3325) 
+ * or, for legacy networks, screened calling party Remote-Party-ID
+ * @private 
+ * @param {SIPRequest} jainSipRequest SIP INVITE
+ * @returns {object} {uri:String, phoneNumber:String, displayName:String|undefined} or undefined if none 
+ */
+PrivateJainSipCallConnector.prototype.getSipAssertedIdentity = function(jainSipRequest) {
+    console.debug("PrivateJainSipCallConnector:getSipAssertedIdentity()");
+    var jainSipPAssertedIdentityHeader = jainSipRequest.getHeader("P-Asserted-Identity");
+    var jainSipRemotePartyIdHeader = jainSipRequest.getHeader("Remote-Party-ID");
+    if (jainSipPAssertedIdentityHeader)
+    {
+        var jainSipAddress = jainSipPAssertedIdentityHeader.getAddress();
+        return this.getSipIdentity(jainSipAddress.getURI().toString(), jainSipAddress.getDisplayName());
+    }
+    else if (jainSipRemotePartyIdHeader)
+    {
+        var remoteParties = this.parseSipAddressList(jainSipRemotePartyIdHeader.getHeaderValue());
+        for (var i = 0; i < remoteParties.length; i++)
+        {
+            var party = remoteParties[i].parameters.party;
+            if ((party === undefined || party === "calling") && remoteParties[i].parameters.screen === "yes")
+            {
+                return this.getSipIdentity(remoteParties[i].uri, remoteParties[i].displayName);
+            }
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Get the privacy requested in an incoming SIP INVITE: Privacy header (RFC 3323) values 
+ * or, for legacy networks, "id" if the Remote-Party-ID privacy parameter is set
+ * @private 
+ * @param {SIPRequest} jainSipRequest SIP INVITE
+ * @returns {Array} privacy values, empty if none
+ */
+PrivateJainSipCallConnector.prototype.getSipPrivacy = function(jainSipRequest) {
+    console.debug("PrivateJainSipCallConnector:getSipPrivacy()");
+    var privacy = [];
+    var jainSipRemotePartyIdHeader = jainSipRequest.getHeader("Remote-Party-ID");
+    if (jainSipRequest.getHeader("Privacy"))
+    {
+        var jainSipPrivacyHeaders = jainSipRequest.getHeaders("Privacy");
+        for (var i = 0; i < jainSipPrivacyHeaders.length; i++)
+        {
+            var privacyValue = jainSipPrivacyHeaders[i].getPrivacy().toLowerCase();
+            if (privacyValue !== "none")
+            {
+                privacy.push(privacyValue);
+            }
+        }
+    }
+    else if (jainSipRemotePartyIdHeader)
+    {
+        var remoteParties = this.parseSipAddressList(jainSipRemotePartyIdHeader.getHeaderValue());
+        if (remoteParties.length > 0 && remoteParties[0].parameters.privacy !== undefined && remoteParties[0].parameters.privacy !== "off")
+        {
+            privacy.push("id");
+        }
+    }
+    return privacy;
+};
+
+/**
+ * Build a caller identity out of a SIP or Tel URI 
+ * @private 
+ * @param {String} uri SIP or Tel URI
+ * @param {String} displayName display name, may be undefined
+ * @returns {object} {uri:String, phoneNumber:String, displayName:String|undefined}
+ */
+PrivateJainSipCallConnector.prototype.getSipIdentity = function(uri, displayName) {
+    var userMatch = /^(?:sips?|tel):([^@;?]+)/i.exec(uri);
+    return {
+        uri: uri,
+        phoneNumber: userMatch ? userMatch[1] : uri,
+        displayName: displayName ? displayName : undefined
+    };
+};
+
+/**
+ * Parse a comma separated list of SIP name-addr with parameters (e.g. History-Info, Diversion header value) 
+ * @private 
+ * @param {String} headerValue header value
+ * @returns {Array} [{uri:String, displayName:String|undefined, parameters:{name:value}}]
+ */
+PrivateJainSipCallConnector.prototype.parseSipAddressList = function(headerValue) {
+    var addresses = [];
+    var addressRegExp = /(?:"([^"]*)"\s*)?<([^>]*)>((?:\s*;[^,;]*)*)/g;
+    var addressMatch = undefined;
+    while ((addressMatch = addressRegExp.exec(headerValue)) !== null)
+    {
+        var parameters = {};
+        var parameterList = addressMatch[3].split(";");
+        for (var i = 1; i < parameterList.length; i++)
+        {
+            var parameter = parameterList[i].split("=");
+            parameters[parameter[0].trim().toLowerCase()] = parameter[1] !== undefined ? parameter[1].trim().replace(/^"|"$/g, "") : "";
+        }
+        addresses.push({
+            uri: addressMatch[2],
+            displayName: addressMatch[1],
+            parameters: parameters
+        });
+    }
+    return addresses;
+};
+
+/**
+ * Send SIP re-INVITE request on the accepted call dialog
+ * @private 
+ * @param {String} sdpOffer SDP offer 
+ */
+PrivateJainSipCallConnector.prototype.sendSipReInviteRequest = function(sdpOffer) {
+    console.debug("PrivateJainSipCallConnector:sendSipReInviteRequest()");
+    var jainSipDialog = this.getJainSipDialog();
+    this.sdpReOffer = sdpOffer;
+    this.jainSipReInvitingRequest = jainSipDialog.createRequest("INVITE");
+    this.jainSipReInvitingRequest.removeHeader("Contact");
+    this.jainSipReInvitingRequest.removeHeader("User-Agent");
+    this.jainSipReInvitingRequest.addHeader(this.clientConnector.jainSipContactHeader);
+    var jainSipAllowListHeader = this.clientConnector.jainSipHeaderFactory.createHeaders("Allow: INVITE,ACK,CANCEL,BYE,UPDATE,REFER,NOTIFY,INFO,PRACK");
+    this.clientConnector.jainSipMessageFactory.addHeader(this.jainSipReInvitingRequest, jainSipAllowListHeader);
+    if (this.isSipSessionTimerEnabled())
+    {
+        // The SIP re-INVITE refreshes the session (RFC 4028)
+        this.jainSipReInvitingRequest.addHeader(this.clientConnector.jainSipHeaderFactory.createSupportedHeader("timer"));
+        this.addSipSessionTimerHeaders(this.jainSipReInvitingRequest);
+    }
+    this.jainSipReInvitingRequest.setMessageContent("application", "sdp", sdpOffer);
+    this.clientConnector.authenticateSipRequest(this.jainSipReInvitingRequest);
+    this.jainSipReInvitingTransaction = this.clientConnector.jainSipProvider.getNewClientTransaction(this.jainSipReInvitingRequest);
+    this.jainSipReInvitingRequest.setTransaction(this.jainSipReInvitingTransaction);
+    jainSipDialog.sendRequest(this.jainSipReInvitingTransaction);
+};
+
+/**
+ * Handle SIP re-INVITE/UPDATE (target refresh) request event received on the accepted call dialog
+ * @private 
+ * @param {RequestEvent} requestEvent request event
+ */
+PrivateJainSipCallConnector.prototype.processSipReInviteRequestEvent = function(requestEvent) {
+    console.debug("PrivateJainSipCallConnector:processSipReInviteRequestEvent(): this.sipReInviteState=" + this.sipReInviteState);
+    var jainSipRequest = requestEvent.getRequest();
+    if (this.sipReInviteState === undefined && !this.checkSipSessionInterval(requestEvent))
+    {
+        console.warn("PrivateJainSipCallConnector:processSipReInviteRequestEvent(): session interval too small, SIP re-INVITE/UPDATE rejected");
+    }
+    else if (this.sipReInviteState === undefined)
+    {
+        try
+        {
+            // Update the dialog remote target
+            this.getJainSipDialog().doTargetRefresh(jainSipRequest);
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipCallConnector:processSipReInviteRequestEvent(): catched exception, exception:" + exception);
+        }
+
+        // Store SIP context
+        this.jainSipReInvitedRequest = jainSipRequest;
+        this.jainSipReInvitedTransaction = requestEvent.getServerTransaction();
+
+        var sdpReOffer = jainSipRequest.getContent();
+        if (sdpReOffer)
+        {
+            this.sipReInviteState = this.SIP_REINVITED_STATE;
+            //  Notify remote SDP offer to WebRTCommCall
+            this.webRTCommCall.onPrivateCallConnectorRemoteSdpReOfferEvent(sdpReOffer);
+        }
+        else if (jainSipRequest.getMethod() === "UPDATE")
+        {
+            // Session refresh without SDP offer 
+            this.sipReInviteState = this.SIP_REINVITED_STATE;
+            this.acceptReinvite();
+        }
+        else
+        {
+            // Re-INVITE without SDP offer, SDP offer requested to WebRTCommCall
+            this.sipReInviteState = this.SIP_REINVITED_OFFERLESS_STATE;
+            this.webRTCommCall.onPrivateCallConnectorSdpReOfferRequestEvent();
+        }
+    }
+    else
+    {
+        try
+        {
+            // SIP re-INVITE/UPDATE already in progress (glare)
+            var jainSipResponse491 = jainSipRequest.createResponse(491, "Request Pending");
+            jainSipResponse491.addHeader(this.clientConnector.jainSipContactHeader);
+            requestEvent.getServerTransaction().sendResponse(jainSipResponse491);
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipCallConnector:processSipReInviteRequestEvent(): catched exception, exception:" + exception);
+        }
+    }
+};
+
+/**
+ * Handle SIP CANCEL request event received on the accepted call dialog: the pending SIP re-INVITE 
+ * is answered with 487 Request Terminated and the renegotiation is cancelled
+ * @private 
+ * @param {RequestEvent} requestEvent request event
+ */
+PrivateJainSipCallConnector.prototype.processSipReInviteCancelRequestEvent = function(requestEvent) {
+    console.debug("PrivateJainSipCallConnector:processSipReInviteCancelRequestEvent(): this.sipReInviteState=" + this.sipReInviteState);
+    var jainSipRequest = requestEvent.getRequest();
+    try
+    {
+        // Send 200 OK CANCEL
+        var jainSip200OKResponse = jainSipRequest.createResponse(200, "OK");
+        jainSip200OKResponse.addHeader(this.clientConnector.jainSipContactHeader);
+        requestEvent.getServerTransaction().sendResponse(jainSip200OKResponse);
+    }
+    catch (exception)
+    {
+        console.error("PrivateJainSipCallConnector:processSipReInviteCancelRequestEvent(): catched exception, exception:" + exception);
+    }
+
+    if ((this.sipReInviteState === this.SIP_REINVITED_STATE || this.sipReInviteState === this.SIP_REINVITED_OFFERLESS_STATE)
+            && this.jainSipReInvitedRequest.getMethod() === "INVITE")
+    {
+        try
+        {
+            // Send 487 Request Terminated for the SIP re-INVITE
+            var jainSipResponse487 = this.jainSipReInvitedRequest.createResponse(487, "Request Terminated");
+            jainSipResponse487.addHeader(this.clientConnector.jainSipContactHeader);
+            this.jainSipReInvitedTransaction.sendResponse(jainSipResponse487);
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipCallConnector:processSipReInviteCancelRequestEvent(): catched exception, exception:" + exception);
+        }
+        this.resetSipReInviteContext();
+        this.webRTCommCall.onPrivateCallConnectorReInviteCancelEvent();
+    }
+    else
+    {
+        // SIP re-INVITE already answered, the CANCEL has no effect
+        console.warn("PrivateJainSipCallConnector:processSipReInviteCancelRequestEvent(): no pending SIP re-INVITE, SIP CANCEL ignored");
+    }
+};
+
+/**
+ * Handle SIP ACK request event received on the accepted call dialog
+ * @private 
+ * @param {RequestEvent} requestEvent request event
+ */
+PrivateJainSipCallConnector.prototype.processSipReInviteAckRequestEvent = function(requestEvent) {
+    console.debug("PrivateJainSipCallConnector:processSipReInviteAckRequestEvent(): this.sipReInviteState=" + this.sipReInviteState);
+    if (this.sipReInviteState === this.SIP_REINVITED_WAITING_ACK_STATE)
+    {
+        var sdpAnswer = requestEvent.getRequest().getContent();
+        this.resetSipReInviteContext();
+        if (sdpAnswer)
+        {
+            //  Notify remote SDP answer to WebRTCommCall
+            this.webRTCommCall.onPrivateCallConnectorRemoteSdpAnswerEvent(sdpAnswer);
+        }
+        else
+        {
+            console.error("PrivateJainSipCallConnector:processSipReInviteAckRequestEvent(): SDP answer missing in ACK");
+            this.webRTCommCall.onPrivateCallConnectorReInviteErrorEvent("SDP answer missing in ACK");
+        }
+    }
+};
+
+/**
+ * Handle SIP response event of the sent SIP re-INVITE
+ * @private 
+ * @param {ResponseEvent} responseEvent response event
+ */
+PrivateJainSipCallConnector.prototype.processSipReInviteResponseEvent = function(responseEvent) {
+    console.debug("PrivateJainSipCallConnector:processSipReInviteResponseEvent(): this.sipReInviteState=" + this.sipReInviteState);
+    var jainSipResponse = responseEvent.getResponse();
+    var statusCode = parseInt(jainSipResponse.getStatusCode());
+    if (statusCode < 200)
+    {
+        console.debug("PrivateJainSipCallConnector:processSipReInviteResponseEvent(): 1XX response ignored");
+    }
+    else if ((statusCode === 401 || statusCode === 407) && this.clientConnector.processSipDigestChallenge(jainSipResponse, this.jainSipReInvitingRequest))
+    {
+        try
+        {
+            // Send authenticated SIP re-INVITE
+            this.sendSipReInviteRequest(this.sdpReOffer);
+            this.sipReInviteState = this.SIP_REINVITING_407_STATE;
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipCallConnector:processSipReInviteResponseEvent(): catched exception, exception:" + exception);
+            this.resetSipReInviteContext();
+            this.webRTCommCall.onPrivateCallConnectorReInviteErrorEvent(exception);
+        }
+    }
+    else if (statusCode === 422 && this.updateSipSessionInterval(jainSipResponse))
+    {
+        try
+        {
+            // Session interval too small (RFC 4028), send SIP re-INVITE with the Min-SE of the 422 response
+            this.sendSipReInviteRequest(this.sdpReOffer);
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipCallConnector:processSipReInviteResponseEvent(): catched exception, exception:" + exception);
+            this.resetSipReInviteContext();
+            this.webRTCommCall.onPrivateCallConnectorReInviteErrorEvent(exception);
+        }
+    }
+    else if (statusCode === 491)
+    {
+        // Glare, retry later (RFC 3261 14.1): 2.1s to 4s if Call-ID owner, 0s to 2s otherwise
+        var retryDelay = undefined;
+        if (this.jainSipInvitingDialog !== undefined)
+        {
+            retryDelay = 2100 + Math.floor(Math.random() * 191) * 10;
+        }
+        else
+        {
+            retryDelay = Math.floor(Math.random() * 201) * 10;
+        }
+        this.resetSipReInviteContext();
+        this.webRTCommCall.onPrivateCallConnectorReInviteRequestPendingEvent(retryDelay);
+    }
+    else if (statusCode === 200)
+    {
+        try
+        {
+            // Update the dialog remote target
+            this.getJainSipDialog().doTargetRefresh(jainSipResponse);
+            // Send SIP 200 OK ACK
+            var jainSipMessageACK = this.jainSipReInvitingTransaction.createAck();
+            jainSipMessageACK.addHeader(this.clientConnector.jainSipContactHeader);
+            this.getJainSipDialog().sendAck(jainSipMessageACK);
+            this.processSipSessionTimerResponse(jainSipResponse);
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipCallConnector:processSipReInviteResponseEvent(): catched exception, exception:" + exception);
+        }
+        this.resetSipReInviteContext();
+
+        //  Notify remote SDP answer to WebRTCommCall
+        this.webRTCommCall.onPrivateCallConnectorRemoteSdpAnswerEvent(jainSipResponse.getContent());
+    }
+    else
+    {
+        console.error("PrivateJainSipCallConnector:processSipReInviteResponseEvent(): SIP re-INVITE failed:" + jainSipResponse.getStatusCode() + "  " + jainSipResponse.getStatusLine().toString());
+        this.resetSipReInviteContext();
+        // Notify the error event, the call remains established
+        this.webRTCommCall.onPrivateCallConnectorReInviteErrorEvent(jainSipResponse.getStatusLine().getReasonPhrase());
+        if (statusCode === 481 || statusCode === 408)
+        {
+            // Dialog does not exist anymore (RFC 3261 14.1), close the call
+            this.close();
+        }
+    }
+};
+
+/**
+ * Send SIP REFER request on the accepted call dialog
+ * @private 
+ */
+PrivateJainSipCallConnector.prototype.sendSipReferRequest = function() {
+    console.debug("PrivateJainSipCallConnector:sendSipReferRequest()");
+    var jainSipDialog = this.getJainSipDialog();
+    this.jainSipReferringRequest = jainSipDialog.createRequest("REFER");
+    this.jainSipReferringRequest.removeHeader("Contact");
+    this.jainSipReferringRequest.removeHeader("User-Agent");
+    this.jainSipReferringRequest.addHeader(this.clientConnector.jainSipContactHeader);
+    this.jainSipReferringRequest.addHeader(this.jainSipReferToHeader);
+    var jainSipReferredByHeader = this.clientConnector.jainSipHeaderFactory.createReferredByHeader(jainSipDialog.getLocalParty());
+    this.jainSipReferringRequest.addHeader(jainSipReferredByHeader);
+    this.clientConnector.authenticateSipRequest(this.jainSipReferringRequest);
+    this.jainSipReferringTransaction = this.clientConnector.jainSipProvider.getNewClientTransaction(this.jainSipReferringRequest);
+    this.jainSipReferringRequest.setTransaction(this.jainSipReferringTransaction);
+    jainSipDialog.sendRequest(this.jainSipReferringTransaction);
+};
+
+/**
+ * Handle SIP response event of the sent SIP REFER
+ * @private 
+ * @param {ResponseEvent} responseEvent response event
+ */
+PrivateJainSipCallConnector.prototype.processSipReferResponseEvent = function(responseEvent) {
+    console.debug("PrivateJainSipCallConnector:processSipReferResponseEvent(): this.sipReferState=" + this.sipReferState);
+    var jainSipResponse = responseEvent.getResponse();
+    var statusCode = parseInt(jainSipResponse.getStatusCode());
+    if (this.sipReferState !== this.SIP_REFERRING_STATE && this.sipReferState !== this.SIP_REFERRING_407_STATE)
+    {
+        console.debug("PrivateJainSipCallConnector:processSipReferResponseEvent(): response ignored");
+    }
+    else if (statusCode < 200)
+    {
+        console.debug("PrivateJainSipCallConnector:processSipReferResponseEvent(): 1XX response ignored");
+    }
+    else if ((statusCode === 401 || statusCode === 407) && this.clientConnector.processSipDigestChallenge(jainSipResponse, this.jainSipReferringRequest))
+    {
+        try
+        {
+            // Send authenticated SIP REFER
+            this.sendSipReferRequest();
+            this.sipReferState = this.SIP_REFERRING_407_STATE;
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipCallConnector:processSipReferResponseEvent(): catched exception, exception:" + exception);
+            this.resetSipReferContext();
+            this.webRTCommCall.onPrivateCallConnectorTransferErrorEvent(exception);
+        }
+    }
+    else if (statusCode < 300)
+    {
+        // SIP REFER accepted, transfer progress expected in NOTIFY
+        this.sipReferState = this.SIP_REFER_ACCEPTED_STATE;
+    }
+    else
+    {
+        console.error("PrivateJainSipCallConnector:processSipReferResponseEvent(): SIP REFER failed:" + jainSipResponse.getStatusCode() + "  " + jainSipResponse.getStatusLine().toString());
+        this.resetSipReferContext();
+        // Notify the error event, the call remains established
+        this.webRTCommCall.onPrivateCallConnectorTransferErrorEvent(jainSipResponse.getStatusLine().getReasonPhrase());
+    }
+};
+
+/**
+ * Handle SIP NOTIFY request event of the implicit REFER subscription (RFC 3515) received on the accepted call dialog
+ * @private 
+ * @param {RequestEvent} requestEvent request event
+ */
+PrivateJainSipCallConnector.prototype.processSipReferNotifyRequestEvent = function(requestEvent) {
+    console.debug("PrivateJainSipCallConnector:processSipReferNotifyRequestEvent(): this.sipReferState=" + this.sipReferState);
+    var jainSipRequest = requestEvent.getRequest();
+    if (this.sipReferState === this.SIP_REFERRING_STATE || this.sipReferState === this.SIP_REFERRING_407_STATE || this.sipReferState === this.SIP_REFER_ACCEPTED_STATE)
+    {
+        try
+        {
+            // Send 200 OK NOTIFY
+            var jainSip200OKResponse = jainSipRequest.createResponse(200, "OK");
+            jainSip200OKResponse.addHeader(this.clientConnector.jainSipContactHeader);
+            requestEvent.getServerTransaction().sendResponse(jainSip200OKResponse);
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipCallConnector:processSipReferNotifyRequestEvent(): catched exception, exception:" + exception);
+        }
+
+        // Parse the message/sipfrag body (e.g. SIP/2.0 180 Ringing)
+        var statusCode = undefined;
+        var reasonPhrase = undefined;
+        var sipFrag = jainSipRequest.getContent();
+        if (sipFrag)
+        {
+            var sipFragStatusLine = /^SIP\/2\.0\s+(\d{3})\s*(.*)$/m.exec(sipFrag.toString());
+            if (sipFragStatusLine)
+            {
+                statusCode = parseInt(sipFragStatusLine[1]);
+                reasonPhrase = sipFragStatusLine[2].trim();
+            }
+        }
+
+        var terminatedFlag = (statusCode !== undefined && statusCode >= 200);
+        var jainSipSubscriptionStateHeader = jainSipRequest.getHeader("Subscription-State");
+        if (jainSipSubscriptionStateHeader && jainSipSubscriptionStateHeader.getHeaderValue().trim().toLowerCase().indexOf("terminated") === 0)
+        {
+            terminatedFlag = true;
+        }
+        if (terminatedFlag)
+        {
+            this.resetSipReferContext();
+        }
+
+        if (statusCode !== undefined)
+        {
+            this.webRTCommCall.onPrivateCallConnectorTransferProgressEvent(statusCode, reasonPhrase);
+        }
+        else if (terminatedFlag)
+        {
+            // Subscription terminated without final status
+            this.webRTCommCall.onPrivateCallConnectorTransferErrorEvent("Subscription terminated");
+        }
+    }
+    else
+    {
+        try
+        {
+            var jainSipResponse481 = jainSipRequest.createResponse(481, "Subscription does not exist");
+            jainSipResponse481.addHeader(this.clientConnector.jainSipContactHeader);
+            requestEvent.getServerTransaction().sendResponse(jainSipResponse481);
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipCallConnector:processSipReferNotifyRequestEvent(): catched exception, exception:" + exception);
+        }
+    }
+};
+
+/**
+ * Handle SIP REFER request event received on the accepted call dialog: 
+ * the WebRTCommCall is requested to call the transfer target
+ * @private 
+ * @param {RequestEvent} requestEvent request event
+ */
+PrivateJainSipCallConnector.prototype.processSipReferRequestEvent = function(requestEvent) {
+    console.debug("PrivateJainSipCallConnector:processSipReferRequestEvent(): this.sipReferState=" + this.sipReferState);
+    var jainSipRequest = requestEvent.getRequest();
+    var jainSipReferToHeader = jainSipRequest.getHeader("Refer-To");
+    if (this.sipReferState !== undefined || !(jainSipReferToHeader instanceof ReferTo))
+    {
+        try
+        {
+            // Transfer already in progress or bad Refer-To header
+            var jainSipErrorResponse = undefined;
+            if (this.sipReferState !== undefined)
+                jainSipErrorResponse = jainSipRequest.createResponse(491, "Request Pending");
+            else
+                jainSipErrorResponse = jainSipRequest.createResponse(400, "Bad Request");
+            jainSipErrorResponse.addHeader(this.clientConnector.jainSipContactHeader);
+            requestEvent.getServerTransaction().sendResponse(jainSipErrorResponse);
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipCallConnector:processSipReferRequestEvent(): catched exception, exception:" + exception);
+        }
+    }
+    else
+    {
+        try
+        {
+            // Send 202 Accepted
+            var jainSip202Response = jainSipRequest.createResponse(202, "Accepted");
+            jainSip202Response.addHeader(this.clientConnector.jainSipContactHeader);
+            requestEvent.getServerTransaction().sendResponse(jainSip202Response);
+            this.jainSipReferredRequest = jainSipRequest;
+            this.sipReferState = this.SIP_REFERRED_STATE;
+
+            // Initial NOTIFY of the implicit subscription 
+            this.sendSipReferNotifyRequest(100, "Trying");
+
+            var jainSipReferToUri = jainSipReferToHeader.getAddress().getURI();
+            var targetUri = jainSipReferToUri.getHost();
+            if (jainSipReferToUri.getUser())
+            {
+                targetUri = jainSipReferToUri.getUser() + "@" + targetUri;
+            }
+            if (jainSipReferToUri.getPort() > 0)
+            {
+                targetUri += ":" + jainSipReferToUri.getPort();
+            }
+            var sipReplaces = jainSipReferToUri.getHeader("Replaces");
+            if (sipReplaces)
+            {
+                sipReplaces = decodeURIComponent(sipReplaces);
+            }
+            var sipReferredBy = undefined;
+            var jainSipReferredByHeader = jainSipRequest.getHeader("Referred-By");
+            if (jainSipReferredByHeader)
+            {
+                sipReferredBy = jainSipReferredByHeader.encodeBody();
+            }
+            else
+            {
+                sipReferredBy = this.getJainSipDialog().getRemoteParty().encode();
+            }
+
+            // Notify the transfer request to WebRTCommCall
+            this.webRTCommCall.onPrivateCallConnectorReferRequestEvent(targetUri, sipReplaces, sipReferredBy);
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipCallConnector:processSipReferRequestEvent(): catched exception, exception:" + exception);
+            if (this.sipReferState === this.SIP_REFERRED_STATE)
+            {
+                try
+                {
+                    this.notifyRefer(503, "Service Unavailable");
+                }
+                catch (exception)
+                {
+                    this.resetSipReferContext();
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Send SIP NOTIFY request of the implicit REFER subscription on the accepted call dialog
+ * @private 
+ * @param {Number} statusCode SIP status code of the referred call
+ * @param {String} reasonPhrase SIP reason phrase of the referred call
+ */
+PrivateJainSipCallConnector.prototype.sendSipReferNotifyRequest = function(statusCode, reasonPhrase) {
+    console.debug("PrivateJainSipCallConnector:sendSipReferNotifyRequest(): statusCode=" + statusCode);
+    var jainSipDialog = this.getJainSipDialog();
+    var jainSipNotifyRequest = jainSipDialog.createRequest("NOTIFY");
+    jainSipNotifyRequest.removeHeader("Contact");
+    jainSipNotifyRequest.removeHeader("User-Agent");
+    jainSipNotifyRequest.addHeader(this.clientConnector.jainSipContactHeader);
+    // Event header class is not bundled in JAIN SIP JS, use extension headers
+    var jainSipEventHeader = this.clientConnector.jainSipHeaderFactory.createExtensionHeader("Event", "refer");
+    jainSipNotifyRequest.addHeader(jainSipEventHeader);
+    var subscriptionState = (statusCode >= 200) ? "terminated;reason=noresource" : "active;expires=60";
+    var jainSipSubscriptionStateHeader = this.clientConnector.jainSipHeaderFactory.createExtensionHeader("Subscription-State", subscriptionState);
+    jainSipNotifyRequest.addHeader(jainSipSubscriptionStateHeader);
+    jainSipNotifyRequest.setMessageContent("message", "sipfrag;version=2.0", "SIP/2.0 " + statusCode + " " + reasonPhrase + "\r\n");
+    var jainSipNotifyTransaction = this.clientConnector.jainSipProvider.getNewClientTransaction(jainSipNotifyRequest);
+    jainSipNotifyRequest.setTransaction(jainSipNotifyTransaction);
+    jainSipDialog.sendRequest(jainSipNotifyTransaction);
+};
+
+/**
+ * Report the progress of the referred call to the call connector which has received the SIP REFER
+ * @private 
+ * @param {Number} statusCode SIP status code of the referred call
+ * @param {String} reasonPhrase SIP reason phrase of the referred call
+ */
+PrivateJainSipCallConnector.prototype.notifyReferringCallConnector = function(statusCode, reasonPhrase) {
+    console.debug("PrivateJainSipCallConnector:notifyReferringCallConnector(): statusCode=" + statusCode);
+    var referringCallConnector = this.referringCallConnector;
+    if (statusCode >= 200)
+    {
+        this.referringCallConnector = undefined;
+    }
+    try
+    {
+        referringCallConnector.notifyRefer(statusCode, reasonPhrase);
+    }
+    catch (exception)
+    {
+        console.error("PrivateJainSipCallConnector:notifyReferringCallConnector(): catched exception, exception:" + exception);
+    }
+};
+
+/**
+ * Send SIP INFO request of an Info Package (RFC 6086) on the accepted call dialog
+ * @private 
+ * @param {String} infoPackage Info Package name (e.g. trickle-ice), undefined for legacy SIP INFO usage (e.g. DTMF)
+ * @param {String} contentType body content type (e.g. application)
+ * @param {String} contentSubType body content sub type (e.g. trickle-ice-sdpfrag)
+ * @param {String} content body
+ */
+PrivateJainSipCallConnector.prototype.sendSipInfoRequest = function(infoPackage, contentType, contentSubType, content) {
+    console.debug("PrivateJainSipCallConnector:sendSipInfoRequest(): infoPackage=" + infoPackage);
+    var jainSipDialog = this.getJainSipDialog();
+    var jainSipInfoRequest = jainSipDialog.createRequest("INFO");
+    jainSipInfoRequest.removeHeader("Contact");
+    jainSipInfoRequest.removeHeader("User-Agent");
+    jainSipInfoRequest.addHeader(this.clientConnector.jainSipContactHeader);
+    if (infoPackage !== undefined)
+    {
+        jainSipInfoRequest.addHeader(this.clientConnector.jainSipHeaderFactory.createHeader("Info-Package: " + infoPackage));
+        jainSipInfoRequest.addHeader(this.clientConnector.jainSipHeaderFactory.createHeader("Content-Disposition: Info-Package"));
+    }
+    jainSipInfoRequest.setMessageContent(contentType, contentSubType, content);
+    this.clientConnector.authenticateSipRequest(jainSipInfoRequest);
+    var jainSipInfoTransaction = this.clientConnector.jainSipProvider.getNewClientTransaction(jainSipInfoRequest);
+    jainSipInfoRequest.setTransaction(jainSipInfoTransaction);
+    jainSipDialog.sendRequest(jainSipInfoTransaction);
+};
+
+/**
+ * Handle SIP response event of a sent SIP INFO
+ * @private 
+ * @param {ResponseEvent} responseEvent response event
+ */
+PrivateJainSipCallConnector.prototype.processSipInfoResponseEvent = function(responseEvent) {
+    console.debug("PrivateJainSipCallConnector:processSipInfoResponseEvent()");
+    var jainSipResponse = responseEvent.getResponse();
+    var statusCode = parseInt(jainSipResponse.getStatusCode());
+    var jainSipInfoRequest = responseEvent.getOriginalTransaction().getOriginalRequest();
+    if (statusCode < 300)
+    {
+        console.debug("PrivateJainSipCallConnector:processSipInfoResponseEvent(): SIP INFO accepted");
+    }
+    else if ((statusCode === 401 || statusCode === 407) && this.isOpened() && this.clientConnector.processSipDigestChallenge(jainSipResponse, jainSipInfoRequest))
+    {
+        try
+        {
+            // Send authenticated SIP INFO
+            var jainSipContentTypeHeader = jainSipInfoRequest.getContentTypeHeader();
+            var jainSipInfoPackageHeader = jainSipInfoRequest.getHeader("Info-Package");
+            this.sendSipInfoRequest((jainSipInfoPackageHeader !== null) ? jainSipInfoPackageHeader.getHeaderValue().trim() : undefined,
+                    jainSipContentTypeHeader.getContentType(),
+                    jainSipContentTypeHeader.getContentSubType(),
+                    jainSipInfoRequest.getContent());
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipCallConnector:processSipInfoResponseEvent(): catched exception, exception:" + exception);
+        }
+    }
+    else
+    {
+        // The call remains established
+        console.error("PrivateJainSipCallConnector:processSipInfoResponseEvent(): SIP INFO failed:" + jainSipResponse.getStatusCode() + "  " + jainSipResponse.getStatusLine().toString());
+    }
+};
+
+/**
+ * Handle SIP INFO request event received on the accepted call dialog
+ * @private 
+ * @param {RequestEvent} requestEvent request event
+ */
+PrivateJainSipCallConnector.prototype.processSipInfoRequestEvent = function(requestEvent) {
+    console.debug("PrivateJainSipCallConnector:processSipInfoRequestEvent()");
+    var jainSipRequest = requestEvent.getRequest();
+    var jainSipInfoPackageHeader = jainSipRequest.getHeader("Info-Package");
+    var infoPackage = (jainSipInfoPackageHeader !== null) ? jainSipInfoPackageHeader.getHeaderValue().trim().toLowerCase() : undefined;
+    var jainSipContentTypeHeader = jainSipRequest.getContentTypeHeader();
+    var contentType = (jainSipContentTypeHeader !== null) ? (jainSipContentTypeHeader.getContentType() + "/" + jainSipContentTypeHeader.getContentSubType()).toLowerCase() : undefined;
+    var statusCode = 200;
+    var reasonPhrase = "OK";
+    if (infoPackage === "trickle-ice" && this.webRTCommCall.getConfiguration().trickleIceMode === true)
+    {
+        // Remote ICE candidates (RFC 8840)
+        this.webRTCommCall.onPrivateCallConnectorRemoteIceCandidatesEvent(jainSipRequest.getContent());
+    }
+    else if ((infoPackage === undefined || infoPackage === "dtmf") && (contentType === "application/dtmf-relay" || contentType === "application/dtmf"))
+    {
+        var dtmf = this.parseSipInfoDTMF(contentType, jainSipRequest.getContent());
+        if (dtmf !== undefined)
+        {
+            this.webRTCommCall.onPrivateCallConnectorDTMFReceivedEvent(dtmf.tone, dtmf.duration);
+        }
+        else
+        {
+            statusCode = 400;
+            reasonPhrase = "Bad Request";
+        }
+    }
+    else if (infoPackage !== undefined)
+    {
+        // Info Package not supported (RFC 6086)
+        statusCode = 469;
+        reasonPhrase = "Bad Info Package";
+    }
+    else
+    {
+        console.warn("PrivateJainSipCallConnector:processSipInfoRequestEvent(): legacy SIP INFO not supported");
+        statusCode = 415;
+        reasonPhrase = "Unsupported Media Type";
+    }
+
+    try
+    {
+        var jainSipResponse = jainSipRequest.createResponse(statusCode, reasonPhrase);
+        jainSipResponse.addHeader(this.clientConnector.jainSipContactHeader);
+        if (statusCode === 469 && this.webRTCommCall.getConfiguration().trickleIceMode === true)
+        {
+            jainSipResponse.addHeader(this.clientConnector.jainSipHeaderFactory.createHeader("Recv-Info: trickle-ice"));
+        }
+        requestEvent.getServerTransaction().sendResponse(jainSipResponse);
+    }
+    catch (exception)
+    {
+        console.error("PrivateJainSipCallConnector:processSipInfoRequestEvent(): catched exception, exception:" + exception);
+    }
+};
+
+/**
+ * Parse the DTMF tone of a received SIP INFO body (application/dtmf-relay or application/dtmf)
+ * @private 
+ * @param {String} contentType body content type
+ * @param {String} content body
+ * @returns {object} DTMF tone and duration in milliseconds (undefined if not provided), undefined if the body is invalid
+ */
+PrivateJainSipCallConnector.prototype.parseSipInfoDTMF = function(contentType, content) {
+    console.debug("PrivateJainSipCallConnector:parseSipInfoDTMF(): content=" + content);
+    var signal = undefined;
+    var duration = undefined;
+    if (contentType === "application/dtmf-relay")
+    {
+        var lines = (content || "").split(/\r?\n/);
+        for (var i = 0; i < lines.length; i++)
+        {
+            var separatorIndex = lines[i].indexOf("=");
+            if (separatorIndex > 0)
+            {
+                var name = lines[i].substring(0, separatorIndex).trim().toLowerCase();
+                var value = lines[i].substring(separatorIndex + 1).trim();
+                if (name === "signal")
+                    signal = value;
+                else if (name === "duration" && parseInt(value) > 0)
+                    duration = parseInt(value);
+            }
+        }
+    }
+    else
+    {
+        signal = (content || "").trim();
+    }
+
+    if (signal === undefined)
+        return undefined;
+    // RFC 4733 event codes
+    var events = ["0", "1", "2", "3", "4", "5", "6", "7", "8", "9", "*", "#", "A", "B", "C", "D"];
+    var tone = signal.toUpperCase();
+    if (/^[0-9]+$/.test(tone) && parseInt(tone) < events.length)
+        tone = events[parseInt(tone)];
+    if (tone.length !== 1 || events.indexOf(tone) === -1)
+        return undefined;
+    return {
+        tone: tone,
+        duration: duration
+    };
+};
+
+/**
+ * Get the SIP session timer (RFC 4028) activation of the call configuration
+ * @private
+ * @returns {boolean} true if the session timer is enabled, false otherwise
+ */
+PrivateJainSipCallConnector.prototype.isSipSessionTimerEnabled = function() {
+    var configuration = this.webRTCommCall.getConfiguration();
+    return (configuration !== undefined && configuration.sessionTimerMode === true);
+};
+
+/**
+ * Set the Session-Expires and Min-SE headers (RFC 4028) of a sent SIP INVITE/re-INVITE/UPDATE request,
+ * the refresher of the negotiated session timer is kept 
+ * @private
+ * @param {SIPRequest} jainSipRequest SIP request
+ */
+PrivateJainSipCallConnector.prototype.addSipSessionTimerHeaders = function(jainSipRequest) {
+    console.debug("PrivateJainSipCallConnector:addSipSessionTimerHeaders(): this.sipSessionInterval=" + this.sipSessionInterval);
+    var jainSipSessionExpiresHeader = this.clientConnector.jainSipHeaderFactory.createSessionExpiresHeader(this.sipSessionInterval);
+    if (this.sipSessionRefresher !== undefined)
+    {
+        jainSipSessionExpiresHeader.setRefresher((this.sipSessionRefresher === "local") ? "uac" : "uas");
+    }
+    jainSipRequest.setHeader(jainSipSessionExpiresHeader);
+    jainSipRequest.setHeader(this.clientConnector.jainSipHeaderFactory.createMinSEHeader(this.sipSessionMinSE));
+};
+
+/**
+ * Check the Session-Expires of a received SIP INVITE/re-INVITE/UPDATE request (RFC 4028), 
+ * send SIP 422 Session Interval Too Small if it is lower than the minimum session interval,
+ * the request is always accepted if the session timer is disabled
+ * @private
+ * @param {RequestEvent} requestEvent request event
+ * @returns {boolean} true if the session interval is accepted, false if the request has been rejected
+ */
+PrivateJainSipCallConnector.prototype.checkSipSessionInterval = function(requestEvent) {
+    if (!this.isSipSessionTimerEnabled())
+    {
+        return true;
+    }
+    var jainSipRequest = requestEvent.getRequest();
+    var jainSipSessionExpiresHeader = jainSipRequest.getHeader("Session-Expires");
+    if (jainSipSessionExpiresHeader && jainSipSessionExpiresHeader.getExpires() < this.SIP_SESSION_MIN_SE)
+    {
+        try
+        {
+            var jainSipResponse422 = jainSipRequest.createResponse(422, "Session Interval Too Small");
+            jainSipResponse422.addHeader(this.clientConnector.jainSipContactHeader);
+            jainSipResponse422.removeHeader("Session-Expires");
+            jainSipResponse422.setHeader(this.clientConnector.jainSipHeaderFactory.createMinSEHeader(this.SIP_SESSION_MIN_SE));
+            requestEvent.getServerTransaction().sendResponse(jainSipResponse422);
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipCallConnector:checkSipSessionInterval(): catched exception, exception:" + exception);
+        }
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Update the session interval with the Min-SE of a received SIP 422 Session Interval Too Small (RFC 4028)
+ * @private
+ * @param {SIPResponse} jainSipResponse SIP 422 response
+ * @returns {boolean} true if the request can be sent again with a larger session interval, false otherwise
+ */
+PrivateJainSipCallConnector.prototype.updateSipSessionInterval = function(jainSipResponse) {
+    var jainSipMinSEHeader = jainSipResponse.getHeader("Min-SE");
+    if (this.isSipSessionTimerEnabled() && jainSipMinSEHeader && jainSipMinSEHeader.getExpires() > this.sipSessionInterval)
+    {
+        console.debug("PrivateJainSipCallConnector:updateSipSessionInterval(): Min-SE=" + jainSipMinSEHeader.getExpires());
+        this.sipSessionMinSE = jainSipMinSEHeader.getExpires();
+        this.sipSessionInterval = jainSipMinSEHeader.getExpires();
+        return true;
+    }
+    return false;
+};
+
+/**
+ * Negotiate the session timer (RFC 4028) of a received SIP INVITE/re-INVITE/UPDATE request: 
+ * the caller refreshes the session if it supports the session timer and has not delegated the refresh. 
+ * The session timer headers copied from the request by createResponse() are replaced
+ * @private
+ * @param {SIPRequest} jainSipRequest received SIP request
+ * @param {SIPResponse} jainSipResponse SIP 200 OK response of the request
+ */
+PrivateJainSipCallConnector.prototype.processSipSessionTimerRequest = function(jainSipRequest, jainSipResponse) {
+    console.debug("PrivateJainSipCallConnector:processSipSessionTimerRequest()");
+    var jainSipSessionExpiresHeader = jainSipRequest.getHeader("Session-Expires");
+    if (this.isSipSessionTimerEnabled() && jainSipSessionExpiresHeader)
+    {
+        var remoteSessionTimerFlag = this.hasSipOptionTag(jainSipRequest, "Supported", "timer");
+        // The initial SIP INVITE is checked before the call configuration is known, a lower 
+        // session interval is raised to the minimum session interval
+        this.sipSessionInterval = Math.max(jainSipSessionExpiresHeader.getExpires(), this.SIP_SESSION_MIN_SE);
+        if (remoteSessionTimerFlag && jainSipSessionExpiresHeader.getRefresher() !== "uas")
+            this.sipSessionRefresher = "remote";
+        else
+            this.sipSessionRefresher = "local";
+        var jainSipResponseSessionExpiresHeader = this.clientConnector.jainSipHeaderFactory.createSessionExpiresHeader(this.sipSessionInterval);
+        jainSipResponseSessionExpiresHeader.setRefresher((this.sipSessionRefresher === "remote") ? "uac" : "uas");
+        if (!this.hasSipOptionTag(jainSipResponse, "Supported", "timer"))
+        {
+            jainSipResponse.addHeader(this.clientConnector.jainSipHeaderFactory.createSupportedHeader("timer"));
+        }
+        jainSipResponse.setHeader(jainSipResponseSessionExpiresHeader);
+        jainSipResponse.removeHeader("Min-SE");
+        if (remoteSessionTimerFlag && !this.hasSipOptionTag(jainSipResponse, "Require", "timer"))
+        {
+            jainSipResponse.addHeader(this.clientConnector.jainSipHeaderFactory.createRequireHeader("timer"));
+        }
+        this.startSipSessionTimer();
+    }
+    else
+    {
+        // No session expiration
+        jainSipResponse.removeHeader("Session-Expires");
+        jainSipResponse.removeHeader("Min-SE");
+        this.stopSipSessionTimer();
+        this.sipSessionRefresher = undefined;
+    }
+};
+
+/**
+ * Apply the session timer (RFC 4028) of the SIP 2XX response of a sent SIP INVITE/re-INVITE/UPDATE request: 
+ * refresher=uac designates the local UA
+ * @private
+ * @param {SIPResponse} jainSipResponse SIP 2XX response
+ */
+PrivateJainSipCallConnector.prototype.processSipSessionTimerResponse = function(jainSipResponse) {
+    console.debug("PrivateJainSipCallConnector:processSipSessionTimerResponse()");
+    var jainSipSessionExpiresHeader = jainSipResponse.getHeader("Session-Expires");
+    if (this.isSipSessionTimerEnabled() && jainSipSessionExpiresHeader)
+    {
+        this.sipSessionInterval = jainSipSessionExpiresHeader.getExpires();
+        this.sipSessionRefresher = (jainSipSessionExpiresHeader.getRefresher() === "uas") ? "remote" : "local";
+        this.startSipSessionTimer();
+    }
+    else
+    {
+        // No session expiration
+        this.stopSipSessionTimer();
+        this.sipSessionRefresher = undefined;
+    }
+};
+
+/**
+ * Start the session timer (RFC 4028 10): session refresh at half the session interval if the local UA is the refresher, 
+ * session expiration 32 seconds (or one third of the session interval) before its end otherwise
+ * @private
+ */
+PrivateJainSipCallConnector.prototype.startSipSessionTimer = function() {
+    console.debug("PrivateJainSipCallConnector:startSipSessionTimer(): this.sipSessionInterval=" + this.sipSessionInterval + ", this.sipSessionRefresher=" + this.sipSessionRefresher);
+    var that = this;
+    this.stopSipSessionTimer();
+    if (this.sipSessionRefresher === "local")
+    {
+        this.sipSessionTimer = setTimeout(function() {
+            that.onSipSessionRefreshTimeout();
+        }, this.sipSessionInterval * 500);
+    }
+    else
+    {
+        this.sipSessionTimer = setTimeout(function() {
+            that.onSipSessionExpiredTimeout();
+        }, (this.sipSessionInterval - Math.min(32, this.sipSessionInterval / 3)) * 1000);
+    }
+};
+
+/**
+ * Stop the session timer
+ * @private
+ */
+PrivateJainSipCallConnector.prototype.stopSipSessionTimer = function() {
+    if (this.sipSessionTimer !== undefined)
+        clearTimeout(this.sipSessionTimer);
+    this.sipSessionTimer = undefined;
+};
+
+/**
+ * Retry the session refresh after the retry delay, used when the refresh can not be sent 
+ * because a renegotiation is in progress
+ * @private
+ */
+PrivateJainSipCallConnector.prototype.retrySipSessionRefresh = function() {
+    console.debug("PrivateJainSipCallConnector:retrySipSessionRefresh()");
+    var that = this;
+    this.stopSipSessionTimer();
+    this.sipSessionTimer = setTimeout(function() {
+        that.onSipSessionRefreshTimeout();
+    }, this.SIP_SESSION_REFRESH_RETRY_DELAY);
+};
+
+/**
+ * Session refresh timeout: refresh the session with a SIP UPDATE if allowed by the peer, 
+ * with a SIP re-INVITE otherwise
+ * @private
+ */
+PrivateJainSipCallConnector.prototype.onSipSessionRefreshTimeout = function() {
+    console.debug("PrivateJainSipCallConnector:onSipSessionRefreshTimeout(): this.sipReInviteState=" + this.sipReInviteState);
+    this.sipSessionTimer = undefined;
+    if (this.isOpened())
+    {
+        try
+        {
+            if (this.sipReInviteState !== undefined)
+            {
+                // SIP re-INVITE/UPDATE in progress, refresh retried if it does not refresh the session 
+                this.retrySipSessionRefresh();
+            }
+            else if (this.sipRemoteUpdateFlag)
+            {
+                this.sendSipUpdateRequest();
+            }
+            else
+            {
+                this.webRTCommCall.onPrivateCallConnectorSessionRefreshRequestEvent();
+            }
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipCallConnector:onSipSessionRefreshTimeout(): catched exception, exception:" + exception);
+        }
+    }
+};
+
+/**
+ * Session expiration timeout: the session has not been refreshed by the peer, hang up the call
+ * @private
+ */
+PrivateJainSipCallConnector.prototype.onSipSessionExpiredTimeout = function() {
+    console.debug("PrivateJainSipCallConnector:onSipSessionExpiredTimeout(): this.sipCallState=" + this.sipCallState);
+    this.sipSessionTimer = undefined;
+    if (this.isOpened())
+    {
+        console.warn("PrivateJainSipCallConnector:onSipSessionExpiredTimeout(): session expired, SIP BYE sent");
+
+        // Notify the hangup event
+        this.webRTCommCall.onPrivateCallConnectorCallHangupEvent();
+
+        // Close the call
+        this.close();
+    }
+};
+
+/**
+ * Send SIP UPDATE request without SDP refreshing the session (RFC 4028) on the accepted call dialog
+ * @private
+ */
+PrivateJainSipCallConnector.prototype.sendSipUpdateRequest = function() {
+    console.debug("PrivateJainSipCallConnector:sendSipUpdateRequest()");
+    var jainSipDialog = this.getJainSipDialog();
+    var jainSipUpdateRequest = jainSipDialog.createRequest("UPDATE");
+    jainSipUpdateRequest.removeHeader("Contact");
+    jainSipUpdateRequest.removeHeader("User-Agent");
+    jainSipUpdateRequest.addHeader(this.clientConnector.jainSipContactHeader);
+    jainSipUpdateRequest.addHeader(this.clientConnector.jainSipHeaderFactory.createSupportedHeader("timer"));
+    this.addSipSessionTimerHeaders(jainSipUpdateRequest);
+    this.clientConnector.authenticateSipRequest(jainSipUpdateRequest);
+    var jainSipUpdateTransaction = this.clientConnector.jainSipProvider.getNewClientTransaction(jainSipUpdateRequest);
+    jainSipUpdateRequest.setTransaction(jainSipUpdateTransaction);
+    jainSipDialog.sendRequest(jainSipUpdateTransaction);
+};
+
+/**
+ * Handle SIP response event of a sent SIP UPDATE
+ * @private 
+ * @param {ResponseEvent} responseEvent response event
+ */
+PrivateJainSipCallConnector.prototype.processSipUpdateResponseEvent = function(responseEvent) {
+    console.debug("PrivateJainSipCallConnector:processSipUpdateResponseEvent()");
+    var jainSipResponse = responseEvent.getResponse();
+    var statusCode = parseInt(jainSipResponse.getStatusCode());
+    var jainSipUpdateRequest = responseEvent.getOriginalTransaction().getOriginalRequest();
+    if (statusCode < 200 || !this.isOpened())
+    {
+        console.debug("PrivateJainSipCallConnector:processSipUpdateResponseEvent(): SIP response ignored");
+    }
+    else if (statusCode < 300)
+    {
+        this.processSipSessionTimerResponse(jainSipResponse);
+    }
+    else if ((statusCode === 401 || statusCode === 407) && this.clientConnector.processSipDigestChallenge(jainSipResponse, jainSipUpdateRequest))
+    {
+        try
+        {
+            // Send authenticated SIP UPDATE
+            this.sendSipUpdateRequest();
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipCallConnector:processSipUpdateResponseEvent(): catched exception, exception:" + exception);
+        }
+    }
+    else if (statusCode === 422 && this.updateSipSessionInterval(jainSipResponse))
+    {
+        try
+        {
+            // Session interval too small, send SIP UPDATE with the Min-SE of the 422 response
+            this.sendSipUpdateRequest();
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipCallConnector:processSipUpdateResponseEvent(): catched exception, exception:" + exception);
+        }
+    }
+    else if (statusCode === 481 || statusCode === 408)
+    {
+        // Dialog does not exist anymore (RFC 3261 12.2.1.2), close the call
+        console.error("PrivateJainSipCallConnector:processSipUpdateResponseEvent(): SIP UPDATE failed:" + jainSipResponse.getStatusCode() + "  " + jainSipResponse.getStatusLine().toString());
+        this.close();
+    }
+    else
+    {
+        // SIP UPDATE refused, the session is refreshed with a SIP re-INVITE
+        console.warn("PrivateJainSipCallConnector:processSipUpdateResponseEvent(): SIP UPDATE failed:" + jainSipResponse.getStatusCode() + "  " + jainSipResponse.getStatusLine().toString());
+        this.sipRemoteUpdateFlag = false;
+        this.webRTCommCall.onPrivateCallConnectorSessionRefreshRequestEvent();
+    }
+};
+
+/**
+ * Handle SIP provisional response event for inviting call: acknowledge the reliable provisional response
+ * with a SIP PRACK (RFC 3262), notify the SDP of the early media
+ * @private 
+ * @param {ResponseEvent} responseEvent 
+ */
+PrivateJainSipCallConnector.prototype.processInvitingSipProvisionalResponseEvent = function(responseEvent) {
+    console.debug("PrivateJainSipCallConnector:processInvitingSipProvisionalResponseEvent()");
+    var jainSipResponse = responseEvent.getResponse();
+    var statusCode = parseInt(jainSipResponse.getStatusCode());
+    if (statusCode === 100)
+    {
+        return;
+    }
+    if (this.hasSipOptionTag(jainSipResponse, "Require", "100rel") && jainSipResponse.getHeader("RSeq"))
+    {
+        try
+        {
+            this.jainSipReliableResponse = jainSipResponse;
+            this.sendSipPrackRequest(responseEvent.getDialog(), jainSipResponse);
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipCallConnector:processInvitingSipProvisionalResponseEvent(): catched exception, exception:" + exception);
+        }
+    }
+    var sdpEarlyMediaAnswer = jainSipResponse.getContent();
+    if (sdpEarlyMediaAnswer && this.sdpEarlyMediaAnswer === undefined)
+    {
+        // Early media, only the first SDP answer is applied
+        this.sdpEarlyMediaAnswer = sdpEarlyMediaAnswer;
+        this.webRTCommCall.onPrivateCallConnectorRemoteSdpProvisionalAnswerEvent(sdpEarlyMediaAnswer);
+    }
+};
+
+/**
+ * Send SIP PRACK request acknowledging a reliable provisional response (RFC 3262)
+ * @private 
+ * @param {SIPDialog} jainSipDialog early dialog of the reliable provisional response
+ * @param {SIPResponse} jainSipReliableResponse reliable provisional response
+ */
+PrivateJainSipCallConnector.prototype.sendSipPrackRequest = function(jainSipDialog, jainSipReliableResponse) {
+    console.debug("PrivateJainSipCallConnector:sendSipPrackRequest()");
+    var jainSipPrackRequest = jainSipDialog.createPrack(jainSipReliableResponse);
+    jainSipPrackRequest.removeHeader("Contact");
+    jainSipPrackRequest.removeHeader("User-Agent");
+    jainSipPrackRequest.addHeader(this.clientConnector.jainSipContactHeader);
+    this.clientConnector.authenticateSipRequest(jainSipPrackRequest);
+    var jainSipPrackTransaction = this.clientConnector.jainSipProvider.getNewClientTransaction(jainSipPrackRequest);
+    jainSipPrackRequest.setTransaction(jainSipPrackTransaction);
+    jainSipDialog.sendRequest(jainSipPrackTransaction);
+};
+
+/**
+ * Handle SIP PRACK response event
+ * @private 
+ * @param {ResponseEvent} responseEvent 
+ */
+PrivateJainSipCallConnector.prototype.processSipPrackResponseEvent = function(responseEvent) {
+    console.debug("PrivateJainSipCallConnector:processSipPrackResponseEvent()");
+    var jainSipResponse = responseEvent.getResponse();
+    var statusCode = parseInt(jainSipResponse.getStatusCode());
+    var jainSipPrackRequest = responseEvent.getOriginalTransaction().getOriginalRequest();
+    if (statusCode < 300)
+    {
+        console.debug("PrivateJainSipCallConnector:processSipPrackResponseEvent(): SIP PRACK accepted");
+    }
+    else if ((statusCode === 401 || statusCode === 407) && this.jainSipReliableResponse
+            && (this.sipCallState === this.SIP_INVITING_STATE || this.sipCallState === this.SIP_INVITING_407_STATE)
+            && this.clientConnector.processSipDigestChallenge(jainSipResponse, jainSipPrackRequest))
+    {
+        try
+        {
+            // Send authenticated SIP PRACK
+            this.sendSipPrackRequest(responseEvent.getOriginalTransaction().getDialog(), this.jainSipReliableResponse);
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipCallConnector:processSipPrackResponseEvent(): catched exception, exception:" + exception);
+        }
+    }
+    else
+    {
+        // The call setup goes on, the INVITE final response is expected anyway
+        console.error("PrivateJainSipCallConnector:processSipPrackResponseEvent(): SIP PRACK failed:" + jainSipResponse.getStatusCode() + "  " + jainSipResponse.getStatusLine().toString());
+    }
+};
+
+/**
+ * Handle SIP response event for inviting call
+ * @private 
+ * @param {ResponseEvent} responseEvent 
+ */
+PrivateJainSipCallConnector.prototype.processInvitingSipResponseEvent = function(responseEvent) {
+    console.debug("PrivateJainSipCallConnector:processInvitingSipResponseEvent(): this.sipCallState=" + this.sipCallState);
+    var jainSipResponse = responseEvent.getResponse();
+    var statusCode = parseInt(jainSipResponse.getStatusCode());
+    var sipRedirectUri = undefined;
+    if (statusCode >= 300 && statusCode < 400 && (this.sipCallState === this.SIP_INVITING_STATE || this.sipCallState === this.SIP_INVITING_407_STATE))
+    {
+        // Call forwarded, follow the redirect targets
+        sipRedirectUri = this.getSipRedirectTarget(jainSipResponse);
+    }
+    if (this.referringCallConnector && statusCode !== 100 && statusCode !== 401 && statusCode !== 407 && statusCode !== 422 && sipRedirectUri === undefined
+            && (this.sipCallState === this.SIP_INVITING_STATE || this.sipCallState === this.SIP_INVITING_407_STATE))
+    {
+        // Report the referred call progress to the transferor
+        this.notifyReferringCallConnector(statusCode, jainSipResponse.getStatusLine().getReasonPhrase());
+    }
+    if (this.sipCallState === this.SIP_INVITING_STATE)
+    {
+        if (statusCode < 200)
+        {
+            this.processInvitingSipProvisionalResponseEvent(responseEvent);
             if (statusCode === 180)
             {
                 // Notify the ringing back event
@@ -553,19 +2435,31 @@ PrivateJainSipCallConnector.prototype.processInvitingSipResponseEvent = function
                 // Notify asynchronously the in progress event
                 this.webRTCommCall.onPrivateCallConnectorCallInProgressEvent();
             }
-            console.debug("PrivateJainSipCallConnector:processInvitingSipResponseEvent(): 1XX response ignored");
         }
-        else if (statusCode === 407)
+        else if ((statusCode === 401 || statusCode === 407) && this.clientConnector.processSipDigestChallenge(jainSipResponse, this.jainSipInvitingRequest))
         {
             // Send Authenticated SIP INVITE
-            var jainSipAuthorizationHeader = this.clientConnector.jainSipHeaderFactory.createAuthorizationHeader(jainSipResponse, this.jainSipInvitingRequest, this.clientConnector.configuration.sipPassword, this.clientConnector.configuration.sipLogin);
-            this.sendAuthenticatedSipInviteRequest(jainSipAuthorizationHeader);
+            this.sendAuthenticatedSipInviteRequest();
             // Update SIP call state            
             this.sipCallState = this.SIP_INVITING_407_STATE;
         }
+        else if (statusCode === 422 && this.updateSipSessionInterval(jainSipResponse))
+        {
+            // Session interval too small (RFC 4028), send SIP INVITE again with the Min-SE of the 422 response
+            this.addSipSessionTimerHeaders(this.jainSipInvitingRequest);
+            this.sendAuthenticatedSipInviteRequest();
+        }
+        else if (sipRedirectUri !== undefined)
+        {
+            // Send SIP INVITE to the redirect target
+            this.sendRedirectedSipInviteRequest(sipRedirectUri);
+            this.sipCallState = this.SIP_INVITING_STATE;
+        }
         else if (statusCode === 200)
         {
             this.jainSipInvitingDialog = responseEvent.getOriginalTransaction().getDialog();
+            this.sipRemoteTrickleIceFlag = this.hasSipOptionTag(jainSipResponse, "Supported", "trickle-ice");
+            this.sipRemoteUpdateFlag = this.hasSipOptionTag(jainSipResponse, "Allow", "update");
             try
             {
                 // Send SIP 200 OK ACK
@@ -575,6 +2469,7 @@ PrivateJainSipCallConnector.prototype.processInvitingSipResponseEvent = function
                 this.jainSipInvitingDialog.sendAck(jainSipMessageACK);
                 // Update SIP call state    
                 this.sipCallState = this.SIP_INVITING_ACCEPTED_STATE;
+                this.processSipSessionTimerResponse(jainSipResponse);
             }
             catch (exception)
             {
@@ -583,7 +2478,8 @@ PrivateJainSipCallConnector.prototype.processInvitingSipResponseEvent = function
 
             try
             {
-                var sdpAnswerString = jainSipResponse.getContent();
+                // SDP answer already received in a reliable provisional response (RFC 3262) if not in the 200 OK
+                var sdpAnswerString = jainSipResponse.getContent() || this.sdpEarlyMediaAnswer;
                 this.webRTCommCall.onPrivateCallConnectorRemoteSdpAnswerEvent(sdpAnswerString);
             }
             catch (exception)
@@ -618,11 +2514,30 @@ PrivateJainSipCallConnector.prototype.processInvitingSipResponseEvent = function
     {
         if (statusCode < 200)
         {
-            console.debug("PrivateJainSipCallConnector:processInvitingSipResponseEvent(): 1XX response ignored");
+            this.processInvitingSipProvisionalResponseEvent(responseEvent);
+        }
+        else if ((statusCode === 401 || statusCode === 407) && this.clientConnector.processSipDigestChallenge(jainSipResponse, this.jainSipInvitingRequest))
+        {
+            // New challenge (stale nonce or other realm), send Authenticated SIP INVITE again
+            this.sendAuthenticatedSipInviteRequest();
+        }
+        else if (statusCode === 422 && this.updateSipSessionInterval(jainSipResponse))
+        {
+            // Session interval too small (RFC 4028), send SIP INVITE again with the Min-SE of the 422 response
+            this.addSipSessionTimerHeaders(this.jainSipInvitingRequest);
+            this.sendAuthenticatedSipInviteRequest();
+        }
+        else if (sipRedirectUri !== undefined)
+        {
+            // Send SIP INVITE to the redirect target
+            this.sendRedirectedSipInviteRequest(sipRedirectUri);
+            this.sipCallState = this.SIP_INVITING_STATE;
         }
         else if (statusCode === 200)
         {
             this.jainSipInvitingDialog = responseEvent.getOriginalTransaction().getDialog();
+            this.sipRemoteTrickleIceFlag = this.hasSipOptionTag(jainSipResponse, "Supported", "trickle-ice");
+            this.sipRemoteUpdateFlag = this.hasSipOptionTag(jainSipResponse, "Allow", "update");
 
             try
             {
@@ -633,6 +2548,7 @@ PrivateJainSipCallConnector.prototype.processInvitingSipResponseEvent = function
                 this.jainSipInvitingDialog.sendAck(jainSipMessageACK);
                 // Update SIP call state
                 this.sipCallState = this.SIP_INVITING_ACCEPTED_STATE;
+                this.processSipSessionTimerResponse(jainSipResponse);
             }
             catch (exception)
             {
@@ -642,7 +2558,8 @@ PrivateJainSipCallConnector.prototype.processInvitingSipResponseEvent = function
 
             try
             {
-                var sdpAnswerString = jainSipResponse.getContent();
+                // SDP answer already received in a reliable provisional response (RFC 3262) if not in the 200 OK
+                var sdpAnswerString = jainSipResponse.getContent() || this.sdpEarlyMediaAnswer;
                 this.webRTCommCall.onPrivateCallConnectorRemoteSdpAnswerEvent(sdpAnswerString);
             }
             catch (exception)
@@ -676,24 +2593,26 @@ PrivateJainSipCallConnector.prototype.processInvitingSipResponseEvent = function
     {
         console.error("PrivateJainSipCallConnector:processInvitingSipResponseEvent(): bad state, SIP response ignored");
     }
-    else if (this.sipCallState === this.SIP_INVITING_LOCAL_HANGINGUP_STATE)
+    else if (this.sipCallState === this.SIP_INVITING_LOCAL_HANGINGUP_STATE || this.sipCallState === this.SIP_INVITING_LOCAL_HANGINGUP_407_STATE)
     {
-        if (statusCode === 407)
+        if ((statusCode === 401 || statusCode === 407) && this.clientConnector.processSipDigestChallenge(jainSipResponse, responseEvent.getOriginalTransaction().getOriginalRequest()))
         {
             try
             {
                 // Send Authenticated BYE request
                 var jainSipByeRequest = this.jainSipInvitingDialog.createRequest("BYE");
+                jainSipByeRequest.removeHeader("Contact");
+                jainSipByeRequest.removeHeader("User-Agent");
+                jainSipByeRequest.addHeader(this.clientConnector.jainSipContactHeader);
+                this.clientConnector.authenticateSipRequest(jainSipByeRequest);
                 var clientTransaction = this.clientConnector.jainSipProvider.getNewClientTransaction(jainSipByeRequest);
-                var jainSipAuthorizationHeader = this.clientConnector.jainSipHeaderFactory.createAuthorizationHeader(jainSipResponse, jainSipByeRequest, this.clientConnector.configuration.sipPassword, this.clientConnector.configuration.sipLogin);
-                this.clientConnector.jainSipMessageFactory.addHeader(jainSipByeRequest, jainSipAuthorizationHeader);
                 this.jainSipInvitingDialog.sendRequest(clientTransaction);
                 // Update SIP call state
-                this.sipCallState = this.SIP_INVITING_HANGINGUP_407_STATE;
+                this.sipCallState = this.SIP_INVITING_LOCAL_HANGINGUP_407_STATE;
             }
             catch (exception)
             {
-                console.error("PrivateJainSipCallConnector:processInvitingSipRequestEvent(): catched exception, exception:" + exception);
+                console.error("PrivateJainSipCallConnector:processInvitingSipResponseEvent(): catched exception, exception:" + exception);
                 this.close();
             }
         }
@@ -703,17 +2622,41 @@ PrivateJainSipCallConnector.prototype.processInvitingSipResponseEvent = function
             this.close();
         }
     }
-    else if (this.sipCallState === this.SIP_INVITING_LOCAL_HANGINGUP_407_STATE)
-    {
-        // Force close
-        this.close();
-    }
     else
     {
         console.error("PrivateJainSipCallConnector:processInvitingSipResponseEvent(): bad state, SIP response ignored");
     }
 };
 
+/**
+ * Handle SIP PRACK request event, the reliable provisional response (RFC 3262) is acknowledged: 
+ * send the pending reliable provisional response if any
+ * @private 
+ * @param {RequestEvent} requestEvent request event
+ */
+PrivateJainSipCallConnector.prototype.processSipPrackRequestEvent = function(requestEvent) {
+    console.debug("PrivateJainSipCallConnector:processSipPrackRequestEvent()");
+    var jainSipRequest = requestEvent.getRequest();
+    try
+    {
+        // Send 200 OK PRACK
+        var jainSip200OKResponse = jainSipRequest.createResponse(200, "OK");
+        jainSip200OKResponse.addHeader(this.clientConnector.jainSipContactHeader);
+        requestEvent.getServerTransaction().sendResponse(jainSip200OKResponse);
+
+        if (this.jainSipInvitedPendingReliableResponse)
+        {
+            var jainSipReliableResponse = this.jainSipInvitedPendingReliableResponse;
+            this.jainSipInvitedPendingReliableResponse = undefined;
+            this.jainSipInvitedDialog.sendReliableProvisionalResponse(jainSipReliableResponse);
+        }
+    }
+    catch (exception)
+    {
+        console.error("PrivateJainSipCallConnector:processSipPrackRequestEvent(): catched exception, exception:" + exception);
+    }
+};
+
 /**
  * Handle SIP request event for invited call
  * @private 
@@ -726,7 +2669,13 @@ PrivateJainSipCallConnector.prototype.processInvitedSipRequestEvent = function(r
     var headerFrom = jainSipRequest.getHeader("From");
     if (this.sipCallState === this.SIP_INVITED_INITIAL_STATE)
     {
-        if (requestMethod === "INVITE")
+        if (requestMethod === "INVITE" && !this.checkSipSessionInterval(requestEvent))
+        {
+            // Session interval too small, the caller sends a new SIP INVITE with a larger one
+            this.resetSipContext();
+            this.clientConnector.removeSessionConnector(this.sipCallId);
+        }
+        else if (requestMethod === "INVITE")
         {
             try
             {
@@ -734,11 +2683,23 @@ PrivateJainSipCallConnector.prototype.processInvitedSipRequestEvent = function(r
                 this.jainSipInvitedRequest = jainSipRequest;
                 this.jainSipInvitedTransaction = requestEvent.getServerTransaction();
                 this.jainSipInvitedDialog = requestEvent.getServerTransaction().getDialog();
+                this.sipRemoteTrickleIceFlag = this.hasSipOptionTag(jainSipRequest, "Supported", "trickle-ice");
+                this.sipRemoteUpdateFlag = this.hasSipOptionTag(jainSipRequest, "Allow", "update");
 
-                // Ringing
-                var jainSip180ORingingResponse = jainSipRequest.createResponse(180, "Ringing");
-                jainSip180ORingingResponse.addHeader(this.clientConnector.jainSipContactHeader);
-                requestEvent.getServerTransaction().sendResponse(jainSip180ORingingResponse);
+                // Ringing, sent reliably if required by the caller (RFC 3262)
+                var jainSip180ORingingResponse = undefined;
+                if (this.hasSipOptionTag(jainSipRequest, "Require", "100rel"))
+                {
+                    jainSip180ORingingResponse = this.jainSipInvitedDialog.createReliableProvisionalResponse(180);
+                    jainSip180ORingingResponse.addHeader(this.clientConnector.jainSipContactHeader);
+                    this.jainSipInvitedDialog.sendReliableProvisionalResponse(jainSip180ORingingResponse);
+                }
+                else
+                {
+                    jainSip180ORingingResponse = jainSipRequest.createResponse(180, "Ringing");
+                    jainSip180ORingingResponse.addHeader(this.clientConnector.jainSipContactHeader);
+                    requestEvent.getServerTransaction().sendResponse(jainSip180ORingingResponse);
+                }
             }
             catch (exception)
             {
@@ -748,11 +2709,22 @@ PrivateJainSipCallConnector.prototype.processInvitedSipRequestEvent = function(r
             //  Notify remote SDP offer to WebRTCommCall
             this.webRTCommCall.onPrivateCallConnectorRemoteSdpOfferEvent(this.jainSipInvitedRequest.getContent());
 
+            // Forwarded call (History-Info, Diversion)
+            this.webRTCommCall.forwardingHistory = this.getSipForwardingHistory(jainSipRequest);
+
+            // Caller identity asserted by the network (P-Asserted-Identity, Remote-Party-ID) and privacy
+            this.webRTCommCall.callerAssertedIdentity = this.getSipAssertedIdentity(jainSipRequest);
+            this.webRTCommCall.callerPrivacy = this.getSipPrivacy(jainSipRequest);
+
             // Notify incoming communication
             var callerPhoneNumber = headerFrom.getAddress().getURI().getUser();
             var callerDisplayName = headerFrom.getAddress().getDisplayName();
             this.webRTCommCall.onPrivateCallConnectorCallRingingEvent(callerPhoneNumber, callerDisplayName);
         }
+        else if (requestMethod === "PRACK")
+        {
+            this.processSipPrackRequestEvent(requestEvent);
+        }
         else if (requestMethod === "CANCEL")
         {
             try
@@ -813,6 +2785,27 @@ PrivateJainSipCallConnector.prototype.processInvitedSipRequestEvent = function(r
         else if (requestMethod === "ACK")
         {
             this.jainSipInvitedDialog = requestEvent.getServerTransaction().getDialog();
+            this.processSipReInviteAckRequestEvent(requestEvent);
+        }
+        else if (requestMethod === "INVITE" || requestMethod === "UPDATE")
+        {
+            this.processSipReInviteRequestEvent(requestEvent);
+        }
+        else if (requestMethod === "CANCEL")
+        {
+            this.processSipReInviteCancelRequestEvent(requestEvent);
+        }
+        else if (requestMethod === "REFER")
+        {
+            this.processSipReferRequestEvent(requestEvent);
+        }
+        else if (requestMethod === "NOTIFY")
+        {
+            this.processSipReferNotifyRequestEvent(requestEvent);
+        }
+        else if (requestMethod === "INFO")
+        {
+            this.processSipInfoRequestEvent(requestEvent);
         }
         else
         {
@@ -846,22 +2839,23 @@ PrivateJainSipCallConnector.prototype.processInvitedSipResponseEvent = function(
     {
         console.error("PrivateJainSipCallConnector:processInvitedSipResponseEvent(): bad state, SIP response ignored");
     }
-    else if (this.sipCallState === this.SIP_INVITED_LOCAL_HANGINGUP_STATE)
+    else if (this.sipCallState === this.SIP_INVITED_LOCAL_HANGINGUP_STATE || this.sipCallState === this.SIP_INVITED_LOCAL_HANGINGUP_407_STATE)
     {
-        if (statusCode === 407)
+        if ((statusCode === 401 || statusCode === 407) && this.clientConnector.processSipDigestChallenge(jainSipResponse, responseEvent.getOriginalTransaction().getOriginalRequest()))
         {
             try
             {
                 // Send Authenticated BYE request
                 var jainSipByeRequest = this.jainSipInvitedDialog.createRequest("BYE");
-                var clientTransaction = this.jainSipProvider.getNewClientTransaction(jainSipByeRequest);
-                var jainSipAuthorizationHeader = this.jainSipHeaderFactory.createAuthorizationHeader(jainSipResponse, jainSipByeRequest, this.configuration.sipPassword, this.configuration.sipLogin);
-                this.jainSipMessageFactory.addHeader(jainSipByeRequest, jainSipAuthorizationHeader);
+                jainSipByeRequest.removeHeader("Contact");
+                jainSipByeRequest.removeHeader("User-Agent");
                 jainSipByeRequest.addHeader(this.clientConnector.jainSipContactHeader);
+                this.clientConnector.authenticateSipRequest(jainSipByeRequest);
+                var clientTransaction = this.clientConnector.jainSipProvider.getNewClientTransaction(jainSipByeRequest);
                 this.jainSipInvitedDialog.sendRequest(clientTransaction);
 
                 // Update SIP call state
-                this.sipCallState = this.SIP_INVITED_HANGINGUP_407_STATE;
+                this.sipCallState = this.SIP_INVITED_LOCAL_HANGINGUP_407_STATE;
             }
             catch (exception)
             {
@@ -874,11 +2868,6 @@ PrivateJainSipCallConnector.prototype.processInvitedSipResponseEvent = function(
             this.close();
         }
     }
-    else if (this.sipCallState === this.SIP_INVITED_LOCAL_HANGINGUP_407_STATE)
-    {
-        // Force close
-        this.close();
-    }
     else
     {
         console.error("PrivateJainSipCallConnector:processInvitedSipResponseEvent(): bad state, SIP request ignored");
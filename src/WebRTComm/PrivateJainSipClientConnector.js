@@ -22,7 +22,7 @@ PrivateJainSipClientConnector = function(webRTCommClient)
 };
 
 // Private webRtc class variable
-PrivateJainSipClientConnector.prototype.SIP_ALLOW_HEADER = "Allow: INVITE,ACK,CANCEL,BYE,OPTIONS,MESSAGE";
+PrivateJainSipClientConnector.prototype.SIP_ALLOW_HEADER = "Allow: INVITE,ACK,CANCEL,BYE,OPTIONS,MESSAGE,UPDATE,REFER,NOTIFY";
 
 //  State of SIP REGISTER state machine
 PrivateJainSipClientConnector.prototype.SIP_UNREGISTERED_STATE = "SIP_UNREGISTERED_STATE";
@@ -33,6 +33,17 @@ PrivateJainSipClientConnector.prototype.SIP_REGISTERED_STATE = "SIP_REGISTERED_S
 PrivateJainSipClientConnector.prototype.SIP_UNREGISTERING_401_STATE = "SIP_UNREGISTERING_401_STATE";
 PrivateJainSipClientConnector.prototype.SIP_UNREGISTERING_STATE = "SIP_UNREGISTERING_STATE";
 PrivateJainSipClientConnector.prototype.SIP_SESSION_EXPIRATION_TIMER = 3600;
+PrivateJainSipClientConnector.prototype.SIP_DIGEST_MAX_RETRY = 2;
+
+// Default WebSocket reconnection policy (delays in milliseconds)
+PrivateJainSipClientConnector.prototype.SIP_RECONNECT_MAX_ATTEMPTS = 10;
+PrivateJainSipClientConnector.prototype.SIP_RECONNECT_MIN_DELAY = 1000;
+PrivateJainSipClientConnector.prototype.SIP_RECONNECT_MAX_DELAY = 30000;
+
+// SIP Outbound (RFC 5626): registration flow id, default keep-alive Flow-Timer (seconds) and instance id storage key
+PrivateJainSipClientConnector.prototype.SIP_OUTBOUND_REG_ID = 1;
+PrivateJainSipClientConnector.prototype.SIP_OUTBOUND_DEFAULT_FLOW_TIMER = 120;
+PrivateJainSipClientConnector.prototype.SIP_OUTBOUND_INSTANCE_ID_KEY = "WebRTCommSipInstanceId";
 
 /**
  * Get SIP client/user agent opened/closed status 
@@ -43,6 +54,27 @@ PrivateJainSipClientConnector.prototype.isOpened = function() {
     return this.openedFlag;
 };
 
+/**
+ * Get SIP connectivity recovery status 
+ * @public
+ * @returns {boolean} true if the lost SIP connectivity (WebSocket) is being recovered, false otherwise
+ */
+PrivateJainSipClientConnector.prototype.isReconnecting = function() {
+    return this.sipReconnectingFlag === true;
+};
+
+/**
+ * Get the outbound proxy (WebSocket URL) currently used
+ * @public
+ * @returns {string} outbound proxy WebSocket URL, undefined if closed
+ */
+PrivateJainSipClientConnector.prototype.getSipOutboundProxy = function() {
+    if (this.sipOutboundProxies)
+        return this.sipOutboundProxies[this.sipOutboundProxyIndex];
+    else
+        return undefined;
+};
+
 
 /**
  * Open SIP client/user agent, asynchronous action, opened or error event is notified to WebRtcClientComm
@@ -59,8 +91,15 @@ PrivateJainSipClientConnector.prototype.isOpened = function() {
  * <span style="margin-left: 30px">sipLogin:"alice@sip.net,<br></span>
  * <span style="margin-left: 30px">sipPassword:"1234567890",<br></span>
  * <span style="margin-left: 30px">sipRegisterMode:true,<br></span>
+ * <span style="margin-left: 30px">sipReconnectMaxAttempts:10,<br></span>
+ * <span style="margin-left: 30px">sipReconnectMinDelay:1000,<br></span>
+ * <span style="margin-left: 30px">sipReconnectMaxDelay:30000,<br></span>
+ * <span style="margin-left: 30px">sipOutboundMode:false,<br></span>
+ * <span style="margin-left: 30px">sipMessageWaitingMode:false,<br></span>
  * }<br>
  *  </p>
+ * <p> sipOutboundProxy can also be a list of WebSocket URLs tried in turn, ordered: ["wss://edge1.sip.net","wss://edge2.sip.net"] 
+ * or weighted: [{url:"wss://edge1.sip.net",weight:3},{url:"wss://edge2.sip.net",weight:1}]</p>
  * @throw {String} Exception "bad argument"
  * @throw {String} Exception "bad configuration, missing parameter"
  * @throw {String} Exception "bad state, unauthorized action"
@@ -81,33 +120,29 @@ PrivateJainSipClientConnector.prototype.open = function(configuration) {
                     // Create JAIN SIP main objects
                     this.jainSipFactory = new SipFactory();
                     this.jainSipStack = this.jainSipFactory.createSipStack(this.configuration.sipUserAgent);
-                    this.jainSipListeningPoint = this.jainSipStack.createListeningPoint(this.configuration.sipOutboundProxy);
+                    this.sipOutboundProxies = this.sortSipOutboundProxies(this.configuration.sipOutboundProxy);
+                    this.sipOutboundProxyIndex = 0;
+                    this.sipOutboundProxyFailures = 0;
+                    this.jainSipListeningPoint = this.jainSipStack.createListeningPoint(this.getSipOutboundProxy());
+                    // Messages sent by the SIP stack timers while the WebSocket is reconnected are dropped
+                    this.jainSipListeningPoint.getMessageProcessor().getMessageChannel().setReconnectMode(this.configuration.sipReconnectMaxAttempts > 0);
                     this.jainSipProvider = this.jainSipStack.createSipProvider(this.jainSipListeningPoint);
                     this.jainSipProvider.addSipListener(this);
                     this.jainSipHeaderFactory = this.jainSipFactory.createHeaderFactory();
                     this.jainSipAddressFactory = this.jainSipFactory.createAddressFactory();
                     this.jainSipMessageFactory = this.jainSipFactory.createMessageFactory();
-                    this.jainSipContactHeader = this.jainSipListeningPoint.createContactHeader(this.configuration.sipUserName);
-                    if (this.configuration.sipUserAgentCapabilities)
+                    this.jainSipContactHeader = this.createJainSipContactHeader();
+                    if (this.configuration.sipOutboundMode === true)
                     {
-                        this.jainSipContactHeader.setParameter(this.configuration.sipUserAgentCapabilities, null);
+                        // RFC 5626: instance id and flow id in the REGISTER Contact, "ob" in the dialog Contact
+                        this.jainSipRegisterContactHeader = this.createJainSipContactHeader();
+                        this.jainSipRegisterContactHeader.setParameter("+sip.instance", "\"<urn:uuid:" + this.getSipInstanceId() + ">\"");
+                        this.jainSipRegisterContactHeader.setParameter("reg-id", this.SIP_OUTBOUND_REG_ID);
+                        this.jainSipContactHeader.getAddress().getURI().setParameter("ob", null);
                     }
-                    if (this.configuration.sipUriContactParameters)
+                    else
                     {
-                        try
-                        {
-                            var sipUri = this.jainSipContactHeader.getAddress().getURI();
-                            var parameters = this.configuration.sipUriContactParameters.split(";");
-                            for (var i = 0; i < parameters.length; i++)
-                            {
-                                var nameValue = parameters[i].split("=");
-                                sipUri.uriParms.set_nv(new NameValue(nameValue[0], nameValue[1]));
-                            }
-                        }
-                        catch (exception)
-                        {
-                            console.error("PrivateJainSipClientConnector:open(): catched exception:" + exception);
-                        }
+                        this.jainSipRegisterContactHeader = this.jainSipContactHeader;
                     }
 
                     this.jainSipMessageFactory.setDefaultUserAgentHeader(this.jainSipHeaderFactory.createUserAgentHeader(this.jainSipStack.getUserAgent()));
@@ -138,6 +173,93 @@ PrivateJainSipClientConnector.prototype.open = function(configuration) {
     }
 };
 
+/**
+ * Create a SIP Contact header with the configured user agent capabilities and SIP URI parameters
+ * @private
+ * @returns {Contact} JAIN SIP Contact header
+ */
+PrivateJainSipClientConnector.prototype.createJainSipContactHeader = function() {
+    console.debug("PrivateJainSipClientConnector:createJainSipContactHeader()");
+    var jainSipContactHeader = this.jainSipListeningPoint.createContactHeader(this.configuration.sipUserName);
+    if (this.configuration.sipUserAgentCapabilities)
+    {
+        jainSipContactHeader.setParameter(this.configuration.sipUserAgentCapabilities, null);
+    }
+    if (this.configuration.sipUriContactParameters)
+    {
+        try
+        {
+            var sipUri = jainSipContactHeader.getAddress().getURI();
+            var parameters = this.configuration.sipUriContactParameters.split(";");
+            for (var i = 0; i < parameters.length; i++)
+            {
+                var nameValue = parameters[i].split("=");
+                sipUri.uriParms.set_nv(new NameValue(nameValue[0], nameValue[1]));
+            }
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipClientConnector:createJainSipContactHeader(): catched exception:" + exception);
+        }
+    }
+    return jainSipContactHeader;
+};
+
+/**
+ * Get the persistent SIP instance id (RFC 5626), a new UUID is generated and stored in the browser local storage if not found
+ * @private
+ * @returns {string} SIP instance UUID
+ */
+PrivateJainSipClientConnector.prototype.getSipInstanceId = function() {
+    console.debug("PrivateJainSipClientConnector:getSipInstanceId()");
+    var sipInstanceId = undefined;
+    try
+    {
+        sipInstanceId = window.localStorage.getItem(this.SIP_OUTBOUND_INSTANCE_ID_KEY);
+    }
+    catch (exception)
+    {
+        console.warn("PrivateJainSipClientConnector:getSipInstanceId(): local storage not available:" + exception);
+    }
+
+    if (!sipInstanceId)
+    {
+        // Random UUID (RFC 4122 version 4)
+        var bytes = new Array(16);
+        if (window.crypto && window.crypto.getRandomValues)
+        {
+            var randomValues = new Uint8Array(16);
+            window.crypto.getRandomValues(randomValues);
+            for (var i = 0; i < 16; i++)
+                bytes[i] = randomValues[i];
+        }
+        else
+        {
+            for (var i = 0; i < 16; i++)
+                bytes[i] = Math.floor(Math.random() * 256);
+        }
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        sipInstanceId = "";
+        for (var i = 0; i < 16; i++)
+        {
+            sipInstanceId += (bytes[i] < 16 ? "0" : "") + bytes[i].toString(16);
+            if (i === 3 || i === 5 || i === 7 || i === 9)
+                sipInstanceId += "-";
+        }
+
+        try
+        {
+            window.localStorage.setItem(this.SIP_OUTBOUND_INSTANCE_ID_KEY, sipInstanceId);
+        }
+        catch (exception)
+        {
+            console.warn("PrivateJainSipClientConnector:getSipInstanceId(): local storage not available:" + exception);
+        }
+    }
+    return sipInstanceId;
+};
+
 /**
  * Close SIP client/User Agent, asynchronous action,closed event is notified to WebRtcClientComm
  * Open SIP Call/communication are closed
@@ -149,7 +271,28 @@ PrivateJainSipClientConnector.prototype.close = function() {
     console.debug("PrivateJainSipClientConnector:close()");
     try
     {
-        if (this.openedFlag === true)
+        if (this.openedFlag === true && this.sipReconnectingFlag === true)
+        {
+            // SIP connectivity lost, stop the reconnection without SIP unregistration
+            for (var sipSessionId in this.sessionConnectors) {
+
+                var sessionConnector = this.sessionConnectors[sipSessionId];
+                if (sessionConnector instanceof PrivateJainSipCallConnector)
+                {
+                    if (sessionConnector.isOpened())
+                    {
+                        sessionConnector.close();
+                    }
+                }
+                else if (sessionConnector instanceof PrivateJainSipEventConnector)
+                {
+                    sessionConnector.close();
+                }
+            }
+            this.reset();
+            this.webRTCommClient.onPrivateClientConnectorClosedEvent();
+        }
+        else if (this.openedFlag === true)
         {
             //Force close of open SIP communication
             for (var sipSessionId in this.sessionConnectors) {
@@ -162,6 +305,10 @@ PrivateJainSipClientConnector.prototype.close = function() {
                         sessionConnector.close();
                     }
                 }
+                else if (sessionConnector instanceof PrivateJainSipEventConnector)
+                {
+                    sessionConnector.close();
+                }
             }
             if (this.configuration.sipRegisterMode === true)
             {
@@ -247,6 +394,242 @@ PrivateJainSipClientConnector.prototype.createPrivateSessionConnector = function
 };
 
 
+/**
+ * Find the event connector of a publication or of a subscription
+ * @private
+ * @param {string} sipEventMethod "PUBLISH" or "SUBSCRIBE"
+ * @param {string} sipEventPackage event package (e.g. "presence")
+ * @param {string} sipEventUri presentity, ignored for the publication
+ * @returns {PrivateJainSipEventConnector} event connector, undefined if not found
+ */
+PrivateJainSipClientConnector.prototype.findEventConnector = function(sipEventMethod, sipEventPackage, sipEventUri) {
+    console.debug("PrivateJainSipClientConnector:findEventConnector(): sipEventMethod=" + sipEventMethod + ", sipEventPackage=" + sipEventPackage + ", sipEventUri=" + sipEventUri);
+    for (var sipSessionId in this.sessionConnectors)
+    {
+        var sessionConnector = this.sessionConnectors[sipSessionId];
+        if (sessionConnector instanceof PrivateJainSipEventConnector && sessionConnector.sipEventMethod === sipEventMethod && sessionConnector.getEventPackage() === sipEventPackage)
+        {
+            if (sipEventMethod === "PUBLISH" || sessionConnector.getEventUri() === sipEventUri)
+            {
+                return sessionConnector;
+            }
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Get the WebRTCommCall objects of the calls being established or established (lines)
+ * @public
+ * @returns {Array} WebRTCommCall objects
+ */
+PrivateJainSipClientConnector.prototype.getWebRTCommCalls = function() {
+    var webRTCommCalls = [];
+    for (var sipSessionId in this.sessionConnectors)
+    {
+        var sessionConnector = this.sessionConnectors[sipSessionId];
+        if (sessionConnector instanceof PrivateJainSipCallConnector && sessionConnector.isLine())
+        {
+            webRTCommCalls.push(sessionConnector.webRTCommCall);
+        }
+    }
+    return webRTCommCalls;
+};
+
+/**
+ * Publish the user presence (SIP PUBLISH), the publication is refreshed until closed
+ * @public
+ * @param {string} status "open" or "closed"
+ * @param {string} note free text note, optional
+ * @throw {String} Exception "bad state, unauthorized action"
+ * @throw {String} Exception [internal error]
+ */
+PrivateJainSipClientConnector.prototype.publishPresence = function(status, note) {
+    console.debug("PrivateJainSipClientConnector:publishPresence(): status=" + status);
+    try
+    {
+        if (this.openedFlag === true)
+        {
+            var presenceConnector = this.findEventConnector("PUBLISH", PrivateJainSipEventConnector.prototype.SIP_PRESENCE_EVENT);
+            if (presenceConnector === undefined || presenceConnector.sipEventState === presenceConnector.SIP_UNPUBLISHING_STATE)
+            {
+                presenceConnector = new PrivateJainSipEventConnector(this, "PUBLISH", PrivateJainSipEventConnector.prototype.SIP_PRESENCE_EVENT, this.configuration.sipUserName + "@" + this.configuration.sipDomain);
+                this.sessionConnectors[presenceConnector.sipCallId] = presenceConnector;
+            }
+            presenceConnector.publish(status, note);
+        }
+        else
+        {
+            console.error("PrivateJainSipClientConnector:publishPresence(): bad state, unauthorized action");
+            throw "PrivateJainSipClientConnector:publishPresence(): bad state, unauthorized action";
+        }
+    }
+    catch (exception) {
+        console.error("PrivateJainSipClientConnector:publishPresence(): catched exception:" + exception);
+        throw exception;
+    }
+};
+
+/**
+ * Subscribe to the presence of a presentity (SIP SUBSCRIBE), the subscription is refreshed until closed
+ * @public
+ * @param {string} presenceUri presentity (e.g. bob@sip.net)
+ * @throw {String} Exception "bad state, unauthorized action"
+ * @throw {String} Exception [internal error]
+ */
+PrivateJainSipClientConnector.prototype.subscribeToPresence = function(presenceUri) {
+    console.debug("PrivateJainSipClientConnector:subscribeToPresence(): presenceUri=" + presenceUri);
+    try
+    {
+        if (this.openedFlag === true)
+        {
+            var presenceConnector = this.findEventConnector("SUBSCRIBE", PrivateJainSipEventConnector.prototype.SIP_PRESENCE_EVENT, presenceUri);
+            if (presenceConnector === undefined || presenceConnector.sipEventState === presenceConnector.SIP_UNSUBSCRIBING_STATE)
+            {
+                presenceConnector = new PrivateJainSipEventConnector(this, "SUBSCRIBE", PrivateJainSipEventConnector.prototype.SIP_PRESENCE_EVENT, presenceUri);
+                this.sessionConnectors[presenceConnector.sipCallId] = presenceConnector;
+                presenceConnector.subscribe();
+            }
+            else
+            {
+                console.debug("PrivateJainSipClientConnector:subscribeToPresence(): already subscribed");
+            }
+        }
+        else
+        {
+            console.error("PrivateJainSipClientConnector:subscribeToPresence(): bad state, unauthorized action");
+            throw "PrivateJainSipClientConnector:subscribeToPresence(): bad state, unauthorized action";
+        }
+    }
+    catch (exception) {
+        console.error("PrivateJainSipClientConnector:subscribeToPresence(): catched exception:" + exception);
+        throw exception;
+    }
+};
+
+/**
+ * Terminate the subscription to the presence of a presentity
+ * @public
+ * @param {string} presenceUri presentity (e.g. bob@sip.net)
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+PrivateJainSipClientConnector.prototype.unsubscribeFromPresence = function(presenceUri) {
+    console.debug("PrivateJainSipClientConnector:unsubscribeFromPresence(): presenceUri=" + presenceUri);
+    if (this.openedFlag === true)
+    {
+        var presenceConnector = this.findEventConnector("SUBSCRIBE", PrivateJainSipEventConnector.prototype.SIP_PRESENCE_EVENT, presenceUri);
+        if (presenceConnector !== undefined)
+        {
+            presenceConnector.terminate();
+        }
+    }
+    else
+    {
+        console.error("PrivateJainSipClientConnector:unsubscribeFromPresence(): bad state, unauthorized action");
+        throw "PrivateJainSipClientConnector:unsubscribeFromPresence(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Monitor the dialogs of a SIP user (SIP SUBSCRIBE to the RFC 4235 dialog event package), the subscription is refreshed until closed
+ * @public
+ * @param {string} dialogUri monitored user (e.g. bob@sip.net)
+ * @throw {String} Exception "bad state, unauthorized action"
+ * @throw {String} Exception [internal error]
+ */
+PrivateJainSipClientConnector.prototype.monitorDialogs = function(dialogUri) {
+    console.debug("PrivateJainSipClientConnector:monitorDialogs(): dialogUri=" + dialogUri);
+    try
+    {
+        if (this.openedFlag === true)
+        {
+            var dialogConnector = this.findEventConnector("SUBSCRIBE", PrivateJainSipEventConnector.prototype.SIP_DIALOG_EVENT, dialogUri);
+            if (dialogConnector === undefined || dialogConnector.sipEventState === dialogConnector.SIP_UNSUBSCRIBING_STATE)
+            {
+                dialogConnector = new PrivateJainSipEventConnector(this, "SUBSCRIBE", PrivateJainSipEventConnector.prototype.SIP_DIALOG_EVENT, dialogUri);
+                this.sessionConnectors[dialogConnector.sipCallId] = dialogConnector;
+                dialogConnector.subscribe();
+            }
+            else
+            {
+                console.debug("PrivateJainSipClientConnector:monitorDialogs(): already monitored");
+            }
+        }
+        else
+        {
+            console.error("PrivateJainSipClientConnector:monitorDialogs(): bad state, unauthorized action");
+            throw "PrivateJainSipClientConnector:monitorDialogs(): bad state, unauthorized action";
+        }
+    }
+    catch (exception) {
+        console.error("PrivateJainSipClientConnector:monitorDialogs(): catched exception:" + exception);
+        throw exception;
+    }
+};
+
+/**
+ * Stop monitoring the dialogs of a SIP user
+ * @public
+ * @param {string} dialogUri monitored user (e.g. bob@sip.net)
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+PrivateJainSipClientConnector.prototype.unmonitorDialogs = function(dialogUri) {
+    console.debug("PrivateJainSipClientConnector:unmonitorDialogs(): dialogUri=" + dialogUri);
+    if (this.openedFlag === true)
+    {
+        var dialogConnector = this.findEventConnector("SUBSCRIBE", PrivateJainSipEventConnector.prototype.SIP_DIALOG_EVENT, dialogUri);
+        if (dialogConnector !== undefined)
+        {
+            dialogConnector.terminate();
+        }
+    }
+    else
+    {
+        console.error("PrivateJainSipClientConnector:unmonitorDialogs(): bad state, unauthorized action");
+        throw "PrivateJainSipClientConnector:unmonitorDialogs(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Subscribe to the message waiting indication (RFC 3842) of the user once registered, if enabled 
+ * and not already subscribed. The subscription is refreshed until closed, and subscribed again 
+ * at the next SIP REGISTER refresh if terminated by the SIP server
+ * @private
+ */
+PrivateJainSipClientConnector.prototype.subscribeToMessageSummary = function() {
+    console.debug("PrivateJainSipClientConnector:subscribeToMessageSummary()");
+    if (this.configuration.sipMessageWaitingMode === true && this.sipMessageSummaryRejectedFlag === false)
+    {
+        var sipAor = this.configuration.sipUserName + "@" + this.configuration.sipDomain;
+        if (this.findEventConnector("SUBSCRIBE", PrivateJainSipEventConnector.prototype.SIP_MESSAGE_SUMMARY_EVENT, sipAor) === undefined)
+        {
+            try
+            {
+                var messageSummaryConnector = new PrivateJainSipEventConnector(this, "SUBSCRIBE", PrivateJainSipEventConnector.prototype.SIP_MESSAGE_SUMMARY_EVENT, sipAor);
+                this.sessionConnectors[messageSummaryConnector.sipCallId] = messageSummaryConnector;
+                messageSummaryConnector.subscribe();
+            }
+            catch (exception) {
+                console.error("PrivateJainSipClientConnector:subscribeToMessageSummary(): catched exception:" + exception);
+            }
+        }
+    }
+};
+
+/**
+ * Message waiting indication subscription failure
+ * @private
+ * @param {string} error subscription error message
+ * @param {boolean} rejectedFlag true if the SIP server has rejected the subscription, not subscribed again
+ */
+PrivateJainSipClientConnector.prototype.processSipMessageSummarySubscriptionError = function(error, rejectedFlag) {
+    console.warn("PrivateJainSipClientConnector:processSipMessageSummarySubscriptionError(): error=" + error + ", rejectedFlag=" + rejectedFlag);
+    if (rejectedFlag === true)
+    {
+        this.sipMessageSummaryRejectedFlag = true;
+    }
+};
+
 /**
  * Remove a PrivateJainSipClientConnector object  in the call table
  * @private
@@ -267,6 +650,26 @@ PrivateJainSipClientConnector.prototype.reset = function() {
     this.configuration = undefined;
     this.resetSipRegisterContext();
     this.sessionConnectors = {};
+    this.sipDigestChallenges = {};
+    this.sipDigestRetryCounters = {};
+    this.sipMessageSummaryRejectedFlag = false;
+    this.sipOutboundProxies = undefined;
+    this.sipOutboundProxyIndex = 0;
+    this.sipOutboundProxyFailures = 0;
+    this.resetSipReconnectContext();
+};
+
+/**
+ * Reset WebSocket reconnection context
+ * @private
+ */
+PrivateJainSipClientConnector.prototype.resetSipReconnectContext = function() {
+    console.debug("PrivateJainSipClientConnector:resetSipReconnectContext()");
+    if (this.sipReconnectTimer !== undefined)
+        clearTimeout(this.sipReconnectTimer);
+    this.sipReconnectTimer = undefined;
+    this.sipReconnectingFlag = false;
+    this.sipReconnectAttempts = 0;
 };
 
 /**
@@ -277,8 +680,13 @@ PrivateJainSipClientConnector.prototype.resetSipRegisterContext = function() {
     console.debug("PrivateJainSipClientConnector:resetSipRegisterContext()");
     if (this.sipRegisterRefreshTimer !== undefined)
         clearTimeout(this.sipRegisterRefreshTimer);
+    if (this.sipKeepAliveTimer !== undefined)
+        clearTimeout(this.sipKeepAliveTimer);
     this.sipRegisterState = this.SIP_UNREGISTERED_STATE;
     this.sipRegisterRefreshTimer = undefined;
+    this.sipKeepAliveTimer = undefined;
+    this.sipOutboundFlag = false;
+    this.sipOutboundFlowTimer = this.SIP_OUTBOUND_DEFAULT_FLOW_TIMER;
     this.sipRegisterAuthenticatedFlag = false;
     this.jainSipRegisterRequest = undefined;
     this.jainSipRegisterTransaction = undefined;
@@ -301,6 +709,11 @@ PrivateJainSipClientConnector.prototype.resetSipRegisterContext = function() {
  * <span style="margin-left: 30px">sipPassword:"1234567890",<br></span>
  * <span style="margin-left: 30px">sipUserAgentCapabilities,<br></span>
  * <span style="margin-left: 30px">sipRegisterMode:true,<br></span>
+ * <span style="margin-left: 30px">sipReconnectMaxAttempts:10,<br></span>
+ * <span style="margin-left: 30px">sipReconnectMinDelay:1000,<br></span>
+ * <span style="margin-left: 30px">sipReconnectMaxDelay:30000,<br></span>
+ * <span style="margin-left: 30px">sipOutboundMode:false,<br></span>
+ * <span style="margin-left: 30px">sipMessageWaitingMode:false,<br></span>
  * }<br>
  *  </p>
  * @return true configuration ok false otherwise
@@ -323,6 +736,32 @@ PrivateJainSipClientConnector.prototype.checkConfiguration = function(configurat
             check = false;
             console.error("PrivateJainSipClientConnector:checkConfiguration(): missing configuration parameter sipOutboundProxy");
         }
+        else if (configuration.sipOutboundProxy instanceof Array)
+        {
+            for (var i = 0; i < configuration.sipOutboundProxy.length; i++)
+            {
+                var sipOutboundProxy = configuration.sipOutboundProxy[i];
+                if (typeof(sipOutboundProxy) === 'object' && sipOutboundProxy !== null)
+                {
+                    if (typeof(sipOutboundProxy.url) !== 'string' || sipOutboundProxy.url.length === 0
+                            || (sipOutboundProxy.weight !== undefined && (typeof(sipOutboundProxy.weight) !== 'number' || sipOutboundProxy.weight < 0)))
+                    {
+                        check = false;
+                        console.error("PrivateJainSipClientConnector:checkConfiguration(): bad configuration parameter sipOutboundProxy");
+                    }
+                }
+                else if (typeof(sipOutboundProxy) !== 'string' || sipOutboundProxy.length === 0)
+                {
+                    check = false;
+                    console.error("PrivateJainSipClientConnector:checkConfiguration(): bad configuration parameter sipOutboundProxy");
+                }
+            }
+        }
+        else if (typeof(configuration.sipOutboundProxy) !== 'string')
+        {
+            check = false;
+            console.error("PrivateJainSipClientConnector:checkConfiguration(): bad configuration parameter sipOutboundProxy");
+        }
 
         if (configuration.sipDomain === undefined || configuration.sipDomain.length === 0)
         {
@@ -357,14 +796,67 @@ PrivateJainSipClientConnector.prototype.checkConfiguration = function(configurat
             configuration.sipUserAgentCapabilities = undefined;
         }
 
+        // sipOutboundMode not mandatory, SIP Outbound (RFC 5626) not used by default
+        if (configuration.sipOutboundMode === undefined)
+        {
+            configuration.sipOutboundMode = false;
+        }
+
+        // sipMessageWaitingMode not mandatory, no message waiting indication (RFC 3842) subscription by default
+        if (configuration.sipMessageWaitingMode === undefined)
+        {
+            configuration.sipMessageWaitingMode = false;
+        }
+        else if (typeof(configuration.sipMessageWaitingMode) !== 'boolean')
+        {
+            check = false;
+            console.error("PrivateJainSipClientConnector:checkConfiguration(): bad configuration parameter sipMessageWaitingMode");
+        }
+
+        // sipReconnectMaxAttempts (0 disables the reconnection), sipReconnectMinDelay, sipReconnectMaxDelay not mandatory
+        if (configuration.sipReconnectMaxAttempts === undefined)
+        {
+            configuration.sipReconnectMaxAttempts = this.SIP_RECONNECT_MAX_ATTEMPTS;
+        }
+        else if (typeof(configuration.sipReconnectMaxAttempts) !== 'number' || configuration.sipReconnectMaxAttempts < 0)
+        {
+            check = false;
+            console.error("PrivateJainSipClientConnector:checkConfiguration(): bad configuration parameter sipReconnectMaxAttempts");
+        }
+
+        if (configuration.sipReconnectMinDelay === undefined)
+        {
+            configuration.sipReconnectMinDelay = this.SIP_RECONNECT_MIN_DELAY;
+        }
+        else if (typeof(configuration.sipReconnectMinDelay) !== 'number' || configuration.sipReconnectMinDelay <= 0)
+        {
+            check = false;
+            console.error("PrivateJainSipClientConnector:checkConfiguration(): bad configuration parameter sipReconnectMinDelay");
+        }
+
+        if (configuration.sipReconnectMaxDelay === undefined)
+        {
+            configuration.sipReconnectMaxDelay = Math.max(this.SIP_RECONNECT_MAX_DELAY, configuration.sipReconnectMinDelay);
+        }
+        else if (typeof(configuration.sipReconnectMaxDelay) !== 'number' || configuration.sipReconnectMaxDelay < configuration.sipReconnectMinDelay)
+        {
+            check = false;
+            console.error("PrivateJainSipClientConnector:checkConfiguration(): bad configuration parameter sipReconnectMaxDelay");
+        }
+
         console.debug("PrivateJainSipClientConnector:checkConfiguration(): configuration.sipUserAgent:" + configuration.sipUserAgent);
         console.debug("PrivateJainSipClientConnector:checkConfiguration(): configuration.sipUserAgentCapabilities:" + configuration.sipUserAgentCapabilities);
-        console.debug("PrivateJainSipClientConnector:checkConfiguration(): configuration.sipOutboundProxy:" + configuration.sipOutboundProxy);
+        console.debug("PrivateJainSipClientConnector:checkConfiguration(): configuration.sipOutboundProxy:" + JSON.stringify(configuration.sipOutboundProxy));
         console.debug("PrivateJainSipClientConnector:checkConfiguration(): configuration.sipDomain:" + configuration.sipDomain);
         console.debug("PrivateJainSipClientConnector:checkConfiguration(): configuration.sipUserName:" + configuration.sipUserName);
         console.debug("PrivateJainSipClientConnector:checkConfiguration(): configuration.sipLogin:" + configuration.sipLogin);
         console.debug("PrivateJainSipClientConnector:checkConfiguration(): configuration.sipPassword: " + configuration.sipPassword);
         console.debug("PrivateJainSipClientConnector:checkConfiguration(): configuration.sipRegisterMode:" + configuration.sipRegisterMode);
+        console.debug("PrivateJainSipClientConnector:checkConfiguration(): configuration.sipReconnectMaxAttempts:" + configuration.sipReconnectMaxAttempts);
+        console.debug("PrivateJainSipClientConnector:checkConfiguration(): configuration.sipReconnectMinDelay:" + configuration.sipReconnectMinDelay);
+        console.debug("PrivateJainSipClientConnector:checkConfiguration(): configuration.sipReconnectMaxDelay:" + configuration.sipReconnectMaxDelay);
+        console.debug("PrivateJainSipClientConnector:checkConfiguration(): configuration.sipOutboundMode:" + configuration.sipOutboundMode);
+        console.debug("PrivateJainSipClientConnector:checkConfiguration(): configuration.sipMessageWaitingMode:" + configuration.sipMessageWaitingMode);
         return check;
     }
     catch (exception) {
@@ -373,6 +865,120 @@ PrivateJainSipClientConnector.prototype.checkConfiguration = function(configurat
     }
 };
 
+/**
+ * Build the list of outbound proxies to try in turn: configured order, or random order respecting
+ * the weights (RFC 2782 selection) if weights are configured. The last healthy outbound proxy is tried first
+ * @private
+ * @param {string|Array} sipOutboundProxy configured outbound proxy or outbound proxies list
+ * @returns {Array} ordered outbound proxy WebSocket URLs
+ */
+PrivateJainSipClientConnector.prototype.sortSipOutboundProxies = function(sipOutboundProxy) {
+    console.debug("PrivateJainSipClientConnector:sortSipOutboundProxies()");
+    var sipOutboundProxies = [];
+    if (typeof(sipOutboundProxy) === 'string')
+    {
+        sipOutboundProxies.push(sipOutboundProxy);
+    }
+    else
+    {
+        var weightedFlag = false;
+        var candidates = [];
+        for (var i = 0; i < sipOutboundProxy.length; i++)
+        {
+            if (typeof(sipOutboundProxy[i]) === 'string')
+            {
+                candidates.push({url: sipOutboundProxy[i], weight: 1});
+            }
+            else
+            {
+                weightedFlag = weightedFlag || sipOutboundProxy[i].weight !== undefined;
+                candidates.push({url: sipOutboundProxy[i].url, weight: sipOutboundProxy[i].weight !== undefined ? sipOutboundProxy[i].weight : 1});
+            }
+        }
+
+        while (candidates.length > 0)
+        {
+            var selected = 0;
+            if (weightedFlag)
+            {
+                // Random selection proportional to the weight, zero weight proxies selected last
+                var totalWeight = 0;
+                for (var i = 0; i < candidates.length; i++)
+                    totalWeight += candidates[i].weight;
+                var random = Math.random() * totalWeight;
+                for (selected = 0; selected < candidates.length - 1; selected++)
+                {
+                    random -= candidates[selected].weight;
+                    if (random < 0 && candidates[selected].weight > 0)
+                        break;
+                }
+            }
+            sipOutboundProxies.push(candidates[selected].url);
+            candidates.splice(selected, 1);
+        }
+    }
+
+    var healthyIndex = sipOutboundProxies.indexOf(this.webRTCommClient.healthySipOutboundProxy);
+    if (healthyIndex > 0)
+    {
+        sipOutboundProxies.unshift(sipOutboundProxies.splice(healthyIndex, 1)[0]);
+    }
+    console.debug("PrivateJainSipClientConnector:sortSipOutboundProxies(): sipOutboundProxies=" + sipOutboundProxies);
+    return sipOutboundProxies;
+};
+
+/**
+ * Select the next outbound proxy of the list, used by the next WebSocket connection
+ * @private
+ */
+PrivateJainSipClientConnector.prototype.selectNextSipOutboundProxy = function() {
+    this.sipOutboundProxyIndex = (this.sipOutboundProxyIndex + 1) % this.sipOutboundProxies.length;
+    console.debug("PrivateJainSipClientConnector:selectNextSipOutboundProxy(): outbound proxy=" + this.getSipOutboundProxy());
+};
+
+/**
+ * Open a new WebSocket to the selected outbound proxy
+ * @private
+ */
+PrivateJainSipClientConnector.prototype.connectSipOutboundProxy = function() {
+    console.debug("PrivateJainSipClientConnector:connectSipOutboundProxy(): outbound proxy=" + this.getSipOutboundProxy());
+    this.jainSipListeningPoint.getMessageProcessor().getMessageChannel().reconnect(this.getSipOutboundProxy());
+    // The selected outbound proxy may use another WebSocket transport (WS/WSS)
+    this.jainSipContactHeader.getAddress().getURI().setTransportParam(this.jainSipListeningPoint.getTransport());
+    this.jainSipRegisterContactHeader.getAddress().getURI().setTransportParam(this.jainSipListeningPoint.getTransport());
+};
+
+/**
+ * Try the next outbound proxy of the list after a connection or SIP registration failure, 
+ * while the client is opening
+ * @private
+ * @returns {boolean} true if the next outbound proxy is tried, false if all outbound proxies have failed
+ */
+PrivateJainSipClientConnector.prototype.failoverSipOutboundProxy = function() {
+    console.debug("PrivateJainSipClientConnector:failoverSipOutboundProxy(): this.sipOutboundProxyFailures=" + this.sipOutboundProxyFailures);
+    if (this.sipOutboundProxies && this.openedFlag === false && this.sipOutboundProxyFailures + 1 < this.sipOutboundProxies.length)
+    {
+        console.warn("PrivateJainSipClientConnector:failoverSipOutboundProxy(): outbound proxy " + this.getSipOutboundProxy() + " has failed");
+        this.sipOutboundProxyFailures++;
+        this.resetSipRegisterContext();
+        this.selectNextSipOutboundProxy();
+        this.connectSipOutboundProxy();
+        return true;
+    }
+    return false;
+};
+
+/**
+ * Remember the outbound proxy currently used as healthy (SIP connectivity and registration ok), 
+ * tried first by the next opening of the client
+ * @private
+ */
+PrivateJainSipClientConnector.prototype.setHealthySipOutboundProxy = function() {
+    console.debug("PrivateJainSipClientConnector:setHealthySipOutboundProxy(): outbound proxy=" + this.getSipOutboundProxy());
+    this.sipOutboundProxyFailures = 0;
+    this.webRTCommClient.healthySipOutboundProxy = this.getSipOutboundProxy();
+};
+
 /**
  * Implementation of JAIN SIP stack event listener interface: process WebSocket connection event
  * @public 
@@ -381,6 +987,24 @@ PrivateJainSipClientConnector.prototype.processConnected = function() {
     console.debug("PrivateJainSipClientConnector:processConnected()");
     try
     {
+        if (this.sipReconnectingFlag === true)
+        {
+            // SIP connectivity recovered
+            this.sipReconnectTimer = undefined;
+            if (this.configuration.sipRegisterMode === true)
+            {
+                // Refresh the SIP registration on the new WebSocket, end of reconnection on SIP REGISTER 200 OK
+                this.resetSipRegisterContext();
+                this.sendNewSipRegisterRequest(this.SIP_SESSION_EXPIRATION_TIMER);
+                this.sipRegisterState = this.SIP_REGISTERING_STATE;
+            }
+            else
+            {
+                this.processSipReconnected();
+            }
+            return;
+        }
+
         // Start SIP REGISTER process
         if (this.openedFlag === false)
         {
@@ -395,6 +1019,7 @@ PrivateJainSipClientConnector.prototype.processConnected = function() {
             else
             {
                 this.openedFlag = true;
+                this.setHealthySipOutboundProxy();
                 this.webRTCommClient.onPrivateClientConnectorOpenedEvent();
                 return;
             }
@@ -440,7 +1065,12 @@ PrivateJainSipClientConnector.prototype.sendNewSipRegisterRequest = function(exp
     this.jainSipRegisterRequest = this.jainSipMessageFactory.createRequest(jainSipRequestUri, "REGISTER", jainSipCallIdHeader, jainSipCseqHeader, jainSipFromHeader, jainSipToHeader, jainSipViaHeader, jainSipMaxForwardHeader);
     this.jainSipMessageFactory.addHeader(this.jainSipRegisterRequest, jainSipExpiresHeader);
     this.jainSipMessageFactory.addHeader(this.jainSipRegisterRequest, jainSipAllowListHeader);
-    this.jainSipMessageFactory.addHeader(this.jainSipRegisterRequest, this.jainSipContactHeader);
+    this.jainSipMessageFactory.addHeader(this.jainSipRegisterRequest, this.jainSipRegisterContactHeader);
+    if (this.configuration.sipOutboundMode === true)
+    {
+        this.jainSipMessageFactory.addHeader(this.jainSipRegisterRequest, this.jainSipHeaderFactory.createHeaders("Supported: path, outbound"));
+    }
+    this.authenticateSipRequest(this.jainSipRegisterRequest);
 
     this.jainSipRegisterTransaction = this.jainSipProvider.getNewClientTransaction(this.jainSipRegisterRequest);
     this.jainSipRegisterDialog = this.jainSipRegisterTransaction.getDialog();
@@ -450,12 +1080,10 @@ PrivateJainSipClientConnector.prototype.sendNewSipRegisterRequest = function(exp
 
 /**
  * Send Authentitated SIP REGISTER request 
- * @param {AuthorizationHeader} jainSipAuthorizationHeader
  * @private
  */
-PrivateJainSipClientConnector.prototype.sendAuthenticatedSipRegisterRequest = function(jainSipAuthorizationHeader) {
+PrivateJainSipClientConnector.prototype.sendAuthenticatedSipRegisterRequest = function() {
     console.debug("PrivateJainSipClientConnector:sendAuthenticatedSipRegisterRequest()");
-    this.jainSipRegisterRequest.removeHeader("Authorization");
     var newJainSipRegisterRequest = new SIPRequest();
     newJainSipRegisterRequest.setMethod(this.jainSipRegisterRequest.getMethod());
     newJainSipRegisterRequest.setRequestURI(this.jainSipRegisterRequest.getRequestURI());
@@ -474,12 +1102,78 @@ PrivateJainSipClientConnector.prototype.sendAuthenticatedSipRegisterRequest = fu
     newJainSipRegisterRequest.setMaxForwards(this.jainSipRegisterRequest.getMaxForwards());
 
     this.jainSipRegisterRequest = newJainSipRegisterRequest;
-    this.jainSipMessageFactory.addHeader(this.jainSipRegisterRequest, jainSipAuthorizationHeader);
+    this.authenticateSipRequest(this.jainSipRegisterRequest);
     this.jainSipRegisterTransaction = this.jainSipProvider.getNewClientTransaction(this.jainSipRegisterRequest);
     this.jainSipRegisterRequest.setTransaction(this.jainSipRegisterTransaction);
     this.jainSipRegisterTransaction.sendRequest();
 };
 
+/**
+ * Process a SIP 401/407 digest challenge. The strongest challenge is stored by realm so that its nonce can be reused, 
+ * with an incremented nonce count, by the next requests (see authenticateSipRequest())
+ * @public
+ * @param {Response} jainSipResponse SIP 401 or 407 response
+ * @param {Request} jainSipRequest challenged SIP request
+ * @returns {boolean} true if the challenged request must be sent again with credentials, false otherwise
+ */
+PrivateJainSipClientConnector.prototype.processSipDigestChallenge = function(jainSipResponse, jainSipRequest) {
+    console.debug("PrivateJainSipClientConnector:processSipDigestChallenge()");
+    if (this.configuration.sipPassword === undefined || this.configuration.sipLogin === undefined)
+    {
+        console.error("PrivateJainSipClientConnector:processSipDigestChallenge(): no SIP credentials in SIP profile");
+        return false;
+    }
+
+    var jainSipChallengeHeader = this.jainSipHeaderFactory.getStrongestAuthenticateHeader(jainSipResponse);
+    if (!jainSipChallengeHeader)
+    {
+        console.error("PrivateJainSipClientConnector:processSipDigestChallenge(): missing or unsupported authenticate header");
+        return false;
+    }
+
+    var realm = jainSipChallengeHeader.getRealm();
+    var nonce = jainSipChallengeHeader.getNonce();
+    var staleFlag = String(jainSipChallengeHeader.getParameter("stale")).toLowerCase() === "true";
+    var jainSipStoredChallengeHeader = this.sipDigestChallenges[realm];
+    var sipDigestRetryKey = jainSipRequest.getCallId().getCallId() + ":" + jainSipRequest.getCSeq().getMethod();
+    if (staleFlag && jainSipStoredChallengeHeader !== undefined && jainSipStoredChallengeHeader.getNonce() !== nonce)
+    {
+        // Credentials are right but the nonce has expired: not counted as a retry
+        console.debug("PrivateJainSipClientConnector:processSipDigestChallenge(): stale nonce for realm " + realm);
+    }
+    else
+    {
+        var retryCount = (this.sipDigestRetryCounters[sipDigestRetryKey] || 0) + 1;
+        if (retryCount > this.SIP_DIGEST_MAX_RETRY)
+        {
+            console.error("PrivateJainSipClientConnector:processSipDigestChallenge(): max retry reached, authentication failed for realm " + realm);
+            delete this.sipDigestRetryCounters[sipDigestRetryKey];
+            delete this.sipDigestChallenges[realm];
+            return false;
+        }
+        this.sipDigestRetryCounters[sipDigestRetryKey] = retryCount;
+    }
+    this.sipDigestChallenges[realm] = jainSipChallengeHeader;
+    return true;
+};
+
+/**
+ * Set the credentials of a SIP request from the stored digest challenges, 
+ * must be called once the request URI, method and content are set
+ * @public
+ * @param {Request} jainSipRequest SIP request to authenticate
+ */
+PrivateJainSipClientConnector.prototype.authenticateSipRequest = function(jainSipRequest) {
+    console.debug("PrivateJainSipClientConnector:authenticateSipRequest()");
+    jainSipRequest.removeHeader("Authorization");
+    jainSipRequest.removeHeader("Proxy-Authorization");
+    for (var realm in this.sipDigestChallenges)
+    {
+        var jainSipAuthorizationHeader = this.jainSipHeaderFactory.createDigestAuthorizationHeader(this.sipDigestChallenges[realm], jainSipRequest, this.configuration.sipPassword, this.configuration.sipLogin);
+        this.jainSipMessageFactory.addHeader(jainSipRequest, jainSipAuthorizationHeader);
+    }
+};
+
 /**
  * Implementation of JAIN SIP stack event listener interface: process WebSocket disconnection/close event
  * @public
@@ -488,14 +1182,111 @@ PrivateJainSipClientConnector.prototype.processDisconnected = function() {
     console.debug("PrivateJainSipClientConnector:processDisconnected(): SIP connectivity has been lost");
     try
     {
-        this.reset();
-        this.webRTCommClient.onPrivateClientConnectorClosedEvent();
+        if (this.openedFlag === true && this.configuration.sipReconnectMaxAttempts > 0
+                && this.sipRegisterState !== this.SIP_UNREGISTERING_STATE && this.sipRegisterState !== this.SIP_UNREGISTERING_401_STATE)
+        {
+            if (this.sipReconnectingFlag === true)
+            {
+                // Reconnection attempt has failed, try the next outbound proxy
+                this.selectNextSipOutboundProxy();
+            }
+            // Stop SIP REGISTER refresh until the SIP connectivity is recovered
+            this.resetSipRegisterContext();
+            this.sipReconnectingFlag = true;
+            this.scheduleSipReconnect();
+        }
+        else if (this.failoverSipOutboundProxy())
+        {
+            console.debug("PrivateJainSipClientConnector:processDisconnected(): try next outbound proxy");
+        }
+        else
+        {
+            this.reset();
+            this.webRTCommClient.onPrivateClientConnectorClosedEvent();
+        }
     }
     catch (exception) {
         console.error("PrivateJainSipClientConnector:processDisconnected(): catched exception:" + exception);
     }
 };
 
+/**
+ * Schedule the next WebSocket reconnection attempt: exponential backoff between sipReconnectMinDelay 
+ * and sipReconnectMaxDelay, with random jitter. The client is closed once sipReconnectMaxAttempts is reached
+ * @private
+ */
+PrivateJainSipClientConnector.prototype.scheduleSipReconnect = function() {
+    console.debug("PrivateJainSipClientConnector:scheduleSipReconnect(): this.sipReconnectAttempts=" + this.sipReconnectAttempts);
+    if (this.sipReconnectAttempts >= this.configuration.sipReconnectMaxAttempts)
+    {
+        console.error("PrivateJainSipClientConnector:scheduleSipReconnect(): SIP connectivity has not been recovered, max reconnection attempts reached");
+        this.close();
+        return;
+    }
+
+    this.sipReconnectAttempts++;
+    var maxDelay = Math.min(this.configuration.sipReconnectMaxDelay, this.configuration.sipReconnectMinDelay * Math.pow(2, this.sipReconnectAttempts - 1));
+    // Random jitter between half and full delay, avoid simultaneous reconnections of all clients after a server failure
+    var delay = Math.floor(maxDelay / 2 + Math.random() * maxDelay / 2);
+    var that = this;
+    if (this.sipReconnectTimer !== undefined)
+        clearTimeout(this.sipReconnectTimer);
+    this.sipReconnectTimer = setTimeout(function() {
+        that.onSipReconnectTimeout();
+    }, delay);
+    this.webRTCommClient.onPrivateClientConnectorReconnectingEvent(this.sipReconnectAttempts, delay);
+};
+
+/**
+ * WebSocket reconnection timeout
+ * @private 
+ */
+PrivateJainSipClientConnector.prototype.onSipReconnectTimeout = function() {
+    console.debug("PrivateJainSipClientConnector:onSipReconnectTimeout()");
+    try
+    {
+        if (this.sipReconnectingFlag === true)
+        {
+            this.connectSipOutboundProxy();
+        }
+        else
+        {
+            console.warn("PrivateJainSipClientConnector:onSipReconnectTimeout(): reconnection stopped");
+        }
+    }
+    catch (exception) {
+        console.error("PrivateJainSipClientConnector:onSipReconnectTimeout(): catched exception:" + exception);
+        this.sipReconnectTimer = undefined;
+        this.scheduleSipReconnect();
+    }
+};
+
+/**
+ * End of WebSocket reconnection: notify the WebRTCommClient and refresh the Contact 
+ * of the established calls (SIP re-INVITE) on the new WebSocket
+ * @private 
+ */
+PrivateJainSipClientConnector.prototype.processSipReconnected = function() {
+    console.debug("PrivateJainSipClientConnector:processSipReconnected()");
+    this.resetSipReconnectContext();
+    this.setHealthySipOutboundProxy();
+    this.webRTCommClient.onPrivateClientConnectorReconnectedEvent();
+    for (var sipSessionId in this.sessionConnectors)
+    {
+        var sessionConnector = this.sessionConnectors[sipSessionId];
+        if (sessionConnector instanceof PrivateJainSipCallConnector || sessionConnector instanceof PrivateJainSipEventConnector)
+        {
+            try
+            {
+                sessionConnector.onJainSipClientConnectorReconnectedEvent();
+            }
+            catch (exception) {
+                console.error("PrivateJainSipClientConnector:processSipReconnected(): catched exception:" + exception);
+            }
+        }
+    }
+};
+
 /**
  * Implementation of JAIN SIP stack event listener interface: process WebSocket connection error event
  * @public 
@@ -505,6 +1296,15 @@ PrivateJainSipClientConnector.prototype.processConnectionError = function(error)
     console.warn("PrivateJainSipClientConnector:processConnectionError(): SIP connection has failed, error:" + error);
     try
     {
+        if (this.openedFlag === true && this.configuration.sipReconnectMaxAttempts > 0)
+        {
+            // WebSocket close event follows, reconnection handled in processDisconnected()
+            return;
+        }
+        if (this.failoverSipOutboundProxy())
+        {
+            return;
+        }
         this.reset();
         this.webRTCommClient.onPrivateClientConnectorOpenErrorEvent();
     }
@@ -540,7 +1340,14 @@ PrivateJainSipClientConnector.prototype.processRequest = function(requestEvent)
             }
             else
             {
-                if (jainSipRequestMethod === "INVITE")
+                if (jainSipRequestMethod === "INVITE" && this.webRTCommClient.isMaxConcurrentCallsReached() && !this.isSipReplacesLocalDialog(jainSipRequest))
+                {
+                    // All the lines are busy
+                    var jainSipResponse486 = jainSipRequest.createResponse(486, "Busy Here");
+                    jainSipResponse486.addHeader(this.jainSipContactHeader);
+                    requestEvent.getServerTransaction().sendResponse(jainSipResponse486);
+                }
+                else if (jainSipRequestMethod === "INVITE")
                 {
                     // Incoming SIP INVITE
                     var newWebRTCommCall = new WebRTCommCall(this.webRTCommClient);
@@ -581,6 +1388,13 @@ PrivateJainSipClientConnector.prototype.processRequest = function(requestEvent)
                     var newWebRTCommMessage = new WebRTCommMessage(this.webRTCommClient, targetedWebRTCommCall);
                     newWebRTCommMessage.connector.onJainSipClientConnectorSipRequestEvent(requestEvent);
                 }
+                else if (jainSipRequestMethod === "NOTIFY")
+                {
+                    // No presence subscription (e.g. unsubscribed or closed), terminate it
+                    var jainSipResponse481 = jainSipRequest.createResponse(481, "Subscription does not exist");
+                    jainSipResponse481.addHeader(this.jainSipContactHeader);
+                    requestEvent.getServerTransaction().sendResponse(jainSipResponse481);
+                }
                 else
                 {
                     console.warn("PrivateJainSipClientConnector:processRequest(): SIP request ignored");
@@ -595,6 +1409,29 @@ PrivateJainSipClientConnector.prototype.processRequest = function(requestEvent)
     }
 };
 
+/**
+ * Check if a received SIP INVITE replaces a local dialog (RFC 3891): the new call takes 
+ * the line of the replaced call, the max concurrent calls limit does not apply
+ * @private
+ * @param {SIPRequest} jainSipRequest received SIP INVITE
+ * @returns {boolean} true if the Replaces header matches a local dialog, false otherwise
+ */
+PrivateJainSipClientConnector.prototype.isSipReplacesLocalDialog = function(jainSipRequest) {
+    var jainSipReplacesHeader = jainSipRequest.getHeader("Replaces");
+    if (jainSipReplacesHeader)
+    {
+        var sessionConnector = this.sessionConnectors[jainSipReplacesHeader.getCallId()];
+        if (sessionConnector instanceof PrivateJainSipCallConnector && sessionConnector.isOpened())
+        {
+            var jainSipDialog = sessionConnector.getJainSipDialog();
+            return (jainSipDialog !== undefined
+                    && jainSipDialog.getLocalTag() === jainSipReplacesHeader.getToTag()
+                    && jainSipDialog.getRemoteTag() === jainSipReplacesHeader.getFromTag());
+        }
+    }
+    return false;
+};
+
 
 /**
  * Implementation of JAIN SIP stack event listener interface: process SIP response event
@@ -606,6 +1443,12 @@ PrivateJainSipClientConnector.prototype.processResponse = function(responseEvent
     try
     {
         var jainSipResponse = responseEvent.getResponse();
+        var statusCode = parseInt(jainSipResponse.getStatusCode());
+        if (statusCode >= 200 && statusCode !== 401 && statusCode !== 407)
+        {
+            // Final response, clear the digest retry counter of the request
+            delete this.sipDigestRetryCounters[jainSipResponse.getCallId().getCallId() + ":" + jainSipResponse.getCSeq().getMethod()];
+        }
         if (jainSipResponse.getCSeq().getMethod() === "REGISTER")
         {
             this.processSipRegisterResponse(responseEvent);
@@ -664,9 +1507,10 @@ PrivateJainSipClientConnector.prototype.processTimeout = function(timeoutEvent)
     console.debug("PrivateJainSipClientConnector:processTimeout():timeoutEvent=" + timeoutEvent);
     try
     {
-        var sipClientTransaction = timeoutEvent.getClientTransaction();
+        var sipTransaction = timeoutEvent.isServerTransaction() ? timeoutEvent.getServerTransaction() : timeoutEvent.getClientTransaction();
         // Find related PrivateJainSipCallConnector
-        var sipCallId = sipClientTransaction.getDialog().getCallId().getCallId();
+        // No dialog for SIP PUBLISH and MESSAGE transactions
+        var sipCallId = sipTransaction.getDialog() ? sipTransaction.getDialog().getCallId().getCallId() : sipTransaction.getOriginalRequest().getCallId().getCallId();
         var sessionConnector = this.sessionConnectors[sipCallId];
         if (sessionConnector)
         {
@@ -675,8 +1519,24 @@ PrivateJainSipClientConnector.prototype.processTimeout = function(timeoutEvent)
         else if (this.jainSipRegisterRequest.getCallId().getCallId() === sipCallId)
         {
             console.error("PrivateJainSipClientConnector:processTimeout(): SIP registration failed, request timeout, no response from SIP server");
-            this.reset();
-            this.webRTCommClient.onPrivateClientConnectorOpenErrorEvent("Request Timeout");
+            if (this.failoverSipOutboundProxy())
+            {
+                console.debug("PrivateJainSipClientConnector:processTimeout(): try next outbound proxy");
+            }
+            else if (this.openedFlag === true && this.configuration.sipReconnectMaxAttempts > 0
+                    && this.sipRegisterState !== this.SIP_UNREGISTERING_STATE && this.sipRegisterState !== this.SIP_UNREGISTERING_401_STATE)
+            {
+                // Outbound proxy not responding anymore, reconnect to the next outbound proxy
+                this.resetSipRegisterContext();
+                this.selectNextSipOutboundProxy();
+                this.sipReconnectingFlag = true;
+                this.scheduleSipReconnect();
+            }
+            else
+            {
+                this.reset();
+                this.webRTCommClient.onPrivateClientConnectorOpenErrorEvent("Request Timeout");
+            }
         }
         else
         {
@@ -714,6 +1574,68 @@ PrivateJainSipClientConnector.prototype.onSipRegisterTimeout = function() {
 };
 
 
+/**
+ * Start the SIP Outbound (RFC 5626) CRLF keep-alive on the registration flow. The keep-alive pong is checked only if 
+ * the registrar supports SIP Outbound (Require: outbound), the flow failure triggers a new registration (reconnection)
+ * @private 
+ * @param {Response} jainSipResponse SIP REGISTER 200 OK response
+ */
+PrivateJainSipClientConnector.prototype.startSipKeepAlive = function(jainSipResponse) {
+    console.debug("PrivateJainSipClientConnector:startSipKeepAlive()");
+    if (this.configuration.sipOutboundMode === true)
+    {
+        var jainSipRequireHeader = jainSipResponse.getHeader("Require");
+        this.sipOutboundFlag = (jainSipRequireHeader !== null && jainSipRequireHeader.getHeaderValue().toLowerCase().indexOf("outbound") !== -1);
+        var flowTimer = this.SIP_OUTBOUND_DEFAULT_FLOW_TIMER;
+        var jainSipFlowTimerHeader = jainSipResponse.getHeader("Flow-Timer");
+        if (jainSipFlowTimerHeader !== null && parseInt(jainSipFlowTimerHeader.getHeaderValue()) > 0)
+        {
+            flowTimer = parseInt(jainSipFlowTimerHeader.getHeaderValue());
+        }
+        console.debug("PrivateJainSipClientConnector:startSipKeepAlive(): this.sipOutboundFlag=" + this.sipOutboundFlag + ", flowTimer=" + flowTimer);
+        this.sipOutboundFlowTimer = flowTimer;
+        this.scheduleSipKeepAlive();
+    }
+};
+
+/**
+ * Schedule the next CRLF keep-alive, randomly between 80% and 100% of the Flow-Timer (RFC 5626 4.4.1)
+ * @private 
+ */
+PrivateJainSipClientConnector.prototype.scheduleSipKeepAlive = function() {
+    var that = this;
+    var delay = Math.floor(this.sipOutboundFlowTimer * 1000 * (0.8 + Math.random() * 0.2));
+    if (this.sipKeepAliveTimer !== undefined)
+        clearTimeout(this.sipKeepAliveTimer);
+    this.sipKeepAliveTimer = setTimeout(function() {
+        that.onSipKeepAliveTimeout();
+    }, delay);
+};
+
+/**
+ * CRLF keep-alive timeout
+ * @private 
+ */
+PrivateJainSipClientConnector.prototype.onSipKeepAliveTimeout = function() {
+    console.debug("PrivateJainSipClientConnector:onSipKeepAliveTimeout()");
+    this.sipKeepAliveTimer = undefined;
+    try
+    {
+        if (this.sipRegisterState === this.SIP_REGISTERED_STATE || this.sipRegisterState === this.SIP_REGISTER_REFRESHING_STATE)
+        {
+            this.jainSipListeningPoint.getMessageProcessor().getMessageChannel().sendKeepAlivePing(this.sipOutboundFlag);
+            this.scheduleSipKeepAlive();
+        }
+        else
+        {
+            console.warn("PrivateJainSipClientConnector:onSipKeepAliveTimeout(): keep-alive stopped");
+        }
+    }
+    catch (exception) {
+        console.error("PrivateJainSipClientConnector:onSipKeepAliveTimeout(): catched exception:" + exception);
+    }
+};
+
 /**
  * SIP REGISTER state machine
  * @private 
@@ -736,16 +1658,15 @@ PrivateJainSipClientConnector.prototype.processSipRegisterResponse = function(re
         }
         else if(statusCode === 401 || statusCode === 407)
         {
-            if (this.configuration.sipPassword !== undefined && this.configuration.sipLogin !== undefined)
+            if (this.processSipDigestChallenge(jainSipResponse, this.jainSipRegisterRequest))
             {
                 this.sipRegisterState = this.SIP_REGISTERING_401_STATE;
-                var jainSipAuthorizationHeader = this.jainSipHeaderFactory.createAuthorizationHeader(jainSipResponse, this.jainSipRegisterRequest, this.configuration.sipPassword, this.configuration.sipLogin);
                 // Send authenticated SIP REGISTER request
-                this.sendAuthenticatedSipRegisterRequest(jainSipAuthorizationHeader);
+                this.sendAuthenticatedSipRegisterRequest();
             }
             else
             {
-                // Authentification required but not SIP credentials in SIP profile
+                // Authentification required but no SIP credentials in SIP profile or authentication failed
                 console.error("PrivateJainSipClientConnector:processSipRegisterResponse(): SIP registration failed:" + jainSipResponse.getStatusCode() + "  " + jainSipResponse.getStatusLine());
                 this.reset();
                 this.webRTCommClient.onPrivateClientConnectorOpenErrorEvent();
@@ -754,11 +1675,18 @@ PrivateJainSipClientConnector.prototype.processSipRegisterResponse = function(re
         else if (statusCode === 200)
         {
             this.sipRegisterState = this.SIP_REGISTERED_STATE;
+            this.startSipKeepAlive(jainSipResponse);
             if (this.openedFlag === false)
             {
                 this.openedFlag = true;
+                this.setHealthySipOutboundProxy();
                 this.webRTCommClient.onPrivateClientConnectorOpenedEvent();
             }
+            else if (this.sipReconnectingFlag === true)
+            {
+                this.processSipReconnected();
+            }
+            this.subscribeToMessageSummary();
 
             if (this.sipUnregisterPendingFlag === true) {
                 this.sipUnregisterPendingFlag = false;
@@ -794,15 +1722,27 @@ PrivateJainSipClientConnector.prototype.processSipRegisterResponse = function(re
         {
             //  No temporary response for SIP REGISTER request 
         }
+        else if ((statusCode === 401 || statusCode === 407) && this.processSipDigestChallenge(jainSipResponse, this.jainSipRegisterRequest))
+        {
+            // New challenge (stale nonce), send authenticated SIP REGISTER request again
+            this.sendAuthenticatedSipRegisterRequest();
+        }
         else if (statusCode === 200)
         {
             this.sipRegisterState = this.SIP_REGISTERED_STATE;
+            this.startSipKeepAlive(jainSipResponse);
             if (this.openedFlag === false)
             {
                 console.debug("PrivateJainSipClientConnector:processSipRegisterResponse(): this.openedFlag=true");
                 this.openedFlag = true;
+                this.setHealthySipOutboundProxy();
                 this.webRTCommClient.onPrivateClientConnectorOpenedEvent();
             }
+            else if (this.sipReconnectingFlag === true)
+            {
+                this.processSipReconnected();
+            }
+            this.subscribeToMessageSummary();
 
             if (this.sipUnregisterPendingFlag === true) {
                 this.sipUnregisterPendingFlag = false;
@@ -842,11 +1782,10 @@ PrivateJainSipClientConnector.prototype.processSipRegisterResponse = function(re
         {
             //  Not temporary response for SIP REGISTER request  
         }
-        else if(statusCode === 401 || statusCode === 407)
+        else if((statusCode === 401 || statusCode === 407) && this.processSipDigestChallenge(jainSipResponse, this.jainSipRegisterRequest))
         {
             this.sipRegisterState = this.SIP_UNREGISTERING_401_STATE;
-            jainSipAuthorizationHeader = this.jainSipHeaderFactory.createAuthorizationHeader(jainSipResponse, this.jainSipRegisterRequest, this.configuration.sipPassword, this.configuration.sipLogin);
-            this.sendAuthenticatedSipRegisterRequest(jainSipAuthorizationHeader);
+            this.sendAuthenticatedSipRegisterRequest();
         }
         else if (statusCode === 200)
         {
@@ -866,6 +1805,11 @@ PrivateJainSipClientConnector.prototype.processSipRegisterResponse = function(re
         {
             //  Not temporary response for SIP REGISTER request 
         }
+        else if ((statusCode === 401 || statusCode === 407) && this.processSipDigestChallenge(jainSipResponse, this.jainSipRegisterRequest))
+        {
+            // New challenge (stale nonce), send authenticated SIP REGISTER request again
+            this.sendAuthenticatedSipRegisterRequest();
+        }
         else if (statusCode === 200)
         {
             this.reset();
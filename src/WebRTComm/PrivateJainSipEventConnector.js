@@ -0,0 +1,1008 @@
+/**
+ * @class PrivateJainSipEventConnector
+ * @private
+ * @classdesc Private framework class handling  SIP event packages: publication of the user presence
+ *            (PUBLISH, RFC 3903) or subscription (SUBSCRIBE/NOTIFY, RFC 6665) to the presence of a contact (RFC 3856) 
+ *            , to the message waiting indication of the user (RFC 3842) or to the dialogs of a contact (RFC 4235)
+ * @constructor
+ * @param {PrivateJainSipClientConnector} clientConnector clientConnector owner object
+ * @param {string} sipEventMethod   "PUBLISH" or "SUBSCRIBE"
+ * @param {string} sipEventPackage   "presence", "message-summary" or "dialog"
+ * @param {string} sipEventUri   presentity (e.g. bob@sip.net) or the user itself for publication and message summary
+ * @throw {String} Exception "bad argument"
+ */
+PrivateJainSipEventConnector = function(clientConnector, sipEventMethod, sipEventPackage, sipEventUri)
+{
+    console.debug("PrivateJainSipEventConnector:PrivateJainSipEventConnector()");
+    if (clientConnector instanceof PrivateJainSipClientConnector && (sipEventMethod === "PUBLISH" || sipEventMethod === "SUBSCRIBE") 
+            && PrivateJainSipEventConnector.prototype.SIP_EVENT_CONTENT_TYPES[sipEventPackage] !== undefined && typeof(sipEventUri) === 'string')
+    {
+        this.sipCallId = new String(new Date().getTime()) + Math.floor(Math.random() * 2147483648);
+        this.clientConnector = clientConnector;
+        this.sipEventMethod = sipEventMethod;
+        this.sipEventPackage = sipEventPackage;
+        this.sipEventUri = sipEventUri;
+        this.sipCSeqNumber = 0;
+        this.sipEventState = undefined;
+        this.sipEventExpires = this.SIP_EVENT_EXPIRES;
+        this.sipEventTimer = undefined;
+        this.sipEventContent = undefined;
+        this.sipEventPendingContent = undefined;
+        this.sipETag = undefined;
+        this.jainSipSubscribeDialog = undefined;
+        this.sipTerminatePendingFlag = false;
+        this.sipDialogInfoVersion = undefined;
+        this.sipDialogs = {};
+    } else {
+        throw "PrivateJainSipEventConnector:PrivateJainSipEventConnector(): bad arguments"
+    }
+};
+
+/**
+ * SIP Event Control state machine constant
+ * @private
+ * @constant
+ */
+PrivateJainSipEventConnector.prototype.SIP_PUBLISHING_STATE = "SIP_PUBLISHING_STATE";
+PrivateJainSipEventConnector.prototype.SIP_PUBLISHED_STATE = "SIP_PUBLISHED_STATE";
+PrivateJainSipEventConnector.prototype.SIP_UNPUBLISHING_STATE = "SIP_UNPUBLISHING_STATE";
+PrivateJainSipEventConnector.prototype.SIP_SUBSCRIBING_STATE = "SIP_SUBSCRIBING_STATE";
+PrivateJainSipEventConnector.prototype.SIP_SUBSCRIBED_STATE = "SIP_SUBSCRIBED_STATE";
+PrivateJainSipEventConnector.prototype.SIP_UNSUBSCRIBING_STATE = "SIP_UNSUBSCRIBING_STATE";
+
+/**
+ * Requested expiration (seconds) of the publication and subscriptions,
+ * refreshed at the half of the expiration granted by the SIP server
+ * @private
+ * @constant
+ */
+PrivateJainSipEventConnector.prototype.SIP_EVENT_EXPIRES = 3600;
+
+/**
+ * Delay (milliseconds) waiting the final SIP NOTIFY of a terminated subscription (SIP timer F)
+ * @private
+ * @constant
+ */
+PrivateJainSipEventConnector.prototype.SIP_UNSUBSCRIBE_TIMEOUT = 32000;
+
+/**
+ * Supported SIP event packages
+ * @private
+ * @constant
+ */
+PrivateJainSipEventConnector.prototype.SIP_PRESENCE_EVENT = "presence";
+PrivateJainSipEventConnector.prototype.SIP_MESSAGE_SUMMARY_EVENT = "message-summary";
+PrivateJainSipEventConnector.prototype.SIP_DIALOG_EVENT = "dialog";
+
+/**
+ * Content subtype (application/...) of the event packages: Presence Information Data Format (RFC 3863), 
+ * message summary (RFC 3842) and dialog information (RFC 4235)
+ * @private
+ * @constant
+ */
+PrivateJainSipEventConnector.prototype.SIP_EVENT_CONTENT_TYPES = {
+    "presence": "pidf+xml",
+    "message-summary": "simple-message-summary",
+    "dialog": "dialog-info+xml"
+};
+
+/**
+ * Get event connector id
+ * @public
+ * @returns {String} sipCallId
+ */
+PrivateJainSipEventConnector.prototype.getId= function() {
+    return this.sipCallId;
+};
+
+/**
+ * Get event package
+ * @public
+ * @returns {String} sipEventPackage
+ */
+PrivateJainSipEventConnector.prototype.getEventPackage= function() {
+    return this.sipEventPackage;
+};
+
+/**
+ * Get presentity or message account
+ * @public
+ * @returns {String} sipEventUri
+ */
+PrivateJainSipEventConnector.prototype.getEventUri= function() {
+    return this.sipEventUri;
+};
+
+/**
+ * Build the PIDF document (RFC 3863) of the user presence
+ * @private
+ * @param {String} status "open" or "closed"
+ * @param {String} note free text note (e.g. "On the phone"), optional
+ * @returns {String} PIDF XML document
+ */
+PrivateJainSipEventConnector.prototype.buildPidfDocument = function(status, note) {
+    console.debug("PrivateJainSipEventConnector:buildPidfDocument(): status=" + status);
+    var entity = "sip:" + this.clientConnector.configuration.sipUserName + "@" + this.clientConnector.configuration.sipDomain;
+    var pidf = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\r\n";
+    pidf += "<presence xmlns=\"urn:ietf:params:xml:ns:pidf\" entity=\"" + this.escapeXml(entity) + "\">\r\n";
+    pidf += "<tuple id=\"t" + this.clientConnector.getSipInstanceId().replace(/[^A-Za-z0-9]/g, "") + "\">\r\n";
+    pidf += "<status><basic>" + status + "</basic></status>\r\n";
+    pidf += "</tuple>\r\n";
+    if (note)
+    {
+        pidf += "<note>" + this.escapeXml(note) + "</note>\r\n";
+    }
+    pidf += "</presence>\r\n";
+    return pidf;
+};
+
+/**
+ * Process the content of a received SIP NOTIFY according to the event package
+ * @private
+ * @param {String} content SIP NOTIFY content
+ */
+PrivateJainSipEventConnector.prototype.processSipNotifyContent = function(content) {
+    console.debug("PrivateJainSipEventConnector:processSipNotifyContent(): this.sipEventPackage=" + this.sipEventPackage);
+    if (this.sipEventPackage === this.SIP_PRESENCE_EVENT)
+    {
+        var presence = this.parsePidfDocument(content);
+        if (presence.status !== undefined)
+        {
+            this.clientConnector.webRTCommClient.onPrivateClientConnectorPresenceEvent(this.sipEventUri, presence.status, presence.note);
+        }
+    }
+    else if (this.sipEventPackage === this.SIP_MESSAGE_SUMMARY_EVENT)
+    {
+        this.clientConnector.webRTCommClient.onPrivateClientConnectorMessageWaitingEvent(this.parseMessageSummary(content));
+    }
+    else if (this.sipEventPackage === this.SIP_DIALOG_EVENT)
+    {
+        var dialogInfo = this.parseDialogInfoDocument(content);
+        if (dialogInfo.version !== undefined && this.sipDialogInfoVersion !== undefined && dialogInfo.version <= this.sipDialogInfoVersion)
+        {
+            console.debug("PrivateJainSipEventConnector:processSipNotifyContent(): outdated dialog information ignored, version=" + dialogInfo.version);
+            return;
+        }
+        this.sipDialogInfoVersion = dialogInfo.version;
+        if (dialogInfo.state === "full")
+        {
+            this.sipDialogs = {};
+        }
+        for (var i = 0; i < dialogInfo.dialogs.length; i++)
+        {
+            var dialog = dialogInfo.dialogs[i];
+            if (dialog.state === "terminated")
+                delete this.sipDialogs[dialog.id];
+            else
+                this.sipDialogs[dialog.id] = dialog;
+        }
+
+        // The entity state is the most advanced state of its dialogs
+        var states = ["terminated", "trying", "proceeding", "early", "confirmed"];
+        var entityState = "terminated";
+        var dialogs = [];
+        for (var dialogId in this.sipDialogs)
+        {
+            dialogs.push(this.sipDialogs[dialogId]);
+            if (states.indexOf(this.sipDialogs[dialogId].state) > states.indexOf(entityState))
+            {
+                entityState = this.sipDialogs[dialogId].state;
+            }
+        }
+        this.clientConnector.webRTCommClient.onPrivateClientConnectorDialogEvent(this.sipEventUri, entityState, dialogs);
+    }
+};
+
+/**
+ * Parse the PIDF document (RFC 3863) of a SIP NOTIFY: the presentity is "open" if one of its tuples is "open"
+ * @private
+ * @param {String} pidf PIDF XML document
+ * @returns {object} presence {status:"open"|"closed"|undefined, note:String|undefined}
+ */
+PrivateJainSipEventConnector.prototype.parsePidfDocument = function(pidf) {
+    console.debug("PrivateJainSipEventConnector:parsePidfDocument()");
+    var presence = {
+        status: undefined,
+        note: undefined
+    };
+    var basicRegExp = /<(?:[\w\-]+:)?basic[^>]*>\s*([^<\s]*)\s*<\/(?:[\w\-]+:)?basic>/g;
+    var basic = undefined;
+    while ((basic = basicRegExp.exec(pidf)) !== null)
+    {
+        if (basic[1].toLowerCase() === "open")
+        {
+            presence.status = "open";
+            break;
+        }
+        presence.status = "closed";
+    }
+    var note = /<(?:[\w\-]+:)?note[^>]*>([\s\S]*?)<\/(?:[\w\-]+:)?note>/.exec(pidf);
+    if (note)
+    {
+        presence.note = this.unescapeXml(note[1].trim());
+    }
+    return presence;
+};
+
+/**
+ * Parse the message summary (RFC 3842) of a SIP NOTIFY, e.g. "Messages-Waiting: yes" and "Voice-Message: 2/8 (0/2)"
+ * @private
+ * @param {String} messageSummary simple-message-summary document
+ * @returns {object} message waiting indication {messagesWaiting:boolean, messageAccount:String|undefined, 
+ *          voiceMessage:{newMessages:2, oldMessages:8, newUrgentMessages:0, oldUrgentMessages:2}, ...}
+ */
+PrivateJainSipEventConnector.prototype.parseMessageSummary = function(messageSummary) {
+    console.debug("PrivateJainSipEventConnector:parseMessageSummary()");
+    var messageWaiting = {
+        messagesWaiting: false,
+        messageAccount: undefined
+    };
+    var lines = messageSummary.split(/\r?\n/);
+    for (var i = 0; i < lines.length; i++)
+    {
+        var line = /^\s*([\w\-]+)\s*:\s*(.*?)\s*$/.exec(lines[i]);
+        if (line === null)
+        {
+            continue;
+        }
+        var name = line[1].toLowerCase();
+        if (name === "messages-waiting")
+        {
+            messageWaiting.messagesWaiting = (line[2].toLowerCase() === "yes");
+        }
+        else if (name === "message-account")
+        {
+            messageWaiting.messageAccount = line[2];
+        }
+        else if (name.indexOf("-message") !== -1)
+        {
+            // Message context class (RFC 3458): voice-message, fax-message, pager-message, multimedia-message, text-message
+            var counts = /^(\d+)\s*\/\s*(\d+)(?:\s*\(\s*(\d+)\s*\/\s*(\d+)\s*\))?/.exec(line[2]);
+            if (counts !== null)
+            {
+                var messageContextClass = name.replace(/-(\w)/g, function(match, letter) {
+                    return letter.toUpperCase();
+                });
+                messageWaiting[messageContextClass] = {
+                    newMessages: parseInt(counts[1]),
+                    oldMessages: parseInt(counts[2]),
+                    newUrgentMessages: counts[3] !== undefined ? parseInt(counts[3]) : 0,
+                    oldUrgentMessages: counts[4] !== undefined ? parseInt(counts[4]) : 0
+                };
+            }
+        }
+    }
+    return messageWaiting;
+};
+
+/**
+ * Parse the dialog information document (RFC 4235) of a SIP NOTIFY
+ * @private
+ * @param {String} dialogInfo dialog-info XML document
+ * @returns {object} dialog information {version:Number, state:"full"|"partial", 
+ *          dialogs:[{id:String, state:"trying"|"proceeding"|"early"|"confirmed"|"terminated", direction:"initiator"|"recipient"|undefined, remoteIdentity:String|undefined}]}
+ */
+PrivateJainSipEventConnector.prototype.parseDialogInfoDocument = function(dialogInfo) {
+    console.debug("PrivateJainSipEventConnector:parseDialogInfoDocument()");
+    var result = {
+        version: undefined,
+        state: "full",
+        dialogs: []
+    };
+    var dialogInfoElement = /<(?:[\w\-]+:)?dialog-info\b([^>]*)>/.exec(dialogInfo);
+    if (dialogInfoElement)
+    {
+        var attributes = this.parseXmlAttributes(dialogInfoElement[1]);
+        if (attributes.version !== undefined)
+            result.version = parseInt(attributes.version);
+        if (attributes.state !== undefined)
+            result.state = attributes.state.toLowerCase();
+    }
+    var dialogRegExp = /<(?:[\w\-]+:)?dialog(?=[\s>\/])([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:[\w\-]+:)?dialog>)/g;
+    var dialogElement = undefined;
+    while ((dialogElement = dialogRegExp.exec(dialogInfo)) !== null)
+    {
+        var attributes = this.parseXmlAttributes(dialogElement[1]);
+        var content = dialogElement[2] || "";
+        var state = /<(?:[\w\-]+:)?state[^>]*>\s*([\w\-]+)\s*</.exec(content);
+        var remoteIdentity = /<(?:[\w\-]+:)?remote[^>]*>[\s\S]*?<(?:[\w\-]+:)?identity[^>]*>\s*([^<]*?)\s*</.exec(content);
+        result.dialogs.push({
+            id: attributes.id,
+            state: state ? state[1].toLowerCase() : undefined,
+            direction: attributes.direction,
+            remoteIdentity: remoteIdentity ? this.unescapeXml(remoteIdentity[1]) : undefined
+        });
+    }
+    return result;
+};
+
+/**
+ * Parse the attributes of a XML element
+ * @private
+ * @param {String} attributes XML element attributes (e.g. id="123" direction="initiator")
+ * @returns {object} attribute values by name
+ */
+PrivateJainSipEventConnector.prototype.parseXmlAttributes = function(attributes) {
+    var result = {};
+    var attributeRegExp = /([\w\-:]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    var attribute = undefined;
+    while ((attribute = attributeRegExp.exec(attributes)) !== null)
+    {
+        result[attribute[1]] = this.unescapeXml(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+    }
+    return result;
+};
+
+/**
+ * Escape XML special characters
+ * @private
+ * @param {String} text text to escape
+ * @returns {String} escaped text
+ */
+PrivateJainSipEventConnector.prototype.escapeXml = function(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+};
+
+/**
+ * Unescape XML predefined entities
+ * @private
+ * @param {String} text text to unescape
+ * @returns {String} unescaped text
+ */
+PrivateJainSipEventConnector.prototype.unescapeXml = function(text) {
+    return text.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, "\"").replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+};
+
+/**
+ * Publish the user presence, asynchronous action, publish error is notified to WebRTCommClient
+ * @public
+ * @param {String} status "open" or "closed"
+ * @param {String} note free text note, optional
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+PrivateJainSipEventConnector.prototype.publish = function(status, note) {
+    console.debug("PrivateJainSipEventConnector:publish(): status=" + status);
+    if (this.sipEventMethod === "PUBLISH" && this.sipEventState !== this.SIP_UNPUBLISHING_STATE)
+    {
+        var pidf = this.buildPidfDocument(status, note);
+        if (this.sipEventState === this.SIP_PUBLISHING_STATE)
+        {
+            // SIP PUBLISH transaction in progress, modify the publication once finished
+            this.sipEventPendingContent = pidf;
+        }
+        else
+        {
+            this.sipEventContent = pidf;
+            this.sendSipPublishRequest(this.sipEventExpires, pidf);
+        }
+    }
+    else
+    {
+        console.error("PrivateJainSipEventConnector:publish(): bad state, unauthorized action");
+        throw "PrivateJainSipEventConnector:publish(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Subscribe to the event package of the target, asynchronous action,
+ * notifications and subscription error events are notified to WebRTCommClient
+ * @public
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+PrivateJainSipEventConnector.prototype.subscribe = function() {
+    console.debug("PrivateJainSipEventConnector:subscribe()");
+    if (this.sipEventMethod === "SUBSCRIBE" && this.sipEventState === undefined)
+    {
+        this.sendSipSubscribeRequest(this.sipEventExpires);
+    }
+    else
+    {
+        console.error("PrivateJainSipEventConnector:subscribe(): bad state, unauthorized action");
+        throw "PrivateJainSipEventConnector:subscribe(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Remove the publication or terminate the subscription, asynchronous action
+ * @public
+ */
+PrivateJainSipEventConnector.prototype.terminate = function() {
+    console.debug("PrivateJainSipEventConnector:terminate(): this.sipEventState=" + this.sipEventState);
+    this.stopSipEventTimer();
+    try
+    {
+        if (this.sipEventState === this.SIP_PUBLISHED_STATE)
+        {
+            this.sendSipPublishRequest(0);
+            return;
+        }
+        else if (this.sipEventState === this.SIP_SUBSCRIBED_STATE)
+        {
+            this.sendSipSubscribeRequest(0);
+            return;
+        }
+        else if (this.sipEventState === this.SIP_SUBSCRIBING_STATE || this.sipEventState === this.SIP_PUBLISHING_STATE)
+        {
+            // Wait the end of the SIP transaction in progress
+            this.sipTerminatePendingFlag = true;
+            return;
+        }
+    }
+    catch (exception)
+    {
+        console.error("PrivateJainSipEventConnector:terminate(): catched exception:" + exception);
+    }
+    this.close();
+};
+
+/**
+ * Close event connector without waiting the SIP server answer,
+ * the publication is removed and the subscription terminated if the SIP connectivity is available
+ * @public
+ */
+PrivateJainSipEventConnector.prototype.close = function() {
+    console.debug("PrivateJainSipEventConnector:close(): this.sipEventState=" + this.sipEventState);
+    this.stopSipEventTimer();
+    if (!this.clientConnector.isReconnecting())
+    {
+        try
+        {
+            if (this.sipEventState === this.SIP_PUBLISHED_STATE)
+                this.sendSipPublishRequest(0);
+            else if (this.sipEventState === this.SIP_SUBSCRIBED_STATE)
+                this.sendSipSubscribeRequest(0);
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipEventConnector:close(): catched exception:" + exception);
+        }
+    }
+    this.sipEventState = undefined;
+    this.clientConnector.removeSessionConnector(this.sipCallId);
+};
+
+/**
+ * Start the refresh timer of the publication or subscription
+ * @private
+ * @param {Number} expires expiration granted by the SIP server (seconds)
+ */
+PrivateJainSipEventConnector.prototype.startSipEventTimer = function(expires) {
+    console.debug("PrivateJainSipEventConnector:startSipEventTimer(): expires=" + expires);
+    this.stopSipEventTimer();
+    var that = this;
+    this.sipEventTimer = setTimeout(function() {
+        that.onSipEventRefreshTimeout();
+    }, expires * 500);
+};
+
+/**
+ * Stop the refresh timer of the publication or subscription
+ * @private
+ */
+PrivateJainSipEventConnector.prototype.stopSipEventTimer = function() {
+    if (this.sipEventTimer !== undefined)
+    {
+        clearTimeout(this.sipEventTimer);
+        this.sipEventTimer = undefined;
+    }
+};
+
+/**
+ * Refresh timeout of the publication or subscription
+ * @private
+ */
+PrivateJainSipEventConnector.prototype.onSipEventRefreshTimeout = function() {
+    console.debug("PrivateJainSipEventConnector:onSipEventRefreshTimeout(): this.sipEventState=" + this.sipEventState);
+    this.sipEventTimer = undefined;
+    try
+    {
+        if (this.sipEventState === this.SIP_PUBLISHED_STATE)
+        {
+            this.sendSipPublishRequest(this.sipEventExpires);
+        }
+        else if (this.sipEventState === this.SIP_SUBSCRIBED_STATE)
+        {
+            this.sendSipSubscribeRequest(this.sipEventExpires);
+        }
+        else if (this.sipEventState === this.SIP_UNSUBSCRIBING_STATE)
+        {
+            // Final SIP NOTIFY not received
+            this.close();
+        }
+    }
+    catch (exception)
+    {
+        console.error("PrivateJainSipEventConnector:onSipEventRefreshTimeout(): catched exception:" + exception);
+        this.onSipEventError("Refresh failed");
+    }
+};
+
+/**
+ * SIP connectivity (WebSocket) recovered: refresh the publication or subscription on the new WebSocket
+ * @public
+ */
+PrivateJainSipEventConnector.prototype.onJainSipClientConnectorReconnectedEvent = function() {
+    console.debug("PrivateJainSipEventConnector:onJainSipClientConnectorReconnectedEvent()");
+    if (this.sipEventState === this.SIP_PUBLISHED_STATE || this.sipEventState === this.SIP_SUBSCRIBED_STATE)
+    {
+        this.stopSipEventTimer();
+        this.onSipEventRefreshTimeout();
+    }
+};
+
+/**
+ * Build a new SIP request out of dialog to the presentity
+ * @private
+ * @param {String} method "PUBLISH" or "SUBSCRIBE"
+ * @param {Number} expires requested expiration (seconds)
+ * @returns {Request} SIP request
+ */
+PrivateJainSipEventConnector.prototype.createSipRequest = function(method, expires) {
+    console.debug("PrivateJainSipEventConnector:createSipRequest(): method=" + method);
+    var toSipUri = this.sipEventUri;
+    if (toSipUri.indexOf("sip:") === 0)
+    {
+        toSipUri = toSipUri.substring(4);
+    }
+    if (toSipUri.indexOf("@") === -1)
+    {
+        //No domain, add caller one
+        toSipUri += "@" + this.clientConnector.configuration.sipDomain;
+    }
+    var fromSipUriString = this.clientConnector.configuration.sipUserName + "@" + this.clientConnector.configuration.sipDomain;
+    this.sipCSeqNumber++;
+    var jainSipCseqHeader = this.clientConnector.jainSipHeaderFactory.createCSeqHeader(this.sipCSeqNumber, method);
+    var jainSipCallIdHeader = this.clientConnector.jainSipHeaderFactory.createCallIdHeader(this.sipCallId);
+    var jainSipMaxForwardHeader = this.clientConnector.jainSipHeaderFactory.createMaxForwardsHeader(70);
+    var jainSipRequestUri = this.clientConnector.jainSipAddressFactory.createSipURI_user_host(null, toSipUri);
+    var jainSipFromUri = this.clientConnector.jainSipAddressFactory.createSipURI_user_host(null, fromSipUriString);
+    var jainSipFromAdress = this.clientConnector.jainSipAddressFactory.createAddress_name_uri(null, jainSipFromUri);
+
+    // Setup display name
+    if (this.clientConnector.configuration.displayName)
+    {
+        jainSipFromAdress.setDisplayName(this.clientConnector.configuration.displayName);
+    }
+    else if (this.clientConnector.configuration.sipDisplayName)
+    {
+        jainSipFromAdress.setDisplayName(this.clientConnector.configuration.sipDisplayName);
+    }
+    if (this.sipFromTag === undefined)
+    {
+        this.sipFromTag = new Date().getTime();
+    }
+    var jainSipFromHeader = this.clientConnector.jainSipHeaderFactory.createFromHeader(jainSipFromAdress, this.sipFromTag);
+    var jainSiptoUri = this.clientConnector.jainSipAddressFactory.createSipURI_user_host(null, toSipUri);
+    var jainSipToAddress = this.clientConnector.jainSipAddressFactory.createAddress_name_uri(null, jainSiptoUri);
+    var jainSipToHeader = this.clientConnector.jainSipHeaderFactory.createToHeader(jainSipToAddress, null);
+    var jainSipViaHeader = this.clientConnector.jainSipListeningPoint.getViaHeader();
+
+    var jainSipRequest = this.clientConnector.jainSipMessageFactory.createRequest(
+            jainSipRequestUri,
+            method,
+            jainSipCallIdHeader,
+            jainSipCseqHeader,
+            jainSipFromHeader,
+            jainSipToHeader,
+            jainSipViaHeader,
+            jainSipMaxForwardHeader);
+    this.clientConnector.jainSipMessageFactory.addHeader(jainSipRequest, this.clientConnector.jainSipHeaderFactory.createExtensionHeader("Event", this.sipEventPackage));
+    this.clientConnector.jainSipMessageFactory.addHeader(jainSipRequest, this.clientConnector.jainSipHeaderFactory.createExpiresHeader(expires));
+    return jainSipRequest;
+};
+
+/**
+ * Send SIP PUBLISH request: initial (no entity tag), refresh (no content), modification or removal (expires 0)
+ * @private
+ * @param {Number} expires requested expiration (seconds), 0 to remove the publication
+ * @param {String} pidf PIDF document, undefined for refresh and removal
+ */
+PrivateJainSipEventConnector.prototype.sendSipPublishRequest = function(expires, pidf) {
+    console.debug("PrivateJainSipEventConnector:sendSipPublishRequest(): expires=" + expires);
+    if (this.sipETag === undefined && expires > 0)
+    {
+        // Initial publication
+        pidf = this.sipEventContent;
+    }
+    var jainSipPublishRequest = this.createSipRequest("PUBLISH", expires);
+    if (this.sipETag !== undefined)
+    {
+        this.clientConnector.jainSipMessageFactory.addHeader(jainSipPublishRequest, this.clientConnector.jainSipHeaderFactory.createExtensionHeader("SIP-If-Match", this.sipETag));
+    }
+    if (pidf !== undefined)
+    {
+        jainSipPublishRequest.setMessageContent("application", this.SIP_EVENT_CONTENT_TYPES[this.sipEventPackage], pidf);
+    }
+    this.clientConnector.authenticateSipRequest(jainSipPublishRequest);
+    var jainSipTransaction = this.clientConnector.jainSipProvider.getNewClientTransaction(jainSipPublishRequest);
+    jainSipPublishRequest.setTransaction(jainSipTransaction);
+    jainSipTransaction.sendRequest();
+    this.sipEventState = (expires > 0) ? this.SIP_PUBLISHING_STATE : this.SIP_UNPUBLISHING_STATE;
+    this.sipEventRequestExpires = expires;
+    this.sipEventRequestContent = pidf;
+};
+
+/**
+ * Send SIP SUBSCRIBE request: initial, refresh or unsubscription (expires 0) in the subscription dialog
+ * @private
+ * @param {Number} expires requested expiration (seconds), 0 to terminate the subscription
+ */
+PrivateJainSipEventConnector.prototype.sendSipSubscribeRequest = function(expires) {
+    console.debug("PrivateJainSipEventConnector:sendSipSubscribeRequest(): expires=" + expires);
+    var jainSipSubscribeRequest = undefined;
+    if (this.jainSipSubscribeDialog)
+    {
+        jainSipSubscribeRequest = this.jainSipSubscribeDialog.createRequest("SUBSCRIBE");
+        jainSipSubscribeRequest.removeHeader("Contact");
+        jainSipSubscribeRequest.removeHeader("User-Agent");
+        jainSipSubscribeRequest.setHeader(this.clientConnector.jainSipHeaderFactory.createExtensionHeader("Event", this.sipEventPackage));
+        jainSipSubscribeRequest.setHeader(this.clientConnector.jainSipHeaderFactory.createExpiresHeader(expires));
+    }
+    else
+    {
+        jainSipSubscribeRequest = this.createSipRequest("SUBSCRIBE", expires);
+    }
+    jainSipSubscribeRequest.addHeader(this.clientConnector.jainSipHeaderFactory.createHeader("Accept: application/" + this.SIP_EVENT_CONTENT_TYPES[this.sipEventPackage]));
+    jainSipSubscribeRequest.addHeader(this.clientConnector.jainSipHeaderFactory.createHeaders(this.clientConnector.SIP_ALLOW_HEADER));
+    jainSipSubscribeRequest.addHeader(this.clientConnector.jainSipContactHeader);
+    this.clientConnector.authenticateSipRequest(jainSipSubscribeRequest);
+    var jainSipTransaction = this.clientConnector.jainSipProvider.getNewClientTransaction(jainSipSubscribeRequest);
+    jainSipSubscribeRequest.setTransaction(jainSipTransaction);
+    if (this.jainSipSubscribeDialog)
+    {
+        this.jainSipSubscribeDialog.sendRequest(jainSipTransaction);
+    }
+    else
+    {
+        jainSipTransaction.sendRequest();
+    }
+    this.sipEventState = (expires > 0) ? this.SIP_SUBSCRIBING_STATE : this.SIP_UNSUBSCRIBING_STATE;
+    this.sipEventRequestExpires = expires;
+};
+
+/**
+ * Get the expiration granted by the SIP server in a 2xx response (Expires header)
+ * @private
+ * @param {Response} jainSipResponse SIP 2xx response
+ * @returns {Number} granted expiration (seconds)
+ */
+PrivateJainSipEventConnector.prototype.getSipGrantedExpires = function(jainSipResponse) {
+    var jainSipExpiresHeader = jainSipResponse.getHeader("Expires");
+    if (jainSipExpiresHeader)
+    {
+        return parseInt(jainSipExpiresHeader.getExpires());
+    }
+    else
+    {
+        return this.sipEventRequestExpires;
+    }
+};
+
+/**
+ * Update the requested expiration from the Min-Expires header of a SIP 423 Interval Too Brief response
+ * @private
+ * @param {Response} jainSipResponse SIP 423 response
+ * @returns {boolean} true if the request must be sent again with the new expiration, false otherwise
+ */
+PrivateJainSipEventConnector.prototype.updateSipEventExpires = function(jainSipResponse) {
+    console.debug("PrivateJainSipEventConnector:updateSipEventExpires()");
+    var jainSipMinExpiresHeader = jainSipResponse.getHeader("Min-Expires");
+    if (jainSipMinExpiresHeader)
+    {
+        var minExpires = parseInt(jainSipMinExpiresHeader.getHeaderValue());
+        if (!isNaN(minExpires) && minExpires > this.sipEventExpires)
+        {
+            this.sipEventExpires = minExpires;
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * PrivateJainSipClientConnector interface implementation: handle SIP Request event
+ * @public
+ * @param {RequestEvent} requestEvent
+ */
+PrivateJainSipEventConnector.prototype.onJainSipClientConnectorSipRequestEvent = function(requestEvent) {
+    console.debug("PrivateJainSipEventConnector:onJainSipClientConnectorSipRequestEvent(): this.sipEventState=" + this.sipEventState);
+    var jainSipRequest = requestEvent.getRequest();
+    // Event header class is not bundled in JAIN SIP JS, Event headers are extension headers
+    var jainSipEventHeader = jainSipRequest.getHeader("Event");
+    if (jainSipRequest.getMethod() !== "NOTIFY" || this.sipEventMethod !== "SUBSCRIBE" || !jainSipEventHeader || jainSipEventHeader.getHeaderValue().split(";")[0].trim().toLowerCase() !== this.sipEventPackage)
+    {
+        try
+        {
+            var jainSipResponse489 = jainSipRequest.createResponse(489, "Bad Event");
+            jainSipResponse489.addHeader(this.clientConnector.jainSipContactHeader);
+            requestEvent.getServerTransaction().sendResponse(jainSipResponse489);
+        }
+        catch (exception)
+        {
+            console.error("PrivateJainSipEventConnector:onJainSipClientConnectorSipRequestEvent(): catched exception, exception:" + exception);
+        }
+        return;
+    }
+
+    try
+    {
+        // Send 200 OK NOTIFY
+        var jainSip200OKResponse = jainSipRequest.createResponse(200, "OK");
+        jainSip200OKResponse.addHeader(this.clientConnector.jainSipContactHeader);
+        jainSip200OKResponse.removeContent();
+        requestEvent.getServerTransaction().sendResponse(jainSip200OKResponse);
+    }
+    catch (exception)
+    {
+        console.error("PrivateJainSipEventConnector:onJainSipClientConnectorSipRequestEvent(): catched exception, exception:" + exception);
+    }
+
+    if (!this.jainSipSubscribeDialog && requestEvent.getDialog())
+    {
+        // SIP NOTIFY received before the SIP 200 OK SUBSCRIBE
+        this.jainSipSubscribeDialog = requestEvent.getDialog();
+    }
+
+    var content = jainSipRequest.getContent();
+    if (content)
+    {
+        this.processSipNotifyContent(content.toString());
+    }
+
+    // Subscription-State: active;expires=3600, pending;expires=3600 or terminated;reason=timeout
+    var subscriptionState = "active";
+    var jainSipSubscriptionStateHeader = jainSipRequest.getHeader("Subscription-State");
+    if (jainSipSubscriptionStateHeader)
+    {
+        subscriptionState = jainSipSubscriptionStateHeader.getHeaderValue().trim().toLowerCase();
+    }
+    if (subscriptionState.indexOf("terminated") === 0)
+    {
+        if (this.sipEventState === this.SIP_UNSUBSCRIBING_STATE)
+        {
+            this.close();
+        }
+        else
+        {
+            var reason = /reason=([\w\-]+)/.exec(subscriptionState);
+            this.onSipEventError("Subscription terminated" + (reason ? ": " + reason[1] : ""));
+        }
+    }
+    else if (this.sipEventState === this.SIP_SUBSCRIBED_STATE)
+    {
+        // The SIP server may shorten the subscription
+        var expires = /expires=(\d+)/.exec(subscriptionState);
+        if (expires && parseInt(expires[1]) < this.sipEventGrantedExpires)
+        {
+            this.sipEventGrantedExpires = parseInt(expires[1]);
+            this.startSipEventTimer(this.sipEventGrantedExpires);
+        }
+    }
+};
+
+/**
+ * PrivateJainSipClientConnector interface implementation: handle SIP response event
+ * @public
+ * @param {ResponseEvent} responseEvent
+ */
+PrivateJainSipEventConnector.prototype.onJainSipClientConnectorSipResponseEvent = function(responseEvent) {
+    console.debug("PrivateJainSipEventConnector:onJainSipClientConnectorSipResponseEvent(): this.sipEventState=" + this.sipEventState);
+    var jainSipResponse = responseEvent.getResponse();
+    var statusCode = parseInt(jainSipResponse.getStatusCode());
+    if (statusCode < 200)
+    {
+        return;
+    }
+    if (jainSipResponse.getCSeq().getMethod() === "PUBLISH")
+    {
+        this.processSipPublishResponse(responseEvent);
+    }
+    else if (jainSipResponse.getCSeq().getMethod() === "SUBSCRIBE")
+    {
+        this.processSipSubscribeResponse(responseEvent);
+    }
+    else
+    {
+        console.debug("PrivateJainSipEventConnector:onJainSipClientConnectorSipResponseEvent(): SIP response ignored");
+    }
+};
+
+/**
+ * Handle SIP final response event of a sent SIP PUBLISH
+ * @private
+ * @param {ResponseEvent} responseEvent response event
+ */
+PrivateJainSipEventConnector.prototype.processSipPublishResponse = function(responseEvent) {
+    console.debug("PrivateJainSipEventConnector:processSipPublishResponse()");
+    var jainSipResponse = responseEvent.getResponse();
+    var statusCode = parseInt(jainSipResponse.getStatusCode());
+    var jainSipPublishRequest = responseEvent.getOriginalTransaction().getOriginalRequest();
+    try
+    {
+        if (this.sipEventState === this.SIP_UNPUBLISHING_STATE)
+        {
+            if ((statusCode === 401 || statusCode === 407) && this.clientConnector.processSipDigestChallenge(jainSipResponse, jainSipPublishRequest))
+            {
+                this.sendSipPublishRequest(0);
+            }
+            else
+            {
+                this.close();
+            }
+        }
+        else if (this.sipEventState === this.SIP_PUBLISHING_STATE)
+        {
+            if (statusCode < 300)
+            {
+                var jainSipETagHeader = jainSipResponse.getHeader("SIP-ETag");
+                if (jainSipETagHeader)
+                {
+                    this.sipETag = jainSipETagHeader.getHeaderValue().trim();
+                }
+                this.sipEventState = this.SIP_PUBLISHED_STATE;
+                this.startSipEventTimer(this.getSipGrantedExpires(jainSipResponse));
+                if (this.sipTerminatePendingFlag)
+                {
+                    this.terminate();
+                }
+                else if (this.sipEventPendingContent !== undefined)
+                {
+                    // Publication modified during the SIP PUBLISH transaction
+                    this.sipEventContent = this.sipEventPendingContent;
+                    this.sipEventPendingContent = undefined;
+                    this.sendSipPublishRequest(this.sipEventExpires, this.sipEventContent);
+                }
+            }
+            else if ((statusCode === 401 || statusCode === 407) && this.clientConnector.processSipDigestChallenge(jainSipResponse, jainSipPublishRequest))
+            {
+                this.sendSipPublishRequest(this.sipEventRequestExpires, this.sipEventRequestContent);
+            }
+            else if (statusCode === 423 && this.updateSipEventExpires(jainSipResponse))
+            {
+                this.sendSipPublishRequest(this.sipEventExpires, this.sipEventRequestContent);
+            }
+            else if (statusCode === 412 && this.sipETag !== undefined)
+            {
+                // Conditional Request Failed: publication expired on the SIP server, publish it again
+                this.sipETag = undefined;
+                this.sendSipPublishRequest(this.sipEventExpires, this.sipEventContent);
+            }
+            else
+            {
+                console.error("PrivateJainSipEventConnector:processSipPublishResponse(): SIP PUBLISH failed:" + jainSipResponse.getStatusCode() + "  " + jainSipResponse.getStatusLine().toString());
+                this.onSipEventError(jainSipResponse.getStatusLine().getReasonPhrase());
+            }
+        }
+        else
+        {
+            console.error("PrivateJainSipEventConnector:processSipPublishResponse(): bad state, SIP response ignored");
+        }
+    }
+    catch (exception)
+    {
+        console.error("PrivateJainSipEventConnector:processSipPublishResponse(): catched exception, exception:" + exception);
+        this.onSipEventError("Internal error");
+    }
+};
+
+/**
+ * Handle SIP final response event of a sent SIP SUBSCRIBE
+ * @private
+ * @param {ResponseEvent} responseEvent response event
+ */
+PrivateJainSipEventConnector.prototype.processSipSubscribeResponse = function(responseEvent) {
+    console.debug("PrivateJainSipEventConnector:processSipSubscribeResponse()");
+    var jainSipResponse = responseEvent.getResponse();
+    var statusCode = parseInt(jainSipResponse.getStatusCode());
+    var jainSipSubscribeRequest = responseEvent.getOriginalTransaction().getOriginalRequest();
+    try
+    {
+        if (this.sipEventState === this.SIP_UNSUBSCRIBING_STATE)
+        {
+            if (statusCode < 300)
+            {
+                // Wait the final SIP NOTIFY
+                var that = this;
+                this.stopSipEventTimer();
+                this.sipEventTimer = setTimeout(function() {
+                    that.onSipEventRefreshTimeout();
+                }, this.SIP_UNSUBSCRIBE_TIMEOUT);
+            }
+            else if ((statusCode === 401 || statusCode === 407) && this.clientConnector.processSipDigestChallenge(jainSipResponse, jainSipSubscribeRequest))
+            {
+                this.sendSipSubscribeRequest(0);
+            }
+            else
+            {
+                this.close();
+            }
+        }
+        else if (this.sipEventState === this.SIP_SUBSCRIBING_STATE)
+        {
+            if (statusCode < 300)
+            {
+                if (!this.jainSipSubscribeDialog)
+                {
+                    this.jainSipSubscribeDialog = responseEvent.getDialog() || responseEvent.getOriginalTransaction().getDialog();
+                }
+                this.sipEventState = this.SIP_SUBSCRIBED_STATE;
+                this.sipEventGrantedExpires = this.getSipGrantedExpires(jainSipResponse);
+                this.startSipEventTimer(this.sipEventGrantedExpires);
+                if (this.sipTerminatePendingFlag)
+                {
+                    this.terminate();
+                }
+            }
+            else if ((statusCode === 401 || statusCode === 407) && this.clientConnector.processSipDigestChallenge(jainSipResponse, jainSipSubscribeRequest))
+            {
+                this.sendSipSubscribeRequest(this.sipEventRequestExpires);
+            }
+            else if (statusCode === 423 && this.updateSipEventExpires(jainSipResponse))
+            {
+                this.sendSipSubscribeRequest(this.sipEventExpires);
+            }
+            else
+            {
+                console.error("PrivateJainSipEventConnector:processSipSubscribeResponse(): SIP SUBSCRIBE failed:" + jainSipResponse.getStatusCode() + "  " + jainSipResponse.getStatusLine().toString());
+                this.onSipEventError(jainSipResponse.getStatusLine().getReasonPhrase(), this.jainSipSubscribeDialog === undefined);
+            }
+        }
+        else
+        {
+            console.error("PrivateJainSipEventConnector:processSipSubscribeResponse(): bad state, SIP response ignored");
+        }
+    }
+    catch (exception)
+    {
+        console.error("PrivateJainSipEventConnector:processSipSubscribeResponse(): catched exception, exception:" + exception);
+        this.onSipEventError("Internal error");
+    }
+};
+
+/**
+ * PrivateJainSipClientConnector interface implementation: handle SIP timeout event
+ * @public
+ * @param {TimeoutEvent} timeoutEvent
+ */
+PrivateJainSipEventConnector.prototype.onJainSipClientConnectorSipTimeoutEvent = function(timeoutEvent) {
+    console.debug("PrivateJainSipEventConnector:onJainSipClientConnectorSipTimeoutEvent(): this.sipEventState=" + this.sipEventState);
+    if (this.sipEventState === this.SIP_PUBLISHING_STATE || this.sipEventState === this.SIP_SUBSCRIBING_STATE)
+    {
+        this.onSipEventError("SIP Timeout");
+    }
+    else
+    {
+        this.stopSipEventTimer();
+        this.sipEventState = undefined;
+        this.clientConnector.removeSessionConnector(this.sipCallId);
+    }
+};
+
+/**
+ * Publication or subscription failure: close the connector and notify the error to WebRTCommClient
+ * @private
+ * @param {String} error error message
+ * @param {boolean} rejectedFlag true if the initial SIP SUBSCRIBE has been rejected by the SIP server
+ */
+PrivateJainSipEventConnector.prototype.onSipEventError = function(error, rejectedFlag) {
+    console.debug("PrivateJainSipEventConnector:onSipEventError(): error=" + error);
+    this.stopSipEventTimer();
+    this.sipEventState = undefined;
+    this.clientConnector.removeSessionConnector(this.sipCallId);
+    if (this.sipEventMethod === "PUBLISH")
+    {
+        this.clientConnector.webRTCommClient.onPrivateClientConnectorPresencePublishErrorEvent(error);
+    }
+    else if (this.sipEventPackage === this.SIP_PRESENCE_EVENT)
+    {
+        this.clientConnector.webRTCommClient.onPrivateClientConnectorPresenceSubscriptionErrorEvent(this.sipEventUri, error);
+    }
+    else if (this.sipEventPackage === this.SIP_MESSAGE_SUMMARY_EVENT)
+    {
+        this.clientConnector.processSipMessageSummarySubscriptionError(error, rejectedFlag === true);
+    }
+    else if (this.sipEventPackage === this.SIP_DIALOG_EVENT)
+    {
+        this.clientConnector.webRTCommClient.onPrivateClientConnectorDialogSubscriptionErrorEvent(this.sipEventUri, error);
+    }
+};
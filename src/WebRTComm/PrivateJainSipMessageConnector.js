@@ -55,12 +55,10 @@ PrivateJainSipMessageConnector.prototype.getId= function() {
 /**
  * Send Authenticated SIP MESSAGE request
  * @param {Request} jainSipMessageRequest 
- * @param {AuthorizationHeader} jainSipAuthorizationHeader
  * @private
  */
-PrivateJainSipMessageConnector.prototype.sendAuthenticatedSipMessageRequest = function(jainSipMessageRequest, jainSipAuthorizationHeader) {
+PrivateJainSipMessageConnector.prototype.sendAuthenticatedSipMessageRequest = function(jainSipMessageRequest) {
     console.debug("PrivateJainSipMessageConnector:sendAuthenticatedSipMessageRequest()");
-    jainSipMessageRequest.removeHeader("Authorization");
     var newJainSipMessageRequest = new SIPRequest();
     newJainSipMessageRequest.setMethod(jainSipMessageRequest.getMethod());
     newJainSipMessageRequest.setRequestURI(jainSipMessageRequest.getRequestURI());
@@ -84,8 +82,8 @@ PrivateJainSipMessageConnector.prototype.sendAuthenticatedSipMessageRequest = fu
         newJainSipMessageRequest.setContent(content, contentType);
     }
     
-    this.clientConnector.jainSipMessageFactory.addHeader(newJainSipMessageRequest, jainSipAuthorizationHeader);
-    jainSipMessageTransaction = this.clientConnector.jainSipProvider.getNewClientTransaction(newJainSipMessageRequest);
+    this.clientConnector.authenticateSipRequest(newJainSipMessageRequest);
+    var jainSipMessageTransaction = this.clientConnector.jainSipProvider.getNewClientTransaction(newJainSipMessageRequest);
     newJainSipMessageRequest.setTransaction(jainSipMessageTransaction);
     jainSipMessageTransaction.sendRequest();
 };
@@ -195,14 +193,13 @@ PrivateJainSipMessageConnector.prototype.onJainSipClientConnectorSipResponseEven
                 }
             }
         } else {
-            if (statusCode === 407)
+            var jainSipOriginalMessageRequest = responseEvent.getOriginalTransaction().getOriginalRequest();
+            if ((statusCode === 401 || statusCode === 407) && this.clientConnector.processSipDigestChallenge(jainSipResponse, jainSipOriginalMessageRequest))
             {
-        	this.sipMessageState = this.SIP_MESSAGE_407_STATE;
+                this.sipMessageState = this.SIP_MESSAGE_407_STATE;
     		
-                // Send Authenticated SIP INVITE
-        	var jainSipOriginalMessageRequest = responseEvent.getOriginalTransaction().getOriginalRequest();
-                var jainSipAuthorizationHeader = this.clientConnector.jainSipHeaderFactory.createAuthorizationHeader(jainSipResponse, jainSipOriginalMessageRequest, 						   this.clientConnector.configuration.sipPassword, this.clientConnector.configuration.sipLogin);
-                this.sendAuthenticatedSipMessageRequest(jainSipOriginalMessageRequest, jainSipAuthorizationHeader);
+                // Send Authenticated SIP MESSAGE
+                this.sendAuthenticatedSipMessageRequest(jainSipOriginalMessageRequest);
                 return;
             } else {
             	this.sipMessageState = this.SIP_MESSAGE_SEND_FAILED_STATE;
@@ -363,6 +360,7 @@ PrivateJainSipMessageConnector.prototype.send = function() {
 
         this.clientConnector.jainSipMessageFactory.addHeader(this.jainSipMessageRequest, jainSipAllowListHeader);
         this.clientConnector.jainSipMessageFactory.addHeader(this.jainSipMessageRequest, this.clientConnector.jainSipContactHeader);
+        this.clientConnector.authenticateSipRequest(this.jainSipMessageRequest);
         var jainSipTransaction = this.clientConnector.jainSipProvider.getNewClientTransaction(this.jainSipMessageRequest);
         this.jainSipMessageRequest.setTransaction(jainSipTransaction);
         jainSipTransaction.sendRequest();
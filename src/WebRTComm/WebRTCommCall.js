@@ -26,9 +26,41 @@ WebRTCommCall = function(webRTCommClient)
         this.remoteBundledAudioVideoMediaStream = undefined;
         this.remoteAudioMediaStream = undefined;
         this.remoteVideoMediaStream = undefined;
+        this.remoteMediaTracks = {
+            audio: [],
+            video: []
+        };
+        this.remoteScreenShareMediaStream = undefined;
+        this.remoteScreenShareMid = undefined;
+        this.remoteContentMids = [];
+        this.localScreenShareMediaStream = undefined;
+        this.screenShareRtpTransceiver = undefined;
         this.remoteSdpOffer = undefined;
         this.messageChannel = undefined;
-	this.dtmfSender = undefined;
+        this.localHoldFlag = false;
+        this.remoteHoldFlag = false;
+        this.reOfferLocalHoldFlag = undefined;
+        this.remoteSdpReOffer = undefined;
+        this.mediaChangeRequestMids = undefined;
+        this.mediaChangeConsentTimer = undefined;
+        this.trickleIceFlag = false;
+        this.localIceCandidates = [];
+        this.remoteIceCandidates = [];
+        this.reOfferIceRestartFlag = false;
+        this.iceRestartFlag = false;
+        this.iceRestartAttempts = 0;
+        this.iceRestartTimer = undefined;
+        this.dtmfQueue = "";
+        this.dtmfTimer = undefined;
+        this.earlyMediaFlag = false;
+        this.earlyMediaSdpAnswer = undefined;
+        this.webRTCommConference = undefined;
+        this.forwardingHistory = [];
+        this.callerAssertedIdentity = undefined;
+        this.callerPrivacy = [];
+        this.qualityStatsTimer = undefined;
+        this.qualityStatsPreviousSample = undefined;
+        this.qualityAlerts = {};
         // Set default listener to client listener
         this.eventListener = webRTCommClient.eventListener;
     }
@@ -48,6 +80,110 @@ WebRTCommCall.prototype.codecNames = {
     8: "PCMA"
 };
 
+/**
+ * RFC 4796 content attribute value of the screen share video m line
+ * @private
+ * @constant
+ */
+WebRTCommCall.prototype.SCREEN_SHARE_CONTENT = "slides";
+
+/**
+ * Default and minimum quality statistics sampling interval in milliseconds
+ * @private
+ * @constant
+ */
+WebRTCommCall.prototype.QUALITY_STATS_INTERVAL = 5000;
+WebRTCommCall.prototype.QUALITY_STATS_MIN_INTERVAL = 1000;
+
+/**
+ * Default quality alert thresholds: estimated MOS (minimum), packet loss rate in % of the sampling interval, 
+ * jitter and round trip time in milliseconds (maximum)
+ * @private
+ * @constant
+ */
+WebRTCommCall.prototype.QUALITY_ALERT_THRESHOLDS = {
+    mos: 3.5,
+    packetLossRate: 5,
+    jitter: 30,
+    roundTripTime: 400
+};
+
+/**
+ * Delay in milliseconds given to the webapp to accept or decline a media change requested by the remote peer, 
+ * the media change is declined on timeout
+ * @private
+ * @constant
+ */
+WebRTCommCall.prototype.MEDIA_CHANGE_CONSENT_TIMEOUT = 20000;
+
+/**
+ * Default delay in milliseconds in ICE 'disconnected' state before the automatic ICE restart
+ * @private
+ * @constant
+ */
+WebRTCommCall.prototype.ICE_RESTART_DELAY = 5000;
+
+/**
+ * Maximum number of successive automatic ICE restarts
+ * @private
+ * @constant
+ */
+WebRTCommCall.prototype.ICE_RESTART_MAX_ATTEMPTS = 3;
+
+/**
+ * DTMF modes: RFC 4733 RTP events, SIP INFO, RFC 4733 if telephone-event has been negotiated in SDP and SIP INFO otherwise
+ * @private
+ * @constant
+ */
+WebRTCommCall.prototype.DTMF_MODES = ["rfc4733", "sip-info", "auto"];
+
+/**
+ * Default DTMF tone duration and gap between tones in milliseconds
+ * @private
+ * @constant
+ */
+WebRTCommCall.prototype.DTMF_DURATION = 500;
+WebRTCommCall.prototype.DTMF_GAP = 50;
+
+/**
+ * Pause duration in milliseconds of the "," DTMF character
+ * @private
+ * @constant
+ */
+WebRTCommCall.prototype.DTMF_PAUSE_DURATION = 2000;
+
+/**
+ * Default and minimum SIP session timer interval in seconds (RFC 4028)
+ * @private
+ * @constant
+ */
+WebRTCommCall.prototype.SESSION_TIMER_INTERVAL = 1800;
+WebRTCommCall.prototype.SESSION_TIMER_MIN_INTERVAL = 90;
+
+/**
+ * Default maximum number of followed SIP 3xx redirects of an outgoing call
+ * @private
+ * @constant
+ */
+WebRTCommCall.prototype.REDIRECT_MAX_COUNT = 5;
+
+/**
+ * SIP privacy values (RFC 3323) hiding the caller identity
+ * @private
+ * @constant
+ */
+WebRTCommCall.prototype.ANONYMOUS_PRIVACY_VALUES = ["id", "user", "header"];
+
+/**
+ * Line states of the call, see WebRTCommClient.getCalls()
+ * @public
+ * @constant
+ */
+WebRTCommCall.prototype.RINGING_LINE_STATE = "ringing";
+WebRTCommCall.prototype.CALLING_LINE_STATE = "calling";
+WebRTCommCall.prototype.ACTIVE_LINE_STATE = "active";
+WebRTCommCall.prototype.HELD_LINE_STATE = "held";
+
 /**
  * Get opened/closed status 
  * @public
@@ -79,6 +215,24 @@ WebRTCommCall.prototype.isIncoming = function() {
 
 
 
+/**
+ * Get line state: ringing (incoming call not answered yet), calling (outgoing call not answered yet), 
+ * active or held (locally)
+ * @public
+ * @returns {String} line state or undefined if closed
+ */
+WebRTCommCall.prototype.getLineState = function() {
+    if (this.isOpened())
+    {
+        return this.localHoldFlag ? this.HELD_LINE_STATE : this.ACTIVE_LINE_STATE;
+    }
+    else if (this.connector && this.connector.isLine())
+    {
+        return this.incomingCallFlag ? this.RINGING_LINE_STATE : this.CALLING_LINE_STATE;
+    }
+    return undefined;
+};
+
 /**
  * Get call ID
  * @public
@@ -106,6 +260,63 @@ WebRTCommCall.prototype.getCallerDisplayName = function() {
     return this.callerDisplayName;
 };
 
+/**
+ * Get the forwarding history of an incoming call (SIP History-Info or Diversion header)
+ * @public
+ * @returns {Array} forwarding parties, first one is the original called party: [{uri:"sip:bob@sip.net", reason:"unconditional"}], 
+ *          empty if the call has not been forwarded
+ */
+WebRTCommCall.prototype.getForwardingHistory = function() {
+    return this.forwardingHistory;
+};
+
+/**
+ * Get the original called party of a forwarded incoming call 
+ * @public
+ * @returns {String} original called party URI (e.g. sip:bob@sip.net) or undefined if the call has not been forwarded
+ */
+WebRTCommCall.prototype.getForwardedFrom = function() {
+    if (this.forwardingHistory.length > 0)
+        return this.forwardingHistory[0].uri;
+    else
+        return undefined;
+};
+
+/**
+ * Get the network asserted identity of the caller of an incoming call (SIP P-Asserted-Identity 
+ * or screened Remote-Party-ID header), unlike getCallerPhoneNumber() which only reflects the SIP From header
+ * @public
+ * @returns {object} asserted identity {uri:"tel:+33123456789", phoneNumber:"+33123456789", displayName:"Bob"} 
+ *          or undefined if the network does not assert the caller identity
+ */
+WebRTCommCall.prototype.getCallerAssertedIdentity = function() {
+    return this.callerAssertedIdentity;
+};
+
+/**
+ * Get the privacy requested by the caller of an incoming call (SIP Privacy header, RFC 3323)
+ * @public
+ * @returns {Array} privacy values (e.g. ["id","critical"]), empty if no privacy is requested
+ */
+WebRTCommCall.prototype.getCallerPrivacy = function() {
+    return this.callerPrivacy;
+};
+
+/**
+ * Check if the caller of an incoming call has requested to remain anonymous, 
+ * the caller identity (even the asserted one) should then not be displayed
+ * @public
+ * @returns {boolean} true if anonymous, false otherwise
+ */
+WebRTCommCall.prototype.isCallerAnonymous = function() {
+    for (var i = 0; i < this.callerPrivacy.length; i++)
+    {
+        if (this.ANONYMOUS_PRIVACY_VALUES.indexOf(this.callerPrivacy[i]) !== -1)
+            return true;
+    }
+    return (typeof(this.callerPhoneNumber) === 'string' && this.callerPhoneNumber.toLowerCase() === "anonymous");
+};
+
 /**
  * Get client configuration
  * @public
@@ -144,14 +355,69 @@ WebRTCommCall.prototype.getRemoteAudioMediaStream = function() {
 };
 
 /**
- * get remote audio media stream
+ * get remote video media stream
  * @public
- * @return {MediaStream} remoteAudioMediaStream or undefined
+ * @return {MediaStream} remoteVideoMediaStream or undefined
  */
 WebRTCommCall.prototype.getRemoteVideoMediaStream = function() {
     return this.remoteVideoMediaStream;
 };
 
+/**
+ * get remote media tracks of a given kind received on the RTCPeerConnection
+ * @public
+ * @param {string} kind media kind, "audio" or "video"
+ * @return {Array} array of MediaStreamTrack, empty if none
+ * @throw {String} Exception "bad argument, check API documentation"
+ */
+WebRTCommCall.prototype.getRemoteMediaTracks = function(kind) {
+    if (this.remoteMediaTracks.hasOwnProperty(kind))
+    {
+        return this.remoteMediaTracks[kind].slice();
+    }
+    else
+    {
+        console.error("WebRTCommCall:getRemoteMediaTracks(): bad argument, check API documentation");
+        throw "WebRTCommCall:getRemoteMediaTracks(): bad argument, check API documentation";
+    }
+};
+
+/**
+ * get remote screen share media stream, the video m line of the remote peer with a=content:slides (RFC 4796)
+ * @public
+ * @return {MediaStream} remoteScreenShareMediaStream or undefined
+ */
+WebRTCommCall.prototype.getRemoteScreenShareMediaStream = function() {
+    return this.remoteScreenShareMediaStream;
+};
+
+/**
+ * Get local screen share status
+ * @public
+ * @returns {boolean} true if the screen is shared by startScreenShare(), false otherwise
+ */
+WebRTCommCall.prototype.isScreenSharing = function() {
+    return this.screenShareRtpTransceiver !== undefined;
+};
+
+/**
+ * Get local hold status
+ * @public
+ * @returns {boolean} true if the communication has been put on hold by hold(), false otherwise
+ */
+WebRTCommCall.prototype.isLocalHold = function() {
+    return this.localHoldFlag;
+};
+
+/**
+ * Get remote hold status
+ * @public
+ * @returns {boolean} true if the communication has been put on hold by the remote peer, false otherwise
+ */
+WebRTCommCall.prototype.isRemoteHold = function() {
+    return this.remoteHoldFlag;
+};
+
 
 /**
  * set webRTCommCall listener
@@ -176,8 +442,41 @@ WebRTCommCall.prototype.setEventListener = function(eventListener) {
  * <span style="margin-left: 30px">audioCodecsFilter:PCMA,PCMU,OPUS,<br></span>
  * <span style="margin-left: 30px">videoCodecsFilter:VP8,H264,<br></span>
  * <span style="margin-left: 30px">opusFmtpCodecsParameters:maxaveragebitrate=128000,<br></span>
+ * <span style="margin-left: 30px">trickleIceMode:false,<br></span>
+ * <span style="margin-left: 30px">iceRestartMode:false,<br></span>
+ * <span style="margin-left: 30px">iceRestartDelay:5000,<br></span>
+ * <span style="margin-left: 30px">dtmfMode:auto,<br></span>
+ * <span style="margin-left: 30px">dtmfDuration:500,<br></span>
+ * <span style="margin-left: 30px">dtmfGap:50,<br></span>
+ * <span style="margin-left: 30px">sessionTimerMode:false,<br></span>
+ * <span style="margin-left: 30px">sessionTimerInterval:1800,<br></span>
+ * <span style="margin-left: 30px">redirectMaxCount:5,<br></span>
+ * <span style="margin-left: 30px">anonymousMode:false,<br></span>
+ * <span style="margin-left: 30px">preferredIdentity:sip:alice@sip.net,<br></span>
+ * <span style="margin-left: 30px">qualityStatsMode:false,<br></span>
+ * <span style="margin-left: 30px">qualityStatsInterval:5000,<br></span>
+ * <span style="margin-left: 30px">qualityAlertThresholds:{mos:3.5, packetLossRate:5, jitter:30, roundTripTime:400},<br></span>
  * }<br>
  * </p>
+ * <p> With trickleIceMode set to true, the SIP INVITE is sent without waiting for the end of the ICE candidates gathering, 
+ * next ICE candidates are sent in SIP INFO (RFC 8840). If the callee does not advertise trickle ICE support in its 200 OK, 
+ * the complete ICE candidates are sent in a SIP re-INVITE at the end of the gathering. </p>
+ * <p> With iceRestartMode set to true, ICE is automatically restarted (see restartIce()) when the media connectivity is lost: 
+ * after iceRestartDelay milliseconds in ICE 'disconnected' state or immediately in ICE 'failed' state. </p>
+ * <p> dtmfMode selects how sendDTMF() sends the DTMF tones: rfc4733 (RTP events), sip-info (SIP INFO application/dtmf-relay) 
+ * or auto (RFC 4733 if telephone-event has been negotiated in SDP, SIP INFO otherwise). </p>
+ * <p> With sessionTimerMode set to true, the SIP session is refreshed (RFC 4028) every half sessionTimerInterval seconds 
+ * (minimum 90s) by the negotiated refresher, with a SIP UPDATE if allowed by the peer or a SIP re-INVITE otherwise. 
+ * The call is hung up if the session expires without refresh. </p>
+ * <p> When the call is forwarded (SIP 3xx), the Contact URIs are called in decreasing q-value order, 
+ * up to redirectMaxCount redirects (0 to never follow), each redirect being approved by onWebRTCommCallRedirectEvent if implemented 
+ * (a listener exception approves the redirect). </p>
+ * <p> With anonymousMode set to true, the call is placed from "Anonymous" &lt;sip:anonymous@anonymous.invalid&gt; with a SIP Privacy: id 
+ * header (RFC 3323), the SIP account identity being only given to the network in P-Preferred-Identity (RFC 3325). 
+ * preferredIdentity (SIP or Tel URI) selects the identity the network should assert, when several are allowed to the SIP account. </p>
+ * <p> With qualityStatsMode set to true, the call quality (see getStats()) is sampled every qualityStatsInterval milliseconds 
+ * (minimum 1000ms) once the media connectivity is established and notified by onWebRTCommCallQualityEvent. 
+ * onWebRTCommCallQualityAlertEvent is notified when a metric crosses its qualityAlertThresholds value and when it recovers. </p>
  * @throw {String} Exception "bad argument, check API documentation"
  * @throw {String} Exception "bad configuration, missing parameter"
  * @throw {String} Exception "bad state, unauthorized action"
@@ -200,13 +499,12 @@ WebRTCommCall.prototype.open = function(calleePhoneNumber, configuration) {
                         this.callerPhoneNumber = this.webRTCommClient.configuration.sip.sipUserName;
                         this.calleePhoneNumber = calleePhoneNumber;
                         this.configuration = configuration;
+                        this.trickleIceFlag = configuration.trickleIceMode;
                         this.connector.open(configuration);
 
                         // Setup RTCPeerConnection first
                         this.createRTCPeerConnection();
-                        if (configuration.audioMediaFlag || configuration.videoMediaFlag) {
-                            this.peerConnection.addStream(this.configuration.localMediaStream);
-                        }
+                        this.addRtcPeerConnectionLocalMediaTracks(true);
                         if (this.configuration.messageMediaFlag)
                         {
                             if (this.peerConnection.createDataChannel)
@@ -239,40 +537,11 @@ WebRTCommCall.prototype.open = function(calleePhoneNumber, configuration) {
                             }
                         }
 
-                        if (window.webkitRTCPeerConnection)
-                        {
-                            var sdpConstraints = {
-                                mandatory:
-                                        {
-                                            OfferToReceiveAudio: this.configuration.audioMediaFlag,
-                                            OfferToReceiveVideo: this.configuration.videoMediaFlag
-                                        },
-                                optional: []
-                            };
-
-                            console.debug("WebRTCommCall:open():sdpConstraints=" + JSON.stringify(sdpConstraints));
-                            this.peerConnection.createOffer(function(offer) {
-                                that.onRtcPeerConnectionCreateOfferSuccessEvent(offer);
-                            }, function(error) {
-                                that.onRtcPeerConnectionCreateOfferErrorEvent(error);
-                            }, sdpConstraints);
-                        }
-                        else if (window.mozRTCPeerConnection)
-                        {
-                            var sdpConstraints = {
-                                    offerToReceiveAudio: this.configuration.audioMediaFlag,
-                                    offerToReceiveVideo: this.configuration.videoMediaFlag,
-                                    mozDontOfferDataChannel: !this.configuration.messageMediaFlag
-                            };
-
-                            console.debug("WebRTCommCall:open():sdpConstraints=" + JSON.stringify(sdpConstraints));
-                            this.peerConnection.createOffer(function(offer) {
-                                that.onRtcPeerConnectionCreateOfferSuccessEvent(offer);
-                            }, function(error) {
-                                that.onRtcPeerConnectionCreateOfferErrorEvent(error);
-                            }, sdpConstraints);
-                        }
-                        console.debug("WebRTCommCall:open():sdpConstraints=" + JSON.stringify(sdpConstraints));
+                        this.peerConnection.createOffer().then(function(offer) {
+                            that.onRtcPeerConnectionCreateOfferSuccessEvent(offer);
+                        }, function(error) {
+                            that.onRtcPeerConnectionCreateOfferErrorEvent(error);
+                        });
                     }
                     catch (exception) {
                         console.error("WebRTCommCall:open(): catched exception:" + exception);
@@ -344,7 +613,16 @@ WebRTCommCall.prototype.close = function() {
                     this.messageChannel.close();
                 this.peerConnection.close();
                 this.peerConnection = undefined;
-		this.dtmfSender = undefined;
+                this.localIceCandidates = [];
+                this.remoteIceCandidates = [];
+                this.clearIceRestartTimer();
+                this.clearQualityStatsTimer();
+                this.clearMediaChangeConsentTimer();
+                this.clearDTMFQueue();
+                if (this.webRTCommConference)
+                {
+                    this.webRTCommConference.onPrivateCallClosedEvent(this);
+                }
                 // Notify asynchronously the closed event
                 var that = this;
                 setTimeout(function() {
@@ -376,14 +654,37 @@ WebRTCommCall.prototype.close = function() {
  * <span style="margin-left: 30px">messageMediaFlag:false,<br></span>
  * <span style="margin-left: 30px">audioCodecsFilter:PCMA,PCMU,OPUS,<br></span>
  * <span style="margin-left: 30px">videoCodecsFilter:VP8,H264,<br></span>
+ * <span style="margin-left: 30px">trickleIceMode:false,<br></span>
+ * <span style="margin-left: 30px">iceRestartMode:false,<br></span>
+ * <span style="margin-left: 30px">iceRestartDelay:5000,<br></span>
+ * <span style="margin-left: 30px">dtmfMode:auto,<br></span>
+ * <span style="margin-left: 30px">dtmfDuration:500,<br></span>
+ * <span style="margin-left: 30px">dtmfGap:50,<br></span>
+ * <span style="margin-left: 30px">sessionTimerMode:false,<br></span>
+ * <span style="margin-left: 30px">sessionTimerInterval:1800,<br></span>
+ * <span style="margin-left: 30px">qualityStatsMode:false,<br></span>
+ * <span style="margin-left: 30px">qualityStatsInterval:5000,<br></span>
+ * <span style="margin-left: 30px">qualityAlertThresholds:{mos:3.5, packetLossRate:5, jitter:30, roundTripTime:400},<br></span>
  * }<br>
  * </p>
+ * <p> With trickleIceMode set to true and trickle ICE advertised by the caller, the SIP 200 OK is sent without waiting 
+ * for the end of the ICE candidates gathering, next ICE candidates are sent in SIP INFO (RFC 8840). </p>
+ * <p> With sessionTimerMode set to true, the session interval requested by the caller is accepted (RFC 4028) 
+ * and the caller is asked to refresh the SIP session. </p>
+ * <p> After acceptEarlyMedia(), the configuration is ignored: the SIP 200 OK confirms the early media SDP answer. </p>
+ * <p> Call waiting: the other active calls of the client are held. </p>
  * @throw {String} Exception "bad state, unauthorized action"
  * @throw {String} Exception "internal error,check console logs"
  */
 WebRTCommCall.prototype.accept = function(configuration) {
     console.debug("WebRTCommCall:accept():configuration=" + JSON.stringify(configuration));
-    if (typeof(configuration) === 'object')
+    if (this.peerConnectionState === 'early-answer-sent')
+    {
+        // Early media in progress, the SDP answer of the SIP 183 is confirmed in the SIP 200 OK 
+        this.webRTCommClient.holdOtherCalls(this);
+        this.acceptEarlyMediaCall();
+    }
+    else if (typeof(configuration) === 'object')
     {
         if (this.webRTCommClient.isOpened())
         {
@@ -394,28 +695,20 @@ WebRTCommCall.prototype.accept = function(configuration) {
                 {
                     try
                     {
+                        // Call waiting, the other lines are held
+                        this.webRTCommClient.holdOtherCalls(this);
+                        // Early media SDP answer is sent with all the ICE candidates 
+                        this.trickleIceFlag = configuration.trickleIceMode && this.connector.isTrickleIceSupported() && !this.earlyMediaFlag;
                         this.createRTCPeerConnection();
-                        if(configuration.audioMediaFlag || configuration.videoMediaFlag) {
-                            this.peerConnection.addStream(this.configuration.localMediaStream);
-                        }
-                        var sdpOffer = undefined;
-                        if (window.webkitRTCPeerConnection)
-                        {
-                            sdpOffer = new RTCSessionDescription({
-                                type: 'offer',
-                                sdp: this.remoteSdpOffer
-                            });
-                        }
-                        else if (window.mozRTCPeerConnection)
-                        {
-                            sdpOffer = new mozRTCSessionDescription({
-                                type: 'offer',
-                                sdp: this.remoteSdpOffer
-                            });
-                        }
+                        this.addRtcPeerConnectionLocalMediaTracks(false);
+                        var sdpOffer = {
+                            type: 'offer',
+                            sdp: this.remoteSdpOffer
+                        };
                         var that = this;
+                        this.remoteContentMids = this.getContentMediaDescriptionMids(this.remoteSdpOffer);
                         this.peerConnectionState = 'offer-received';
-                        this.peerConnection.setRemoteDescription(sdpOffer, function() {
+                        this.peerConnection.setRemoteDescription(sdpOffer).then(function() {
                             that.onRtcPeerConnectionSetRemoteDescriptionSuccessEvent();
                         }, function(error) {
                             that.onRtcPeerConnectionSetRemoteDescriptionErrorEvent(error);
@@ -457,6 +750,83 @@ WebRTCommCall.prototype.accept = function(configuration) {
     }
 };
 
+/**
+ * Accept incoming WebRTC communication with early media: the SDP answer is sent in a SIP 183 Session Progress 
+ * (reliable if the caller supports 100rel, RFC 3262) so that announcements or ringback tone can be played to the caller,
+ * the communication is opened later on by accept() or refused by reject()
+ * @public 
+ * @param {object} configuration communication configuration JSON object, see accept()
+ * @throw {String} Exception "bad state, unauthorized action"
+ * @throw {String} Exception "internal error,check console logs"
+ */
+WebRTCommCall.prototype.acceptEarlyMedia = function(configuration) {
+    console.debug("WebRTCommCall:acceptEarlyMedia()");
+    if (this.incomingCallFlag === true && this.peerConnection === undefined)
+    {
+        this.earlyMediaFlag = true;
+        try
+        {
+            this.accept(configuration);
+        }
+        catch (exception)
+        {
+            console.error("WebRTCommCall:acceptEarlyMedia(): catched exception:" + exception);
+            this.earlyMediaFlag = false;
+            throw exception;
+        }
+    }
+    else
+    {
+        console.error("WebRTCommCall:acceptEarlyMedia(): bad state, unauthorized action");
+        throw "WebRTCommCall:acceptEarlyMedia(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Open the early media incoming communication: send the SIP 200 OK with the SDP answer of the SIP 183
+ * @private
+ */
+WebRTCommCall.prototype.acceptEarlyMediaCall = function() {
+    console.debug("WebRTCommCall:acceptEarlyMediaCall()");
+    if (this.webRTCommClient.isOpened() && this.isOpened() === false)
+    {
+        try
+        {
+            this.connector.accept(this.earlyMediaSdpAnswer);
+            this.earlyMediaFlag = false;
+            this.peerConnectionState = 'established';
+        }
+        catch (exception) {
+            console.error("WebRTCommCall:acceptEarlyMediaCall(): catched exception:" + exception);
+            // Close properly the communication
+            try {
+                this.close();
+            } catch (e) {
+            }
+            throw exception;
+        }
+        // Notify opened event to listener
+        if (this.eventListener.onWebRTCommCallOpenedEvent)
+        {
+            var that = this;
+            setTimeout(function() {
+                try {
+                    that.eventListener.onWebRTCommCallOpenedEvent(that);
+                }
+                catch (exception)
+                {
+                    console.error("WebRTCommCall:acceptEarlyMediaCall(): catched exception in listener:" + exception);
+                }
+            }, 1);
+        }
+    }
+    else
+    {
+        console.error("WebRTCommCall:acceptEarlyMediaCall(): bad state, unauthorized action");
+        throw "WebRTCommCall:acceptEarlyMediaCall(): bad state, unauthorized action";
+    }
+};
+
 /**
  * Reject/refuse incoming WebRTC communication
  * @public 
@@ -470,6 +840,11 @@ WebRTCommCall.prototype.reject = function() {
         try
         {
             this.connector.reject();
+            if (this.peerConnection)
+            {
+                // Early media RTCPeerConnection
+                this.close();
+            }
         }
         catch (exception)
         {
@@ -490,644 +865,2877 @@ WebRTCommCall.prototype.reject = function() {
 };
 
 /**
- * Send DTMF Tone to WebRTC communication peer over the peerconnection
- * @public 
- * @param {String} dtmfEvent to send (1,2,3...)
- */
-WebRTCommCall.prototype.sendDTMF = function(dtmfEvent) {
-	var duration = 500;
-	var gap = 50;
-	if (this.dtmfSender) {
-	    console.debug('Sending Tones, duration, gap: ', dtmfEvent, duration, gap);
-	    this.dtmfSender.insertDTMF(dtmfEvent, duration, gap);
-	} else {
-	    console.debug('DTMFSender not initialized so not Sending Tones, duration, gap: ', dtmfEvent, duration, gap);	
-	}
-}
-
-
-/**
- * Send Short message to WebRTC communication peer
- * Use WebRTC datachannel if open otherwise use transport (e.g SIP) implemented by the connector
+ * Redirect (deflect) the incoming ringing WebRTC communication to other destinations (SIP 302 Moved Temporarily)
  * @public 
- * @param {String} text message to send
+ * @param {String|Array} uris redirect destination or destinations in preference order (e.g. ["bob@sip.net","sip:voicemail@sip.net"])
+ * @throw {String} Exception "bad argument, check API documentation"
  * @throw {String} Exception "bad state, unauthorized action"
- * @throw {String} Exception "internal error,check console logs"
- * @returns {WebRTCommMessage} new created WebRTCommMessage object
  */
-WebRTCommCall.prototype.sendMessage = function(text) {
-    console.debug("WebRTCommCall:sendMessage()");
-    if (this.webRTCommClient.isOpened())
+WebRTCommCall.prototype.redirect = function(uris) {
+    console.debug("WebRTCommCall:redirect(): uris=" + uris);
+    if (typeof(uris) === 'string')
     {
-        if (this.isOpened())
+        uris = [uris];
+    }
+    if (uris instanceof Array && uris.length > 0)
+    {
+        if (this.webRTCommClient.isOpened() && this.connector && this.incomingCallFlag === true)
         {
-            var newWebRTCommMessage = new WebRTCommMessage(this.webRTCommClient, this);
-            newWebRTCommMessage.text = text;
-            if (this.isIncoming())
-            {
-                newWebRTCommMessage.to = this.callerPhoneNumber;
-            }
-            else
-            {
-                newWebRTCommMessage.to = this.calleePhoneNumber;
-            }
-
             try
             {
-                newWebRTCommMessage.connector.send();
+                this.connector.redirect(uris);
+                if (this.peerConnection)
+                {
+                    // Early media RTCPeerConnection
+                    this.close();
+                }
             }
             catch (exception)
             {
-                console.error("WebRTCommCall:sendMessage(): catched exception:" + exception);
-                throw "WebRTCommCall:sendMessage(): catched exception:" + exception;
+                console.error("WebRTCommCall:redirect(): catched exception:" + exception);
+                throw exception;
             }
-            return newWebRTCommMessage;
         }
         else
         {
-            console.error("WebRTCommCall:sendMessage(): bad state, unauthorized action");
-            throw "WebRTCommCall:sendMessage(): bad state, unauthorized action";
+            console.error("WebRTCommCall:redirect(): bad state, unauthorized action");
+            throw "WebRTCommCall:redirect(): bad state, unauthorized action";
         }
     }
     else
     {
-        console.error("WebRTCommCall:sendMessage(): bad state, unauthorized action");
-        throw "WebRTCommCall:sendMessage(): bad state, unauthorized action";
+        console.error("WebRTCommCall:redirect(): bad argument, check API documentation");
+        throw "WebRTCommCall:redirect(): bad argument, check API documentation";
     }
 };
 
 /**
- * Send Short message to WebRTC communication peer
- * Use WebRTC datachannel if open otherwise use transport (e.g SIP) implemented by the connector
+ * Put on hold the established WebRTC communication (SDP a=sendonly/inactive renegotiation), 
+ * asynchronous action, held event is notified to the eventListener
  * @public 
- * @param {String} text message to send
  * @throw {String} Exception "bad state, unauthorized action"
  * @throw {String} Exception "internal error,check console logs"
- * @returns {WebRTCommMessage} new created WebRTCommMessage object
  */
-WebRTCommCall.prototype.sendDataMessage = function(text) {
-    console.debug("WebRTCommCall:sendDataMessage()");
-    if (this.webRTCommClient.isOpened())
+WebRTCommCall.prototype.hold = function() {
+    console.debug("WebRTCommCall:hold()");
+    if (this.webRTCommClient.isOpened() && this.isOpened() && this.peerConnectionState === 'established' && this.localHoldFlag === false)
     {
-        if (this.isOpened())
+        try
         {
-            var newWebRTCommDataMessage = new WebRTCommDataMessage(this.webRTCommClient, this);
-            newWebRTCommDataMessage.content = text;
-            if (this.isIncoming())
-            {
-                newWebRTCommDataMessage.to = this.callerPhoneNumber;
-            }
-            else
-            {
-                newWebRTCommDataMessage.to = this.calleePhoneNumber;
-            }
-
-            if (this.messageChannel && this.messageChannel.readyState === "open")
-            {
-                try
-                {
-                    this.messageChannel.send(newWebRTCommDataMessage.content);
-                    if (this.eventListener.onWebRTCommDataMessageSentEvent)
-                    {
-                        var that = this;
-                        setTimeout(function() {
-                            try {
-                                that.eventListener.onWebRTCommDataMessageSentEvent(newWebRTCommDataMessage);
-                            }
-                            catch (exception) {
-                                console.error("WebRTCommCall:sendDataMessage(): catched exception in event listener:" + exception);
-                            }
-                        }, 1);
-                    }
-                }
-                catch (exception)
-                {
-                    console.error("WebRTCommCall:sendDataMessage(): catched exception:" + exception);
-                    throw "WebRTCommCall:sendDataMessage(): catched exception:" + exception;
-                }
-            }
-
-            return newWebRTCommDataMessage;
+            this.createRtcPeerConnectionReOffer(true);
         }
-        else
+        catch (exception)
         {
-            console.error("WebRTCommCall:sendDataMessage(): bad state, unauthorized action");
-            throw "WebRTCommCall:sendDataMessage(): bad state, unauthorized action";
+            console.error("WebRTCommCall:hold(): catched exception:" + exception);
+            this.peerConnectionState = 'established';
+            throw exception;
         }
     }
     else
     {
-        console.error("WebRTCommCall:sendDataMessage(): bad state, unauthorized action");
-        throw "WebRTCommCall:sendDataMessage(): bad state, unauthorized action";
+        console.error("WebRTCommCall:hold(): bad state, unauthorized action");
+        throw "WebRTCommCall:hold(): bad state, unauthorized action";
     }
 };
 
 /**
- * Mute local audio media stream
+ * Resume the WebRTC communication put on hold by hold() (SDP a=sendrecv/recvonly renegotiation), 
+ * asynchronous action, resumed event is notified to the eventListener
  * @public 
  * @throw {String} Exception "bad state, unauthorized action"
- * @throw {String} Exception "not implemented by navigator"
+ * @throw {String} Exception "internal error,check console logs"
  */
-WebRTCommCall.prototype.muteLocalAudioMediaStream = function() {
-    console.debug("WebRTCommCall:muteLocalAudioMediaStream()");
-    if (this.configuration.localMediaStream && this.configuration.localMediaStream.signalingState === this.configuration.localMediaStream.LIVE)
+WebRTCommCall.prototype.resume = function() {
+    console.debug("WebRTCommCall:resume()");
+    if (this.webRTCommClient.isOpened() && this.isOpened() && this.peerConnectionState === 'established' && this.localHoldFlag === true)
     {
-        var audioTracks = undefined;
-        if (this.configuration.localMediaStream.audioTracks)
-            audioTracks = this.configuration.localMediaStream.audioTracks;
-        else if (this.configuration.localMediaStream.getAudioTracks)
-            audioTracks = this.configuration.localMediaStream.getAudioTracks();
-        if (audioTracks)
+        try
         {
-            for (var i = 0; i < audioTracks.length; i++)
-            {
-                audioTracks[i].enabled = false;
-            }
+            this.createRtcPeerConnectionReOffer(false);
         }
-        else
+        catch (exception)
         {
-            console.error("WebRTCommCall:muteLocalAudioMediaStream(): not implemented by navigator");
-            throw "WebRTCommCall:muteLocalAudioMediaStream(): not implemented by navigator";
+            console.error("WebRTCommCall:resume(): catched exception:" + exception);
+            this.peerConnectionState = 'established';
+            throw exception;
         }
     }
     else
     {
-        console.error("WebRTCommCall:muteLocalAudioMediaStream(): bad state, unauthorized action");
-        throw "WebRTCommCall:muteLocalAudioMediaStream(): bad state, unauthorized action";
+        console.error("WebRTCommCall:resume(): bad state, unauthorized action");
+        throw "WebRTCommCall:resume(): bad state, unauthorized action";
     }
 };
 
 /**
- * Unmute local audio media stream
+ * Restart ICE on the established WebRTC communication (e.g. network change from Wi-Fi to LTE): a new SDP offer 
+ * with new ICE credentials is sent in a SIP re-INVITE, asynchronous action, ICE restart events are notified to the eventListener
  * @public 
+ * @throw {String} Exception "bad state, unauthorized action"
+ * @throw {String} Exception "internal error,check console logs"
  */
-WebRTCommCall.prototype.unmuteLocalAudioMediaStream = function() {
-    console.debug("WebRTCommCall:unmuteLocalAudioMediaStream()");
-    if (this.configuration.localMediaStream && this.configuration.localMediaStream.signalingState === this.configuration.localMediaStream.LIVE)
+WebRTCommCall.prototype.restartIce = function() {
+    console.debug("WebRTCommCall:restartIce()");
+    if (this.webRTCommClient.isOpened() && this.isOpened() && this.peerConnectionState === 'established')
     {
-        var audioTracks = undefined;
-        if (this.configuration.localMediaStream.audioTracks)
-            audioTracks = this.configuration.localMediaStream.audioTracks;
-        else if (this.configuration.localMediaStream.getAudioTracks)
-            audioTracks = this.configuration.localMediaStream.getAudioTracks();
-        if (audioTracks)
+        try
         {
-            for (var i = 0; i < audioTracks.length; i++)
-            {
-                audioTracks[i].enabled = true;
-            }
+            this.startRtcPeerConnectionIceRestart();
         }
-        else
+        catch (exception)
         {
-            console.error("WebRTCommCall:unmuteLocalAudioMediaStream(): not implemented by navigator");
-            throw "WebRTCommCall:unmuteLocalAudioMediaStream(): not implemented by navigator";
+            console.error("WebRTCommCall:restartIce(): catched exception:" + exception);
+            this.peerConnectionState = 'established';
+            this.iceRestartFlag = false;
+            this.reOfferIceRestartFlag = false;
+            throw exception;
         }
     }
     else
     {
-        console.error("WebRTCommCall:unmuteLocalAudioMediaStream(): bad state, unauthorized action");
-        throw "WebRTCommCall:unmuteLocalAudioMediaStream(): bad state, unauthorized action";
+        console.error("WebRTCommCall:restartIce(): bad state, unauthorized action");
+        throw "WebRTCommCall:restartIce(): bad state, unauthorized action";
     }
 };
 
 /**
- * Mute remote audio media stream
+ * Get the call quality statistics, normalized whatever the navigator from RTCPeerConnection.getStats(), asynchronous action
+ * <p> Quality report sample: <br>
+ * { <br>
+ * <span style="margin-left: 30px">timestamp:1700000000000,<br></span>
+ * <span style="margin-left: 30px">audio:{codec:"OPUS", packetsSent:250, packetsReceived:248, packetsLost:2, packetLossRate:0.8, jitter:12, 
+ * roundTripTime:80, bitrateSent:32, bitrateReceived:31, mos:4.3},<br></span>
+ * <span style="margin-left: 30px">video:{codec:"VP8", packetsSent:900, packetsReceived:880, packetsLost:20, packetLossRate:2.2, jitter:20, 
+ * roundTripTime:80, bitrateSent:900, bitrateReceived:850, frameWidth:640, frameHeight:480, framesPerSecond:30}<br></span>
+ * }<br>
+ * </p>
+ * <p> audio or video is undefined if the media kind is not negotiated. packetLossRate (%) and bitrates (kbit/s) are computed over the time 
+ * elapsed since the previous periodic quality sample (qualityStatsMode), getStats() does not change the sampling baseline. 
+ * Without previous quality sample, packetLossRate is computed since the start of the call and bitrates are undefined. 
+ * jitter and roundTripTime are in milliseconds (undefined if not available yet), 
+ * mos is the audio Mean Opinion Score (1 to 4.5) estimated with the ITU-T G.107 E-model. </p>
  * @public 
+ * @return {Promise} promise resolved with the quality report JSON object
  * @throw {String} Exception "bad state, unauthorized action"
- * @throw {String} Exception "not implemented by navigator"
  */
-WebRTCommCall.prototype.muteRemoteAudioMediaStream = function() {
-    console.debug("WebRTCommCall:muteRemoteAudioMediaStream()");
-    if (this.remoteBundledAudioVideoMediaStream && this.remoteBundledAudioVideoMediaStream.signalingState === this.remoteBundledAudioVideoMediaStream.LIVE)
+WebRTCommCall.prototype.getStats = function() {
+    console.debug("WebRTCommCall:getStats()");
+    if (this.peerConnection && this.peerConnection.signalingState !== 'closed')
+    {
+        var that = this;
+        return this.peerConnection.getStats().then(function(rtcStatsReport) {
+            return that.buildQualityReport(rtcStatsReport, false);
+        });
+    }
+    else
+    {
+        console.error("WebRTCommCall:getStats(): bad state, unauthorized action");
+        throw "WebRTCommCall:getStats(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Blind transfer of the established WebRTC communication to another contact (SIP REFER), 
+ * asynchronous action, transfer progress events are notified to the eventListener
+ * @public 
+ * @param {String} targetUri transfer target contact identifier (e.g. bob@sip.net)
+ * @throw {String} Exception "bad argument, check API documentation"
+ * @throw {String} Exception "bad state, unauthorized action"
+ * @throw {String} Exception "internal error,check console logs"
+ */
+WebRTCommCall.prototype.transfer = function(targetUri) {
+    console.debug("WebRTCommCall:transfer():targetUri=" + targetUri);
+    if (typeof(targetUri) === 'string')
     {
-        var audioTracks = undefined;
-        if (this.remoteBundledAudioVideoMediaStream.audioTracks)
-            audioTracks = this.remoteBundledAudioVideoMediaStream.audioTracks;
-        else if (this.remoteBundledAudioVideoMediaStream.getAudioTracks)
-            audioTracks = this.remoteBundledAudioVideoMediaStream.getAudioTracks();
-        if (audioTracks)
+        if (this.webRTCommClient.isOpened() && this.isOpened())
         {
-            for (var i = 0; i < audioTracks.length; i++)
-            {
-                audioTracks[i].enabled = false;
-            }
+            this.connector.refer(targetUri);
         }
         else
         {
-            console.error("WebRTCommCall:muteRemoteAudioMediaStream(): not implemented by navigator");
-            throw "WebRTCommCall:muteRemoteAudioMediaStream(): not implemented by navigator";
+            console.error("WebRTCommCall:transfer(): bad state, unauthorized action");
+            throw "WebRTCommCall:transfer(): bad state, unauthorized action";
         }
     }
     else
     {
-        console.error("WebRTCommCall:muteRemoteAudioMediaStream(): bad state, unauthorized action");
-        throw "WebRTCommCall:muteRemoteAudioMediaStream(): bad state, unauthorized action";
+        console.error("WebRTCommCall:transfer(): bad argument, check API documentation");
+        throw "WebRTCommCall:transfer(): bad argument, check API documentation";
     }
 };
 
 /**
- * Unmute remote audio media stream
+ * Attended transfer of the established WebRTC communication to the remote peer of another 
+ * established WebRTC communication (SIP REFER with Replaces), asynchronous action, 
+ * transfer progress events are notified to the eventListener
  * @public 
+ * @param {WebRTCommCall} webRTCommCall established WebRTC communication with the transfer target
+ * @throw {String} Exception "bad argument, check API documentation"
  * @throw {String} Exception "bad state, unauthorized action"
- * @throw {String} Exception "not implemented by navigator"
+ * @throw {String} Exception "internal error,check console logs"
  */
-WebRTCommCall.prototype.unmuteRemoteAudioMediaStream = function() {
-    console.debug("WebRTCommCall:unmuteRemoteAudioMediaStream()");
-    if (this.remoteBundledAudioVideoMediaStream && this.remoteBundledAudioVideoMediaStream.signalingState === this.remoteBundledAudioVideoMediaStream.LIVE)
+WebRTCommCall.prototype.transferTo = function(webRTCommCall) {
+    console.debug("WebRTCommCall:transferTo()");
+    if (webRTCommCall instanceof WebRTCommCall && webRTCommCall !== this)
     {
-        var audioTracks = undefined;
-        if (this.remoteBundledAudioVideoMediaStream.audioTracks)
-            audioTracks = this.remoteBundledAudioVideoMediaStream.audioTracks;
-        else if (this.remoteBundledAudioVideoMediaStream.getAudioTracks)
-            audioTracks = this.remoteBundledAudioVideoMediaStream.getAudioTracks();
-        if (audioTracks)
+        if (this.webRTCommClient.isOpened() && this.isOpened() && webRTCommCall.isOpened())
         {
-            for (var i = 0; i < audioTracks.length; i++)
-            {
-                audioTracks[i].enabled = true;
-            }
+            var targetUri = webRTCommCall.isIncoming() ? webRTCommCall.getCallerPhoneNumber() : webRTCommCall.getCalleePhoneNumber();
+            this.connector.refer(targetUri, webRTCommCall.connector);
         }
         else
         {
-            console.error("WebRTCommCall:unmuteRemoteAudioMediaStream(): not implemented by navigator");
-            throw "WebRTCommCall:unmuteRemoteAudioMediaStream(): not implemented by navigator";
+            console.error("WebRTCommCall:transferTo(): bad state, unauthorized action");
+            throw "WebRTCommCall:transferTo(): bad state, unauthorized action";
         }
     }
     else
     {
-        console.error("WebRTCommCall:unmuteRemoteAudioMediaStream(): bad state, unauthorized action");
-        throw "WebRTCommCall:unmuteRemoteAudioMediaStream(): bad state, unauthorized action";
+        console.error("WebRTCommCall:transferTo(): bad argument, check API documentation");
+        throw "WebRTCommCall:transferTo(): bad argument, check API documentation";
     }
 };
 
 /**
- * Hide local video media stream
+ * Send DTMF tones to WebRTC communication peer, RTP events (RFC 4733) or SIP INFO according to the configured dtmfMode,
+ * tones are queued and sent one by one with the configured dtmfDuration and dtmfGap
  * @public 
+ * @param {String} dtmfEvent tones to send (0-9, A-D, *, #, "," for a 2 seconds pause)
+ * @throw {String} Exception "bad argument, check API documentation"
  * @throw {String} Exception "bad state, unauthorized action"
- * @throw {String} Exception "not implemented by navigator"
+ * @throw {String} Exception "RFC 4733 DTMF not available"
  */
-WebRTCommCall.prototype.hideLocalVideoMediaStream = function() {
-    console.debug("WebRTCommCall:hideLocalVideoMediaStream()");
-    if (this.configuration.localMediaStream && this.configuration.localMediaStream.signalingState === this.configuration.localMediaStream.LIVE)
+WebRTCommCall.prototype.sendDTMF = function(dtmfEvent) {
+    console.debug("WebRTCommCall:sendDTMF(): dtmfEvent=" + dtmfEvent);
+    if (typeof(dtmfEvent) === 'string' && /^[0-9A-Da-d#*,]+$/.test(dtmfEvent))
     {
-        var videoTracks = undefined;
-        if (this.configuration.localMediaStream.videoTracks)
-            videoTracks = this.configuration.localMediaStream.videoTracks;
-        else if (this.configuration.localMediaStream.getVideoTracks)
-            videoTracks = this.configuration.localMediaStream.getVideoTracks();
-        if (videoTracks)
+        if (this.webRTCommClient.isOpened() && this.isOpened() && this.peerConnection)
         {
-            videoTracks.enabled = !videoTracks.enabled;
-            for (var i = 0; i < videoTracks.length; i++)
+            if (this.configuration.dtmfMode === "rfc4733" && this.getRtcDtmfSender() === undefined)
+            {
+                console.error("WebRTCommCall:sendDTMF(): RFC 4733 DTMF not available");
+                throw "WebRTCommCall:sendDTMF(): RFC 4733 DTMF not available";
+            }
+            this.dtmfQueue += dtmfEvent.toUpperCase();
+            if (this.dtmfTimer === undefined)
             {
-                videoTracks[i].enabled = false;
+                this.sendNextDTMF();
             }
         }
         else
         {
-            console.error("WebRTCommCall:hideLocalVideoMediaStream(): not implemented by navigator");
-            throw "WebRTCommCall:hideLocalVideoMediaStream(): not implemented by navigator";
+            console.error("WebRTCommCall:sendDTMF(): bad state, unauthorized action");
+            throw "WebRTCommCall:sendDTMF(): bad state, unauthorized action";
         }
     }
     else
     {
-        console.error("WebRTCommCall:hideLocalVideoMediaStream(): bad state, unauthorized action");
-        throw "WebRTCommCall:hideLocalVideoMediaStream(): bad state, unauthorized action";
+        console.error("WebRTCommCall:sendDTMF(): bad argument, check API documentation");
+        throw "WebRTCommCall:sendDTMF(): bad argument, check API documentation";
     }
 };
 
 /**
- * Show local video media stream
- * @public 
- * @throw {String} Exception "bad state, unauthorized action"
- * @throw {String} Exception "not implemented by navigator"
+ * Send the next queued DTMF tone
+ * @private 
  */
-WebRTCommCall.prototype.showLocalVideoMediaStream = function() {
-    console.debug("WebRTCommCall:showLocalVideoMediaStream()");
-    if (this.configuration.localMediaStream && this.configuration.localMediaStream.signalingState === this.configuration.localMediaStream.LIVE)
+WebRTCommCall.prototype.sendNextDTMF = function() {
+    this.dtmfTimer = undefined;
+    if (this.dtmfQueue.length > 0 && this.peerConnection && this.isOpened())
     {
-        var videoTracks = undefined;
-        if (this.configuration.localMediaStream.videoTracks)
-            videoTracks = this.configuration.localMediaStream.videoTracks;
-        else if (this.configuration.localMediaStream.getVideoTracks)
-            videoTracks = this.configuration.localMediaStream.getVideoTracks();
-        if (videoTracks)
+        var tone = this.dtmfQueue.charAt(0);
+        this.dtmfQueue = this.dtmfQueue.substring(1);
+        var delay = this.DTMF_PAUSE_DURATION;
+        if (tone !== ",")
         {
-            videoTracks.enabled = !videoTracks.enabled;
-            for (var i = 0; i < videoTracks.length; i++)
+            delay = this.configuration.dtmfDuration + this.configuration.dtmfGap;
+            try
+            {
+                var dtmfMode = this.getDTMFMode();
+                console.debug("WebRTCommCall:sendNextDTMF(): tone=" + tone + ", dtmfMode=" + dtmfMode);
+                if (dtmfMode === "rfc4733")
+                {
+                    this.getRtcDtmfSender().insertDTMF(tone, this.configuration.dtmfDuration, this.configuration.dtmfGap);
+                }
+                else
+                {
+                    this.connector.sendDTMF(tone, this.configuration.dtmfDuration);
+                }
+            }
+            catch (exception)
             {
-                videoTracks[i].enabled = true;
+                console.error("WebRTCommCall:sendNextDTMF(): catched exception:" + exception);
             }
         }
-        else
-        {
-            console.error("WebRTCommCall:showLocalVideoMediaStream(): not implemented by navigator");
-            throw "WebRTCommCall:showLocalVideoMediaStream(): not implemented by navigator";
-        }
+        var that = this;
+        this.dtmfTimer = setTimeout(function() {
+            that.sendNextDTMF();
+        }, delay);
     }
     else
     {
-        console.error("WebRTCommCall:showLocalVideoMediaStream(): bad state, unauthorized action");
-        throw "WebRTCommCall:showLocalVideoMediaStream(): bad state, unauthorized action";
+        this.dtmfQueue = "";
     }
 };
 
+/**
+ * Cancel the queued DTMF tones
+ * @private 
+ */
+WebRTCommCall.prototype.clearDTMFQueue = function() {
+    this.dtmfQueue = "";
+    if (this.dtmfTimer !== undefined)
+    {
+        clearTimeout(this.dtmfTimer);
+        this.dtmfTimer = undefined;
+    }
+};
 
 /**
- * Hide remote video media stream
- * @public 
- * @throw {String} Exception "bad state, unauthorized action"
- * @throw {String} Exception "not implemented by navigator"
+ * Get the DTMF mode used to send the DTMF tones
+ * @private 
+ * @return {String} rfc4733 or sip-info
  */
-WebRTCommCall.prototype.hideRemoteVideoMediaStream = function() {
-    console.debug("WebRTCommCall:hideRemoteVideoMediaStream()");
-    if (this.remoteBundledAudioVideoMediaStream && this.remoteBundledAudioVideoMediaStream.signalingState === this.remoteBundledAudioVideoMediaStream.LIVE)
+WebRTCommCall.prototype.getDTMFMode = function() {
+    if (this.configuration.dtmfMode === "auto")
+    {
+        if (this.getRtcDtmfSender() !== undefined && this.isTelephoneEventNegotiated())
+            return "rfc4733";
+        else
+            return "sip-info";
+    }
+    return this.configuration.dtmfMode;
+};
+
+/**
+ * Get the RTCPeerConnection DTMF sender of the local audio track
+ * @private 
+ * @return {RTCDTMFSender} DTMF sender, undefined if not available
+ */
+WebRTCommCall.prototype.getRtcDtmfSender = function() {
+    if (this.peerConnection)
     {
-        var videoTracks = undefined;
-        if (this.remoteBundledAudioVideoMediaStream.videoTracks)
-            videoTracks = this.remoteBundledAudioVideoMediaStream.videoTracks;
-        else if (this.remoteBundledAudioVideoMediaStream.getVideoTracks)
-            videoTracks = this.remoteBundledAudioVideoMediaStream.getVideoTracks();
-        if (videoTracks)
+        var rtpSenders = this.peerConnection.getSenders();
+        for (var i = 0; i < rtpSenders.length; i++)
         {
-            videoTracks.enabled = !videoTracks.enabled;
-            for (var i = 0; i < videoTracks.length; i++)
+            if (rtpSenders[i].track && rtpSenders[i].track.kind === "audio" && rtpSenders[i].dtmf)
             {
-                videoTracks[i].enabled = false;
+                return rtpSenders[i].dtmf;
             }
         }
-        else
+    }
+    return undefined;
+};
+
+/**
+ * Check if RFC 4733 telephone-event has been negotiated in the remote SDP
+ * @private 
+ * @return {boolean} true if negotiated, false otherwise
+ */
+WebRTCommCall.prototype.isTelephoneEventNegotiated = function() {
+    try
+    {
+        if (this.peerConnection.remoteDescription && this.peerConnection.remoteDescription.sdp)
         {
-            console.error("WebRTCommCall:hideRemoteVideoMediaStream(): not implemented by navigator");
-            throw "WebRTCommCall:hideRemoteVideoMediaStream(): not implemented by navigator";
+            var parsedRemoteSdp = new SDPParser().parse(this.peerConnection.remoteDescription.sdp);
+            var mediaDescriptions = parsedRemoteSdp.getMediaDescriptions(false);
+            for (var i = 0; i < mediaDescriptions.length; i++)
+            {
+                if (mediaDescriptions[i].getMedia().getType() === "audio")
+                {
+                    var attributFields = mediaDescriptions[i].getAttributes();
+                    for (var k = 0; k < attributFields.length; k++)
+                    {
+                        if (attributFields[k].getName() === "rtpmap" && attributFields[k].getValue().toLowerCase().indexOf("telephone-event") >= 0)
+                        {
+                            return true;
+                        }
+                    }
+                }
+            }
         }
     }
-    else
+    catch (exception)
     {
-        console.error("WebRTCommCall:hideRemoteVideoMediaStream(): bad state, unauthorized action");
-        throw "WebRTCommCall:hideRemoteVideoMediaStream(): bad state, unauthorized action";
+        console.error("WebRTCommCall:isTelephoneEventNegotiated(): catched exception:" + exception);
     }
+    return false;
 };
 
 /**
- * Show remote video media stream
+ * Send Short message to WebRTC communication peer
+ * Use WebRTC datachannel if open otherwise use transport (e.g SIP) implemented by the connector
  * @public 
+ * @param {String} text message to send
  * @throw {String} Exception "bad state, unauthorized action"
- * @throw {String} Exception "not implemented by navigator"
+ * @throw {String} Exception "internal error,check console logs"
+ * @returns {WebRTCommMessage} new created WebRTCommMessage object
  */
-WebRTCommCall.prototype.showRemoteVideoMediaStream = function() {
-    console.debug("WebRTCommCall:showRemoteVideoMediaStream()");
-    if (this.remoteBundledAudioVideoMediaStream && this.remoteBundledAudioVideoMediaStream.signalingState === this.remoteBundledAudioVideoMediaStream.LIVE)
+WebRTCommCall.prototype.sendMessage = function(text) {
+    console.debug("WebRTCommCall:sendMessage()");
+    if (this.webRTCommClient.isOpened())
     {
-        var videoTracks = undefined;
-        if (this.remoteBundledAudioVideoMediaStream.videoTracks)
-            videoTracks = this.remoteBundledAudioVideoMediaStream.videoTracks;
-        else if (this.remoteBundledAudioVideoMediaStream.getVideoTracks)
-            videoTracks = this.remoteBundledAudioVideoMediaStream.getVideoTracks();
-        if (videoTracks)
+        if (this.isOpened())
         {
-            videoTracks.enabled = !videoTracks.enabled;
-            for (var i = 0; i < videoTracks.length; i++)
+            var newWebRTCommMessage = new WebRTCommMessage(this.webRTCommClient, this);
+            newWebRTCommMessage.text = text;
+            if (this.isIncoming())
+            {
+                newWebRTCommMessage.to = this.callerPhoneNumber;
+            }
+            else
+            {
+                newWebRTCommMessage.to = this.calleePhoneNumber;
+            }
+
+            try
+            {
+                newWebRTCommMessage.connector.send();
+            }
+            catch (exception)
             {
-                videoTracks[i].enabled = true;
+                console.error("WebRTCommCall:sendMessage(): catched exception:" + exception);
+                throw "WebRTCommCall:sendMessage(): catched exception:" + exception;
             }
+            return newWebRTCommMessage;
         }
         else
         {
-            console.error("WebRTCommCall:showRemoteVideoMediaStream(): not implemented by navigator");
-            throw "WebRTCommCall:showRemoteVideoMediaStream(): not implemented by navigator";
+            console.error("WebRTCommCall:sendMessage(): bad state, unauthorized action");
+            throw "WebRTCommCall:sendMessage(): bad state, unauthorized action";
         }
     }
     else
     {
-        console.error("WebRTCommCall:showRemoteVideoMediaStream(): bad state, unauthorized action");
-        throw "WebRTCommCall:showRemoteVideoMediaStream(): bad state, unauthorized action";
+        console.error("WebRTCommCall:sendMessage(): bad state, unauthorized action");
+        throw "WebRTCommCall:sendMessage(): bad state, unauthorized action";
     }
 };
 
-
 /**
- * Check configuration 
- * @private
- * @param {object}  configuration call configuration
- * @return true configuration ok false otherwise
+ * Send Short message to WebRTC communication peer
+ * Use WebRTC datachannel if open otherwise use transport (e.g SIP) implemented by the connector
+ * @public 
+ * @param {String} text message to send
+ * @throw {String} Exception "bad state, unauthorized action"
+ * @throw {String} Exception "internal error,check console logs"
+ * @returns {WebRTCommMessage} new created WebRTCommMessage object
  */
-WebRTCommCall.prototype.checkConfiguration = function(configuration) {
-    console.debug("WebRTCommCall:checkConfiguration()");
-
-    var check = true;
-    // displayName, audioCodecsFilter, videoCodecsFilter NOT mandatoty in configuration
-
-    if (configuration.audioMediaFlag === undefined || (typeof(configuration.audioMediaFlag) !== 'boolean'))
-    {
-        check = false;
-        console.error("WebRTCommCall:checkConfiguration(): missing audio media flag");
-    }
-
-    if (configuration.videoMediaFlag === undefined || (typeof(configuration.videoMediaFlag) !== 'boolean'))
+WebRTCommCall.prototype.sendDataMessage = function(text) {
+    console.debug("WebRTCommCall:sendDataMessage()");
+    if (this.webRTCommClient.isOpened())
     {
-        check = false;
-        console.error("WebRTCommCall:checkConfiguration(): missing video media flag");
-    }
+        if (this.isOpened())
+        {
+            var newWebRTCommDataMessage = new WebRTCommDataMessage(this.webRTCommClient, this);
+            newWebRTCommDataMessage.content = text;
+            if (this.isIncoming())
+            {
+                newWebRTCommDataMessage.to = this.callerPhoneNumber;
+            }
+            else
+            {
+                newWebRTCommDataMessage.to = this.calleePhoneNumber;
+            }
 
-    if ((configuration.audioMediaFlag || configuration.videoMediaFlag) && configuration.localMediaStream === undefined)
-    {
-        check = false;
+            if (this.messageChannel && this.messageChannel.readyState === "open")
+            {
+                try
+                {
+                    this.messageChannel.send(newWebRTCommDataMessage.content);
+                    if (this.eventListener.onWebRTCommDataMessageSentEvent)
+                    {
+                        var that = this;
+                        setTimeout(function() {
+                            try {
+                                that.eventListener.onWebRTCommDataMessageSentEvent(newWebRTCommDataMessage);
+                            }
+                            catch (exception) {
+                                console.error("WebRTCommCall:sendDataMessage(): catched exception in event listener:" + exception);
+                            }
+                        }, 1);
+                    }
+                }
+                catch (exception)
+                {
+                    console.error("WebRTCommCall:sendDataMessage(): catched exception:" + exception);
+                    throw "WebRTCommCall:sendDataMessage(): catched exception:" + exception;
+                }
+            }
+
+            return newWebRTCommDataMessage;
+        }
+        else
+        {
+            console.error("WebRTCommCall:sendDataMessage(): bad state, unauthorized action");
+            throw "WebRTCommCall:sendDataMessage(): bad state, unauthorized action";
+        }
+    }
+    else
+    {
+        console.error("WebRTCommCall:sendDataMessage(): bad state, unauthorized action");
+        throw "WebRTCommCall:sendDataMessage(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Mute local audio media stream
+ * @public 
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+WebRTCommCall.prototype.muteLocalAudioMediaStream = function() {
+    console.debug("WebRTCommCall:muteLocalAudioMediaStream()");
+    if (this.configuration && this.configuration.localMediaStream)
+    {
+        this.setMediaTracksEnabled(this.configuration.localMediaStream.getAudioTracks(), false);
+    }
+    else
+    {
+        console.error("WebRTCommCall:muteLocalAudioMediaStream(): bad state, unauthorized action");
+        throw "WebRTCommCall:muteLocalAudioMediaStream(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Unmute local audio media stream
+ * @public 
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+WebRTCommCall.prototype.unmuteLocalAudioMediaStream = function() {
+    console.debug("WebRTCommCall:unmuteLocalAudioMediaStream()");
+    if (this.configuration && this.configuration.localMediaStream)
+    {
+        this.setMediaTracksEnabled(this.configuration.localMediaStream.getAudioTracks(), true);
+    }
+    else
+    {
+        console.error("WebRTCommCall:unmuteLocalAudioMediaStream(): bad state, unauthorized action");
+        throw "WebRTCommCall:unmuteLocalAudioMediaStream(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Mute remote audio media stream
+ * @public 
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+WebRTCommCall.prototype.muteRemoteAudioMediaStream = function() {
+    console.debug("WebRTCommCall:muteRemoteAudioMediaStream()");
+    if (this.remoteBundledAudioVideoMediaStream)
+    {
+        this.setMediaTracksEnabled(this.remoteMediaTracks.audio, false);
+    }
+    else
+    {
+        console.error("WebRTCommCall:muteRemoteAudioMediaStream(): bad state, unauthorized action");
+        throw "WebRTCommCall:muteRemoteAudioMediaStream(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Unmute remote audio media stream
+ * @public 
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+WebRTCommCall.prototype.unmuteRemoteAudioMediaStream = function() {
+    console.debug("WebRTCommCall:unmuteRemoteAudioMediaStream()");
+    if (this.remoteBundledAudioVideoMediaStream)
+    {
+        this.setMediaTracksEnabled(this.remoteMediaTracks.audio, true);
+    }
+    else
+    {
+        console.error("WebRTCommCall:unmuteRemoteAudioMediaStream(): bad state, unauthorized action");
+        throw "WebRTCommCall:unmuteRemoteAudioMediaStream(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Hide local video media stream
+ * @public 
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+WebRTCommCall.prototype.hideLocalVideoMediaStream = function() {
+    console.debug("WebRTCommCall:hideLocalVideoMediaStream()");
+    if (this.configuration && this.configuration.localMediaStream)
+    {
+        this.setMediaTracksEnabled(this.configuration.localMediaStream.getVideoTracks(), false);
+    }
+    else
+    {
+        console.error("WebRTCommCall:hideLocalVideoMediaStream(): bad state, unauthorized action");
+        throw "WebRTCommCall:hideLocalVideoMediaStream(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Show local video media stream
+ * @public 
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+WebRTCommCall.prototype.showLocalVideoMediaStream = function() {
+    console.debug("WebRTCommCall:showLocalVideoMediaStream()");
+    if (this.configuration && this.configuration.localMediaStream)
+    {
+        this.setMediaTracksEnabled(this.configuration.localMediaStream.getVideoTracks(), true);
+    }
+    else
+    {
+        console.error("WebRTCommCall:showLocalVideoMediaStream(): bad state, unauthorized action");
+        throw "WebRTCommCall:showLocalVideoMediaStream(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Hide remote video media stream
+ * @public 
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+WebRTCommCall.prototype.hideRemoteVideoMediaStream = function() {
+    console.debug("WebRTCommCall:hideRemoteVideoMediaStream()");
+    if (this.remoteBundledAudioVideoMediaStream)
+    {
+        this.setMediaTracksEnabled(this.remoteMediaTracks.video, false);
+    }
+    else
+    {
+        console.error("WebRTCommCall:hideRemoteVideoMediaStream(): bad state, unauthorized action");
+        throw "WebRTCommCall:hideRemoteVideoMediaStream(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Show remote video media stream
+ * @public 
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+WebRTCommCall.prototype.showRemoteVideoMediaStream = function() {
+    console.debug("WebRTCommCall:showRemoteVideoMediaStream()");
+    if (this.remoteBundledAudioVideoMediaStream)
+    {
+        this.setMediaTracksEnabled(this.remoteMediaTracks.video, true);
+    }
+    else
+    {
+        console.error("WebRTCommCall:showRemoteVideoMediaStream(): bad state, unauthorized action");
+        throw "WebRTCommCall:showRemoteVideoMediaStream(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Replace the local media track of a given kind sent on the communication (camera switch, microphone change, screen share), 
+ * the media track is replaced on the RTCRtpSender without renegotiation when possible. When the track can not be sent 
+ * on the current session description (e.g. video added to an audio only call), the communication is renegotiated (SIP re-INVITE).
+ * The previous media track is not stopped, it remains owned by the webapp. 
+ * @public 
+ * @param {string} kind media kind, "audio" or "video"
+ * @param {MediaStreamTrack} track new local media track of the given kind
+ * @throw {String} Exception "bad argument, check API documentation"
+ * @throw {String} Exception "bad state, unauthorized action"
+ * @throw {String} Exception internal error
+ */
+WebRTCommCall.prototype.replaceLocalTrack = function(kind, track) {
+    console.debug("WebRTCommCall:replaceLocalTrack(): kind=" + kind);
+    if ((kind === "audio" || kind === "video") && typeof(track) === 'object' && track !== null && track.kind === kind)
+    {
+        var rtpTransceiver = this.peerConnection ? this.getRtpTransceiver(kind) : undefined;
+        var sendingFlag = (rtpTransceiver !== undefined) && (rtpTransceiver.direction === "sendrecv" || rtpTransceiver.direction === "sendonly");
+        if (this.webRTCommClient.isOpened() && this.isOpened() && this.peerConnection
+                && (sendingFlag || this.peerConnectionState === 'established'))
+        {
+            try
+            {
+                this.setLocalMediaStreamTrack(kind, track);
+                if (kind === "audio" && this.webRTCommConference)
+                {
+                    // The audio sent to a conference participant is the conference mix 
+                    this.webRTCommConference.replaceLocalAudioTrack(track);
+                }
+                else if (sendingFlag)
+                {
+                    var that = this;
+                    var rtpSender = rtpTransceiver.sender;
+                    rtpSender.replaceTrack(track).then(function() {
+                        console.debug("WebRTCommCall:replaceLocalTrack(): local " + kind + " track replaced");
+                    }, function(error) {
+                        // The new track can not be sent on the negotiated m line
+                        console.warn("WebRTCommCall:replaceLocalTrack(): RTCRtpSender track replacement failed, error:" + error);
+                        if (that.peerConnection && that.peerConnectionState === 'established')
+                        {
+                            that.peerConnection.removeTrack(rtpSender);
+                            that.renegotiateLocalTrack(kind, track, undefined);
+                        }
+                        else
+                        {
+                            console.error("WebRTCommCall:replaceLocalTrack(): bad state, local " + kind + " track not sent");
+                        }
+                    });
+                }
+                else
+                {
+                    this.renegotiateLocalTrack(kind, track, rtpTransceiver);
+                }
+            }
+            catch (exception)
+            {
+                console.error("WebRTCommCall:replaceLocalTrack(): catched exception:" + exception);
+                throw exception;
+            }
+        }
+        else
+        {
+            console.error("WebRTCommCall:replaceLocalTrack(): bad state, unauthorized action");
+            throw "WebRTCommCall:replaceLocalTrack(): bad state, unauthorized action";
+        }
+    }
+    else
+    {
+        console.error("WebRTCommCall:replaceLocalTrack(): bad argument, check API documentation");
+        throw "WebRTCommCall:replaceLocalTrack(): bad argument, check API documentation";
+    }
+};
+
+/**
+ * Add video to the established communication (e.g. upgrade of an audio only call), asynchronous action: 
+ * the communication is renegotiated (SIP re-INVITE), the remote peer accepts or declines the video. 
+ * @public 
+ * @param {MediaStreamTrack} videoTrack optional local video track, the video track of the configured localMediaStream by default
+ * @throw {String} Exception "bad argument, check API documentation"
+ * @throw {String} Exception "bad state, unauthorized action"
+ * @throw {String} Exception internal error
+ */
+WebRTCommCall.prototype.addVideo = function(videoTrack) {
+    console.debug("WebRTCommCall:addVideo()");
+    if (videoTrack === undefined && this.configuration && this.configuration.localMediaStream)
+    {
+        videoTrack = this.configuration.localMediaStream.getVideoTracks()[0];
+    }
+    if (typeof(videoTrack) === 'object' && videoTrack !== null && videoTrack.kind === "video")
+    {
+        var rtpTransceiver = this.peerConnection ? this.getRtpTransceiver("video") : undefined;
+        if (this.webRTCommClient.isOpened() && this.isOpened() && this.peerConnection && this.peerConnectionState === 'established'
+                && (rtpTransceiver === undefined || rtpTransceiver.direction === "recvonly" || rtpTransceiver.direction === "inactive"))
+        {
+            try
+            {
+                this.setLocalMediaStreamTrack("video", videoTrack);
+                this.renegotiateLocalTrack("video", videoTrack, rtpTransceiver);
+            }
+            catch (exception)
+            {
+                console.error("WebRTCommCall:addVideo(): catched exception:" + exception);
+                this.peerConnectionState = 'established';
+                throw exception;
+            }
+        }
+        else
+        {
+            console.error("WebRTCommCall:addVideo(): bad state, unauthorized action");
+            throw "WebRTCommCall:addVideo(): bad state, unauthorized action";
+        }
+    }
+    else
+    {
+        console.error("WebRTCommCall:addVideo(): bad argument, check API documentation");
+        throw "WebRTCommCall:addVideo(): bad argument, check API documentation";
+    }
+};
+
+/**
+ * Remove video from the established communication (downgrade to audio), asynchronous action: 
+ * the communication is renegotiated (SIP re-INVITE) with the video port set to 0. 
+ * The local video track is not stopped, it remains owned by the webapp. 
+ * @public 
+ * @throw {String} Exception "bad state, unauthorized action"
+ * @throw {String} Exception internal error
+ */
+WebRTCommCall.prototype.removeVideo = function() {
+    console.debug("WebRTCommCall:removeVideo()");
+    if (this.webRTCommClient.isOpened() && this.isOpened() && this.peerConnection && this.peerConnectionState === 'established'
+            && this.getRtpTransceiver("video") !== undefined)
+    {
+        try
+        {
+            var rtpTransceivers = this.peerConnection.getTransceivers();
+            for (var i = 0; i < rtpTransceivers.length; i++)
+            {
+                if (rtpTransceivers[i].receiver.track.kind === "video" && !this.isRtpTransceiverStopped(rtpTransceivers[i])
+                        && !this.isContentRtpTransceiver(rtpTransceivers[i]))
+                {
+                    rtpTransceivers[i].stop();
+                }
+            }
+            this.configuration.videoMediaFlag = false;
+            this.removeStoppedRemoteMediaTracks();
+            this.createRtcPeerConnectionReOffer(this.localHoldFlag);
+        }
+        catch (exception)
+        {
+            console.error("WebRTCommCall:removeVideo(): catched exception:" + exception);
+            this.peerConnectionState = 'established';
+            throw exception;
+        }
+    }
+    else
+    {
+        console.error("WebRTCommCall:removeVideo(): bad state, unauthorized action");
+        throw "WebRTCommCall:removeVideo(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Accept the video added by the remote peer, notified by onWebRTCommCallMediaChangeRequestEvent(), 
+ * asynchronous action: the SIP re-INVITE is answered
+ * @public 
+ * @param {MediaStreamTrack} videoTrack optional local video track to send, video only received if undefined or if the track can not be sent
+ * @throw {String} Exception "bad argument, check API documentation"
+ * @throw {String} Exception "bad state, unauthorized action"
+ * @throw {String} Exception internal error
+ */
+WebRTCommCall.prototype.acceptMediaChange = function(videoTrack) {
+    console.debug("WebRTCommCall:acceptMediaChange()");
+    if (videoTrack === undefined || (typeof(videoTrack) === 'object' && videoTrack !== null && videoTrack.kind === "video"))
+    {
+        if (this.webRTCommClient.isOpened() && this.isOpened() && this.peerConnection && this.peerConnectionState === 'media-change-requested')
+        {
+            try
+            {
+                this.clearMediaChangeConsentTimer();
+                var rtpTransceivers = this.getMediaChangeRequestRtpTransceivers();
+                this.configuration.videoMediaFlag = true;
+                this.mediaChangeRequestMids = undefined;
+                this.peerConnectionState = 'reoffer-received';
+                if (videoTrack && rtpTransceivers.length > 0)
+                {
+                    var that = this;
+                    var rtpTransceiver = rtpTransceivers[0];
+                    this.setLocalMediaStreamTrack("video", videoTrack);
+                    rtpTransceiver.sender.replaceTrack(videoTrack).then(function() {
+                        rtpTransceiver.direction = "sendrecv";
+                        that.answerAcceptedMediaChange();
+                    }, function(error) {
+                        // The video is only received
+                        console.error("WebRTCommCall:acceptMediaChange(): RTCRtpSender track replacement failed, local video track not sent, error:" + error);
+                        that.answerAcceptedMediaChange();
+                    });
+                }
+                else
+                {
+                    this.createRtcPeerConnectionAnswer();
+                }
+            }
+            catch (exception)
+            {
+                console.error("WebRTCommCall:acceptMediaChange(): catched exception:" + exception);
+                throw exception;
+            }
+        }
+        else
+        {
+            console.error("WebRTCommCall:acceptMediaChange(): bad state, unauthorized action");
+            throw "WebRTCommCall:acceptMediaChange(): bad state, unauthorized action";
+        }
+    }
+    else
+    {
+        console.error("WebRTCommCall:acceptMediaChange(): bad argument, check API documentation");
+        throw "WebRTCommCall:acceptMediaChange(): bad argument, check API documentation";
+    }
+};
+
+/**
+ * Answer the SIP re-INVITE of the accepted media change once the local video track is set
+ * @private
+ */
+WebRTCommCall.prototype.answerAcceptedMediaChange = function() {
+    console.debug("WebRTCommCall:answerAcceptedMediaChange(): this.peerConnectionState=" + this.peerConnectionState);
+    if (this.peerConnection && this.peerConnectionState === 'reoffer-received')
+    {
+        try
+        {
+            this.createRtcPeerConnectionAnswer();
+        }
+        catch (exception)
+        {
+            console.error("WebRTCommCall:answerAcceptedMediaChange(): catched exception:" + exception);
+        }
+    }
+};
+
+/**
+ * Decline the video added by the remote peer, notified by onWebRTCommCallMediaChangeRequestEvent(), 
+ * asynchronous action: the SIP re-INVITE is answered with the video port set to 0
+ * @public 
+ * @throw {String} Exception "bad state, unauthorized action"
+ * @throw {String} Exception internal error
+ */
+WebRTCommCall.prototype.declineMediaChange = function() {
+    console.debug("WebRTCommCall:declineMediaChange()");
+    if (this.webRTCommClient.isOpened() && this.isOpened() && this.peerConnection && this.peerConnectionState === 'media-change-requested')
+    {
+        try
+        {
+            this.clearMediaChangeConsentTimer();
+            var rtpTransceivers = this.getMediaChangeRequestRtpTransceivers();
+            for (var i = 0; i < rtpTransceivers.length; i++)
+            {
+                rtpTransceivers[i].stop();
+            }
+            this.removeStoppedRemoteMediaTracks();
+            this.mediaChangeRequestMids = undefined;
+            this.peerConnectionState = 'reoffer-received';
+            this.createRtcPeerConnectionAnswer();
+        }
+        catch (exception)
+        {
+            console.error("WebRTCommCall:declineMediaChange(): catched exception:" + exception);
+            throw exception;
+        }
+    }
+    else
+    {
+        console.error("WebRTCommCall:declineMediaChange(): bad state, unauthorized action");
+        throw "WebRTCommCall:declineMediaChange(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Start sharing a screen alongside the camera, asynchronous action: the communication is renegotiated (SIP re-INVITE) 
+ * with a second video m line sent with a=content:slides (RFC 4796). The screen share is stopped when the display track ends.
+ * @public 
+ * @param {MediaStream} displayStream display media stream, e.g. returned by navigator.mediaDevices.getDisplayMedia()
+ * @throw {String} Exception "bad argument, check API documentation"
+ * @throw {String} Exception "bad state, unauthorized action"
+ * @throw {String} Exception internal error
+ */
+WebRTCommCall.prototype.startScreenShare = function(displayStream) {
+    console.debug("WebRTCommCall:startScreenShare()");
+    if (typeof(displayStream) === 'object' && displayStream !== null && displayStream.getVideoTracks && displayStream.getVideoTracks().length > 0)
+    {
+        if (this.webRTCommClient.isOpened() && this.isOpened() && this.peerConnection && this.peerConnectionState === 'established'
+                && this.screenShareRtpTransceiver === undefined)
+        {
+            try
+            {
+                var that = this;
+                var displayTrack = displayStream.getVideoTracks()[0];
+                this.screenShareRtpTransceiver = this.peerConnection.addTransceiver(displayTrack, {
+                    direction: "sendonly",
+                    streams: [displayStream]
+                });
+                this.localScreenShareMediaStream = displayStream;
+                displayTrack.addEventListener("ended", function() {
+                    that.onLocalScreenShareTrackEndedEvent(displayStream);
+                });
+                this.createRtcPeerConnectionReOffer(this.localHoldFlag);
+            }
+            catch (exception)
+            {
+                console.error("WebRTCommCall:startScreenShare(): catched exception:" + exception);
+                this.peerConnectionState = 'established';
+                throw exception;
+            }
+        }
+        else
+        {
+            console.error("WebRTCommCall:startScreenShare(): bad state, unauthorized action");
+            throw "WebRTCommCall:startScreenShare(): bad state, unauthorized action";
+        }
+    }
+    else
+    {
+        console.error("WebRTCommCall:startScreenShare(): bad argument, check API documentation");
+        throw "WebRTCommCall:startScreenShare(): bad argument, check API documentation";
+    }
+};
+
+/**
+ * Stop sharing the screen, asynchronous action: the communication is renegotiated (SIP re-INVITE) 
+ * with the screen share video port set to 0. The display media stream is not stopped, it remains owned by the webapp.
+ * @public 
+ * @throw {String} Exception "bad state, unauthorized action"
+ * @throw {String} Exception internal error
+ */
+WebRTCommCall.prototype.stopScreenShare = function() {
+    console.debug("WebRTCommCall:stopScreenShare()");
+    if (this.webRTCommClient.isOpened() && this.isOpened() && this.peerConnection && this.peerConnectionState === 'established'
+            && this.screenShareRtpTransceiver !== undefined)
+    {
+        try
+        {
+            this.screenShareRtpTransceiver.stop();
+            this.screenShareRtpTransceiver = undefined;
+            this.localScreenShareMediaStream = undefined;
+            this.createRtcPeerConnectionReOffer(this.localHoldFlag);
+        }
+        catch (exception)
+        {
+            console.error("WebRTCommCall:stopScreenShare(): catched exception:" + exception);
+            this.peerConnectionState = 'established';
+            throw exception;
+        }
+    }
+    else
+    {
+        console.error("WebRTCommCall:stopScreenShare(): bad state, unauthorized action");
+        throw "WebRTCommCall:stopScreenShare(): bad state, unauthorized action";
+    }
+};
+
+/**
+ * Implementation of the MediaStreamTrack listener interface: local display track ended (screen share stopped from the navigator UI)  
+ * @private 
+ * @param {MediaStream} displayStream display media stream of the ended track
+ */
+WebRTCommCall.prototype.onLocalScreenShareTrackEndedEvent = function(displayStream) {
+    console.debug("WebRTCommCall:onLocalScreenShareTrackEndedEvent()");
+    if (this.localScreenShareMediaStream === displayStream)
+    {
+        try
+        {
+            this.stopScreenShare();
+        }
+        catch (exception)
+        {
+            console.error("WebRTCommCall:onLocalScreenShareTrackEndedEvent(): catched exception:" + exception);
+        }
+    }
+};
+
+/**
+ * Get the RTCRtpTransceiver of a given media kind, the one sending a local track first, screen share excluded  
+ * @private 
+ * @param {string} kind media kind, "audio" or "video"
+ * @return {RTCRtpTransceiver} RTCRtpTransceiver, undefined if none
+ */
+WebRTCommCall.prototype.getRtpTransceiver = function(kind) {
+    var rtpTransceiver = undefined;
+    var rtpTransceivers = this.peerConnection.getTransceivers();
+    for (var i = 0; i < rtpTransceivers.length; i++)
+    {
+        if (!this.isRtpTransceiverStopped(rtpTransceivers[i]) && !this.isContentRtpTransceiver(rtpTransceivers[i])
+                && rtpTransceivers[i].receiver.track.kind === kind)
+        {
+            if (rtpTransceivers[i].sender.track)
+            {
+                return rtpTransceivers[i];
+            }
+            else if (rtpTransceiver === undefined)
+            {
+                rtpTransceiver = rtpTransceivers[i];
+            }
+        }
+    }
+    return rtpTransceiver;
+};
+
+/**
+ * Replace the media track of a given kind in the configured local media stream, 
+ * a new media stream is built as the media stream may be shared with other calls
+ * @private 
+ * @param {string} kind media kind, "audio" or "video"
+ * @param {MediaStreamTrack} track new local media track
+ */
+WebRTCommCall.prototype.setLocalMediaStreamTrack = function(kind, track) {
+    var localMediaTracks = [track];
+    var localMediaStream = this.configuration.localMediaStream;
+    if (localMediaStream)
+    {
+        if (kind === "audio")
+            localMediaTracks = localMediaTracks.concat(localMediaStream.getVideoTracks());
+        else
+            localMediaTracks = localMediaStream.getAudioTracks().concat(localMediaTracks);
+    }
+    this.configuration.localMediaStream = new MediaStream(localMediaTracks);
+};
+
+/**
+ * Send a local media track requiring a renegotiation (SIP re-INVITE) of the established communication: the track is sent on the existing 
+ * RTCRtpTransceiver of its kind if any (recvonly or inactive m line), on a new m line otherwise
+ * @private 
+ * @param {string} kind media kind, "audio" or "video"
+ * @param {MediaStreamTrack} track new local media track
+ * @param {RTCRtpTransceiver} rtpTransceiver RTCRtpTransceiver not sending yet, undefined to add a new m line
+ */
+WebRTCommCall.prototype.renegotiateLocalTrack = function(kind, track, rtpTransceiver) {
+    console.debug("WebRTCommCall:renegotiateLocalTrack(): kind=" + kind);
+    if (rtpTransceiver)
+    {
+        rtpTransceiver.sender.replaceTrack(track).then(function() {
+            console.debug("WebRTCommCall:renegotiateLocalTrack(): local " + kind + " track set");
+        }, function(error) {
+            // The m line is renegotiated in sendrecv but nothing is sent on it
+            console.error("WebRTCommCall:renegotiateLocalTrack(): RTCRtpSender track replacement failed, local " + kind + " track not sent, error:" + error);
+        });
+        rtpTransceiver.direction = "sendrecv";
+    }
+    else
+    {
+        this.peerConnection.addTrack(track, this.configuration.localMediaStream);
+    }
+    if (kind === "audio")
+        this.configuration.audioMediaFlag = true;
+    else
+        this.configuration.videoMediaFlag = true;
+    this.createRtcPeerConnectionReOffer(this.localHoldFlag);
+};
+
+/**
+ * Get the mids of the video m lines added by a remote SDP re-offer: active m lines (port not set to 0) 
+ * without RTCRtpTransceiver or with a stopped one, screen share m lines (a=content:slides) excluded 
+ * @private 
+ * @param {string} sdpReOffer remote SDP re-offer
+ * @return {Array} array of mid, empty if no video added
+ */
+WebRTCommCall.prototype.getAddedVideoMediaDescriptionMids = function(sdpReOffer) {
+    var addedMids = [];
+    var activeMids = [];
+    var rtpTransceivers = this.peerConnection.getTransceivers();
+    for (var i = 0; i < rtpTransceivers.length; i++)
+    {
+        if (rtpTransceivers[i].mid !== null && !this.isRtpTransceiverStopped(rtpTransceivers[i]))
+            activeMids.push(rtpTransceivers[i].mid);
+    }
+    var mediaDescriptions = new SDPParser().parse(sdpReOffer).getMediaDescriptions(false);
+    for (var i = 0; i < mediaDescriptions.length; i++)
+    {
+        var mediaField = mediaDescriptions[i].getMedia();
+        if (mediaField.getType() === "video" && parseInt(mediaField.getPort(), 10) !== 0)
+        {
+            var mid = this.getMediaDescriptionMid(mediaDescriptions[i]);
+            if (mid !== undefined && activeMids.indexOf(mid) === -1 && this.remoteContentMids.indexOf(mid) === -1)
+                addedMids.push(mid);
+        }
+    }
+    return addedMids;
+};
+
+/**
+ * Get the RTCRtpTransceivers of the video m lines added by the remote peer, waiting for the user consent  
+ * @private 
+ * @return {Array} array of RTCRtpTransceiver
+ */
+WebRTCommCall.prototype.getMediaChangeRequestRtpTransceivers = function() {
+    var mediaChangeRtpTransceivers = [];
+    var rtpTransceivers = this.peerConnection.getTransceivers();
+    for (var i = 0; i < rtpTransceivers.length; i++)
+    {
+        if (this.mediaChangeRequestMids.indexOf(rtpTransceivers[i].mid) !== -1 && !this.isRtpTransceiverStopped(rtpTransceivers[i]))
+            mediaChangeRtpTransceivers.push(rtpTransceivers[i]);
+    }
+    return mediaChangeRtpTransceivers;
+};
+
+/**
+ * Check if a RTCRtpTransceiver carries a screen share (a=content:slides), local or remote  
+ * @private 
+ * @param {RTCRtpTransceiver} rtpTransceiver RTCRtpTransceiver
+ * @return {boolean} true if screen share, false otherwise
+ */
+WebRTCommCall.prototype.isContentRtpTransceiver = function(rtpTransceiver) {
+    return rtpTransceiver === this.screenShareRtpTransceiver || (rtpTransceiver.mid !== null && this.remoteContentMids.indexOf(rtpTransceiver.mid) !== -1);
+};
+
+/**
+ * Get the mid attribute value of a media description 
+ * @private 
+ * @param {MediaDescription} mediaDescription JAIN (gov.nist.sdp) MediaDescription object 
+ * @return {string} mid, undefined if none
+ */
+WebRTCommCall.prototype.getMediaDescriptionMid = function(mediaDescription) {
+    var attributFields = mediaDescription.getAttributes();
+    for (var k = 0; k < attributFields.length; k++)
+    {
+        if (attributFields[k].getName() === "mid")
+            return attributFields[k].getValue();
+    }
+    return undefined;
+};
+
+/**
+ * Get the mids of the screen share video m lines (a=content:slides) offered by the remote peer (port not set to 0)
+ * @private 
+ * @param {string} sdp remote SDP offer
+ * @return {Array} array of mid, empty if no screen share
+ */
+WebRTCommCall.prototype.getContentMediaDescriptionMids = function(sdp) {
+    var contentMids = [];
+    var mediaDescriptions = new SDPParser().parse(sdp).getMediaDescriptions(false);
+    for (var i = 0; i < mediaDescriptions.length; i++)
+    {
+        var mediaField = mediaDescriptions[i].getMedia();
+        if (mediaField.getType() === "video" && parseInt(mediaField.getPort(), 10) !== 0)
+        {
+            var contentFlag = false;
+            var attributFields = mediaDescriptions[i].getAttributes();
+            for (var k = 0; k < attributFields.length; k++)
+            {
+                if (attributFields[k].getName() === "content" && attributFields[k].getValue() === this.SCREEN_SHARE_CONTENT)
+                    contentFlag = true;
+            }
+            var mid = this.getMediaDescriptionMid(mediaDescriptions[i]);
+            if (contentFlag && mid !== undefined)
+                contentMids.push(mid);
+        }
+    }
+    return contentMids;
+};
+
+/**
+ * Check if a local SDP media description is the local screen share video m line, identified by its mid 
+ * or by the display track id of its msid attribute (mid not yet assigned to the RTCRtpTransceiver)
+ * @private 
+ * @param {MediaDescription} mediaDescription JAIN (gov.nist.sdp) MediaDescription object 
+ * @return {boolean} true if local screen share, false otherwise
+ */
+WebRTCommCall.prototype.isLocalContentMediaDescription = function(mediaDescription) {
+    if (this.screenShareRtpTransceiver === undefined || parseInt(mediaDescription.getMedia().getPort(), 10) === 0)
+        return false;
+    if (this.screenShareRtpTransceiver.mid !== null)
+        return this.getMediaDescriptionMid(mediaDescription) === this.screenShareRtpTransceiver.mid;
+    var displayTrack = this.screenShareRtpTransceiver.sender.track;
+    var attributFields = mediaDescription.getAttributes();
+    for (var k = 0; k < attributFields.length; k++)
+    {
+        if (displayTrack && attributFields[k].getName() === "msid" && attributFields[k].getValue().split(" ")[1] === displayTrack.id)
+            return true;
+    }
+    return false;
+};
+
+/**
+ * Modifiy SDP, add the a=content:slides attribute (RFC 4796) to the local screen share video m line 
+ * @private
+ * @param {SessionDescription} sessionDescription  JAIN (gov.nist.sdp) SDP object 
+ */
+WebRTCommCall.prototype.applyContentAttributeOnSessionDescription = function(sessionDescription) {
+    if (this.screenShareRtpTransceiver)
+    {
+        var mediaDescriptions = sessionDescription.getMediaDescriptions(false);
+        for (var i = 0; i < mediaDescriptions.length; i++)
+        {
+            if (this.isLocalContentMediaDescription(mediaDescriptions[i]) && !mediaDescriptions[i].hasAttribute("content"))
+            {
+                var contentAttributField = new AttributeField();
+                contentAttributField.setName("content");
+                contentAttributField.setValue(this.SCREEN_SHARE_CONTENT);
+                mediaDescriptions[i].addAttribute(contentAttributField);
+            }
+        }
+    }
+};
+
+/**
+ * Remote screen share track received on a video m line with a=content:slides 
+ * @private 
+ * @param {RTCTrackEvent} event  RTCPeerConnection Event
+ */
+WebRTCommCall.prototype.onRtcPeerConnectionRemoteScreenShareTrackEvent = function(event) {
+    console.debug("WebRTCommCall:onRtcPeerConnectionRemoteScreenShareTrackEvent(): event.transceiver.mid=" + event.transceiver.mid);
+    var that = this;
+    var track = event.track;
+    this.remoteScreenShareMid = event.transceiver.mid;
+    this.remoteScreenShareMediaStream = new MediaStream([track]);
+    track.onended = function() {
+        that.onRtcPeerConnectionRemoteTrackEndedEvent(track);
+    };
+    this.notifyRemoteScreenShareEvent(true);
+};
+
+/**
+ * Notify remote screen share started or stopped event to the listener 
+ * @private
+ * @param {boolean} startedFlag true if started, false if stopped
+ */
+WebRTCommCall.prototype.notifyRemoteScreenShareEvent = function(startedFlag) {
+    console.debug("WebRTCommCall:notifyRemoteScreenShareEvent(): startedFlag=" + startedFlag);
+    var that = this;
+    var remoteScreenShareMediaStream = this.remoteScreenShareMediaStream;
+    setTimeout(function() {
+        try {
+            if (startedFlag && that.eventListener.onWebRTCommCallRemoteScreenShareStartedEvent)
+            {
+                that.eventListener.onWebRTCommCallRemoteScreenShareStartedEvent(that, remoteScreenShareMediaStream);
+            }
+            else if (!startedFlag && that.eventListener.onWebRTCommCallRemoteScreenShareStoppedEvent)
+            {
+                that.eventListener.onWebRTCommCallRemoteScreenShareStoppedEvent(that);
+            }
+        }
+        catch (exception)
+        {
+            console.error("WebRTCommCall:notifyRemoteScreenShareEvent(): catched exception in listener:" + exception);
+        }
+    }, 1);
+};
+
+/**
+ * Update the screen share state after a renegotiation: remote screen share stopped 
+ * (m line port set to 0 or content attribute removed), local screen share declined by the remote peer 
+ * @private 
+ */
+WebRTCommCall.prototype.updateScreenShareState = function() {
+    if (this.remoteScreenShareMediaStream && this.remoteContentMids.indexOf(this.remoteScreenShareMid) === -1)
+    {
+        this.onRtcPeerConnectionRemoteTrackEndedEvent(this.remoteScreenShareMediaStream.getVideoTracks()[0]);
+    }
+    if (this.screenShareRtpTransceiver && this.isRtpTransceiverStopped(this.screenShareRtpTransceiver))
+    {
+        console.warn("WebRTCommCall:updateScreenShareState(): screen share declined by the remote peer");
+        this.screenShareRtpTransceiver = undefined;
+        this.localScreenShareMediaStream = undefined;
+    }
+};
+
+/**
+ * Remove the remote media tracks of the stopped RTCRtpTransceivers (m lines removed or declined) from the remote media streams  
+ * @private 
+ */
+WebRTCommCall.prototype.removeStoppedRemoteMediaTracks = function() {
+    var rtpTransceivers = this.peerConnection.getTransceivers();
+    for (var i = 0; i < rtpTransceivers.length; i++)
+    {
+        var track = rtpTransceivers[i].receiver.track;
+        var remoteScreenShareFlag = this.remoteScreenShareMediaStream !== undefined && this.remoteScreenShareMediaStream.getTrackById(track.id) !== null;
+        if (this.isRtpTransceiverStopped(rtpTransceivers[i]) && (this.remoteMediaTracks[track.kind].indexOf(track) !== -1 || remoteScreenShareFlag))
+        {
+            this.onRtcPeerConnectionRemoteTrackEndedEvent(track);
+        }
+    }
+};
+
+/**
+ * Enable or disable media tracks, a disabled track renders silence or black frames
+ * @private 
+ * @param {Array} mediaTracks array of MediaStreamTrack
+ * @param {boolean} enabledFlag true to enable, false to disable
+ */
+WebRTCommCall.prototype.setMediaTracksEnabled = function(mediaTracks, enabledFlag) {
+    console.debug("WebRTCommCall:setMediaTracksEnabled(): enabledFlag=" + enabledFlag);
+    for (var i = 0; i < mediaTracks.length; i++)
+    {
+        if (mediaTracks[i].readyState !== "ended")
+        {
+            mediaTracks[i].enabled = enabledFlag;
+        }
+    }
+};
+
+/**
+ * Check configuration 
+ * @private
+ * @param {object}  configuration call configuration
+ * @return true configuration ok false otherwise
+ */
+WebRTCommCall.prototype.checkConfiguration = function(configuration) {
+    console.debug("WebRTCommCall:checkConfiguration()");
+
+    var check = true;
+    // displayName, audioCodecsFilter, videoCodecsFilter, trickleIceMode, iceRestartMode, iceRestartDelay, dtmfMode, dtmfDuration, dtmfGap, sessionTimerMode, sessionTimerInterval, redirectMaxCount, anonymousMode, preferredIdentity, qualityStatsMode, qualityStatsInterval, qualityAlertThresholds NOT mandatoty in configuration
+
+    if (configuration.audioMediaFlag === undefined || (typeof(configuration.audioMediaFlag) !== 'boolean'))
+    {
+        check = false;
+        console.error("WebRTCommCall:checkConfiguration(): missing audio media flag");
+    }
+
+    if (configuration.videoMediaFlag === undefined || (typeof(configuration.videoMediaFlag) !== 'boolean'))
+    {
+        check = false;
+        console.error("WebRTCommCall:checkConfiguration(): missing video media flag");
+    }
+
+    if ((configuration.audioMediaFlag || configuration.videoMediaFlag) && configuration.localMediaStream === undefined)
+    {
+        check = false;
         console.error("WebRTCommCall:checkConfiguration(): missing localMediaStream");
     }      
 
-    if (configuration.messageMediaFlag === undefined || (typeof(configuration.messageMediaFlag) !== 'boolean'))
+    if (configuration.messageMediaFlag === undefined || (typeof(configuration.messageMediaFlag) !== 'boolean'))
+    {
+        check = false;
+        console.error("WebRTCommCall:checkConfiguration(): missing message media flag");
+    }
+
+    if (configuration.trickleIceMode === undefined)
+    {
+        configuration.trickleIceMode = false;
+    }
+    else if (typeof(configuration.trickleIceMode) !== 'boolean')
+    {
+        check = false;
+        console.error("WebRTCommCall:checkConfiguration(): bad trickle ICE mode");
+    }
+
+    if (configuration.iceRestartMode === undefined)
+    {
+        configuration.iceRestartMode = false;
+    }
+    else if (typeof(configuration.iceRestartMode) !== 'boolean')
+    {
+        check = false;
+        console.error("WebRTCommCall:checkConfiguration(): bad ICE restart mode");
+    }
+
+    if (configuration.iceRestartDelay === undefined)
+    {
+        configuration.iceRestartDelay = this.ICE_RESTART_DELAY;
+    }
+    else if (typeof(configuration.iceRestartDelay) !== 'number' || configuration.iceRestartDelay < 0)
+    {
+        check = false;
+        console.error("WebRTCommCall:checkConfiguration(): bad ICE restart delay");
+    }
+
+    if (configuration.dtmfMode === undefined)
+    {
+        configuration.dtmfMode = "auto";
+    }
+    else if (this.DTMF_MODES.indexOf(configuration.dtmfMode) === -1)
+    {
+        check = false;
+        console.error("WebRTCommCall:checkConfiguration(): bad DTMF mode");
+    }
+
+    if (configuration.dtmfDuration === undefined)
+    {
+        configuration.dtmfDuration = this.DTMF_DURATION;
+    }
+    else if (typeof(configuration.dtmfDuration) !== 'number' || configuration.dtmfDuration < 40 || configuration.dtmfDuration > 6000)
+    {
+        check = false;
+        console.error("WebRTCommCall:checkConfiguration(): bad DTMF duration");
+    }
+
+    if (configuration.dtmfGap === undefined)
+    {
+        configuration.dtmfGap = this.DTMF_GAP;
+    }
+    else if (typeof(configuration.dtmfGap) !== 'number' || configuration.dtmfGap < 30)
+    {
+        check = false;
+        console.error("WebRTCommCall:checkConfiguration(): bad DTMF gap");
+    }
+
+    if (configuration.sessionTimerMode === undefined)
+    {
+        configuration.sessionTimerMode = false;
+    }
+    else if (typeof(configuration.sessionTimerMode) !== 'boolean')
+    {
+        check = false;
+        console.error("WebRTCommCall:checkConfiguration(): bad session timer mode");
+    }
+
+    if (configuration.sessionTimerInterval === undefined)
+    {
+        configuration.sessionTimerInterval = this.SESSION_TIMER_INTERVAL;
+    }
+    else if (typeof(configuration.sessionTimerInterval) !== 'number' || configuration.sessionTimerInterval < this.SESSION_TIMER_MIN_INTERVAL)
+    {
+        check = false;
+        console.error("WebRTCommCall:checkConfiguration(): bad session timer interval");
+    }
+
+    if (configuration.redirectMaxCount === undefined)
+    {
+        configuration.redirectMaxCount = this.REDIRECT_MAX_COUNT;
+    }
+    else if (typeof(configuration.redirectMaxCount) !== 'number' || configuration.redirectMaxCount < 0)
+    {
+        check = false;
+        console.error("WebRTCommCall:checkConfiguration(): bad redirect max count");
+    }
+
+    if (configuration.anonymousMode === undefined)
+    {
+        configuration.anonymousMode = false;
+    }
+    else if (typeof(configuration.anonymousMode) !== 'boolean')
+    {
+        check = false;
+        console.error("WebRTCommCall:checkConfiguration(): bad anonymous mode");
+    }
+
+    if (configuration.preferredIdentity !== undefined && (typeof(configuration.preferredIdentity) !== 'string' || /^(sips?|tel):/.test(configuration.preferredIdentity) === false))
+    {
+        check = false;
+        console.error("WebRTCommCall:checkConfiguration(): bad preferred identity");
+    }
+
+    if (configuration.qualityStatsMode === undefined)
+    {
+        configuration.qualityStatsMode = false;
+    }
+    else if (typeof(configuration.qualityStatsMode) !== 'boolean')
+    {
+        check = false;
+        console.error("WebRTCommCall:checkConfiguration(): bad quality statistics mode");
+    }
+
+    if (configuration.qualityStatsInterval === undefined)
+    {
+        configuration.qualityStatsInterval = this.QUALITY_STATS_INTERVAL;
+    }
+    else if (typeof(configuration.qualityStatsInterval) !== 'number' || configuration.qualityStatsInterval < this.QUALITY_STATS_MIN_INTERVAL)
+    {
+        check = false;
+        console.error("WebRTCommCall:checkConfiguration(): bad quality statistics interval");
+    }
+
+    if (configuration.qualityAlertThresholds === undefined)
+    {
+        // The default thresholds are copied below, the constant is shared by all the calls
+        configuration.qualityAlertThresholds = {};
+    }
+
+    if (typeof(configuration.qualityAlertThresholds) !== 'object' || configuration.qualityAlertThresholds === null)
+    {
+        check = false;
+        console.error("WebRTCommCall:checkConfiguration(): bad quality alert thresholds");
+    }
+    else
+    {
+        // Missing thresholds are set to their default value
+        var qualityAlertThresholds = {};
+        for (var metric in this.QUALITY_ALERT_THRESHOLDS)
+        {
+            var threshold = configuration.qualityAlertThresholds[metric];
+            if (threshold === undefined)
+            {
+                qualityAlertThresholds[metric] = this.QUALITY_ALERT_THRESHOLDS[metric];
+            }
+            else if (typeof(threshold) === 'number' && threshold >= 0)
+            {
+                qualityAlertThresholds[metric] = threshold;
+            }
+            else
+            {
+                check = false;
+                console.error("WebRTCommCall:checkConfiguration(): bad quality alert threshold: " + metric);
+            }
+        }
+        configuration.qualityAlertThresholds = qualityAlertThresholds;
+    }
+    return check;
+};
+
+/**
+ * Create RTCPeerConnection 
+ * @private
+ * @return true configuration ok false otherwise
+ */
+WebRTCommCall.prototype.createRTCPeerConnection = function() {
+    console.debug("WebRTCommCall:createPeerConnection()");
+    var rtcPeerConnectionConfiguration = {
+        iceServers: []
+    };
+
+    this.peerConnectionState = 'new';
+    var that = this;
+    /* https://code.google.com/p/webrtcomm/issues/detail?id=14 */
+    if(this.webRTCommClient.configuration.RTCPeerConnection.iceServers) {
+    	rtcPeerConnectionConfiguration = this.webRTCommClient.configuration.RTCPeerConnection.iceServers;
+    } else {
+	    if (this.webRTCommClient.configuration.RTCPeerConnection.stunServer)
+	    {
+		rtcPeerConnectionConfiguration.iceServers.push({
+		    urls: "stun:" + this.webRTCommClient.configuration.RTCPeerConnection.stunServer
+		});
+	    }
+	    if (this.webRTCommClient.configuration.RTCPeerConnection.turnServer
+		    && this.webRTCommClient.configuration.RTCPeerConnection.turnLogin
+		    && this.webRTCommClient.configuration.RTCPeerConnection.turnPassword)
+	    {
+		rtcPeerConnectionConfiguration.iceServers.push({
+		    urls: "turn:" + this.webRTCommClient.configuration.RTCPeerConnection.turnServer,
+		    username: this.webRTCommClient.configuration.RTCPeerConnection.turnLogin,
+		    credential: this.webRTCommClient.configuration.RTCPeerConnection.turnPassword
+		});
+	    }
+    }
+
+
+    if (this.webRTCommClient.configuration.RTCPeerConnection.forceTurnMediaRelay)
+    {
+        rtcPeerConnectionConfiguration.iceTransportPolicy = "relay";
+    }
+
+    console.debug("WebRTCommCall:createPeerConnection():rtcPeerConnectionConfiguration=" + JSON.stringify(rtcPeerConnectionConfiguration));
+    this.peerConnection = new RTCPeerConnection(rtcPeerConnectionConfiguration);
+
+    this.peerConnection.ontrack = function(event) {
+        that.onRtcPeerConnectionOnTrackEvent(event);
+    };
+
+    this.peerConnection.onsignalingstatechange = function(event) {
+        that.onRtcPeerConnectionStateChangeEvent(event);
+    };
+
+    this.peerConnection.onicecandidate = function(rtcIceCandidateEvent) {
+        that.onRtcPeerConnectionIceCandidateEvent(rtcIceCandidateEvent);
+    };
+
+    this.peerConnection.onicegatheringstatechange = function(event) {
+        that.onRtcPeerConnectionGatheringChangeEvent(event);
+    };
+
+    this.peerConnection.oniceconnectionstatechange = function(event) {
+        that.onRtcPeerConnectionIceChangeEvent(event);
+    };
+
+    this.peerConnection.ondatachannel = function(event) {
+        that.onRtcPeerConnectionOnMessageChannelEvent(event);
+    };
+
+    console.debug("WebRTCommCall:createPeerConnection(): this.peerConnection=" + JSON.stringify(this.peerConnection));
+};
+
+/**
+ * Add the local media tracks of the enabled media kinds (audioMediaFlag, videoMediaFlag) to the RTCPeerConnection.
+ * When offering, an enabled media kind without local track is only received (recvonly RTCRtpTransceiver).
+ * @private
+ * @param {boolean} offerFlag true if the local peer is the offerer, false if answering a remote offer
+ */
+WebRTCommCall.prototype.addRtcPeerConnectionLocalMediaTracks = function(offerFlag) {
+    console.debug("WebRTCommCall:addRtcPeerConnectionLocalMediaTracks(): offerFlag=" + offerFlag);
+    var localMediaStream = this.configuration.localMediaStream;
+    var mediaKinds = {
+        audio: this.configuration.audioMediaFlag,
+        video: this.configuration.videoMediaFlag
+    };
+    for (var kind in mediaKinds)
+    {
+        if (mediaKinds[kind])
+        {
+            var localMediaTracks = [];
+            if (localMediaStream)
+            {
+                localMediaTracks = (kind === "audio") ? localMediaStream.getAudioTracks() : localMediaStream.getVideoTracks();
+            }
+            for (var i = 0; i < localMediaTracks.length; i++)
+            {
+                this.peerConnection.addTrack(localMediaTracks[i], localMediaStream);
+            }
+            if (localMediaTracks.length === 0 && offerFlag)
+            {
+                this.peerConnection.addTransceiver(kind, {
+                    direction: "recvonly"
+                });
+            }
+        }
+    }
+};
+
+/**
+ * Apply the media kinds enabled in the configuration on the RTCRtpTransceivers created by a remote offer:
+ * a media kind not enabled (audioMediaFlag, videoMediaFlag) is declined, the m line port is set to 0 in the answer,
+ * the screen share m lines (a=content:slides) are not concerned  
+ * @private
+ */
+WebRTCommCall.prototype.applyConfiguredMediaOnRtpTransceivers = function() {
+    console.debug("WebRTCommCall:applyConfiguredMediaOnRtpTransceivers()");
+    var rtpTransceivers = this.peerConnection.getTransceivers();
+    for (var i = 0; i < rtpTransceivers.length; i++)
+    {
+        var kind = rtpTransceivers[i].receiver.track.kind;
+        if (!this.isContentRtpTransceiver(rtpTransceivers[i])
+                && ((kind === "audio" && !this.configuration.audioMediaFlag) || (kind === "video" && !this.configuration.videoMediaFlag)))
+        {
+            if (!this.isRtpTransceiverStopped(rtpTransceivers[i]))
+            {
+                rtpTransceivers[i].stop();
+            }
+        }
+    }
+};
+
+/**
+ * Check if a RTCRtpTransceiver has been stopped (m line port set to 0)  
+ * @private
+ * @param {RTCRtpTransceiver} rtpTransceiver RTCRtpTransceiver
+ * @return {boolean} true if stopped, false otherwise
+ */
+WebRTCommCall.prototype.isRtpTransceiverStopped = function(rtpTransceiver) {
+    return rtpTransceiver.stopped === true || rtpTransceiver.direction === "stopped" || rtpTransceiver.currentDirection === "stopped";
+};
+
+/**
+ * Create the SDP answer of a remote offer or re-offer, the media kinds not enabled in the configuration are declined  
+ * @private
+ */
+WebRTCommCall.prototype.createRtcPeerConnectionAnswer = function() {
+    console.debug("WebRTCommCall:createRtcPeerConnectionAnswer()");
+    var that = this;
+    this.applyConfiguredMediaOnRtpTransceivers();
+    this.peerConnection.createAnswer().then(function(answer) {
+        that.onRtcPeerConnectionCreateAnswerSuccessEvent(answer);
+    }, function(error) {
+        that.onRtcPeerConnectionCreateAnswerErrorEvent(error);
+    });
+};
+
+/**
+ * Create a new SDP offer on the established RTCPeerConnection (renegotiation) 
+ * @private
+ * @param {boolean} localHoldFlag requested local hold status
+ * @param {boolean} iceRestartFlag optional, true to restart ICE (new ICE credentials)
+ */
+WebRTCommCall.prototype.createRtcPeerConnectionReOffer = function(localHoldFlag, iceRestartFlag) {
+    console.debug("WebRTCommCall:createRtcPeerConnectionReOffer(): localHoldFlag=" + localHoldFlag + ", iceRestartFlag=" + iceRestartFlag);
+    var that = this;
+    this.reOfferLocalHoldFlag = localHoldFlag;
+    this.reOfferIceRestartFlag = (iceRestartFlag === true);
+    this.peerConnectionState = 'reoffer-requested';
+    var rtcOfferOptions = {
+        iceRestart: this.reOfferIceRestartFlag
+    };
+    console.debug("WebRTCommCall:createRtcPeerConnectionReOffer():rtcOfferOptions=" + JSON.stringify(rtcOfferOptions));
+    this.peerConnection.createOffer(rtcOfferOptions).then(function(offer) {
+        that.onRtcPeerConnectionCreateOfferSuccessEvent(offer);
+    }, function(error) {
+        that.onRtcPeerConnectionCreateOfferErrorEvent(error);
+    });
+};
+
+/**
+ * Send the renegotiated local SDP (re-offer or re-answer) when RTCPeerConnection is ready 
+ * @private
+ */
+WebRTCommCall.prototype.sendRtcPeerConnectionRenegotiatedDescription = function() {
+    console.debug("WebRTCommCall:sendRtcPeerConnectionRenegotiatedDescription(): this.peerConnectionState=" + this.peerConnectionState);
+    if (this.peerConnectionState === 'preparing-reoffer')
+    {
+        var parsedSdpReOffer = this.setRtcPeerConnectionLocalDescription(this.peerConnection.localDescription);
+        this.applyMediaDirectionOnSessionDescription(parsedSdpReOffer, this.getMediaDirection(!this.remoteHoldFlag, !this.reOfferLocalHoldFlag));
+        this.peerConnectionState = 'reoffer-sent';
+        this.connector.reinvite(parsedSdpReOffer);
+    }
+    else if (this.peerConnectionState === 'preparing-reanswer')
+    {
+        var parsedSdpReAnswer = this.setRtcPeerConnectionLocalDescription(this.peerConnection.localDescription);
+        var remoteMediaDirection = this.getMediaDirectionInSessionDescription(new SDPParser().parse(this.remoteSdpReOffer));
+        var sendFlag = (remoteMediaDirection === "sendrecv" || remoteMediaDirection === "recvonly");
+        var receiveFlag = (remoteMediaDirection === "sendrecv" || remoteMediaDirection === "sendonly") && !this.localHoldFlag;
+        this.applyMediaDirectionOnSessionDescription(parsedSdpReAnswer, this.getMediaDirection(sendFlag, receiveFlag));
+        this.connector.acceptReinvite(parsedSdpReAnswer);
+        this.peerConnectionState = 'established';
+        this.remoteSdpReOffer = undefined;
+
+        var remoteHoldFlag = (remoteMediaDirection === "sendonly" || remoteMediaDirection === "inactive");
+        if (remoteHoldFlag !== this.remoteHoldFlag)
+        {
+            this.remoteHoldFlag = remoteHoldFlag;
+            this.notifyHoldEvent(remoteHoldFlag, true);
+        }
+    }
+};
+
+/**
+ * Notify held or resumed event to the listener 
+ * @private
+ * @param {boolean} holdFlag true if held, false if resumed
+ * @param {boolean} remoteFlag true if requested by the remote peer, false if requested locally
+ */
+WebRTCommCall.prototype.notifyHoldEvent = function(holdFlag, remoteFlag) {
+    console.debug("WebRTCommCall:notifyHoldEvent(): holdFlag=" + holdFlag + ", remoteFlag=" + remoteFlag);
+    var that = this;
+    if (holdFlag && this.eventListener.onWebRTCommCallHeldEvent)
+    {
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommCallHeldEvent(that, remoteFlag);
+            }
+            catch (exception)
+            {
+                console.error("WebRTCommCall:notifyHoldEvent(): catched exception in listener:" + exception);
+            }
+        }, 1);
+    }
+    else if (!holdFlag && this.eventListener.onWebRTCommCallResumedEvent)
+    {
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommCallResumedEvent(that, remoteFlag);
+            }
+            catch (exception)
+            {
+                console.error("WebRTCommCall:notifyHoldEvent(): catched exception in listener:" + exception);
+            }
+        }, 1);
+    }
+};
+
+/**
+ * Start ICE restart: SDP re-offer with new ICE credentials keeping the current hold state
+ * @private
+ */
+WebRTCommCall.prototype.startRtcPeerConnectionIceRestart = function() {
+    console.debug("WebRTCommCall:startRtcPeerConnectionIceRestart(): this.iceRestartAttempts=" + this.iceRestartAttempts);
+    this.clearIceRestartTimer();
+    this.iceRestartFlag = true;
+    this.iceRestartAttempts++;
+    this.createRtcPeerConnectionReOffer(this.localHoldFlag, true);
+
+    // Notify ICE restarting event to the listener
+    if (this.eventListener.onWebRTCommCallIceRestartingEvent)
+    {
+        var that = this;
+        var attempt = this.iceRestartAttempts;
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommCallIceRestartingEvent(that, attempt);
+            }
+            catch (exception)
+            {
+                console.error("WebRTCommCall:startRtcPeerConnectionIceRestart(): catched exception in listener:" + exception);
+            }
+        }, 1);
+    }
+};
+
+/**
+ * Process the RTCPeerConnection ICE connection state: ICE restart outcome and automatic ICE restart policy
+ * @private
+ * @param {string} iceConnectionState RTCPeerConnection ICE connection state
+ */
+WebRTCommCall.prototype.processRtcPeerConnectionIceConnectionState = function(iceConnectionState) {
+    console.debug("WebRTCommCall:processRtcPeerConnectionIceConnectionState(): iceConnectionState=" + iceConnectionState + ", this.iceRestartFlag=" + this.iceRestartFlag);
+    if (iceConnectionState === 'connected' || iceConnectionState === 'completed')
+    {
+        this.clearIceRestartTimer();
+        this.iceRestartAttempts = 0;
+        if (this.configuration.qualityStatsMode === true && this.qualityStatsTimer === undefined)
+        {
+            this.scheduleQualityStatsSampling();
+        }
+        if (this.iceRestartFlag && this.peerConnectionState === 'established')
+        {
+            this.iceRestartFlag = false;
+            // Notify ICE restarted event to the listener
+            if (this.eventListener.onWebRTCommCallIceRestartedEvent)
+            {
+                var that = this;
+                setTimeout(function() {
+                    try {
+                        that.eventListener.onWebRTCommCallIceRestartedEvent(that);
+                    }
+                    catch (exception)
+                    {
+                        console.error("WebRTCommCall:processRtcPeerConnectionIceConnectionState(): catched exception in listener:" + exception);
+                    }
+                }, 1);
+            }
+        }
+    }
+    else if (iceConnectionState === 'failed')
+    {
+        this.clearIceRestartTimer();
+        if (this.iceRestartFlag && this.peerConnectionState === 'established')
+        {
+            this.iceRestartFlag = false;
+            this.notifyIceRestartErrorEvent("ICE connectivity checks failed");
+        }
+        if (this.iceRestartFlag === false && this.configuration.iceRestartMode === true)
+        {
+            this.scheduleIceRestart(0);
+        }
+    }
+    else if (iceConnectionState === 'disconnected')
+    {
+        if (this.iceRestartFlag === false && this.configuration.iceRestartMode === true && this.iceRestartTimer === undefined)
+        {
+            this.scheduleIceRestart(this.configuration.iceRestartDelay);
+        }
+    }
+};
+
+/**
+ * Start the media change consent timer, the media change requested by the remote peer 
+ * is declined if the webapp has not answered before its expiration
+ * @private
+ */
+WebRTCommCall.prototype.scheduleMediaChangeConsentTimer = function() {
+    console.debug("WebRTCommCall:scheduleMediaChangeConsentTimer()");
+    var that = this;
+    this.clearMediaChangeConsentTimer();
+    this.mediaChangeConsentTimer = setTimeout(function() {
+        that.mediaChangeConsentTimer = undefined;
+        that.onMediaChangeConsentTimeout();
+    }, this.MEDIA_CHANGE_CONSENT_TIMEOUT);
+};
+
+/**
+ * Cancel the media change consent timer
+ * @private
+ */
+WebRTCommCall.prototype.clearMediaChangeConsentTimer = function() {
+    if (this.mediaChangeConsentTimer !== undefined)
+    {
+        clearTimeout(this.mediaChangeConsentTimer);
+        this.mediaChangeConsentTimer = undefined;
+    }
+};
+
+/**
+ * Media change consent timeout: the media change not answered by the webapp is declined
+ * @private
+ */
+WebRTCommCall.prototype.onMediaChangeConsentTimeout = function() {
+    console.debug("WebRTCommCall:onMediaChangeConsentTimeout(): this.peerConnectionState=" + this.peerConnectionState);
+    if (this.peerConnection && this.peerConnectionState === 'media-change-requested')
+    {
+        try
+        {
+            console.warn("WebRTCommCall:onMediaChangeConsentTimeout(): media change not answered, declined");
+            this.declineMediaChange();
+        }
+        catch (exception)
+        {
+            console.error("WebRTCommCall:onMediaChangeConsentTimeout(): catched exception:" + exception);
+        }
+    }
+};
+
+/**
+ * Schedule an automatic ICE restart
+ * @private
+ * @param {number} delay delay in milliseconds
+ */
+WebRTCommCall.prototype.scheduleIceRestart = function(delay) {
+    console.debug("WebRTCommCall:scheduleIceRestart(): delay=" + delay);
+    var that = this;
+    this.clearIceRestartTimer();
+    this.iceRestartTimer = setTimeout(function() {
+        that.iceRestartTimer = undefined;
+        that.onIceRestartTimeout();
+    }, delay);
+};
+
+/**
+ * Cancel the scheduled automatic ICE restart
+ * @private
+ */
+WebRTCommCall.prototype.clearIceRestartTimer = function() {
+    if (this.iceRestartTimer !== undefined)
+    {
+        clearTimeout(this.iceRestartTimer);
+        this.iceRestartTimer = undefined;
+    }
+};
+
+/**
+ * Automatic ICE restart timeout
+ * @private
+ */
+WebRTCommCall.prototype.onIceRestartTimeout = function() {
+    console.debug("WebRTCommCall:onIceRestartTimeout()");
+    try
+    {
+        if (this.peerConnection && this.connector && this.connector.isOpened())
+        {
+            var iceConnectionState = this.peerConnection.iceConnectionState;
+            if (iceConnectionState !== 'disconnected' && iceConnectionState !== 'failed')
+            {
+                console.debug("WebRTCommCall:onIceRestartTimeout(): media connectivity recovered, iceConnectionState=" + iceConnectionState);
+            }
+            else if (this.iceRestartAttempts >= this.ICE_RESTART_MAX_ATTEMPTS)
+            {
+                console.warn("WebRTCommCall:onIceRestartTimeout(): maximum number of ICE restarts reached");
+            }
+            else if (this.webRTCommClient.connector.isReconnecting())
+            {
+                // ICE is restarted by the Contact refresh once the SIP connectivity is recovered
+                console.debug("WebRTCommCall:onIceRestartTimeout(): SIP connectivity lost, ICE restart postponed");
+            }
+            else if (this.peerConnectionState !== 'established')
+            {
+                // Renegotiation in progress, try again later
+                this.scheduleIceRestart(this.configuration.iceRestartDelay);
+            }
+            else
+            {
+                this.startRtcPeerConnectionIceRestart();
+            }
+        }
+    }
+    catch (exception)
+    {
+        console.error("WebRTCommCall:onIceRestartTimeout(): catched exception:" + exception);
+        this.peerConnectionState = 'established';
+        this.iceRestartFlag = false;
+        this.reOfferIceRestartFlag = false;
+        this.notifyIceRestartErrorEvent(exception);
+    }
+};
+
+/**
+ * Schedule the next quality statistics sample
+ * @private
+ */
+WebRTCommCall.prototype.scheduleQualityStatsSampling = function() {
+    var that = this;
+    this.clearQualityStatsTimer();
+    this.qualityStatsTimer = setTimeout(function() {
+        that.onQualityStatsTimeout();
+    }, this.configuration.qualityStatsInterval);
+};
+
+/**
+ * Cancel the periodic quality statistics sampling
+ * @private
+ */
+WebRTCommCall.prototype.clearQualityStatsTimer = function() {
+    if (this.qualityStatsTimer !== undefined)
+    {
+        clearTimeout(this.qualityStatsTimer);
+        this.qualityStatsTimer = undefined;
+    }
+};
+
+/**
+ * Quality statistics sampling timeout: the quality report is notified to the listener, the quality alerts are checked
+ * and the next sample is scheduled once the statistics are collected
+ * @private
+ */
+WebRTCommCall.prototype.onQualityStatsTimeout = function() {
+    console.debug("WebRTCommCall:onQualityStatsTimeout()");
+    var that = this;
+    try
+    {
+        this.peerConnection.getStats().then(function(rtcStatsReport) {
+            if (that.qualityStatsTimer !== undefined && that.peerConnection)
+            {
+                var qualityReport = that.buildQualityReport(rtcStatsReport, true);
+                that.notifyQualityEvent(qualityReport);
+                that.checkQualityAlerts(qualityReport);
+                that.scheduleQualityStatsSampling();
+            }
+        }, function(error) {
+            console.error("WebRTCommCall:onQualityStatsTimeout(): RTCPeerConnection getStats() failed, error=" + error);
+            if (that.qualityStatsTimer !== undefined && that.peerConnection)
+            {
+                that.scheduleQualityStatsSampling();
+            }
+        });
+    }
+    catch (exception)
+    {
+        // Call closed
+        console.error("WebRTCommCall:onQualityStatsTimeout(): catched exception:" + exception);
+        this.qualityStatsTimer = undefined;
+    }
+};
+
+/**
+ * Build the normalized quality report from the RTCPeerConnection statistics: the RTP streams of a media kind are aggregated, 
+ * both the standard statistics and the legacy ones (mediaType, isRemote) are supported. 
+ * The rates are computed against the previous periodic quality sample
+ * @private
+ * @param {RTCStatsReport} rtcStatsReport RTCPeerConnection statistics
+ * @param {boolean} sampleFlag true for a periodic quality sample, the new sample becomes the baseline of the next one
+ * @return {object} quality report JSON object, see getStats()
+ */
+WebRTCommCall.prototype.buildQualityReport = function(rtcStatsReport, sampleFlag) {
+    var stats = {};
+    rtcStatsReport.forEach(function(stat) {
+        stats[stat.id] = stat;
+    });
+
+    // Transport round trip time (selected ICE candidate pair), used when the RTCP round trip time is not available
+    var transportRoundTripTime = undefined;
+    for (var id in stats)
+    {
+        var candidatePair = undefined;
+        if (stats[id].type === "transport" && stats[id].selectedCandidatePairId)
+            candidatePair = stats[stats[id].selectedCandidatePairId];
+        else if (stats[id].type === "candidate-pair" && (stats[id].selected === true || (stats[id].nominated === true && stats[id].state === "succeeded")))
+            candidatePair = stats[id];
+        if (candidatePair && typeof(candidatePair.currentRoundTripTime) === 'number')
+            transportRoundTripTime = candidatePair.currentRoundTripTime * 1000;
+    }
+
+    var samples = {};
+    for (var statId in stats)
+    {
+        var stat = stats[statId];
+        var kind = stat.kind || stat.mediaType;
+        if (kind === "audio" || kind === "video")
+        {
+            if (samples[kind] === undefined)
+            {
+                samples[kind] = {
+                    codec: undefined,
+                    packetsSent: 0,
+                    packetsReceived: 0,
+                    packetsLost: 0,
+                    bytesSent: 0,
+                    bytesReceived: 0,
+                    jitter: undefined,
+                    roundTripTime: undefined
+                };
+            }
+            var sample = samples[kind];
+            if (stat.type === "inbound-rtp" && stat.isRemote !== true)
+            {
+                sample.packetsReceived += stat.packetsReceived || 0;
+                sample.packetsLost += Math.max(stat.packetsLost || 0, 0);
+                sample.bytesReceived += stat.bytesReceived || 0;
+                if (typeof(stat.jitter) === 'number')
+                    sample.jitter = Math.max(sample.jitter || 0, stat.jitter * 1000);
+                if (stats[stat.codecId] && stats[stat.codecId].mimeType)
+                    sample.codec = stats[stat.codecId].mimeType.split("/")[1].toUpperCase();
+                if (kind === "video")
+                {
+                    sample.frameWidth = stat.frameWidth;
+                    sample.frameHeight = stat.frameHeight;
+                    sample.framesPerSecond = stat.framesPerSecond;
+                }
+            }
+            else if (stat.type === "outbound-rtp" && stat.isRemote !== true)
+            {
+                sample.packetsSent += stat.packetsSent || 0;
+                sample.bytesSent += stat.bytesSent || 0;
+                if (sample.codec === undefined && stats[stat.codecId] && stats[stat.codecId].mimeType)
+                    sample.codec = stats[stat.codecId].mimeType.split("/")[1].toUpperCase();
+            }
+            else if ((stat.type === "remote-inbound-rtp" || (stat.type === "inbound-rtp" && stat.isRemote === true)) && typeof(stat.roundTripTime) === 'number')
+            {
+                sample.roundTripTime = Math.max(sample.roundTripTime || 0, stat.roundTripTime * 1000);
+            }
+        }
+    }
+
+    var timestamp = Date.now();
+    var previousSample = this.qualityStatsPreviousSample;
+    var qualityReport = {
+        timestamp: timestamp,
+        audio: undefined,
+        video: undefined
+    };
+    for (var mediaKind in samples)
+    {
+        var mediaSample = samples[mediaKind];
+        if (mediaSample.roundTripTime === undefined)
+            mediaSample.roundTripTime = transportRoundTripTime;
+        var previous = (previousSample && previousSample[mediaKind]) ? previousSample[mediaKind] : {
+            packetsReceived: 0,
+            packetsLost: 0,
+            bytesSent: 0,
+            bytesReceived: 0
+        };
+        var packetsReceived = mediaSample.packetsReceived - previous.packetsReceived;
+        var packetsLost = mediaSample.packetsLost - previous.packetsLost;
+        // Counters reset (e.g. RTP stream renegotiated) 
+        if (packetsReceived < 0 || packetsLost < 0)
+        {
+            packetsReceived = mediaSample.packetsReceived;
+            packetsLost = mediaSample.packetsLost;
+        }
+        var qualityStats = {
+            codec: mediaSample.codec,
+            packetsSent: mediaSample.packetsSent,
+            packetsReceived: mediaSample.packetsReceived,
+            packetsLost: mediaSample.packetsLost,
+            packetLossRate: (packetsReceived + packetsLost) > 0 ? Math.round(packetsLost * 1000 / (packetsReceived + packetsLost)) / 10 : 0,
+            jitter: mediaSample.jitter !== undefined ? Math.round(mediaSample.jitter) : undefined,
+            roundTripTime: mediaSample.roundTripTime !== undefined ? Math.round(mediaSample.roundTripTime) : undefined,
+            bitrateSent: undefined,
+            bitrateReceived: undefined
+        };
+        if (previousSample && timestamp > previousSample.timestamp)
+        {
+            var elapsedTime = timestamp - previousSample.timestamp;
+            qualityStats.bitrateSent = Math.max(Math.round((mediaSample.bytesSent - previous.bytesSent) * 8 / elapsedTime), 0);
+            qualityStats.bitrateReceived = Math.max(Math.round((mediaSample.bytesReceived - previous.bytesReceived) * 8 / elapsedTime), 0);
+        }
+        if (mediaKind === "audio")
+        {
+            qualityStats.mos = this.computeMos(qualityStats.roundTripTime, qualityStats.jitter, qualityStats.packetLossRate);
+        }
+        else
+        {
+            qualityStats.frameWidth = mediaSample.frameWidth;
+            qualityStats.frameHeight = mediaSample.frameHeight;
+            qualityStats.framesPerSecond = mediaSample.framesPerSecond;
+        }
+        qualityReport[mediaKind] = qualityStats;
+    }
+    if (sampleFlag)
+    {
+        samples.timestamp = timestamp;
+        this.qualityStatsPreviousSample = samples;
+    }
+    return qualityReport;
+};
+
+/**
+ * Estimate the audio Mean Opinion Score with the simplified ITU-T G.107 E-model: 
+ * the R factor is reduced by the one way delay (half the round trip time plus the jitter buffer) and by the packet loss
+ * @private
+ * @param {number} roundTripTime round trip time in milliseconds, undefined if not available
+ * @param {number} jitter jitter in milliseconds, undefined if not available
+ * @param {number} packetLossRate packet loss rate in %
+ * @return {number} MOS from 1 to 4.5, one decimal
+ */
+WebRTCommCall.prototype.computeMos = function(roundTripTime, jitter, packetLossRate) {
+    var delay = (roundTripTime || 0) / 2 + (jitter || 0) * 2 + 10;
+    var rFactor = 93.2 - (delay < 160 ? delay / 40 : (delay - 120) / 10) - packetLossRate * 2.5;
+    rFactor = Math.min(Math.max(rFactor, 0), 100);
+    var mos = 1 + 0.035 * rFactor + 0.000007 * rFactor * (rFactor - 60) * (100 - rFactor);
+    return Math.round(Math.min(Math.max(mos, 1), 4.5) * 10) / 10;
+};
+
+/**
+ * Check the quality report against the configured qualityAlertThresholds, an alert is notified 
+ * when a metric of a media kind crosses its threshold and when it recovers
+ * @private
+ * @param {object} qualityReport quality report JSON object, see getStats()
+ */
+WebRTCommCall.prototype.checkQualityAlerts = function(qualityReport) {
+    var thresholds = this.configuration.qualityAlertThresholds;
+    var mediaKinds = ["audio", "video"];
+    for (var i = 0; i < mediaKinds.length; i++)
+    {
+        var qualityStats = qualityReport[mediaKinds[i]];
+        for (var metric in thresholds)
+        {
+            var value = qualityStats ? qualityStats[metric] : undefined;
+            var alertKey = mediaKinds[i] + "." + metric;
+            if (typeof(value) === 'number')
+            {
+                // MOS is degraded below its threshold, the other metrics above
+                var degradedFlag = (metric === "mos") ? value < thresholds[metric] : value > thresholds[metric];
+                if (degradedFlag !== (this.qualityAlerts[alertKey] === true))
+                {
+                    this.qualityAlerts[alertKey] = degradedFlag;
+                    this.notifyQualityAlertEvent({
+                        mediaKind: mediaKinds[i],
+                        metric: metric,
+                        value: value,
+                        threshold: thresholds[metric],
+                        degradedFlag: degradedFlag
+                    });
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Notify quality event to the listener 
+ * @private
+ * @param {object} qualityReport quality report JSON object, see getStats()
+ */
+WebRTCommCall.prototype.notifyQualityEvent = function(qualityReport) {
+    if (this.eventListener.onWebRTCommCallQualityEvent)
+    {
+        var that = this;
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommCallQualityEvent(that, qualityReport);
+            }
+            catch (exception)
+            {
+                console.error("WebRTCommCall:notifyQualityEvent(): catched exception in listener:" + exception);
+            }
+        }, 1);
+    }
+};
+
+/**
+ * Notify quality alert event to the listener 
+ * @private
+ * @param {object} qualityAlert quality alert JSON object, see WebRTCommCallEventListenerInterface.onWebRTCommCallQualityAlertEvent()
+ */
+WebRTCommCall.prototype.notifyQualityAlertEvent = function(qualityAlert) {
+    console.debug("WebRTCommCall:notifyQualityAlertEvent(): qualityAlert=" + JSON.stringify(qualityAlert));
+    if (this.eventListener.onWebRTCommCallQualityAlertEvent)
+    {
+        var that = this;
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommCallQualityAlertEvent(that, qualityAlert);
+            }
+            catch (exception)
+            {
+                console.error("WebRTCommCall:notifyQualityAlertEvent(): catched exception in listener:" + exception);
+            }
+        }, 1);
+    }
+};
+
+/**
+ * Notify ICE restart error event to the listener 
+ * @private
+ * @param {string} error error message
+ */
+WebRTCommCall.prototype.notifyIceRestartErrorEvent = function(error) {
+    console.debug("WebRTCommCall:notifyIceRestartErrorEvent(): error=" + error);
+    if (this.eventListener.onWebRTCommCallIceRestartErrorEvent)
+    {
+        var that = this;
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommCallIceRestartErrorEvent(that, error);
+            }
+            catch (exception)
+            {
+                console.error("WebRTCommCall:notifyIceRestartErrorEvent(): catched exception in listener:" + exception);
+            }
+        }, 1);
+    }
+};
+
+/**
+ * Implementation of the PrivateCallConnector listener interface: process remote SDP offer event
+ * @private 
+ * @param {string} remoteSdpOffer Remote peer SDP offer
+ */
+WebRTCommCall.prototype.onPrivateCallConnectorRemoteSdpOfferEvent = function(remoteSdpOffer) {
+    console.debug("WebRTCommCall:onPrivateCallConnectorSdpOfferEvent()");
+    this.remoteSdpOffer = remoteSdpOffer;
+};
+
+/**
+ * Implementation of the PrivateCallConnector listener interface: process remote SDP offer event
+ * received on the established communication (SIP re-INVITE)
+ * @private 
+ * @param {string} remoteSdpReOffer Remote peer SDP offer
+ */
+WebRTCommCall.prototype.onPrivateCallConnectorRemoteSdpReOfferEvent = function(remoteSdpReOffer) {
+    console.debug("WebRTCommCall:onPrivateCallConnectorRemoteSdpReOfferEvent()");
+    if (this.peerConnection && this.peerConnectionState === 'established')
+    {
+        try
+        {
+            var sdpOffer = {
+                type: 'offer',
+                sdp: remoteSdpReOffer
+            };
+            var that = this;
+            this.remoteSdpReOffer = remoteSdpReOffer;
+            this.remoteContentMids = this.getContentMediaDescriptionMids(remoteSdpReOffer);
+            this.mediaChangeRequestMids = this.getAddedVideoMediaDescriptionMids(remoteSdpReOffer);
+            this.peerConnectionState = 'reoffer-received';
+            this.peerConnection.setRemoteDescription(sdpOffer).then(function() {
+                that.onRtcPeerConnectionSetRemoteDescriptionSuccessEvent();
+            }, function(error) {
+                that.onRtcPeerConnectionSetRemoteDescriptionErrorEvent(error);
+            });
+        }
+        catch (exception)
+        {
+            console.error("WebRTCommCall:onPrivateCallConnectorRemoteSdpReOfferEvent(): catched exception:" + exception);
+            this.peerConnectionState = 'established';
+            this.remoteSdpReOffer = undefined;
+            this.connector.rejectReinvite(488, "Not Acceptable Here");
+        }
+    }
+    else
     {
-        check = false;
-        console.error("WebRTCommCall:checkConfiguration(): missing message media flag");
+        // Local renegotiation in progress
+        console.warn("WebRTCommCall:onPrivateCallConnectorRemoteSdpReOfferEvent(): renegotiation in progress, this.peerConnectionState=" + this.peerConnectionState);
+        this.connector.rejectReinvite(491, "Request Pending");
     }
-    return check;
 };
 
 /**
- * Create RTCPeerConnection 
- * @private
- * @return true configuration ok false otherwise
+ * Implementation of the PrivateCallConnector listener interface: process renegotiation (SIP re-INVITE) error event, 
+ * the communication remains established with the previous session description
+ * @private 
+ * @param {string} error renegotiation error
  */
-WebRTCommCall.prototype.createRTCPeerConnection = function() {
-    console.debug("WebRTCommCall:createPeerConnection()");
-    var rtcPeerConnectionConfiguration = {
-        iceServers: []
-    };
-
-    this.peerConnectionState = 'new';
-    var that = this;
-    /* https://code.google.com/p/webrtcomm/issues/detail?id=14 */
-    if(this.webRTCommClient.configuration.RTCPeerConnection.iceServers) {
-    	rtcPeerConnectionConfiguration = this.webRTCommClient.configuration.RTCPeerConnection.iceServers;
-    } else {
-	    if (this.webRTCommClient.configuration.RTCPeerConnection.stunServer)
-	    {
-		rtcPeerConnectionConfiguration.iceServers.push({
-		    urls: "stun:" + this.webRTCommClient.configuration.RTCPeerConnection.stunServer
-		});
-	    }
-	    if (this.webRTCommClient.configuration.RTCPeerConnection.turnServer
-		    && this.webRTCommClient.configuration.RTCPeerConnection.turnLogin
-		    && this.webRTCommClient.configuration.RTCPeerConnection.turnPassword)
-	    {
-		rtcPeerConnectionConfiguration.iceServers.push({
-		    urls: "turn:" + this.webRTCommClient.configuration.RTCPeerConnection.turnServer,
-		    username: this.webRTCommClient.configuration.RTCPeerConnection.turnLogin,
-		    credential: this.webRTCommClient.configuration.RTCPeerConnection.turnPassword
-		});
-	    }
+WebRTCommCall.prototype.onPrivateCallConnectorReInviteErrorEvent = function(error) {
+    console.debug("WebRTCommCall:onPrivateCallConnectorReInviteErrorEvent():error=" + error);
+    this.reOfferLocalHoldFlag = undefined;
+    if (this.reOfferIceRestartFlag)
+    {
+        this.reOfferIceRestartFlag = false;
+        this.iceRestartFlag = false;
+        this.notifyIceRestartErrorEvent(error);
     }
-
-
-    console.debug("WebRTCommCall:createPeerConnection():rtcPeerConnectionConfiguration=" + JSON.stringify(rtcPeerConnectionConfiguration));
-    console.debug("WebRTCommCall:createPeerConnection():peerConnectionConstraints=" + JSON.stringify(peerConnectionConstraints));
-
-    if (window.webkitRTCPeerConnection)
+    if (this.peerConnection)
     {
-        // Google implementation
-        var iceTransports = "all";
-        if (this.webRTCommClient.configuration.RTCPeerConnection.forceTurnMediaRelay)
+        try
         {
-            iceTransports = "relay";
+            // Rollback the local SDP re-offer 
+            var that = this;
+            this.peerConnection.setLocalDescription({type: 'rollback'}).then(function() {
+                console.debug("WebRTCommCall:onPrivateCallConnectorReInviteErrorEvent(): local SDP offer rolled back");
+            }, function(error) {
+                console.error("WebRTCommCall:onPrivateCallConnectorReInviteErrorEvent(): local SDP offer rollback failed:" + error);
+            });
         }
+        catch (exception)
+        {
+            console.error("WebRTCommCall:onPrivateCallConnectorReInviteErrorEvent(): catched exception:" + exception);
+        }
+        this.peerConnectionState = 'established';
+    }
+};
 
-        var peerConnectionConstraints = {
-            mandatory:
-                    {
-                        IceTransports: iceTransports
-                    },
-            optional: []
-		//{
-		    // SCTP Channels available in Chrome 31
-                    //RtpDataChannels: true
-                //}, {
-		    // DTLS Mandatory and available in Chrome 35
-                    //DtlsSrtpKeyAgreement: this.webRTCommClient.configuration.RTCPeerConnection.dtlsSrtpKeyAgreement
-              //  }]
-        };
-
-        this.peerConnection = new window.webkitRTCPeerConnection(rtcPeerConnectionConfiguration, peerConnectionConstraints);
+/**
+ * Implementation of the PrivateCallConnector listener interface: process renegotiation cancel event, 
+ * the remote peer has cancelled its pending SIP re-INVITE, the communication remains established 
+ * with the previous session description
+ * @private 
+ */
+WebRTCommCall.prototype.onPrivateCallConnectorReInviteCancelEvent = function() {
+    console.debug("WebRTCommCall:onPrivateCallConnectorReInviteCancelEvent(): this.peerConnectionState=" + this.peerConnectionState);
+    this.clearMediaChangeConsentTimer();
+    if (this.peerConnection && (this.peerConnectionState === 'reoffer-received' || this.peerConnectionState === 'media-change-requested'))
+    {
+        try
+        {
+            // Rollback the remote SDP re-offer
+            this.peerConnection.setRemoteDescription({type: 'rollback'}).then(function() {
+                console.debug("WebRTCommCall:onPrivateCallConnectorReInviteCancelEvent(): remote SDP offer rolled back");
+            }, function(error) {
+                console.error("WebRTCommCall:onPrivateCallConnectorReInviteCancelEvent(): remote SDP offer rollback failed:" + error);
+            });
+        }
+        catch (exception)
+        {
+            console.error("WebRTCommCall:onPrivateCallConnectorReInviteCancelEvent(): catched exception:" + exception);
+        }
+        this.peerConnectionState = 'established';
+        this.remoteSdpReOffer = undefined;
+        this.mediaChangeRequestMids = undefined;
     }
-    else if (window.mozRTCPeerConnection)
+    else if (this.peerConnection && this.peerConnectionState !== 'established')
     {
-        // Mozilla implementation
-        this.peerConnection = new window.mozRTCPeerConnection(rtcPeerConnectionConfiguration, peerConnectionConstraints);
+        // SIP re-INVITE without SDP offer, the local SDP offer of the SIP 200 OK is rolled back
+        this.onPrivateCallConnectorReInviteErrorEvent("SIP re-INVITE cancelled");
     }
+};
 
-    this.peerConnection.onaddstream = function(event) {
-        that.onRtcPeerConnectionOnAddStreamEvent(event);
-    };
+/**
+ * Implementation of the PrivateCallConnector listener interface: process SDP offer request event 
+ * received on the established communication (SIP re-INVITE without SDP offer)
+ * @private 
+ */
+WebRTCommCall.prototype.onPrivateCallConnectorSdpReOfferRequestEvent = function() {
+    console.debug("WebRTCommCall:onPrivateCallConnectorSdpReOfferRequestEvent()");
+    if (this.peerConnection && this.peerConnectionState === 'established')
+    {
+        try
+        {
+            // SDP offer sent in the SIP 200 OK, keep the current hold state
+            this.createRtcPeerConnectionReOffer(this.localHoldFlag);
+        }
+        catch (exception)
+        {
+            console.error("WebRTCommCall:onPrivateCallConnectorSdpReOfferRequestEvent(): catched exception:" + exception);
+            this.peerConnectionState = 'established';
+            this.reOfferLocalHoldFlag = undefined;
+            this.connector.rejectReinvite(488, "Not Acceptable Here");
+        }
+    }
+    else
+    {
+        // Local renegotiation in progress
+        console.warn("WebRTCommCall:onPrivateCallConnectorSdpReOfferRequestEvent(): renegotiation in progress, this.peerConnectionState=" + this.peerConnectionState);
+        this.connector.rejectReinvite(491, "Request Pending");
+    }
+};
 
-    this.peerConnection.onremovestream = function(event) {
-        that.onRtcPeerConnectionOnRemoveStreamEvent(event);
-    };
+/**
+ * Implementation of the PrivateCallConnector listener interface: process Contact refresh request event
+ * (SIP connectivity recovered), a SDP re-offer keeping the current hold state is sent in a SIP re-INVITE
+ * @private
+ */
+WebRTCommCall.prototype.onPrivateCallConnectorContactRefreshRequestEvent = function() {
+    console.debug("WebRTCommCall:onPrivateCallConnectorContactRefreshRequestEvent()");
+    if (this.peerConnection && this.peerConnectionState === 'established')
+    {
+        try
+        {
+            var iceConnectionState = this.peerConnection.iceConnectionState;
+            if (iceConnectionState === 'disconnected' || iceConnectionState === 'failed')
+            {
+                // Media connectivity lost too (e.g. network change), restart ICE
+                this.startRtcPeerConnectionIceRestart();
+            }
+            else
+            {
+                this.createRtcPeerConnectionReOffer(this.localHoldFlag);
+            }
+        }
+        catch (exception)
+        {
+            console.error("WebRTCommCall:onPrivateCallConnectorContactRefreshRequestEvent(): catched exception:" + exception);
+            this.peerConnectionState = 'established';
+            this.reOfferLocalHoldFlag = undefined;
+            this.reOfferIceRestartFlag = false;
+            this.iceRestartFlag = false;
+        }
+    }
+    else
+    {
+        // The SIP re-INVITE of the renegotiation in progress refreshes the Contact
+        console.warn("WebRTCommCall:onPrivateCallConnectorContactRefreshRequestEvent(): renegotiation in progress, this.peerConnectionState=" + this.peerConnectionState);
+    }
+};
 
-    this.peerConnection.onstatechange = function(event) {
-        that.onRtcPeerConnectionStateChangeEvent(event);
-    };
+/**
+ * Implementation of the PrivateCallConnector listener interface: process session refresh request event
+ * (RFC 4028 session timer), a SDP re-offer keeping the current hold state is sent in a SIP re-INVITE
+ * @private
+ */
+WebRTCommCall.prototype.onPrivateCallConnectorSessionRefreshRequestEvent = function() {
+    console.debug("WebRTCommCall:onPrivateCallConnectorSessionRefreshRequestEvent()");
+    if (this.peerConnection && this.peerConnectionState === 'established')
+    {
+        try
+        {
+            this.createRtcPeerConnectionReOffer(this.localHoldFlag);
+        }
+        catch (exception)
+        {
+            console.error("WebRTCommCall:onPrivateCallConnectorSessionRefreshRequestEvent(): catched exception:" + exception);
+            this.peerConnectionState = 'established';
+            this.reOfferLocalHoldFlag = undefined;
+            this.reOfferIceRestartFlag = false;
+        }
+    }
+    else
+    {
+        // Renegotiation in progress, refresh retried if its SIP re-INVITE does not refresh the session
+        console.warn("WebRTCommCall:onPrivateCallConnectorSessionRefreshRequestEvent(): renegotiation in progress, this.peerConnectionState=" + this.peerConnectionState);
+        this.connector.retrySipSessionRefresh();
+    }
+};
 
-    if (window.webkitRTCPeerConnection)
+/**
+ * Implementation of the PrivateCallConnector listener interface: process renegotiation (SIP re-INVITE) 
+ * request pending event (glare), the local SDP re-offer is rolled back and sent again after the retry delay
+ * @private 
+ * @param {number} retryDelay retry delay in milliseconds
+ */
+WebRTCommCall.prototype.onPrivateCallConnectorReInviteRequestPendingEvent = function(retryDelay) {
+    console.debug("WebRTCommCall:onPrivateCallConnectorReInviteRequestPendingEvent():retryDelay=" + retryDelay);
+    var reOfferLocalHoldFlag = this.reOfferLocalHoldFlag;
+    var reOfferIceRestartFlag = this.reOfferIceRestartFlag;
+    // The ICE restart is not failed, it is retried
+    this.reOfferIceRestartFlag = false;
+    this.onPrivateCallConnectorReInviteErrorEvent("Request Pending");
+    if (reOfferLocalHoldFlag !== undefined)
     {
-        // Google implementation only for the time being
-        this.peerConnection.onsignalingstatechange = function(event) {
-            console.warn("RTCPeerConnection API update");
-            that.onRtcPeerConnectionStateChangeEvent(event);
-        };
+        this.retryRtcPeerConnectionReOffer(reOfferLocalHoldFlag, retryDelay, reOfferIceRestartFlag);
     }
+};
 
-    this.peerConnection.onicecandidate = function(rtcIceCandidateEvent) {
-        that.onRtcPeerConnectionIceCandidateEvent(rtcIceCandidateEvent);
-    };
+/**
+ * Send again the local SDP re-offer after the retry delay, 
+ * rescheduled while a renegotiation initiated by the remote peer is in progress
+ * @private 
+ * @param {boolean} localHoldFlag local hold requested
+ * @param {number} retryDelay retry delay in milliseconds
+ * @param {boolean} iceRestartFlag ICE restart requested
+ */
+WebRTCommCall.prototype.retryRtcPeerConnectionReOffer = function(localHoldFlag, retryDelay, iceRestartFlag) {
+    console.debug("WebRTCommCall:retryRtcPeerConnectionReOffer():localHoldFlag=" + localHoldFlag + ", iceRestartFlag=" + iceRestartFlag);
+    var that = this;
+    setTimeout(function() {
+        try
+        {
+            if (that.peerConnection && that.connector && that.connector.isOpened())
+            {
+                if (that.peerConnectionState === 'established')
+                {
+                    if (iceRestartFlag === true || localHoldFlag !== that.localHoldFlag)
+                    {
+                        that.createRtcPeerConnectionReOffer(localHoldFlag, iceRestartFlag);
+                    }
+                }
+                else
+                {
+                    that.retryRtcPeerConnectionReOffer(localHoldFlag, retryDelay, iceRestartFlag);
+                }
+            }
+            else if (iceRestartFlag === true)
+            {
+                that.iceRestartFlag = false;
+            }
+        }
+        catch (exception)
+        {
+            console.error("WebRTCommCall:retryRtcPeerConnectionReOffer(): catched exception:" + exception);
+            if (iceRestartFlag === true)
+            {
+                that.peerConnectionState = 'established';
+                that.iceRestartFlag = false;
+                that.reOfferIceRestartFlag = false;
+                that.notifyIceRestartErrorEvent(exception);
+            }
+        }
+    }, retryDelay);
+};
 
-    this.peerConnection.ongatheringchange = function(event) {
-        that.onRtcPeerConnectionGatheringChangeEvent(event);
-    };
+/**
+ * Implementation of the PrivateCallConnector listener interface: process transfer progress event 
+ * (NOTIFY sipfrag of the SIP REFER), the communication is closed once the transfer succeeded
+ * @private 
+ * @param {number} statusCode SIP status code of the transferred call (e.g. 180)
+ * @param {string} reasonPhrase SIP reason phrase of the transferred call (e.g. Ringing)
+ */
+WebRTCommCall.prototype.onPrivateCallConnectorTransferProgressEvent = function(statusCode, reasonPhrase) {
+    console.debug("WebRTCommCall:onPrivateCallConnectorTransferProgressEvent():statusCode=" + statusCode);
+    // Notify event to the listener
+    if (this.eventListener.onWebRTCommCallTransferProgressEvent)
+    {
+        var that = this;
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommCallTransferProgressEvent(that, statusCode, reasonPhrase);
+            }
+            catch (exception)
+            {
+                console.error("WebRTCommCall:onPrivateCallConnectorTransferProgressEvent(): catched exception in listener:" + exception);
+            }
+        }, 1);
+    }
 
-    this.peerConnection.onicechange = function(event) {
-        that.onRtcPeerConnectionIceChangeEvent(event);
-    };
+    if (statusCode >= 200 && statusCode < 300)
+    {
+        // Transfer succeeded (RFC 5589), close the communication 
+        try {
+            this.close();
+        } catch (exception) {
+            console.error("WebRTCommCall:onPrivateCallConnectorTransferProgressEvent(): catched exception:" + exception);
+        }
+    }
+};
 
-    if (window.webkitRTCPeerConnection)
+/**
+ * Implementation of the PrivateCallConnector listener interface: process transfer error event, 
+ * the communication remains established
+ * @private 
+ * @param {string} error transfer error
+ */
+WebRTCommCall.prototype.onPrivateCallConnectorTransferErrorEvent = function(error) {
+    console.debug("WebRTCommCall:onPrivateCallConnectorTransferErrorEvent():error=" + error);
+    // Notify event to the listener
+    if (this.eventListener.onWebRTCommCallTransferErrorEvent)
     {
-        // Google implementation only for the time being
-        this.peerConnection.oniceconnectionstatechange = function(event) {
-            that.onRtcPeerConnectionIceChangeEvent(event);
-        };
+        var that = this;
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommCallTransferErrorEvent(that, error);
+            }
+            catch (exception)
+            {
+                console.error("WebRTCommCall:onPrivateCallConnectorTransferErrorEvent(): catched exception in listener:" + exception);
+            }
+        }, 1);
     }
+};
 
-    this.peerConnection.onopen = function(event) {
-        that.onRtcPeerConnectionOnOpenEvent(event);
-    };
+/**
+ * Implementation of the PrivateCallConnector listener interface: process transfer request event (SIP REFER), 
+ * a new outgoing communication is opened towards the transfer target
+ * @private 
+ * @param {string} targetUri transfer target contact identifier (e.g. bob@sip.net)
+ * @param {string} sipReplaces Replaces header value, undefined for blind transfer
+ * @param {string} sipReferredBy Referred-By header value
+ */
+WebRTCommCall.prototype.onPrivateCallConnectorReferRequestEvent = function(targetUri, sipReplaces, sipReferredBy) {
+    console.debug("WebRTCommCall:onPrivateCallConnectorReferRequestEvent():targetUri=" + targetUri);
+    try
+    {
+        var newWebRTCommCall = new WebRTCommCall(this.webRTCommClient);
+        newWebRTCommCall.connector = this.webRTCommClient.connector.createPrivateSessionConnector(newWebRTCommCall);
+        newWebRTCommCall.connector.setReferredCallContext(this.connector, sipReplaces, sipReferredBy);
+        newWebRTCommCall.open(targetUri, this.configuration);
 
-    if (window.webkitRTCPeerConnection)
+        // Notify event to the listener
+        if (this.eventListener.onWebRTCommCallTransferredEvent)
+        {
+            var that = this;
+            setTimeout(function() {
+                try {
+                    that.eventListener.onWebRTCommCallTransferredEvent(that, newWebRTCommCall);
+                }
+                catch (exception)
+                {
+                    console.error("WebRTCommCall:onPrivateCallConnectorReferRequestEvent(): catched exception in listener:" + exception);
+                }
+            }, 1);
+        }
+    }
+    catch (exception)
     {
-        // Google implementation only for the time being
-        this.peerConnection.onidentityresult = function(event) {
-            that.onRtcPeerConnectionIdentityResultEvent(event);
-        };
+        console.error("WebRTCommCall:onPrivateCallConnectorReferRequestEvent(): catched exception:" + exception);
+        throw exception;
     }
+};
 
-    /* Obsolete
-     this.peerConnection.onnegotiationneeded= function(event) {
-     that.onRtcPeerConnectionIceNegotiationNeededEvent(event);
-     }*/
-
-    this.peerConnection.ondatachannel = function(event) {
-        that.onRtcPeerConnectionOnMessageChannelEvent(event);
-    };
+/**
+ * Implementation of the PrivateCallConnector listener interface: process remote SDP answer event
+ * @private 
+ * @param {string} remoteSdpAnswer
+ * @throw exception internal error
+ */
+WebRTCommCall.prototype.onPrivateCallConnectorRemoteSdpAnswerEvent = function(remoteSdpAnswer) {
+    console.debug("WebRTCommCall:onPrivateCallConnectorRemoteSdpAnswerEvent()");
+    try
+    {
+        var sdpAnswer = {
+            type: 'answer',
+            sdp: remoteSdpAnswer
+        };
 
-    console.debug("WebRTCommCall:createPeerConnection(): this.peerConnection=" + JSON.stringify(this.peerConnection));
+        var that = this;
+        if (this.peerConnectionState === 'reoffer-sent')
+        {
+            this.peerConnectionState = 'reanswer-received';
+        }
+        else
+        {
+            this.peerConnectionState = 'answer-received';
+        }
+        this.peerConnection.setRemoteDescription(sdpAnswer).then(function() {
+            that.onRtcPeerConnectionSetRemoteDescriptionSuccessEvent();
+        }, function(error) {
+            that.onRtcPeerConnectionSetRemoteDescriptionErrorEvent(error);
+        });
+    }
+    catch (exception)
+    {
+        console.error("WebRTCommCall:onPrivateCallConnectorRemoteSdpAnswerEvent(): catched exception:" + exception);
+        throw exception;
+    }
 };
 
 /**
- * Implementation of the PrivateCallConnector listener interface: process remote SDP offer event
+ * Implementation of the PrivateCallConnector listener interface: process remote SDP provisional answer event (early media 
+ * of a SIP 18x), the SDP is applied as a 'pranswer', the final answer is expected in the SIP 200 OK 
  * @private 
- * @param {string} remoteSdpOffer Remote peer SDP offer
+ * @param {string} remoteSdpProvisionalAnswer Remote SDP provisional answer 
  */
-WebRTCommCall.prototype.onPrivateCallConnectorRemoteSdpOfferEvent = function(remoteSdpOffer) {
-    console.debug("WebRTCommCall:onPrivateCallConnectorSdpOfferEvent()");
-    this.remoteSdpOffer = remoteSdpOffer;
+WebRTCommCall.prototype.onPrivateCallConnectorRemoteSdpProvisionalAnswerEvent = function(remoteSdpProvisionalAnswer) {
+    console.debug("WebRTCommCall:onPrivateCallConnectorRemoteSdpProvisionalAnswerEvent()");
+    try
+    {
+        if (this.peerConnection && this.peerConnectionState === 'offer-sent')
+        {
+            var sdpProvisionalAnswer = {
+                type: 'pranswer',
+                sdp: remoteSdpProvisionalAnswer
+            };
+
+            var that = this;
+            this.peerConnection.setRemoteDescription(sdpProvisionalAnswer).then(function() {
+                that.onRtcPeerConnectionSetRemoteProvisionalDescriptionSuccessEvent();
+            }, function(error) {
+                // Early media not available, the communication goes on
+                console.error("WebRTCommCall:onPrivateCallConnectorRemoteSdpProvisionalAnswerEvent():error=" + JSON.stringify(error));
+            });
+        }
+        else
+        {
+            console.warn("WebRTCommCall:onPrivateCallConnectorRemoteSdpProvisionalAnswerEvent(): bad state, SDP ignored");
+        }
+    }
+    catch (exception)
+    {
+        console.error("WebRTCommCall:onPrivateCallConnectorRemoteSdpProvisionalAnswerEvent(): catched exception:" + exception);
+    }
+};
+
+/**
+ * RTCPeerConnection listener implementation: remote SDP provisional answer applied, early media event notified
+ * @private
+ */
+WebRTCommCall.prototype.onRtcPeerConnectionSetRemoteProvisionalDescriptionSuccessEvent = function() {
+    console.debug("WebRTCommCall:onRtcPeerConnectionSetRemoteProvisionalDescriptionSuccessEvent()");
+    // Notify event to the listener
+    if (this.eventListener.onWebRTCommCallEarlyMediaEvent)
+    {
+        var that = this;
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommCallEarlyMediaEvent(that);
+            }
+            catch (exception)
+            {
+                console.error("WebRTCommCall:onRtcPeerConnectionSetRemoteProvisionalDescriptionSuccessEvent(): catched exception in listener:" + exception);
+            }
+        }, 1);
+    }
 };
 
 /**
- * Implementation of the PrivateCallConnector listener interface: process remote SDP answer event
+ * Implementation of the PrivateCallConnector listener interface: process remote ICE candidates event (trickle ICE, RFC 8840)
  * @private 
- * @param {string} remoteSdpAnswer
- * @throw exception internal error
+ * @param {string} sdpFragment remote ICE candidates SDP fragment (application/trickle-ice-sdpfrag)
  */
-WebRTCommCall.prototype.onPrivateCallConnectorRemoteSdpAnswerEvent = function(remoteSdpAnswer) {
-    console.debug("WebRTCommCall:onPrivateCallConnectorRemoteSdpAnswerEvent()");
+WebRTCommCall.prototype.onPrivateCallConnectorRemoteIceCandidatesEvent = function(sdpFragment) {
+    console.debug("WebRTCommCall:onPrivateCallConnectorRemoteIceCandidatesEvent(): sdpFragment=" + sdpFragment);
     try
     {
-        var sdpAnswer = undefined;
-        if (window.webkitRTCPeerConnection)
+        var mLineIndex = -1;
+        var mid = undefined;
+        var sdpLines = (sdpFragment || "").split(/\r?\n/);
+        for (var i = 0; i < sdpLines.length; i++)
         {
-            sdpAnswer = new RTCSessionDescription({
-                type: 'answer',
-                sdp: remoteSdpAnswer
-            });
+            var sdpLine = sdpLines[i].trim();
+            if (sdpLine.indexOf("m=") === 0)
+            {
+                mLineIndex++;
+                mid = undefined;
+            }
+            else if (sdpLine.indexOf("a=mid:") === 0)
+            {
+                mid = sdpLine.substring(6);
+            }
+            else if (sdpLine.indexOf("a=candidate:") === 0)
+            {
+                this.remoteIceCandidates.push({
+                    candidate: sdpLine.substring(2),
+                    sdpMid: mid,
+                    sdpMLineIndex: mLineIndex
+                });
+            }
+            else if (sdpLine === "a=end-of-candidates")
+            {
+                console.debug("WebRTCommCall:onPrivateCallConnectorRemoteIceCandidatesEvent(): end of remote ICE candidates");
+            }
         }
-        else if (window.mozRTCPeerConnection)
+
+        if (this.peerConnection && this.peerConnectionState !== 'offer-sent' && this.peerConnectionState !== 'answer-received')
         {
-            sdpAnswer = new mozRTCSessionDescription({
-                type: 'answer',
-                sdp: remoteSdpAnswer
-            });
+            this.addRtcPeerConnectionRemoteIceCandidates();
         }
-
-        var that = this;
-        this.peerConnectionState = 'answer-received';
-        this.peerConnection.setRemoteDescription(sdpAnswer, function() {
-            that.onRtcPeerConnectionSetRemoteDescriptionSuccessEvent();
-        }, function(error) {
-            that.onRtcPeerConnectionSetRemoteDescriptionErrorEvent(error);
-        });
     }
     catch (exception)
     {
-        console.error("WebRTCommCall:onPrivateCallConnectorRemoteSdpAnswerEvent(): catched exception:" + exception);
-        throw exception;
+        console.error("WebRTCommCall:onPrivateCallConnectorRemoteIceCandidatesEvent(): catched exception:" + exception);
+    }
+};
+
+/**
+ * Implementation of the PrivateCallConnector listener interface: process DTMF received event (SIP INFO)
+ * @private 
+ * @param {string} tone DTMF tone (0-9, A-D, *, #)
+ * @param {number} duration tone duration in milliseconds, undefined if not provided
+ */
+WebRTCommCall.prototype.onPrivateCallConnectorDTMFReceivedEvent = function(tone, duration) {
+    console.debug("WebRTCommCall:onPrivateCallConnectorDTMFReceivedEvent(): tone=" + tone + ", duration=" + duration);
+    // Notify event to the listener
+    if (this.eventListener.onWebRTCommCallDTMFReceivedEvent)
+    {
+        var that = this;
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommCallDTMFReceivedEvent(that, tone, duration);
+            }
+            catch (exception)
+            {
+                console.error("WebRTCommCall:onPrivateCallConnectorDTMFReceivedEvent(): catched exception in listener:" + exception);
+            }
+        }, 1);
     }
 };
 
@@ -1201,6 +3809,31 @@ WebRTCommCall.prototype.onPrivateCallConnectorCallOpenErrorEvent = function(erro
     }
 };
 
+/**
+ * Implementation of the PrivateCallConnector listener interface: approve a redirect target of the outgoing call (SIP 3xx),
+ * the listener is called synchronously
+ * @private 
+ * @param {string} targetUri redirect target URI (e.g. sip:bob@sip.net)
+ * @returns {boolean} true if the redirect target is called, false otherwise
+ */
+WebRTCommCall.prototype.onPrivateCallConnectorRedirectEvent = function(targetUri)
+{
+    console.debug("WebRTCommCall:onPrivateCallConnectorRedirectEvent():targetUri=" + targetUri);
+    if (this.eventListener.onWebRTCommCallRedirectEvent)
+    {
+        try {
+            return this.eventListener.onWebRTCommCallRedirectEvent(this, targetUri) !== false;
+        }
+        catch (exception)
+        {
+            // Listener failure is not a refusal, the redirect target is called
+            console.error("WebRTCommCall:onPrivateCallConnectorRedirectEvent(): catched exception in listener:" + exception);
+            return true;
+        }
+    }
+    return true;
+};
+
 /**
  * Implementation of the PrivateCallConnector listener interface: process call ringing event
  * @private 
@@ -1323,89 +3956,103 @@ WebRTCommCall.prototype.onRtcPeerConnectionErrorEvent = function(error) {
 
 
 /**
- * Implementation of the RTCPeerConnection listener interface: handle RTCPeerConnection state machine
+ * Implementation of the RTCPeerConnection listener interface: remote media track received, the track is added 
+ * to the remote media stream of its kind (audio or video) and to the bundled audio & video remote media stream,
+ * a screen share track (a=content:slides) is notified apart in its own remote media stream
  * @private
- * @param {MediaStreamEvent} event  RTCPeerConnection Event
+ * @param {RTCTrackEvent} event  RTCPeerConnection Event
  */
-WebRTCommCall.prototype.onRtcPeerConnectionOnAddStreamEvent = function(event) {
+WebRTCommCall.prototype.onRtcPeerConnectionOnTrackEvent = function(event) {
     try
     {
-        console.debug("WebRTCommCall:onRtcPeerConnectionOnAddStreamEvent(): event=" + event);
-        console.debug("WebRTCommCall:onRtcPeerConnectionOnAddStreamEvent(): event.type=" + event.type);
+        console.debug("WebRTCommCall:onRtcPeerConnectionOnTrackEvent(): event.track.kind=" + event.track.kind + ", event.track.id=" + event.track.id);
         if (this.peerConnection)
         {
-            console.debug("WebRTCommCall:onRtcPeerConnectionOnAddStreamEvent(): this.peerConnection.signalingState=" + this.peerConnection.signalingState);
-            console.debug("WebRTCommCall:onRtcPeerConnectionOnAddStreamEvent(): this.peerConnection.iceGatheringState=" + this.peerConnection.iceGatheringState);
-            console.debug("WebRTCommCall:onRtcPeerConnectionOnAddStreamEvent(): this.peerConnection.iceConnectionState=" + this.peerConnection.iceConnectionState);
-            console.debug("WebRTCommCall:onRtcPeerConnectionOnAddStreamEvent(): this.peerConnectionState=" + this.peerConnectionState);
-	    this.remoteBundledAudioVideoMediaStream = event.stream;
-	    // https://code.google.com/p/webrtcomm/issues/detail?id=22 Make sure to call WebRTCommCall on add stream event
-            if (this.eventListener.onWebRTCommCallOpenedEvent)
+            console.debug("WebRTCommCall:onRtcPeerConnectionOnTrackEvent(): this.peerConnection.signalingState=" + this.peerConnection.signalingState);
+            console.debug("WebRTCommCall:onRtcPeerConnectionOnTrackEvent(): this.peerConnectionState=" + this.peerConnectionState);
+            var track = event.track;
+            if (event.transceiver && this.isContentRtpTransceiver(event.transceiver))
+            {
+                if (!this.remoteScreenShareMediaStream || !this.remoteScreenShareMediaStream.getTrackById(track.id))
+                {
+                    this.onRtcPeerConnectionRemoteScreenShareTrackEvent(event);
+                }
+            }
+            else if (this.remoteMediaTracks.hasOwnProperty(track.kind) && this.remoteMediaTracks[track.kind].indexOf(track) === -1)
             {
+                this.remoteMediaTracks[track.kind].push(track);
+                if (track.kind === "audio")
+                {
+                    if (!this.remoteAudioMediaStream)
+                        this.remoteAudioMediaStream = new MediaStream();
+                    this.remoteAudioMediaStream.addTrack(track);
+                }
+                else
+                {
+                    if (!this.remoteVideoMediaStream)
+                        this.remoteVideoMediaStream = new MediaStream();
+                    this.remoteVideoMediaStream.addTrack(track);
+                }
+
+                if (!this.remoteBundledAudioVideoMediaStream)
+                {
+                    // Remote media stream of the SDP msid, built locally if the remote SDP has no msid
+                    this.remoteBundledAudioVideoMediaStream = (event.streams && event.streams.length > 0) ? event.streams[0] : new MediaStream();
+                }
+                if (!this.remoteBundledAudioVideoMediaStream.getTrackById(track.id))
+                {
+                    // Track added by a renegotiation in another remote media stream
+                    this.remoteBundledAudioVideoMediaStream.addTrack(track);
+                }
+
                 var that = this;
-                setTimeout(function() {
-                    try {
-		        console.debug("WebRTCommCall:calling onWebRTCommCallOpenedEvent(): event=" + event);
-                        that.eventListener.onWebRTCommCallOpenedEvent(that);
-		        console.debug("WebRTCommCall:onRtcPeerConnectionOnAddStreamEvent(): creating DTMF Sender");
-			if (that.peerConnection.createDTMFSender) {
-	    		    if (that.configuration.localMediaStream !== null) {
-			        var localAudioTrack = that.configuration.localMediaStream.getAudioTracks()[0];
-			        that.dtmfSender = that.peerConnection.createDTMFSender(localAudioTrack);
-			        //that.dtmfSender.ontonechange = dtmfOnToneChange;
-			        console.debug('Created DTMFSender');
-			    } else {
-			        console.debug('No local stream to create DTMF Sender');
-			    }
-	  	        } else {
-	    		    console.warn('RTCPeerConnection method createDTMFSender() is not support by this browser.');
-	  	        }
-                    }
-                    catch (exception)
-                    {
-                        console.error("WebRTCommCall:onRtcPeerConnectionOnAddStreamEvent(): catched exception in listener:" + exception);
-                    }
-                }, 1);
+                track.onended = function() {
+                    that.onRtcPeerConnectionRemoteTrackEndedEvent(track);
+                };
             }
         }
         else
         {
-            console.warn("WebRTCommCall:onRtcPeerConnectionOnAddStreamEvent(): event ignored");
+            console.warn("WebRTCommCall:onRtcPeerConnectionOnTrackEvent(): event ignored");
         }
     }
     catch (exception)
     {
-        console.error("WebRTCommCall:onRtcPeerConnectionOnAddStreamEvent(): catched exception, exception:" + exception);
+        console.error("WebRTCommCall:onRtcPeerConnectionOnTrackEvent(): catched exception, exception:" + exception);
         this.onRtcPeerConnectionErrorEvent();
     }
 };
 
 /**
- * Implementation of the RTCPeerConnection listener interface: handle RTCPeerConnection state machine
+ * Implementation of the MediaStreamTrack listener interface: remote media track ended (media removed by a renegotiation), 
+ * the track is removed from the remote media streams, the end of a remote screen share is notified
  * @private
- * @param {MediaStreamEvent} event  RTCPeerConnection Event
+ * @param {MediaStreamTrack} track  ended remote track
  */
-WebRTCommCall.prototype.onRtcPeerConnectionOnRemoveStreamEvent = function(event) {
+WebRTCommCall.prototype.onRtcPeerConnectionRemoteTrackEndedEvent = function(track) {
+    console.debug("WebRTCommCall:onRtcPeerConnectionRemoteTrackEndedEvent(): track.kind=" + track.kind + ", track.id=" + track.id);
     try
     {
-        console.debug("WebRTCommCall:onRtcPeerConnectionOnRemoveStreamEvent(): event=" + event);
-        if (this.peerConnection)
+        var index = this.remoteMediaTracks[track.kind].indexOf(track);
+        if (index !== -1)
         {
-            console.debug("WebRTCommCall:onRtcPeerConnectionOnRemoveStreamEvent(): this.peerConnection.signalingState=" + this.peerConnection.signalingState);
-            console.debug("WebRTCommCall:onRtcPeerConnectionOnRemoveStreamEvent(): this.peerConnection.iceGatheringState=" + this.peerConnection.iceGatheringState);
-            console.debug("WebRTCommCall:onRtcPeerConnectionOnRemoveStreamEvent(): this.peerConnection.iceConnectionState=" + this.peerConnection.iceConnectionState);
-            console.debug("WebRTCommCall:onRtcPeerConnectionOnRemoveStreamEvent(): this.peerConnectionState=" + this.peerConnectionState);
-            this.remoteBundledAudioVideoMediaStream = undefined;
+            this.remoteMediaTracks[track.kind].splice(index, 1);
+            var remoteMediaStream = (track.kind === "audio") ? this.remoteAudioMediaStream : this.remoteVideoMediaStream;
+            if (remoteMediaStream)
+                remoteMediaStream.removeTrack(track);
+            if (this.remoteBundledAudioVideoMediaStream && this.remoteBundledAudioVideoMediaStream.getTrackById(track.id))
+                this.remoteBundledAudioVideoMediaStream.removeTrack(track);
         }
-        else
+        else if (this.remoteScreenShareMediaStream && this.remoteScreenShareMediaStream.getTrackById(track.id))
         {
-            console.warn("WebRTCommCall:onRtcPeerConnectionOnRemoveStreamEvent(): event ignored");
+            this.notifyRemoteScreenShareEvent(false);
+            this.remoteScreenShareMediaStream = undefined;
+            this.remoteScreenShareMid = undefined;
         }
     }
     catch (exception)
     {
-        console.error("WebRTCommCall:onRtcPeerConnectionOnRemoveStreamEvent(): catched exception, exception:" + exception);
-        this.onRtcPeerConnectionErrorEvent();
+        console.error("WebRTCommCall:onRtcPeerConnectionRemoteTrackEndedEvent(): catched exception, exception:" + exception);
     }
 };
 
@@ -1426,9 +4073,19 @@ WebRTCommCall.prototype.onRtcPeerConnectionIceCandidateEvent = function(rtcIceCa
             console.debug("WebRTCommCall:onRtcPeerConnectionIceCandidateEvent(): this.peerConnectionState=" + this.peerConnectionState);
             if (this.peerConnection.signalingState !== 'closed')
             {
+                if (this.trickleIceFlag && this.peerConnectionState !== 'preparing-reoffer' && this.peerConnectionState !== 'preparing-reanswer')
+                {
+                    // Trickle ICE, a null candidate means the end of the gathering
+                    this.localIceCandidates.push(rtcIceCandidateEvent.candidate);
+                    this.sendRtcPeerConnectionIceCandidates();
+                }
                 if (this.peerConnection.iceGatheringState === 'complete')
                 {
-                        if (this.peerConnectionState === 'preparing-offer')
+                        if (this.peerConnectionState === 'offer-sent' || this.peerConnectionState === 'answer-received' || this.peerConnectionState === 'reoffer-requested')
+                        {
+                            // Local SDP already sent (trickle ICE)
+                        }
+                        else if (this.peerConnectionState === 'preparing-offer')
                         {
                             var sdpOfferString = this.peerConnection.localDescription.sdp;
                             var parsedSdpOffer = this.setRtcPeerConnectionLocalDescription(this.peerConnection.localDescription);
@@ -1437,6 +4094,13 @@ WebRTCommCall.prototype.onRtcPeerConnectionIceCandidateEvent = function(rtcIceCa
                             this.connector.invite(parsedSdpOffer);
                             this.peerConnectionState = 'offer-sent';
                         }
+                        else if (this.peerConnectionState === 'preparing-answer' && this.earlyMediaFlag)
+                        {
+                            // Early media SDP answer sent in a SIP 183, the communication is opened by accept()
+                            this.earlyMediaSdpAnswer = this.setRtcPeerConnectionLocalDescription(this.peerConnection.localDescription);
+                            this.connector.acceptEarlyMedia(this.earlyMediaSdpAnswer);
+                            this.peerConnectionState = 'early-answer-sent';
+                        }
                         else if (this.peerConnectionState === 'preparing-answer')
                         {
                             var sdpAnswerString = this.peerConnection.localDescription.sdp;
@@ -1459,6 +4123,10 @@ WebRTCommCall.prototype.onRtcPeerConnectionIceCandidateEvent = function(rtcIceCa
                                 }, 1);
                             }
                         }
+                        else if (this.peerConnectionState === 'preparing-reoffer' || this.peerConnectionState === 'preparing-reanswer')
+                        {
+                            this.sendRtcPeerConnectionRenegotiatedDescription();
+                        }
                         else if (this.peerConnectionState === 'established')
                         {
                             // Why this last ice candidate event?
@@ -1476,111 +4144,334 @@ WebRTCommCall.prototype.onRtcPeerConnectionIceCandidateEvent = function(rtcIceCa
         }
         else
         {
-            console.warn("WebRTCommCall:onRtcPeerConnectionIceCandidateEvent(): event ignored");
+            console.warn("WebRTCommCall:onRtcPeerConnectionIceCandidateEvent(): event ignored");
+        }
+    }
+    catch (exception)
+    {
+        console.error("WebRTCommCall:onRtcPeerConnectionIceCandidateEvent(): catched exception, exception:" + exception);
+        this.onRtcPeerConnectionErrorEvent(exception);
+    }
+};
+
+/**
+ * Implementation of the RTCPeerConnection listener interface: handle RTCPeerConnection state machine
+ * @private
+ * @param {RTCSessionDescription} sdpOffer  RTCPeerConnection SDP offer event
+ */
+WebRTCommCall.prototype.onRtcPeerConnectionCreateOfferSuccessEvent = function(sdpOffer) {
+    try
+    {
+        console.debug("WebRTCommCall:onRtcPeerConnectionCreateOfferSuccessEvent(): sdpOffer=" + JSON.stringify(sdpOffer));
+        if (this.peerConnection)
+        {
+            console.debug("WebRTCommCall:onRtcPeerConnectionCreateOfferSuccessEvent(): this.peerConnection.signalingState=" + this.peerConnection.signalingState);
+            console.debug("WebRTCommCall:onRtcPeerConnectionCreateOfferSuccessEvent(): this.peerConnection.iceGatheringState=" + this.peerConnection.iceGatheringState);
+            console.debug("WebRTCommCall:onRtcPeerConnectionCreateOfferSuccessEvent(): this.peerConnection.iceConnectionState=" + this.peerConnection.iceConnectionState);
+            console.debug("WebRTCommCall:onRtcPeerConnectionCreateOfferSuccessEvent(): this.peerConnectionState=" + this.peerConnectionState);
+
+            if (this.peerConnectionState === 'new')
+            {
+                // Preparing offer.
+                var that = this;
+                this.peerConnectionState = 'preparing-offer';
+                this.peerConnection.setLocalDescription(sdpOffer).then(function() {
+                    that.onRtcPeerConnectionSetLocalDescriptionSuccessEvent();
+                }, function(error) {
+                    that.onRtcPeerConnectionSetLocalDescriptionErrorEvent(error);
+                });
+            }
+            else if (this.peerConnectionState === 'reoffer-requested')
+            {
+                // Preparing re-offer on established communication
+                var that = this;
+                this.peerConnectionState = 'preparing-reoffer';
+                var parsedSdpReOffer = this.setRtcPeerConnectionLocalDescription(sdpOffer);
+                this.applyMediaDirectionOnSessionDescription(parsedSdpReOffer, this.getMediaDirection(!this.remoteHoldFlag, !this.reOfferLocalHoldFlag));
+                this.peerConnection.setLocalDescription({
+                    type: sdpOffer.type,
+                    sdp: parsedSdpReOffer.toString()
+                }).then(function() {
+                    that.onRtcPeerConnectionSetLocalDescriptionSuccessEvent();
+                }, function(error) {
+                    that.onRtcPeerConnectionSetLocalDescriptionErrorEvent(error);
+                });
+            }
+            else
+            {
+                console.error("WebRTCommCall:onRtcPeerConnectionCreateOfferSuccessEvent(): RTCPeerConnection bad state!");
+            }
+        }
+        else
+        {
+            console.warn("WebRTCommCall:onRtcPeerConnectionCreateOfferSuccessEvent(): event ignored");
+        }
+    }
+    catch (exception)
+    {
+        console.error("WebRTCommCall:onRtcPeerConnectionCreateOfferSuccessEvent(): catched exception, exception:" + exception);
+        this.onRtcPeerConnectionErrorEvent();
+    }
+};
+
+WebRTCommCall.prototype.setRtcPeerConnectionLocalDescription = function(sdpOffer) {
+	var sdpOfferString = sdpOffer.sdp;
+	var sdpParser = new SDPParser();
+	var parsedSdpOffer = sdpParser.parse(sdpOfferString);
+
+	if (this.configuration.audioCodecsFilter || this.configuration.videoCodecsFilter || this.configuration.opusFmtpCodecsParameters)
+	{
+	    try
+	    {
+		// Apply audio/video codecs filter to RTCPeerConnection SDP offer to
+		this.applyConfiguredCodecFilterOnSessionDescription(parsedSdpOffer);
+	    }
+	    catch (exception)
+	    {
+		console.error("WebRTCommCall:onRtcPeerConnectionCreateOfferSuccessEvent(): configured codec filtering has failded, use inital RTCPeerConnection SDP offer");
+	    }
+	}
+
+	// Screen share m line tagged for the remote peer (RFC 4796)
+	this.applyContentAttributeOnSessionDescription(parsedSdpOffer);
+
+	// Check if offer is ok with the requested RTCPeerConnection constraints
+	if (this.webRTCommClient.configuration.RTCPeerConnection.forceTurnMediaRelay === true)
+	{
+	    this.forceTurnMediaRelay(parsedSdpOffer);
+	}
+	// Allow patching of chrome ice-options for interconnect with Mobicents Media Server, commented for now but to be made configurable
+	// this.patchChromeIce(parsedSdpOffer, "ice-options");
+	console.debug("WebRTCommCall:onRtcPeerConnectionCreateOfferSuccessEvent(): parsedSdpOffer=" + parsedSdpOffer);
+
+	this.peerConnectionLocalDescription = parsedSdpOffer;
+
+	return parsedSdpOffer;
+}
+
+/**
+ * Send the initial local SDP (offer or answer) without waiting for the end of the ICE candidates gathering (trickle ICE, RFC 8840) 
+ * @private
+ */
+WebRTCommCall.prototype.sendRtcPeerConnectionTrickleIceDescription = function() {
+    console.debug("WebRTCommCall:sendRtcPeerConnectionTrickleIceDescription(): this.peerConnectionState=" + this.peerConnectionState);
+    var parsedSdp = this.setRtcPeerConnectionLocalDescription(this.peerConnection.localDescription);
+    this.applyTrickleIceOptionOnSessionDescription(parsedSdp);
+    if (this.peerConnectionState === 'preparing-offer')
+    {
+        this.connector.invite(parsedSdp);
+        this.peerConnectionState = 'offer-sent';
+    }
+    else if (this.peerConnectionState === 'preparing-answer')
+    {
+        this.connector.accept(parsedSdp);
+        this.peerConnectionState = 'established';
+        // Notify opened event to listener
+        if (this.eventListener.onWebRTCommCallOpenedEvent)
+        {
+            var that = this;
+            setTimeout(function() {
+                try {
+                    that.eventListener.onWebRTCommCallOpenedEvent(that);
+                }
+                catch (exception)
+                {
+                    console.error("WebRTCommCall:sendRtcPeerConnectionTrickleIceDescription(): catched exception in listener:" + exception);
+                }
+            }, 1);
+        }
+        // ICE candidates gathered before the 200 OK
+        this.sendRtcPeerConnectionIceCandidates();
+    }
+};
+
+/**
+ * Send the pending local ICE candidates in a SIP INFO once the call is accepted (trickle ICE, RFC 8840).
+ * If the remote peer does not support trickle ICE, the complete ICE candidates are sent in a SDP re-offer 
+ * at the end of the gathering
+ * @private
+ */
+WebRTCommCall.prototype.sendRtcPeerConnectionIceCandidates = function() {
+    console.debug("WebRTCommCall:sendRtcPeerConnectionIceCandidates(): this.localIceCandidates.length=" + this.localIceCandidates.length);
+    if (this.localIceCandidates.length > 0 && this.connector && this.connector.isOpened())
+    {
+        try
+        {
+            if (this.connector.isTrickleIceSupported())
+            {
+                var sdpFragment = this.getIceCandidatesSdpFragment(this.localIceCandidates);
+                this.localIceCandidates = [];
+                if (sdpFragment)
+                {
+                    this.connector.sendIceCandidates(sdpFragment);
+                }
+            }
+            else if (this.localIceCandidates[this.localIceCandidates.length - 1] === null && this.peerConnectionState === 'established')
+            {
+                console.debug("WebRTCommCall:sendRtcPeerConnectionIceCandidates(): trickle ICE not supported by the remote peer, send the complete ICE candidates in a SDP re-offer");
+                this.trickleIceFlag = false;
+                this.localIceCandidates = [];
+                this.createRtcPeerConnectionReOffer(this.localHoldFlag);
+            }
+        }
+        catch (exception)
+        {
+            // The call remains established
+            console.error("WebRTCommCall:sendRtcPeerConnectionIceCandidates(): catched exception:" + exception);
+        }
+    }
+};
+
+/**
+ * Build the SDP fragment (application/trickle-ice-sdpfrag, RFC 8840) of local ICE candidates
+ * @private
+ * @param {Array} rtcIceCandidates RTCIceCandidate list, null for the end of the gathering
+ * @return {String} SDP fragment, undefined if no candidate to send
+ */
+WebRTCommCall.prototype.getIceCandidatesSdpFragment = function(rtcIceCandidates) {
+    console.debug("WebRTCommCall:getIceCandidatesSdpFragment()");
+    var parsedSdp = new SDPParser().parse(this.peerConnection.localDescription.sdp);
+    var mediaDescriptions = parsedSdp.getMediaDescriptions(false);
+    var endOfCandidatesFlag = false;
+    var mediaCandidates = [];
+    for (var i = 0; i < rtcIceCandidates.length; i++)
+    {
+        var rtcIceCandidate = rtcIceCandidates[i];
+        if (rtcIceCandidate === null)
+        {
+            endOfCandidatesFlag = true;
+        }
+        else if (this.webRTCommClient.configuration.RTCPeerConnection.forceTurnMediaRelay === true && rtcIceCandidate.candidate.indexOf("typ relay") < 0)
+        {
+            console.debug("WebRTCommCall:getIceCandidatesSdpFragment(): not relay candidate ignored");
+        }
+        else
+        {
+            if (mediaCandidates[rtcIceCandidate.sdpMLineIndex] === undefined)
+            {
+                mediaCandidates[rtcIceCandidate.sdpMLineIndex] = [];
+            }
+            mediaCandidates[rtcIceCandidate.sdpMLineIndex].push(rtcIceCandidate.candidate);
+        }
+    }
+
+    var iceUfrag = undefined;
+    var icePwd = undefined;
+    var sdpMediaFragment = "";
+    for (var i = 0; i < mediaDescriptions.length; i++)
+    {
+        if (mediaCandidates[i] !== undefined || endOfCandidatesFlag)
+        {
+            var mediaDescription = mediaDescriptions[i];
+            var mid = undefined;
+            var attributFields = mediaDescription.getAttributes();
+            for (var k = 0; k < attributFields.length; k++)
+            {
+                var attributField = attributFields[k];
+                if (attributField.getName() === "mid")
+                    mid = attributField.getValue();
+                else if (attributField.getName() === "ice-ufrag" && iceUfrag === undefined)
+                    iceUfrag = attributField.getValue();
+                else if (attributField.getName() === "ice-pwd" && icePwd === undefined)
+                    icePwd = attributField.getValue();
+            }
+            sdpMediaFragment += "m=" + mediaDescription.getMedia().getType() + " 9 RTP/AVP 0\r\n";
+            if (mid !== undefined)
+                sdpMediaFragment += "a=mid:" + mid + "\r\n";
+            if (mediaCandidates[i] !== undefined)
+            {
+                for (var j = 0; j < mediaCandidates[i].length; j++)
+                {
+                    sdpMediaFragment += "a=" + mediaCandidates[i][j].replace(/^a=/, "") + "\r\n";
+                }
+            }
+            if (endOfCandidatesFlag)
+                sdpMediaFragment += "a=end-of-candidates\r\n";
+        }
+    }
+
+    if (sdpMediaFragment === "")
+        return undefined;
+
+    var sdpFragment = "";
+    if (iceUfrag !== undefined)
+        sdpFragment += "a=ice-ufrag:" + iceUfrag + "\r\n";
+    if (icePwd !== undefined)
+        sdpFragment += "a=ice-pwd:" + icePwd + "\r\n";
+    return sdpFragment + sdpMediaFragment;
+};
+
+/**
+ * Add the pending remote ICE candidates to the RTCPeerConnection (trickle ICE, RFC 8840)
+ * @private
+ */
+WebRTCommCall.prototype.addRtcPeerConnectionRemoteIceCandidates = function() {
+    console.debug("WebRTCommCall:addRtcPeerConnectionRemoteIceCandidates(): this.remoteIceCandidates.length=" + this.remoteIceCandidates.length);
+    var remoteMediaMids = [];
+    var parsedRemoteSdp = new SDPParser().parse(this.peerConnection.remoteDescription.sdp);
+    var mediaDescriptions = parsedRemoteSdp.getMediaDescriptions(false);
+    for (var i = 0; i < mediaDescriptions.length; i++)
+    {
+        var attributFields = mediaDescriptions[i].getAttributes();
+        for (var k = 0; k < attributFields.length; k++)
+        {
+            if (attributFields[k].getName() === "mid")
+                remoteMediaMids[i] = attributFields[k].getValue();
         }
     }
-    catch (exception)
+
+    var remoteIceCandidates = this.remoteIceCandidates;
+    this.remoteIceCandidates = [];
+    for (var i = 0; i < remoteIceCandidates.length; i++)
     {
-        console.error("WebRTCommCall:onRtcPeerConnectionIceCandidateEvent(): catched exception, exception:" + exception);
-        this.onRtcPeerConnectionErrorEvent(exception);
+        var remoteIceCandidate = remoteIceCandidates[i];
+        if (remoteIceCandidate.sdpMid !== undefined && remoteMediaMids.indexOf(remoteIceCandidate.sdpMid) >= 0)
+        {
+            // SDP fragment media lines are identified by mid, not by position
+            remoteIceCandidate.sdpMLineIndex = remoteMediaMids.indexOf(remoteIceCandidate.sdpMid);
+        }
+        this.peerConnection.addIceCandidate(remoteIceCandidate).then(function() {
+            console.debug("WebRTCommCall:addRtcPeerConnectionRemoteIceCandidates(): remote ICE candidate added");
+        }, function(error) {
+            console.error("WebRTCommCall:addRtcPeerConnectionRemoteIceCandidates(): remote ICE candidate refused, error:" + error);
+        });
     }
 };
 
 /**
- * Implementation of the RTCPeerConnection listener interface: handle RTCPeerConnection state machine
+ * Add the trickle ICE option (a=ice-options:trickle, RFC 8840) in the media descriptions
  * @private
- * @param {RTCSessionDescription} sdpOffer  RTCPeerConnection SDP offer event
+ * @param {SessionDescription} sessionDescription SDP offer or answer
  */
-WebRTCommCall.prototype.onRtcPeerConnectionCreateOfferSuccessEvent = function(sdpOffer) {
-    try
+WebRTCommCall.prototype.applyTrickleIceOptionOnSessionDescription = function(sessionDescription) {
+    console.debug("WebRTCommCall:applyTrickleIceOptionOnSessionDescription()");
+    var mediaDescriptions = sessionDescription.getMediaDescriptions(false);
+    for (var i = 0; i < mediaDescriptions.length; i++)
     {
-        console.debug("WebRTCommCall:onRtcPeerConnectionCreateOfferSuccessEvent(): sdpOffer=" + JSON.stringify(sdpOffer));
-        if (this.peerConnection)
+        var iceOptionsFoundFlag = false;
+        var attributFields = mediaDescriptions[i].getAttributes();
+        for (var k = 0; k < attributFields.length; k++)
         {
-            console.debug("WebRTCommCall:onRtcPeerConnectionCreateOfferSuccessEvent(): this.peerConnection.signalingState=" + this.peerConnection.signalingState);
-            console.debug("WebRTCommCall:onRtcPeerConnectionCreateOfferSuccessEvent(): this.peerConnection.iceGatheringState=" + this.peerConnection.iceGatheringState);
-            console.debug("WebRTCommCall:onRtcPeerConnectionCreateOfferSuccessEvent(): this.peerConnection.iceConnectionState=" + this.peerConnection.iceConnectionState);
-            console.debug("WebRTCommCall:onRtcPeerConnectionCreateOfferSuccessEvent(): this.peerConnectionState=" + this.peerConnectionState);
-
-            if (this.peerConnectionState === 'new')
-            {
-                // Preparing offer.
-                var that = this;
-                this.peerConnectionState = 'preparing-offer';
-		if (window.webkitRTCPeerConnection) {
-			this.setRtcPeerConnectionLocalDescription(sdpOffer);
-		}
-                
-                this.peerConnection.setLocalDescription(sdpOffer, function() {
-                    that.onRtcPeerConnectionSetLocalDescriptionSuccessEvent();
-                }, function(error) {
-                    that.onRtcPeerConnectionSetLocalDescriptionErrorEvent(error);
-                });
-            }
-            else
+            var attributField = attributFields[k];
+            if (attributField.getName() === "ice-options")
             {
-                console.error("WebRTCommCall:onRtcPeerConnectionCreateOfferSuccessEvent(): RTCPeerConnection bad state!");
+                iceOptionsFoundFlag = true;
+                if (attributField.getValue().split(" ").indexOf("trickle") < 0)
+                {
+                    attributField.setValue(attributField.getValue() + " trickle");
+                }
             }
         }
-        else
+        if (iceOptionsFoundFlag === false)
         {
-            console.warn("WebRTCommCall:onRtcPeerConnectionCreateOfferSuccessEvent(): event ignored");
+            var iceOptionsAttributField = new AttributeField();
+            iceOptionsAttributField.setName("ice-options");
+            iceOptionsAttributField.setValue("trickle");
+            mediaDescriptions[i].addAttribute(iceOptionsAttributField);
         }
     }
-    catch (exception)
-    {
-        console.error("WebRTCommCall:onRtcPeerConnectionCreateOfferSuccessEvent(): catched exception, exception:" + exception);
-        this.onRtcPeerConnectionErrorEvent();
-    }
 };
 
-WebRTCommCall.prototype.setRtcPeerConnectionLocalDescription = function(sdpOffer) {
-	var sdpOfferString = sdpOffer.sdp;
-	var sdpParser = new SDPParser();
-	var parsedSdpOffer = sdpParser.parse(sdpOfferString);
-
-	// Check if offer is ok with the requested media constraints
-	if (window.webkitRTCPeerConnection) {
-		if (this.configuration.videoMediaFlag === false)
-		{
-		    this.removeMediaDescription(parsedSdpOffer, "video");
-		}
-
-		if (this.configuration.audioMediaFlag === false)
-		{
-		    this.removeMediaDescription(parsedSdpOffer, "audio");
-		}
-	}
-
-	if (this.configuration.audioCodecsFilter || this.configuration.videoCodecsFilter || this.configuration.opusFmtpCodecsParameters)
-	{
-	    try
-	    {
-		// Apply audio/video codecs filter to RTCPeerConnection SDP offer to
-		this.applyConfiguredCodecFilterOnSessionDescription(parsedSdpOffer);
-	    }
-	    catch (exception)
-	    {
-		console.error("WebRTCommCall:onRtcPeerConnectionCreateOfferSuccessEvent(): configured codec filtering has failded, use inital RTCPeerConnection SDP offer");
-	    }
-	}
-
-	// Check if offer is ok with the requested RTCPeerConnection constraints
-	if (this.webRTCommClient.configuration.RTCPeerConnection.forceTurnMediaRelay === true)
-	{
-	    this.forceTurnMediaRelay(parsedSdpOffer);
-	}
-	// Allow patching of chrome ice-options for interconnect with Mobicents Media Server, commented for now but to be made configurable
-	// this.patchChromeIce(parsedSdpOffer, "ice-options");
-	console.debug("WebRTCommCall:onRtcPeerConnectionCreateOfferSuccessEvent(): parsedSdpOffer=" + parsedSdpOffer);
-
-	// Apply modified SDP Offer
-	sdpOffer.sdp = parsedSdpOffer;
-	this.peerConnectionLocalDescription = sdpOffer;
-
-	return parsedSdpOffer;
-}
-
 /**
  * Implementation of the RTCPeerConnection listener interface: handle RTCPeerConnection state machine
  * @private
@@ -1624,6 +4515,19 @@ WebRTCommCall.prototype.onRtcPeerConnectionSetLocalDescriptionSuccessEvent = fun
             console.debug("WebRTCommCall:onRtcPeerConnectionSetLocalDescriptionSuccessEvent(): this.peerConnection.iceGatheringState=" + this.peerConnection.iceGatheringState);
             console.debug("WebRTCommCall:onRtcPeerConnectionSetLocalDescriptionSuccessEvent(): this.peerConnection.iceConnectionState=" + this.peerConnection.iceConnectionState);
             console.debug("WebRTCommCall:onRtcPeerConnectionSetLocalDescriptionSuccessEvent(): this.peerConnectionState=" + this.peerConnectionState);
+            if (this.peerConnection.iceGatheringState === 'complete')
+            {
+                // No new ICE gathering on renegotiation, send the local SDP now
+                if (this.peerConnectionState === 'preparing-reoffer' || this.peerConnectionState === 'preparing-reanswer')
+                {
+                    this.sendRtcPeerConnectionRenegotiatedDescription();
+                }
+            }
+            else if (this.trickleIceFlag && (this.peerConnectionState === 'preparing-offer' || this.peerConnectionState === 'preparing-answer'))
+            {
+                // Trickle ICE, send the local SDP now, next ICE candidates are sent in SIP INFO
+                this.sendRtcPeerConnectionTrickleIceDescription();
+            }
         }
         else
         {
@@ -1682,18 +4586,16 @@ WebRTCommCall.prototype.onRtcPeerConnectionCreateAnswerSuccessEvent = function(s
             console.debug("WebRTCommCall:onRtcPeerConnectionCreateAnswerSuccessEvent(): this.peerConnection.iceConnectionState=" + this.peerConnection.iceConnectionState);
             console.debug("WebRTCommCall:onRtcPeerConnectionCreateAnswerSuccessEvent(): this.peerConnectionState=" + this.peerConnectionState);
 
-            if (this.peerConnectionState === 'offer-received')
+            if (this.peerConnectionState === 'offer-received' || this.peerConnectionState === 'reoffer-received')
             {
                 // Prepare answer.
                 var that = this;
-                this.peerConnectionState = 'preparing-answer';             
+                this.peerConnectionState = (this.peerConnectionState === 'offer-received') ? 'preparing-answer' : 'preparing-reanswer';
                 var sdpAnswerString = sdpAnswser.sdp;
                 var sdpParser = new SDPParser();
                 var parsedSdpAnswer = sdpParser.parse(sdpAnswerString);
 
-                // Check if offer is ok with the requested media constraints
-                // Can not remove/add SDP m lines
-                
+                // SDP m lines can not be removed/added, the requested media constraints are applied on the RTCRtpTransceivers
                 if (this.configuration.audioCodecsFilter || this.configuration.videoCodecsFilter || this.configuration.opusFmtpCodecsParameters)
                 {
                     try
@@ -1709,9 +4611,11 @@ WebRTCommCall.prototype.onRtcPeerConnectionCreateAnswerSuccessEvent = function(s
             	// Allow patching of chrome ice-options for interconnect with Mobicents Media Server, commented for now but to be made configurable
 		// this.patchChromeIce(parsedSdpOffer, "ice-options");
 
-                sdpAnswser.sdp = parsedSdpAnswer;
                 this.peerConnectionLocalDescription = parsedSdpAnswer;
-                this.peerConnection.setLocalDescription(sdpAnswser, function() {
+                this.peerConnection.setLocalDescription({
+                    type: sdpAnswser.type,
+                    sdp: parsedSdpAnswer.toString()
+                }).then(function() {
                     that.onRtcPeerConnectionSetLocalDescriptionSuccessEvent();
                 }, function(error) {
                     that.onRtcPeerConnectionSetLocalDescriptionErrorEvent(error);
@@ -1781,6 +4685,11 @@ WebRTCommCall.prototype.onRtcPeerConnectionSetRemoteDescriptionSuccessEvent = fu
             {
                 this.peerConnectionState = 'established';
 		console.debug("WebRTCommCall:onRtcPeerConnectionSetRemoteDescriptionSuccessEvent(): this.peerConnectionState=" + this.peerConnectionState);
+                if (this.trickleIceFlag)
+                {
+                    this.addRtcPeerConnectionRemoteIceCandidates();
+                    this.sendRtcPeerConnectionIceCandidates();
+                }
                 // Notify closed event to listener
                 if (this.eventListener.onWebRTCommCallOpenedEvent)
                 {
@@ -1796,41 +4705,64 @@ WebRTCommCall.prototype.onRtcPeerConnectionSetRemoteDescriptionSuccessEvent = fu
                     }, 1);
                 }
             }
-            else if (this.peerConnectionState === 'offer-received')
+            else if (this.peerConnectionState === 'reanswer-received')
             {
-                var that = this;
-                if (window.webkitRTCPeerConnection)
+                this.peerConnectionState = 'established';
+                this.removeStoppedRemoteMediaTracks();
+                this.updateScreenShareState();
+                if (this.getRtpTransceiver("video") === undefined)
                 {
-                    var sdpConstraints = {
-                        mandatory:
-                                {
-                                    OfferToReceiveAudio: this.configuration.audioMediaFlag,
-                                    OfferToReceiveVideo: this.configuration.videoMediaFlag
-                                },
-                        optional: []
-                    };
-		    console.debug("WebRTCommCall:onRtcPeerConnectionSetRemoteDescriptionSuccessEvent():sdpConstraints=" + JSON.stringify(sdpConstraints));
-                    this.peerConnection.createAnswer(function(answer) {
-                        that.onRtcPeerConnectionCreateAnswerSuccessEvent(answer);
-                    }, function(error) {
-                        that.onRtcPeerConnectionCreateAnswerErrorEvent(error);
-                    }, sdpConstraints);
+                    // No video or video declined by the remote peer (m line port set to 0)
+                    this.configuration.videoMediaFlag = false;
                 }
-                else if (window.mozRTCPeerConnection)
+                if (this.reOfferLocalHoldFlag !== undefined && this.reOfferLocalHoldFlag !== this.localHoldFlag)
                 {
-                    var sdpConstraints = {
-                            offerToReceiveAudio: this.configuration.audioMediaFlag,
-                            offerToReceiveVideo: this.configuration.videoMediaFlag,
-                            mozDontOfferDataChannel: !this.configuration.messageMediaFlag
-                    };
-		    console.debug("WebRTCommCall:onRtcPeerConnectionSetRemoteDescriptionSuccessEvent():sdpConstraints=" + JSON.stringify(sdpConstraints));
-                    this.peerConnection.createAnswer(function(answer) {
-                        that.onRtcPeerConnectionCreateAnswerSuccessEvent(answer);
-                    }, function(error) {
-                        that.onRtcPeerConnectionCreateAnswerErrorEvent(error);
-                    }, sdpConstraints);
+                    this.localHoldFlag = this.reOfferLocalHoldFlag;
+                    this.notifyHoldEvent(this.localHoldFlag, false);
+                }
+                this.reOfferLocalHoldFlag = undefined;
+                this.reOfferIceRestartFlag = false;
+                if (this.iceRestartFlag && (this.peerConnection.iceConnectionState === 'connected' || this.peerConnection.iceConnectionState === 'completed'))
+                {
+                    // No ICE connection state change if the connectivity has been kept during the ICE restart
+                    this.processRtcPeerConnectionIceConnectionState(this.peerConnection.iceConnectionState);
+                }
+            }
+            else if (this.peerConnectionState === 'reoffer-received' && this.mediaChangeRequestMids.length > 0)
+            {
+                // Video added by the remote peer, the user consent is requested before answering
+                this.peerConnectionState = 'media-change-requested';
+                this.removeStoppedRemoteMediaTracks();
+                this.updateScreenShareState();
+                if (this.eventListener.onWebRTCommCallMediaChangeRequestEvent)
+                {
+                    var that = this;
+                    this.scheduleMediaChangeConsentTimer();
+                    setTimeout(function() {
+                        try {
+                            that.eventListener.onWebRTCommCallMediaChangeRequestEvent(that, "video");
+                        }
+                        catch (exception)
+                        {
+                            console.error("WebRTCommCall:onRtcPeerConnectionSetRemoteDescriptionSuccessEvent(): catched exception in listener:" + exception);
+                            if (that.peerConnectionState === 'media-change-requested')
+                            {
+                                that.declineMediaChange();
+                            }
+                        }
+                    }, 1);
+                }
+                else
+                {
+                    this.declineMediaChange();
                 }
             }
+            else if (this.peerConnectionState === 'offer-received' || this.peerConnectionState === 'reoffer-received')
+            {
+                this.removeStoppedRemoteMediaTracks();
+                this.updateScreenShareState();
+                this.createRtcPeerConnectionAnswer();
+            }
             else {
                 console.error("WebRTCommCall:onRtcPeerConnectionSetRemoteDescriptionSuccessEvent(): RTCPeerConnection bad state!");
             }
@@ -1856,7 +4788,14 @@ WebRTCommCall.prototype.onRtcPeerConnectionSetRemoteDescriptionErrorEvent = func
     try
     {
         console.error("WebRTCommCall:onRtcPeerConnectionSetRemoteDescriptionErrorEvent():error=" + JSON.stringify(error));
-        if (this.peerConnection)
+        if (this.peerConnection && this.peerConnectionState === 'reoffer-received')
+        {
+            // Remote SDP re-offer refused, the communication remains established
+            this.peerConnectionState = 'established';
+            this.remoteSdpReOffer = undefined;
+            this.connector.rejectReinvite(488, "Not Acceptable Here");
+        }
+        else if (this.peerConnection)
         {
             console.debug("WebRTCommCall:onRtcPeerConnectionSetRemoteDescriptionErrorEvent(): this.peerConnection.signalingState=" + this.peerConnection.signalingState);
             console.debug("WebRTCommCall:onRtcPeerConnectionSetRemoteDescriptionErrorEvent(): this.peerConnection.iceGatheringState=" + this.peerConnection.iceGatheringState);
@@ -1875,27 +4814,6 @@ WebRTCommCall.prototype.onRtcPeerConnectionSetRemoteDescriptionErrorEvent = func
     }
 };
 
-/**
- * RTCPeerConnection listener implementation
- * @private
- * @param {Event} event  RTCPeerConnection open event
- */
-WebRTCommCall.prototype.onRtcPeerConnectionOnOpenEvent = function(event) {
-    console.debug("WebRTCommCall:onRtcPeerConnectionOnOpenEvent(): event=" + event);
-    if (this.peerConnection)
-    {
-        console.debug("WebRTCommCall:onRtcPeerConnectionOnOpenEvent(): this.peerConnection.signalingState=" + this.peerConnection.signalingState);
-        console.debug("WebRTCommCall:onRtcPeerConnectionOnOpenEvent(): this.peerConnection.signalingState=" + this.peerConnection.signalingState);
-        console.debug("WebRTCommCall:onRtcPeerConnectionOnOpenEvent(): this.peerConnection.iceGatheringState=" + this.peerConnection.iceGatheringState);
-        console.debug("WebRTCommCall:onRtcPeerConnectionOnOpenEvent(): this.peerConnection.iceConnectionState=" + this.peerConnection.iceConnectionState);
-        console.debug("WebRTCommCall:onRtcPeerConnectionOnOpenEvent(): this.peerConnectionState=" + this.peerConnectionState);
-    }
-    else
-    {
-        console.warn("WebRTCommCall:onRtcPeerConnectionOnOpenEvent(): event ignored");
-    }
-};
-
 /**
  * RTCPeerConnection listener implementation
  * @private
@@ -1956,7 +4874,11 @@ WebRTCommCall.prototype.onRtcPeerConnectionGatheringChangeEvent = function(event
         {
             if (this.peerConnection.iceGatheringState === "complete")
             {
-                    if (this.peerConnectionState === 'preparing-offer')
+                    if (this.peerConnectionState === 'offer-sent' || this.peerConnectionState === 'answer-received' || this.peerConnectionState === 'reoffer-requested')
+                    {
+                        // Local SDP already sent (trickle ICE)
+                    }
+                    else if (this.peerConnectionState === 'preparing-offer')
                     {
                         var sdpOfferString = this.peerConnection.localDescription.sdp;
                         var parsedSdpOffer = this.setRtcPeerConnectionLocalDescription(this.peerConnection.localDescription);
@@ -1965,6 +4887,13 @@ WebRTCommCall.prototype.onRtcPeerConnectionGatheringChangeEvent = function(event
                         this.connector.invite(parsedSdpOffer);
                         this.peerConnectionState = 'offer-sent';
                     }
+                    else if (this.peerConnectionState === 'preparing-answer' && this.earlyMediaFlag)
+                    {
+                        // Early media SDP answer sent in a SIP 183, the communication is opened by accept()
+                        this.earlyMediaSdpAnswer = this.setRtcPeerConnectionLocalDescription(this.peerConnection.localDescription);
+                        this.connector.acceptEarlyMedia(this.earlyMediaSdpAnswer);
+                        this.peerConnectionState = 'early-answer-sent';
+                    }
                     else if (this.peerConnectionState === 'preparing-answer')
                     {
                         var sdpAnswerString = this.peerConnection.localDescription.sdp;
@@ -1987,6 +4916,10 @@ WebRTCommCall.prototype.onRtcPeerConnectionGatheringChangeEvent = function(event
                             }, 1);
                         }
                     }
+                    else if (this.peerConnectionState === 'preparing-reoffer' || this.peerConnectionState === 'preparing-reanswer')
+                    {
+                        this.sendRtcPeerConnectionRenegotiatedDescription();
+                    }
                     else if (this.peerConnectionState === 'established')
                     {
                         // Why this last ice candidate event?
@@ -2021,6 +4954,10 @@ WebRTCommCall.prototype.onRtcPeerConnectionIceChangeEvent = function(event) {
         console.debug("WebRTCommCall:onRtcPeerConnectionIceChangeEvent(): this.peerConnection.iceGatheringState=" + this.peerConnection.iceGatheringState);
         console.debug("WebRTCommCall:onRtcPeerConnectionIceChangeEvent(): this.peerConnection.iceConnectionState=" + this.peerConnection.iceConnectionState);
         console.debug("WebRTCommCall:onRtcPeerConnectionIceChangeEvent(): this.peerConnectionState=" + this.peerConnectionState);
+        if (this.peerConnection.signalingState !== 'closed')
+        {
+            this.processRtcPeerConnectionIceConnectionState(this.peerConnection.iceConnectionState);
+        }
     }
     else
     {
@@ -2028,26 +4965,6 @@ WebRTCommCall.prototype.onRtcPeerConnectionIceChangeEvent = function(event) {
     }
 };
 
-/**
- * RTCPeerConnection listener implementation
- * @private
- * @param {Event} event  RTCPeerConnection identity event
- */
-WebRTCommCall.prototype.onRtcPeerConnectionIdentityResultEvent = function(event) {
-    console.debug("WebRTCommCall:onRtcPeerConnectionIdentityResultEvent():event=" + event);
-    if (this.peerConnection)
-    {
-        console.debug("WebRTCommCall:onRtcPeerConnectionIdentityResultEvent(): this.peerConnection.signalingState=" + this.peerConnection.signalingState);
-        console.debug("WebRTCommCall:onRtcPeerConnectionIdentityResultEvent(): this.peerConnection.iceGatheringState=" + this.peerConnection.iceGatheringState);
-        console.debug("WebRTCommCall:onRtcPeerConnectionIdentityResultEvent(): this.peerConnection.iceConnectionState=" + this.peerConnection.iceConnectionState);
-        console.debug("WebRTCommCall:onRtcPeerConnectionIdentityResultEvent(): this.peerConnectionState=" + this.peerConnectionState);
-    }
-    else
-    {
-        console.warn("WebRTCommCall:onRtcPeerConnectionIdentityResultEvent(): event ignored");
-    }
-};
-
 /**
  * RTCPeerConnection listener implementation
  * @private
@@ -2218,7 +5135,8 @@ WebRTCommCall.prototype.onRtcPeerConnectionMessageChannelOnMessageEvent = functi
 };
 
 /**
- * Modifiy SDP based on configured codec filter
+ * Modifiy SDP based on configured codec filter, applied on every active audio/video m line (screen share included),
+ * a m line is left unchanged if none of its codecs matches the filter
  * @private
  * @param {SessionDescription} sessionDescription  JAIN (gov.nist.sdp) SDP offer object 
  */
@@ -2235,7 +5153,12 @@ WebRTCommCall.prototype.applyConfiguredCodecFilterOnSessionDescription = functio
                 var mediaDescription = mediaDescriptions[i];
                 var mediaField = mediaDescription.getMedia();
                 var mediaType = mediaField.getType();
-                if (mediaType === "audio")
+                if (parseInt(mediaField.getPort(), 10) === 0)
+                {
+                    // Declined or removed m line (port set to 0), no codec negotiated
+                    console.debug("WebRTCommCall:applyConfiguredCodecFilterOnSessionDescription(): m line port set to 0, not filtered");
+                }
+                else if (mediaType === "audio")
                 {
                     if (this.configuration.audioCodecsFilter)
                     {
@@ -2244,7 +5167,10 @@ WebRTCommCall.prototype.applyConfiguredCodecFilterOnSessionDescription = functio
                         var splitAudioCodecsFilters = (this.configuration.audioCodecsFilter).split(",");
                         this.applyCodecFiltersOnOfferedCodecs(offeredAudioCodecs, splitAudioCodecsFilters);
                         // Apply modification on audio media description
-                        this.updateMediaDescription(mediaDescription, offeredAudioCodecs, splitAudioCodecsFilters);
+                        if (Object.keys(offeredAudioCodecs).length > 0)
+                            this.updateMediaDescription(mediaDescription, offeredAudioCodecs, splitAudioCodecsFilters);
+                        else
+                            console.warn("WebRTCommCall:applyConfiguredCodecFilterOnSessionDescription(): no audio codec matching the filter, m line not filtered");
                     }
 
                     // Add OPUS parameter if required
@@ -2260,7 +5186,10 @@ WebRTCommCall.prototype.applyConfiguredCodecFilterOnSessionDescription = functio
                     var splitVideoCodecFilter = (this.configuration.videoCodecsFilter).split(",");
                     this.applyCodecFiltersOnOfferedCodecs(offeredVideoCodecs, splitVideoCodecFilter);
                     // Apply modification on video media description
-                    this.updateMediaDescription(mediaDescription, offeredVideoCodecs, splitVideoCodecFilter);
+                    if (Object.keys(offeredVideoCodecs).length > 0)
+                        this.updateMediaDescription(mediaDescription, offeredVideoCodecs, splitVideoCodecFilter);
+                    else
+                        console.warn("WebRTCommCall:applyConfiguredCodecFilterOnSessionDescription(): no video codec matching the filter, m line not filtered");
                 }
             }
         }
@@ -2567,13 +5496,12 @@ WebRTCommCall.prototype.patchChromeIce = function(sessionDescription, attributeT
 };
 
 /**
- * Modifiy SDP based on configured codec filter
+ * Modifiy SDP, remove non "relay" ICE candidates
  * @private
  * @param {SessionDescription} sessionDescription  JAIN (gov.nist.sdp) SDP offer object 
- * @param {String} mediaTypeToRemove  audi/video 
  */
-WebRTCommCall.prototype.removeMediaDescription = function(sessionDescription, mediaTypeToRemove) {
-    console.debug("WebRTCommCall:removeMediaDescription()");
+WebRTCommCall.prototype.forceTurnMediaRelay = function(sessionDescription) {
+    console.debug("WebRTCommCall:forceTurnMediaRelay()");
     if (sessionDescription instanceof SessionDescription)
     {
         try
@@ -2582,95 +5510,160 @@ WebRTCommCall.prototype.removeMediaDescription = function(sessionDescription, me
             for (var i = 0; i < mediaDescriptions.length; i++)
             {
                 var mediaDescription = mediaDescriptions[i];
-                var mediaField = mediaDescription.getMedia();
-                var mediaType = mediaField.getType();
-                if (mediaType === mediaTypeToRemove)
+                var newAttributeFieldArray = new Array();
+                var attributFields = mediaDescription.getAttributes();
+                for (var k = 0; k < attributFields.length; k++)
                 {
-                    mediaDescriptions.remove(i);
-                    break;
+                    var attributField = attributFields[k];
+                    if (attributField.getName() === "candidate")
+                    {
+                        var candidateValue = attributField.getValue();
+                        var isRelayCandidate = candidateValue.indexOf("typ relay") > 0;
+                        if (isRelayCandidate)
+                        {
+                            newAttributeFieldArray.push(attributField);
+                        }
+                    }
+                    else
+                        newAttributeFieldArray.push(attributField);
                 }
+                mediaDescription.setAttributes(newAttributeFieldArray);
             }
-
-	    if (window.mozRTCPeerConnection) {
-		    var attributes = sessionDescription.getAttributes(false);
-		    for (var i = 0; i < attributes.length; i++)
-		    {
-			var attribute = attributes[i];
-			var attributeValue = attribute.getValue();
-			if("BUNDLE sdparta_0 sdparta_1" === attributeValue) {
-				if ("video" === mediaTypeToRemove)
-				{
-				    attribute.setValue("BUNDLE sdparta_0");
-				    break;
-				}
-				if ("audio" === mediaTypeToRemove)
-				{
-				    attribute.setValue("BUNDLE sdparta_1");
-				    break;
-				}
-			}
-		    }
-	    }
         }
         catch (exception)
         {
-            console.error("WebRTCommCall:removeMediaDescription(): catched exception, exception:" + exception);
+            console.error("WebRTCommCall:forceTurnMediaRelay(): catched exception, exception:" + exception);
             throw exception;
         }
     }
     else
     {
-        throw "WebRTCommCall:removeMediaDescription(): bad arguments"
+        throw "WebRTCommCall:forceTurnMediaRelay(): bad arguments"
     }
 };
 
 /**
- * Modifiy SDP, remove non "relay" ICE candidates
+ * Get SDP media direction attribute 
  * @private
- * @param {SessionDescription} sessionDescription  JAIN (gov.nist.sdp) SDP offer object 
+ * @param {boolean} sendFlag true if media must be sent
+ * @param {boolean} receiveFlag true if media must be received
+ * @return {String} sendrecv, sendonly, recvonly or inactive
  */
-WebRTCommCall.prototype.forceTurnMediaRelay = function(sessionDescription) {
-    console.debug("WebRTCommCall:forceTurnMediaRelay()");
+WebRTCommCall.prototype.getMediaDirection = function(sendFlag, receiveFlag) {
+    if (sendFlag && receiveFlag)
+        return "sendrecv";
+    else if (sendFlag)
+        return "sendonly";
+    else if (receiveFlag)
+        return "recvonly";
+    else
+        return "inactive";
+};
+
+/**
+ * Get media direction of a SDP (media level attribute first, then session level attribute)
+ * @private
+ * @param {SessionDescription} sessionDescription  JAIN (gov.nist.sdp) SDP object 
+ * @return {String} sendrecv (default), sendonly, recvonly or inactive
+ */
+WebRTCommCall.prototype.getMediaDirectionInSessionDescription = function(sessionDescription) {
+    console.debug("WebRTCommCall:getMediaDirectionInSessionDescription()");
+    if (sessionDescription instanceof SessionDescription)
+    {
+        var mediaDirections = ["sendrecv", "sendonly", "recvonly", "inactive"];
+        var mediaDescriptions = sessionDescription.getMediaDescriptions(false);
+        if (mediaDescriptions)
+        {
+            for (var i = 0; i < mediaDescriptions.length; i++)
+            {
+                var attributFields = mediaDescriptions[i].getAttributes();
+                for (var k = 0; k < attributFields.length; k++)
+                {
+                    if (mediaDirections.indexOf(attributFields[k].getName()) >= 0)
+                    {
+                        return attributFields[k].getName();
+                    }
+                }
+            }
+        }
+        var sessionAttributFields = sessionDescription.getAttributes(false);
+        if (sessionAttributFields)
+        {
+            for (var j = 0; j < sessionAttributFields.length; j++)
+            {
+                if (mediaDirections.indexOf(sessionAttributFields[j].getName()) >= 0)
+                {
+                    return sessionAttributFields[j].getName();
+                }
+            }
+        }
+        return "sendrecv";
+    }
+    else
+    {
+        throw "WebRTCommCall:getMediaDirectionInSessionDescription(): bad arguments"
+    }
+};
+
+/**
+ * Modifiy SDP, set the media direction attribute of all the audio/video media descriptions, 
+ * the screen share m lines remain one way: sendonly (local) or recvonly (remote) unless inactive
+ * @private
+ * @param {SessionDescription} sessionDescription  JAIN (gov.nist.sdp) SDP object 
+ * @param {String} mediaDirection sendrecv, sendonly, recvonly or inactive
+ */
+WebRTCommCall.prototype.applyMediaDirectionOnSessionDescription = function(sessionDescription, mediaDirection) {
+    console.debug("WebRTCommCall:applyMediaDirectionOnSessionDescription(): mediaDirection=" + mediaDirection);
     if (sessionDescription instanceof SessionDescription)
     {
         try
         {
+            var mediaDirections = ["sendrecv", "sendonly", "recvonly", "inactive"];
             var mediaDescriptions = sessionDescription.getMediaDescriptions(false);
             for (var i = 0; i < mediaDescriptions.length; i++)
             {
                 var mediaDescription = mediaDescriptions[i];
-                var newAttributeFieldArray = new Array();
-                var attributFields = mediaDescription.getAttributes();
-                for (var k = 0; k < attributFields.length; k++)
+                var mediaType = mediaDescription.getMedia().getType();
+                // Declined m lines (port set to 0) are left unchanged
+                if ((mediaType === "audio" || mediaType === "video") && parseInt(mediaDescription.getMedia().getPort(), 10) !== 0)
                 {
-                    var attributField = attributFields[k];
-                    if (attributField.getName() === "candidate")
+                    var mediaDescriptionDirection = mediaDirection;
+                    if (this.isLocalContentMediaDescription(mediaDescription))
                     {
-                        var candidateValue = attributField.getValue();
-                        var isRelayCandidate = candidateValue.indexOf("typ relay") > 0;
-                        if (isRelayCandidate)
+                        mediaDescriptionDirection = (mediaDirection === "sendrecv" || mediaDirection === "sendonly") ? "sendonly" : "inactive";
+                    }
+                    else if (this.remoteContentMids.indexOf(this.getMediaDescriptionMid(mediaDescription)) !== -1)
+                    {
+                        mediaDescriptionDirection = (mediaDirection === "sendrecv" || mediaDirection === "recvonly") ? "recvonly" : "inactive";
+                    }
+                    var directionFoundFlag = false;
+                    var attributFields = mediaDescription.getAttributes();
+                    for (var k = 0; k < attributFields.length; k++)
+                    {
+                        var attributField = attributFields[k];
+                        if (mediaDirections.indexOf(attributField.getName()) >= 0)
                         {
-                            newAttributeFieldArray.push(attributField);
+                            attributField.setName(mediaDescriptionDirection);
+                            directionFoundFlag = true;
                         }
                     }
-                    else
-                        newAttributeFieldArray.push(attributField);
+                    if (directionFoundFlag === false)
+                    {
+                        var directionAttributField = new AttributeField();
+                        directionAttributField.setName(mediaDescriptionDirection);
+                        mediaDescription.addAttribute(directionAttributField);
+                    }
                 }
-                mediaDescription.setAttributes(newAttributeFieldArray);
             }
         }
         catch (exception)
         {
-            console.error("WebRTCommCall:forceTurnMediaRelay(): catched exception, exception:" + exception);
+            console.error("WebRTCommCall:applyMediaDirectionOnSessionDescription(): catched exception, exception:" + exception);
             throw exception;
         }
     }
     else
     {
-        throw "WebRTCommCall:forceTurnMediaRelay(): bad arguments"
+        throw "WebRTCommCall:applyMediaDirectionOnSessionDescription(): bad arguments"
     }
 };
-
-
-
-
@@ -27,6 +27,16 @@ WebRTCommCallEventListenerInterface.prototype.onWebRTCommCallInProgressEvent = f
     throw "WebRTCommCallEventListenerInterface:onWebRTCommCallInProgressEvent(): not implemented;";
 };
 
+/**
+ * Early media event, the SDP of a SIP 18x provisional response has been applied,
+ * announcements or ringback tone of the network are played on the remote media stream
+ * @public
+ * @param {WebRTCommCall} webRTCommCall source WebRTCommCall object
+ */
+WebRTCommCallEventListenerInterface.prototype.onWebRTCommCallEarlyMediaEvent = function(webRTCommCall) {
+    throw "WebRTCommCallEventListenerInterface:onWebRTCommCallEarlyMediaEvent(): not implemented;";
+};
+
 /**
  * Open error  event
  * @public
@@ -63,3 +73,161 @@ WebRTCommCallEventListenerInterface.prototype.onWebRTCommCallRingingBackEvent =
 WebRTCommCallEventListenerInterface.prototype.onWebRTCommCallHangupEvent = function(webRTCommCall) {
     throw "WebRTCommCallEventListenerInterface:onWebRTCommCallHangupEvent(): not implemented;";
 };
+
+/**
+ * Held event, the communication has been put on hold 
+ * @public
+ * @param {WebRTCommCall} webRTCommCall source WebRTCommCall object
+ * @param {boolean} remoteFlag true if put on hold by the remote peer, false if put on hold by hold()
+ */
+WebRTCommCallEventListenerInterface.prototype.onWebRTCommCallHeldEvent = function(webRTCommCall, remoteFlag) {
+    throw "WebRTCommCallEventListenerInterface:onWebRTCommCallHeldEvent(): not implemented;";
+};
+
+/**
+ * Resumed event, the communication put on hold has been resumed
+ * @public
+ * @param {WebRTCommCall} webRTCommCall source WebRTCommCall object
+ * @param {boolean} remoteFlag true if resumed by the remote peer, false if resumed by resume()
+ */
+WebRTCommCallEventListenerInterface.prototype.onWebRTCommCallResumedEvent = function(webRTCommCall, remoteFlag) {
+    throw "WebRTCommCallEventListenerInterface:onWebRTCommCallResumedEvent(): not implemented;";
+};
+
+/**
+ * Transfer progress event, progress of the transfer requested by transfer() or transferTo(), 
+ * the communication is closed once the transfer succeeded (2XX status code)
+ * @public
+ * @param {WebRTCommCall} webRTCommCall source WebRTCommCall object
+ * @param {Number} statusCode SIP status code of the transferred call (e.g. 180, 200)
+ * @param {String} reasonPhrase SIP reason phrase of the transferred call (e.g. Ringing, OK)
+ */
+WebRTCommCallEventListenerInterface.prototype.onWebRTCommCallTransferProgressEvent = function(webRTCommCall, statusCode, reasonPhrase) {
+    throw "WebRTCommCallEventListenerInterface:onWebRTCommCallTransferProgressEvent(): not implemented;";
+};
+
+/**
+ * Transfer error event, the transfer requested by transfer() or transferTo() has been rejected 
+ * @public
+ * @param {WebRTCommCall} webRTCommCall source WebRTCommCall object
+ * @param {String} error error message
+ */
+WebRTCommCallEventListenerInterface.prototype.onWebRTCommCallTransferErrorEvent = function(webRTCommCall, error) {
+    throw "WebRTCommCallEventListenerInterface:onWebRTCommCallTransferErrorEvent(): not implemented;";
+};
+
+/**
+ * Transferred event, the remote peer has transferred the communication, 
+ * a new outgoing communication towards the transfer target has been opened
+ * @public
+ * @param {WebRTCommCall} webRTCommCall source WebRTCommCall object
+ * @param {WebRTCommCall} newWebRTCommCall new outgoing WebRTCommCall object
+ */
+WebRTCommCallEventListenerInterface.prototype.onWebRTCommCallTransferredEvent = function(webRTCommCall, newWebRTCommCall) {
+    throw "WebRTCommCallEventListenerInterface:onWebRTCommCallTransferredEvent(): not implemented;";
+};
+
+/**
+ * ICE restarting event, ICE restart requested by restartIce() or by the automatic ICE restart policy is in progress
+ * @public
+ * @param {WebRTCommCall} webRTCommCall source WebRTCommCall object
+ * @param {Number} attempt ICE restart attempt number since the media connectivity loss
+ */
+WebRTCommCallEventListenerInterface.prototype.onWebRTCommCallIceRestartingEvent = function(webRTCommCall, attempt) {
+    throw "WebRTCommCallEventListenerInterface:onWebRTCommCallIceRestartingEvent(): not implemented;";
+};
+
+/**
+ * ICE restarted event, the media connectivity has been recovered by the ICE restart
+ * @public
+ * @param {WebRTCommCall} webRTCommCall source WebRTCommCall object
+ */
+WebRTCommCallEventListenerInterface.prototype.onWebRTCommCallIceRestartedEvent = function(webRTCommCall) {
+    throw "WebRTCommCallEventListenerInterface:onWebRTCommCallIceRestartedEvent(): not implemented;";
+};
+
+/**
+ * ICE restart error event, the ICE restart has failed, the communication remains established 
+ * @public
+ * @param {WebRTCommCall} webRTCommCall source WebRTCommCall object
+ * @param {String} error error message
+ */
+WebRTCommCallEventListenerInterface.prototype.onWebRTCommCallIceRestartErrorEvent = function(webRTCommCall, error) {
+    throw "WebRTCommCallEventListenerInterface:onWebRTCommCallIceRestartErrorEvent(): not implemented;";
+};
+
+/**
+ * DTMF received event, a DTMF tone has been received in a SIP INFO (application/dtmf-relay or application/dtmf)
+ * @public
+ * @param {WebRTCommCall} webRTCommCall source WebRTCommCall object
+ * @param {String} tone DTMF tone (0-9, A-D, *, #)
+ * @param {Number} duration tone duration in milliseconds, undefined if not provided by the remote peer
+ */
+WebRTCommCallEventListenerInterface.prototype.onWebRTCommCallDTMFReceivedEvent = function(webRTCommCall, tone, duration) {
+    throw "WebRTCommCallEventListenerInterface:onWebRTCommCallDTMFReceivedEvent(): not implemented;";
+};
+
+/**
+ * Redirect event, the outgoing call has been forwarded (SIP 3xx): the listener approves synchronously 
+ * each redirect target before it is called, all the targets are called if not implemented or if the listener throws
+ * @public
+ * @param {WebRTCommCall} webRTCommCall source WebRTCommCall object
+ * @param {String} targetUri redirect target URI (e.g. sip:bob@sip.net)
+ * @returns {boolean} true to call the redirect target, false to skip it
+ */
+WebRTCommCallEventListenerInterface.prototype.onWebRTCommCallRedirectEvent = function(webRTCommCall, targetUri) {
+    throw "WebRTCommCallEventListenerInterface:onWebRTCommCallRedirectEvent(): not implemented;";
+};
+
+/**
+ * Media change request event, the remote peer has added video to the established communication (SIP re-INVITE): 
+ * the webapp accepts the video with acceptMediaChange() or declines it with declineMediaChange(), 
+ * the video is declined if not implemented or without answer after 20 seconds
+ * @public
+ * @param {WebRTCommCall} webRTCommCall source WebRTCommCall object
+ * @param {String} mediaKind added media kind ("video")
+ */
+WebRTCommCallEventListenerInterface.prototype.onWebRTCommCallMediaChangeRequestEvent = function(webRTCommCall, mediaKind) {
+    throw "WebRTCommCallEventListenerInterface:onWebRTCommCallMediaChangeRequestEvent(): not implemented;";
+};
+
+/**
+ * Remote screen share started event, the remote peer sends a video stream tagged a=content:slides (RFC 4796)
+ * apart from its camera video stream 
+ * @public
+ * @param {WebRTCommCall} webRTCommCall source WebRTCommCall object
+ * @param {MediaStream} mediaStream remote screen share media stream, see also WebRTCommCall.getRemoteScreenShareMediaStream()
+ */
+WebRTCommCallEventListenerInterface.prototype.onWebRTCommCallRemoteScreenShareStartedEvent = function(webRTCommCall, mediaStream) {
+    throw "WebRTCommCallEventListenerInterface:onWebRTCommCallRemoteScreenShareStartedEvent(): not implemented;";
+};
+
+/**
+ * Remote screen share stopped event
+ * @public
+ * @param {WebRTCommCall} webRTCommCall source WebRTCommCall object
+ */
+WebRTCommCallEventListenerInterface.prototype.onWebRTCommCallRemoteScreenShareStoppedEvent = function(webRTCommCall) {
+    throw "WebRTCommCallEventListenerInterface:onWebRTCommCallRemoteScreenShareStoppedEvent(): not implemented;";
+};
+
+/**
+ * Call quality event, notified every qualityStatsInterval milliseconds with qualityStatsMode set to true in the call configuration
+ * @public
+ * @param {WebRTCommCall} webRTCommCall source WebRTCommCall object
+ * @param {object} qualityReport quality report JSON object with the estimated audio MOS, see WebRTCommCall.getStats()
+ */
+WebRTCommCallEventListenerInterface.prototype.onWebRTCommCallQualityEvent = function(webRTCommCall, qualityReport) {
+    throw "WebRTCommCallEventListenerInterface:onWebRTCommCallQualityEvent(): not implemented;";
+};
+
+/**
+ * Call quality alert event, a quality metric has crossed its qualityAlertThresholds value (degradedFlag true) or has recovered (degradedFlag false)
+ * <p> Quality alert sample: { mediaKind:"audio", metric:"packetLossRate", value:7.5, threshold:5, degradedFlag:true } </p>
+ * @public
+ * @param {WebRTCommCall} webRTCommCall source WebRTCommCall object
+ * @param {object} qualityAlert quality alert JSON object, metric is mos, packetLossRate, jitter or roundTripTime
+ */
+WebRTCommCallEventListenerInterface.prototype.onWebRTCommCallQualityAlertEvent = function(webRTCommCall, qualityAlert) {
+    throw "WebRTCommCallEventListenerInterface:onWebRTCommCallQualityAlertEvent(): not implemented;";
+};
@@ -15,6 +15,7 @@ WebRTCommClient = function(eventListener)
         this.configuration = undefined;
         this.connector = undefined;
         this.closePendingFlag = false;
+        this.healthySipOutboundProxy = undefined;
     }
     else
     {
@@ -51,6 +52,18 @@ WebRTCommClient.prototype.getConfiguration = function() {
     return this.configuration;
 };
 
+/**
+ * Get the outbound proxy currently used by the client
+ * @public
+ * @returns {string} outbound proxy WebSocket URL (e.g. wss://edge1.sip.net), undefined if closed
+ */
+WebRTCommClient.prototype.getSipOutboundProxy = function() {
+    if (this.connector)
+        return this.connector.getSipOutboundProxy();
+    else
+        return undefined;
+};
+
 /**
  * Open the WebRTC communication client, asynchronous action, opened or error event are notified to the eventListener
  * @public 
@@ -68,12 +81,25 @@ WebRTCommClient.prototype.getConfiguration = function() {
  * <span style="margin-left: 60px">sipLogin:"alice@sip.net,<br></span>
  * <span style="margin-left: 60px">sipPassword:"1234567890",<br></span>
  * <span style="margin-left: 60px">sipRegisterMode:true,<br></span>
+ * <span style="margin-left: 60px">sipReconnectMaxAttempts:10,<br></span>
+ * <span style="margin-left: 60px">sipReconnectMinDelay:1000,<br></span>
+ * <span style="margin-left: 60px">sipReconnectMaxDelay:30000,<br></span>
+ * <span style="margin-left: 60px">sipOutboundMode:false,<br></span>
+ * <span style="margin-left: 60px">sipMessageWaitingMode:false,<br></span>
  * <span style="margin-left: 30px">}<br></span>
  * <span style="margin-left: 30px">RTCPeerConnection: {,<br></span>
  * <span style="margin-left: 60px"stunServer:undefined,<br></span>
  * <span style="margin-left: 30px">}<br></span>
+ * <span style="margin-left: 30px">maxConcurrentCalls:undefined,<br></span>
  * }<br>
  *  </p>
+ * <p> sipOutboundProxy can also be a list of WebSocket URLs tried in turn, ordered: ["wss://edge1.sip.net","wss://edge2.sip.net"] 
+ * or weighted: [{url:"wss://edge1.sip.net",weight:3},{url:"wss://edge2.sip.net",weight:1}], 
+ * the last healthy outbound proxy is tried first</p>
+ * <p> sipMessageWaitingMode:true subscribes to the voicemail message waiting indication (RFC 3842) once registered, 
+ * changes are notified with onWebRTCommClientMessageWaitingEvent</p>
+ * <p> maxConcurrentCalls limits the number of ringing, calling, active and held calls (no limit by default), 
+ * incoming calls beyond the limit are automatically rejected with SIP 486 Busy Here</p>
  * @throw {String} Exception "bad argument, check API documentation"
  * @throw {String} Exception "bad configuration, missing parameter"
  * @throw {String} Exception "bad state, unauthorized action"
@@ -190,6 +216,195 @@ WebRTCommClient.prototype.sendMessage = function(to, text)
     }
 };
 
+/**
+ * Publish the user presence (e.g SIP PUBLISH with a PIDF document), asynchronous action, 
+ * the publication is refreshed until the client is closed, publish error is notified to the eventListener 
+ * @public 
+ * @param {String} status presence status: "open" (available) or "closed" (unavailable)
+ * @param {String} note free text note (e.g. "In a meeting"), optional
+ * @throw {String} Exception "bad argument, check API documentation"
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+WebRTCommClient.prototype.publishPresence = function(status, note)
+{
+    console.debug("WebRTCommClient:publishPresence(): status=" + status + ", note=" + note);
+    try
+    {
+        if ((status === "open" || status === "closed") && (note === undefined || typeof(note) === 'string'))
+        {
+            if (this.isOpened())
+            {
+                this.connector.publishPresence(status, note);
+            }
+            else
+            {
+                console.error("WebRTCommClient:publishPresence(): bad state, unauthorized action");
+                throw "WebRTCommClient:publishPresence(): bad state, unauthorized action";
+            }
+        }
+        else
+        {
+            console.error("WebRTCommClient:publishPresence(): bad argument, check API documentation");
+            throw "WebRTCommClient:publishPresence(): bad argument, check API documentation";
+        }
+    }
+    catch (exception)
+    {
+        console.error("WebRTCommClient:publishPresence(): catched exception:" + exception);
+        throw "WebRTCommClient:publishPresence(): catched exception:" + exception;
+    }
+};
+
+/**
+ * Subscribe to the presence of a contact (e.g SIP SUBSCRIBE), asynchronous action, the subscription 
+ * is refreshed until unsubscribed or the client is closed, presence and subscription error events are notified to the eventListener 
+ * @public 
+ * @param {String} uri contact identifier (SIP URI: sip:bob@sip.net)
+ * @throw {String} Exception "bad argument, check API documentation"
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+WebRTCommClient.prototype.subscribeToPresence = function(uri)
+{
+    console.debug("WebRTCommClient:subscribeToPresence(): uri=" + uri);
+    try
+    {
+        if (typeof(uri) === 'string' && uri.length > 0)
+        {
+            if (this.isOpened())
+            {
+                this.connector.subscribeToPresence(uri);
+            }
+            else
+            {
+                console.error("WebRTCommClient:subscribeToPresence(): bad state, unauthorized action");
+                throw "WebRTCommClient:subscribeToPresence(): bad state, unauthorized action";
+            }
+        }
+        else
+        {
+            console.error("WebRTCommClient:subscribeToPresence(): bad argument, check API documentation");
+            throw "WebRTCommClient:subscribeToPresence(): bad argument, check API documentation";
+        }
+    }
+    catch (exception)
+    {
+        console.error("WebRTCommClient:subscribeToPresence(): catched exception:" + exception);
+        throw "WebRTCommClient:subscribeToPresence(): catched exception:" + exception;
+    }
+};
+
+/**
+ * Terminate the subscription to the presence of a contact, asynchronous action
+ * @public 
+ * @param {String} uri contact identifier used to subscribe
+ * @throw {String} Exception "bad argument, check API documentation"
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+WebRTCommClient.prototype.unsubscribeFromPresence = function(uri)
+{
+    console.debug("WebRTCommClient:unsubscribeFromPresence(): uri=" + uri);
+    try
+    {
+        if (typeof(uri) === 'string')
+        {
+            if (this.isOpened())
+            {
+                this.connector.unsubscribeFromPresence(uri);
+            }
+            else
+            {
+                console.error("WebRTCommClient:unsubscribeFromPresence(): bad state, unauthorized action");
+                throw "WebRTCommClient:unsubscribeFromPresence(): bad state, unauthorized action";
+            }
+        }
+        else
+        {
+            console.error("WebRTCommClient:unsubscribeFromPresence(): bad argument, check API documentation");
+            throw "WebRTCommClient:unsubscribeFromPresence(): bad argument, check API documentation";
+        }
+    }
+    catch (exception)
+    {
+        console.error("WebRTCommClient:unsubscribeFromPresence(): catched exception:" + exception);
+        throw "WebRTCommClient:unsubscribeFromPresence(): catched exception:" + exception;
+    }
+};
+
+/**
+ * Monitor the dialogs of a SIP user (busy lamp field, RFC 4235 dialog event package), asynchronous action, 
+ * dialog state changes are notified with onWebRTCommClientDialogEvent
+ * @public 
+ * @param {String} uri monitored user identifier (e.g. bob@sip.net)
+ * @throw {String} Exception "bad argument, check API documentation"
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+WebRTCommClient.prototype.monitorDialogs = function(uri)
+{
+    console.debug("WebRTCommClient:monitorDialogs(): uri=" + uri);
+    try
+    {
+        if (typeof(uri) === 'string')
+        {
+            if (this.isOpened())
+            {
+                this.connector.monitorDialogs(uri);
+            }
+            else
+            {
+                console.error("WebRTCommClient:monitorDialogs(): bad state, unauthorized action");
+                throw "WebRTCommClient:monitorDialogs(): bad state, unauthorized action";
+            }
+        }
+        else
+        {
+            console.error("WebRTCommClient:monitorDialogs(): bad argument, check API documentation");
+            throw "WebRTCommClient:monitorDialogs(): bad argument, check API documentation";
+        }
+    }
+    catch (exception)
+    {
+        console.error("WebRTCommClient:monitorDialogs(): catched exception:" + exception);
+        throw "WebRTCommClient:monitorDialogs(): catched exception:" + exception;
+    }
+};
+
+/**
+ * Stop monitoring the dialogs of a SIP user, asynchronous action
+ * @public 
+ * @param {String} uri monitored user identifier (e.g. bob@sip.net)
+ * @throw {String} Exception "bad argument, check API documentation"
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+WebRTCommClient.prototype.unmonitorDialogs = function(uri)
+{
+    console.debug("WebRTCommClient:unmonitorDialogs(): uri=" + uri);
+    try
+    {
+        if (typeof(uri) === 'string')
+        {
+            if (this.isOpened())
+            {
+                this.connector.unmonitorDialogs(uri);
+            }
+            else
+            {
+                console.error("WebRTCommClient:unmonitorDialogs(): bad state, unauthorized action");
+                throw "WebRTCommClient:unmonitorDialogs(): bad state, unauthorized action";
+            }
+        }
+        else
+        {
+            console.error("WebRTCommClient:unmonitorDialogs(): bad argument, check API documentation");
+            throw "WebRTCommClient:unmonitorDialogs(): bad argument, check API documentation";
+        }
+    }
+    catch (exception)
+    {
+        console.error("WebRTCommClient:unmonitorDialogs(): catched exception:" + exception);
+        throw "WebRTCommClient:unmonitorDialogs(): catched exception:" + exception;
+    }
+};
+
 /**
  * Request a WebRTC communication, asynchronous action, call events are notified to the eventListener 
  * @public 
@@ -205,8 +420,23 @@ WebRTCommClient.prototype.sendMessage = function(to, text)
  * <span style="margin-left: 30px">audioCodecsFilter:PCMA,PCMU,OPUS,<br></span>
  * <span style="margin-left: 30px">videoCodecsFilter:VP8,H264,<br></span>
  * <span style="margin-left: 30px">opusFmtpCodecsParameters:maxaveragebitrate=128000,<br></span>
+ * <span style="margin-left: 30px">trickleIceMode:false,<br></span>
+ * <span style="margin-left: 30px">iceRestartMode:false,<br></span>
+ * <span style="margin-left: 30px">iceRestartDelay:5000,<br></span>
+ * <span style="margin-left: 30px">dtmfMode:auto,<br></span>
+ * <span style="margin-left: 30px">dtmfDuration:500,<br></span>
+ * <span style="margin-left: 30px">dtmfGap:50,<br></span>
+ * <span style="margin-left: 30px">sessionTimerMode:false,<br></span>
+ * <span style="margin-left: 30px">sessionTimerInterval:1800,<br></span>
+ * <span style="margin-left: 30px">redirectMaxCount:5,<br></span>
+ * <span style="margin-left: 30px">anonymousMode:false,<br></span>
+ * <span style="margin-left: 30px">preferredIdentity:sip:alice@sip.net,<br></span>
+ * <span style="margin-left: 30px">qualityStatsMode:false,<br></span>
+ * <span style="margin-left: 30px">qualityStatsInterval:5000,<br></span>
+ * <span style="margin-left: 30px">qualityAlertThresholds:{mos:3.5, packetLossRate:5, jitter:30, roundTripTime:400},<br></span>
  * }<br>
  * </p>
+ * <p> The call is refused with "bad state, unauthorized action" if maxConcurrentCalls is reached </p>
  * @returns {WebRTCommCall} new created WebRTCommCall object
  * @throw {String} Exception "bad argument, check API documentation"
  * @throw {String} Exception "bad configuration, missing parameter"
@@ -219,7 +449,7 @@ WebRTCommClient.prototype.call = function(calleePhoneNumber, callConfiguration)
     {
         if (typeof(calleePhoneNumber) === 'string' && typeof(callConfiguration) === 'object')
         {
-            if (this.isOpened())
+            if (this.isOpened() && this.isMaxConcurrentCallsReached() === false)
             {
                 var newWebRTCommCall = new WebRTCommCall(this);
                 newWebRTCommCall.connector = this.connector.createPrivateSessionConnector(newWebRTCommCall);
@@ -244,6 +474,98 @@ WebRTCommClient.prototype.call = function(calleePhoneNumber, callConfiguration)
     }
 };
 
+/**
+ * Get the calls of the client (lines): ringing or calling, active and held calls
+ * @public 
+ * @param {String} lineState optional, filter on the line state of the calls: 
+ *        WebRTCommCall.prototype.RINGING_LINE_STATE, CALLING_LINE_STATE, ACTIVE_LINE_STATE or HELD_LINE_STATE
+ * @returns {Array} WebRTCommCall objects
+ */
+WebRTCommClient.prototype.getCalls = function(lineState) {
+    var webRTCommCalls = [];
+    if (this.connector)
+    {
+        var connectorWebRTCommCalls = this.connector.getWebRTCommCalls();
+        for (var i = 0; i < connectorWebRTCommCalls.length; i++)
+        {
+            if (lineState === undefined || connectorWebRTCommCalls[i].getLineState() === lineState)
+            {
+                webRTCommCalls.push(connectorWebRTCommCalls[i]);
+            }
+        }
+    }
+    return webRTCommCalls;
+};
+
+/**
+ * Swap to a call (line): the other active calls are held and the call is resumed if held, 
+ * asynchronous action, held and resumed events are notified to the eventListener
+ * @public 
+ * @param {WebRTCommCall} webRTCommCall call to make active
+ * @throw {String} Exception "bad argument, check API documentation"
+ * @throw {String} Exception "bad state, unauthorized action"
+ */
+WebRTCommClient.prototype.swapToCall = function(webRTCommCall) {
+    console.debug("WebRTCommClient:swapToCall()");
+    if (webRTCommCall instanceof WebRTCommCall)
+    {
+        if (this.isOpened() && webRTCommCall.isOpened())
+        {
+            this.holdOtherCalls(webRTCommCall);
+            if (webRTCommCall.isLocalHold())
+            {
+                webRTCommCall.resume();
+            }
+        }
+        else
+        {
+            console.error("WebRTCommClient:swapToCall(): bad state, unauthorized action");
+            throw "WebRTCommClient:swapToCall(): bad state, unauthorized action";
+        }
+    }
+    else
+    {
+        console.error("WebRTCommClient:swapToCall(): bad argument, check API documentation");
+        throw "WebRTCommClient:swapToCall(): bad argument, check API documentation";
+    }
+};
+
+/**
+ * Hold the active calls other than a call (e.g. answered call), calls of a conference are left untouched
+ * @private
+ * @param {WebRTCommCall} webRTCommCall call staying active
+ */
+WebRTCommClient.prototype.holdOtherCalls = function(webRTCommCall) {
+    console.debug("WebRTCommClient:holdOtherCalls()");
+    var activeWebRTCommCalls = this.getCalls(WebRTCommCall.prototype.ACTIVE_LINE_STATE);
+    for (var i = 0; i < activeWebRTCommCalls.length; i++)
+    {
+        var activeWebRTCommCall = activeWebRTCommCalls[i];
+        if (activeWebRTCommCall !== webRTCommCall && activeWebRTCommCall.webRTCommConference === undefined
+                && activeWebRTCommCall.peerConnectionState === 'established')
+        {
+            try {
+                activeWebRTCommCall.hold();
+            } catch (exception) {
+                console.error("WebRTCommClient:holdOtherCalls(): catched exception:" + exception);
+            }
+        }
+    }
+};
+
+/**
+ * Check if the maximum number of concurrent calls (maxConcurrentCalls) is reached
+ * @private
+ * @returns {boolean} true if reached, false otherwise
+ */
+WebRTCommClient.prototype.isMaxConcurrentCallsReached = function() {
+    if (this.configuration && this.configuration.maxConcurrentCalls !== undefined)
+    {
+        return this.getCalls().length >= this.configuration.maxConcurrentCalls;
+    }
+    return false;
+};
+
 
 /**
  * Check validity of the client configuration 
@@ -262,10 +584,16 @@ WebRTCommClient.prototype.call = function(calleePhoneNumber, callConfiguration)
  * <span style="margin-left: 60px">sipLogin:"alice@sip.net,<br></span>
  * <span style="margin-left: 60px">sipPassword:"1234567890",<br></span>
  * <span style="margin-left: 60px">sipRegisterMode:true,<br></span>
+ * <span style="margin-left: 60px">sipReconnectMaxAttempts:10,<br></span>
+ * <span style="margin-left: 60px">sipReconnectMinDelay:1000,<br></span>
+ * <span style="margin-left: 60px">sipReconnectMaxDelay:30000,<br></span>
+ * <span style="margin-left: 60px">sipOutboundMode:false,<br></span>
+ * <span style="margin-left: 60px">sipMessageWaitingMode:false,<br></span>
  * <span style="margin-left: 30px">}<br></span>
  * <span style="margin-left: 30px">RTCPeerConnection: {,<br></span>
  * <span style="margin-left: 60px"stunServer:undefined,<br></span>
  * <span style="margin-left: 30px">}<br></span>
+ * <span style="margin-left: 30px">maxConcurrentCalls:undefined,<br></span>
  * }<br>
  *  </p>
  * @returns {boolean} true valid false unvalid
@@ -290,6 +618,12 @@ WebRTCommClient.prototype.checkConfiguration = function(configuration) {
         check = false;
         console.error("WebRTCommClient:checkConfiguration(): missing configuration parameter communicationMode");
     }
+    // maxConcurrentCalls not mandatory, no limit by default
+    if (configuration.maxConcurrentCalls !== undefined && (typeof(configuration.maxConcurrentCalls) !== 'number' || configuration.maxConcurrentCalls < 1))
+    {
+        check = false;
+        console.error("WebRTCommClient:checkConfiguration(): bad configuration parameter maxConcurrentCalls");
+    }
     return check;
 };
 
@@ -387,3 +721,185 @@ WebRTCommClient.prototype.onPrivateClientConnectorClosedEvent = function()
         }, 1);
     }
 };
+
+/**
+ * Implements PrivateClientConnector reconnecting event listener interface
+ * @private
+ * @param {number} attempt reconnection attempt number
+ * @param {number} delay delay in milliseconds before the reconnection attempt
+ */
+WebRTCommClient.prototype.onPrivateClientConnectorReconnectingEvent = function(attempt, delay)
+{
+    console.debug("WebRTCommClient:onPrivateClientConnectorReconnectingEvent():attempt=" + attempt + ", delay=" + delay);
+    if (this.eventListener.onWebRTCommClientReconnectingEvent !== undefined)
+    {
+        var that = this;
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommClientReconnectingEvent(attempt, delay);
+            }
+            catch (exception) {
+                console.error("WebRTCommClient:onPrivateClientConnectorReconnectingEvent(): catched exception in event listener:" + exception);
+            }
+        }, 1);
+    }
+};
+
+/**
+ * Implements PrivateClientConnector reconnected event listener interface
+ * @private
+ */
+WebRTCommClient.prototype.onPrivateClientConnectorReconnectedEvent = function()
+{
+    console.debug("WebRTCommClient:onPrivateClientConnectorReconnectedEvent()");
+    if (this.eventListener.onWebRTCommClientReconnectedEvent !== undefined)
+    {
+        var that = this;
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommClientReconnectedEvent();
+            }
+            catch (exception) {
+                console.error("WebRTCommClient:onPrivateClientConnectorReconnectedEvent(): catched exception in event listener:" + exception);
+            }
+        }, 1);
+    }
+};
+
+/**
+ * Implements PrivateClientConnector presence event listener interface
+ * @private
+ * @param {String} uri contact identifier used to subscribe
+ * @param {String} status presence status: "open" or "closed"
+ * @param {String} note free text note, undefined if none
+ */
+WebRTCommClient.prototype.onPrivateClientConnectorPresenceEvent = function(uri, status, note)
+{
+    console.debug("WebRTCommClient:onPrivateClientConnectorPresenceEvent():uri=" + uri + ", status=" + status);
+    if (this.eventListener.onWebRTCommClientPresenceEvent !== undefined)
+    {
+        var that = this;
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommClientPresenceEvent(uri, status, note);
+            }
+            catch (exception) {
+                console.error("WebRTCommClient:onPrivateClientConnectorPresenceEvent(): catched exception in event listener:" + exception);
+            }
+        }, 1);
+    }
+};
+
+/**
+ * Implements PrivateClientConnector presence subscription error event listener interface
+ * @private
+ * @param {String} uri contact identifier used to subscribe
+ * @param {String} error subscription error message
+ */
+WebRTCommClient.prototype.onPrivateClientConnectorPresenceSubscriptionErrorEvent = function(uri, error)
+{
+    console.debug("WebRTCommClient:onPrivateClientConnectorPresenceSubscriptionErrorEvent():uri=" + uri + ", error=" + error);
+    if (this.eventListener.onWebRTCommClientPresenceSubscriptionErrorEvent !== undefined)
+    {
+        var that = this;
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommClientPresenceSubscriptionErrorEvent(uri, error);
+            }
+            catch (exception) {
+                console.error("WebRTCommClient:onPrivateClientConnectorPresenceSubscriptionErrorEvent(): catched exception in event listener:" + exception);
+            }
+        }, 1);
+    }
+};
+
+/**
+ * Implements PrivateClientConnector presence publish error event listener interface
+ * @private
+ * @param {String} error publish error message
+ */
+WebRTCommClient.prototype.onPrivateClientConnectorPresencePublishErrorEvent = function(error)
+{
+    console.debug("WebRTCommClient:onPrivateClientConnectorPresencePublishErrorEvent():error=" + error);
+    if (this.eventListener.onWebRTCommClientPresencePublishErrorEvent !== undefined)
+    {
+        var that = this;
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommClientPresencePublishErrorEvent(error);
+            }
+            catch (exception) {
+                console.error("WebRTCommClient:onPrivateClientConnectorPresencePublishErrorEvent(): catched exception in event listener:" + exception);
+            }
+        }, 1);
+    }
+};
+
+/**
+ * Implements PrivateClientConnector message waiting event listener interface
+ * @private
+ * @param {object} messageWaiting message waiting indication
+ */
+WebRTCommClient.prototype.onPrivateClientConnectorMessageWaitingEvent = function(messageWaiting)
+{
+    console.debug("WebRTCommClient:onPrivateClientConnectorMessageWaitingEvent():messageWaiting=" + JSON.stringify(messageWaiting));
+    if (this.eventListener.onWebRTCommClientMessageWaitingEvent !== undefined)
+    {
+        var that = this;
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommClientMessageWaitingEvent(messageWaiting);
+            }
+            catch (exception) {
+                console.error("WebRTCommClient:onPrivateClientConnectorMessageWaitingEvent(): catched exception in event listener:" + exception);
+            }
+        }, 1);
+    }
+};
+
+/**
+ * Implements PrivateClientConnector dialog event listener interface
+ * @private
+ * @param {String} uri monitored user identifier
+ * @param {String} state aggregated dialog state of the user (trying, proceeding, early, confirmed, terminated)
+ * @param {Array} dialogs current dialogs of the user
+ */
+WebRTCommClient.prototype.onPrivateClientConnectorDialogEvent = function(uri, state, dialogs)
+{
+    console.debug("WebRTCommClient:onPrivateClientConnectorDialogEvent():uri=" + uri + ", state=" + state);
+    if (this.eventListener.onWebRTCommClientDialogEvent !== undefined)
+    {
+        var that = this;
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommClientDialogEvent(uri, state, dialogs);
+            }
+            catch (exception) {
+                console.error("WebRTCommClient:onPrivateClientConnectorDialogEvent(): catched exception in event listener:" + exception);
+            }
+        }, 1);
+    }
+};
+
+/**
+ * Implements PrivateClientConnector dialog subscription error event listener interface
+ * @private
+ * @param {String} uri monitored user identifier
+ * @param {String} error error message
+ */
+WebRTCommClient.prototype.onPrivateClientConnectorDialogSubscriptionErrorEvent = function(uri, error)
+{
+    console.debug("WebRTCommClient:onPrivateClientConnectorDialogSubscriptionErrorEvent():uri=" + uri + ", error=" + error);
+    if (this.eventListener.onWebRTCommClientDialogSubscriptionErrorEvent !== undefined)
+    {
+        var that = this;
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommClientDialogSubscriptionErrorEvent(uri, error);
+            }
+            catch (exception) {
+                console.error("WebRTCommClient:onPrivateClientConnectorDialogSubscriptionErrorEvent(): catched exception in event listener:" + exception);
+            }
+        }, 1);
+    }
+};
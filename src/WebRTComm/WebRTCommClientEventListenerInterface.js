@@ -33,3 +33,93 @@ WebRTCommClientEventListenerInterface.prototype.onWebRTCommClientOpenErrorEvent=
 WebRTCommClientEventListenerInterface.prototype.onWebRTCommClientClosedEvent= function() {
     throw "WebRTCommClientEventListenerInterface:onWebRTCommClientClosedEvent(): not implemented;"; 
 };
+
+/**
+ * Reconnecting event, the SIP connectivity (WebSocket) has been lost and a reconnection attempt is scheduled, 
+ * established calls are kept
+ * @public
+ * @param {number} attempt reconnection attempt number
+ * @param {number} delay delay in milliseconds before the reconnection attempt
+ */
+WebRTCommClientEventListenerInterface.prototype.onWebRTCommClientReconnectingEvent= function(attempt, delay) {
+    throw "WebRTCommClientEventListenerInterface:onWebRTCommClientReconnectingEvent(): not implemented;"; 
+};
+
+/**
+ * Reconnected event, the SIP connectivity (WebSocket) and registration have been recovered
+ * @public
+ */
+WebRTCommClientEventListenerInterface.prototype.onWebRTCommClientReconnectedEvent= function() {
+    throw "WebRTCommClientEventListenerInterface:onWebRTCommClientReconnectedEvent(): not implemented;"; 
+};
+
+/**
+ * Presence event, the presence of a subscribed contact has been received or has changed
+ * @public
+ * @param {String} uri contact identifier used to subscribe
+ * @param {String} status presence status: "open" (available) or "closed" (unavailable)
+ * @param {String} note free text note, undefined if none
+ */
+WebRTCommClientEventListenerInterface.prototype.onWebRTCommClientPresenceEvent= function(uri, status, note) {
+    throw "WebRTCommClientEventListenerInterface:onWebRTCommClientPresenceEvent(): not implemented;"; 
+};
+
+/**
+ * Presence subscription error event, the subscription has been rejected or terminated by the SIP server
+ * @public
+ * @param {String} uri contact identifier used to subscribe
+ * @param {String} error subscription error message
+ */
+WebRTCommClientEventListenerInterface.prototype.onWebRTCommClientPresenceSubscriptionErrorEvent= function(uri, error) {
+    throw "WebRTCommClientEventListenerInterface:onWebRTCommClientPresenceSubscriptionErrorEvent(): not implemented;"; 
+};
+
+/**
+ * Presence publish error event, the publication has been rejected by the SIP server
+ * @public
+ * @param {String} error publish error message
+ */
+WebRTCommClientEventListenerInterface.prototype.onWebRTCommClientPresencePublishErrorEvent= function(error) {
+    throw "WebRTCommClientEventListenerInterface:onWebRTCommClientPresencePublishErrorEvent(): not implemented;"; 
+};
+
+/**
+ * Message waiting event, the voicemail message waiting indication (RFC 3842) has been received or has changed
+ * @public
+ * @param {object} messageWaiting message waiting indication, counts are given by message context class: <br>
+ * { <br>
+ * <span style="margin-left: 30px">messagesWaiting:true,<br></span>
+ * <span style="margin-left: 30px">messageAccount:"sip:alice@vmail.sip.net",<br></span>
+ * <span style="margin-left: 30px">voiceMessage:{newMessages:2, oldMessages:8, newUrgentMessages:0, oldUrgentMessages:2},<br></span>
+ * }<br>
+ */
+WebRTCommClientEventListenerInterface.prototype.onWebRTCommClientMessageWaitingEvent= function(messageWaiting) {
+    throw "WebRTCommClientEventListenerInterface:onWebRTCommClientMessageWaitingEvent(): not implemented;"; 
+};
+
+/**
+ * Dialog event, the dialogs of a monitored user (RFC 4235) have been received or have changed
+ * @public
+ * @param {String} uri monitored user identifier
+ * @param {String} state aggregated state of the user dialogs: "trying", "proceeding", "early", "confirmed" or "terminated" (idle)
+ * @param {Array} dialogs current dialogs of the monitored user: <br>
+ * [{ <br>
+ * <span style="margin-left: 30px">id:"as7d900as8",<br></span>
+ * <span style="margin-left: 30px">state:"confirmed",<br></span>
+ * <span style="margin-left: 30px">direction:"initiator",<br></span>
+ * <span style="margin-left: 30px">remoteIdentity:"sip:bob@sip.net",<br></span>
+ * }]<br>
+ */
+WebRTCommClientEventListenerInterface.prototype.onWebRTCommClientDialogEvent= function(uri, state, dialogs) {
+    throw "WebRTCommClientEventListenerInterface:onWebRTCommClientDialogEvent(): not implemented;"; 
+};
+
+/**
+ * Dialog subscription error event, the dialog monitoring has been rejected or terminated by the SIP server
+ * @public
+ * @param {String} uri monitored user identifier
+ * @param {String} error subscription error message
+ */
+WebRTCommClientEventListenerInterface.prototype.onWebRTCommClientDialogSubscriptionErrorEvent= function(uri, error) {
+    throw "WebRTCommClientEventListenerInterface:onWebRTCommClientDialogSubscriptionErrorEvent(): not implemented;"; 
+};
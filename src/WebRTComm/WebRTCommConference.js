@@ -0,0 +1,488 @@
+/**
+ * @class WebRTCommConference
+ * @classdesc Implements a local multi-party conference (e.g. three-way calling) out of established WebRTCommCall objects:
+ *            the audio of the participants is mixed locally with the Web Audio API, each participant hears
+ *            the other participants and the local microphone, without any server side MCU
+ * @constructor
+ * @public
+ * @param  {WebRTCommClient} webRTCommClient client owner
+ */
+WebRTCommConference = function(webRTCommClient)
+{
+    if (webRTCommClient instanceof WebRTCommClient)
+    {
+        console.debug("WebRTCommConference:WebRTCommConference()");
+        this.webRTCommClient = webRTCommClient;
+        this.participants = {};
+        this.audioContext = undefined;
+        this.localAudioSourceNode = undefined;
+        // Set default listener to client listener
+        this.eventListener = webRTCommClient.eventListener;
+    }
+    else
+    {
+        throw "WebRTCommConference:WebRTCommConference(): bad arguments"
+    }
+};
+
+/**
+ * set webRTCommConference listener
+ * @param {objet} eventListener implementing WebRTCommConferenceEventListener interface
+ */
+WebRTCommConference.prototype.setEventListener = function(eventListener) {
+    this.eventListener = eventListener;
+};
+
+/**
+ * Get the participants of the conference
+ * @public
+ * @returns {Array} WebRTCommCall objects of the participants
+ */
+WebRTCommConference.prototype.getParticipants = function() {
+    var webRTCommCalls = [];
+    for (var participantId in this.participants)
+    {
+        webRTCommCalls.push(this.participants[participantId].webRTCommCall);
+    }
+    return webRTCommCalls;
+};
+
+/**
+ * Check if a WebRTCommCall is a participant of the conference
+ * @public
+ * @param {WebRTCommCall} webRTCommCall call
+ * @returns {boolean} true if participant, false otherwise
+ */
+WebRTCommConference.prototype.isParticipant = function(webRTCommCall) {
+    return this.findParticipant(webRTCommCall) !== undefined;
+};
+
+/**
+ * Check if a participant of the conference is muted
+ * @public
+ * @param {WebRTCommCall} webRTCommCall participant call
+ * @returns {boolean} true if muted, false otherwise
+ */
+WebRTCommConference.prototype.isParticipantMuted = function(webRTCommCall) {
+    var participant = this.findParticipant(webRTCommCall);
+    return participant !== undefined && participant.mutedFlag;
+};
+
+/**
+ * Add an established WebRTC communication to the conference: the audio sent to the participant is replaced
+ * by the mix of the local microphone and of the other participants, a locally held communication is resumed,
+ * participant added event is notified to the eventListener
+ * @public
+ * @param {WebRTCommCall} webRTCommCall established call
+ * @throw {String} Exception "bad argument, check API documentation"
+ * @throw {String} Exception "bad state, unauthorized action"
+ * @throw {String} Exception "Web Audio API not supported by this browser"
+ */
+WebRTCommConference.prototype.addParticipant = function(webRTCommCall) {
+    console.debug("WebRTCommConference:addParticipant()");
+    if (webRTCommCall instanceof WebRTCommCall)
+    {
+        if (this.webRTCommClient.isOpened() && webRTCommCall.isOpened() && webRTCommCall.peerConnectionState === 'established'
+                && webRTCommCall.getRemoteAudioMediaStream() && webRTCommCall.configuration.localMediaStream
+                && webRTCommCall.webRTCommConference === undefined)
+        {
+            try
+            {
+                if (this.audioContext === undefined)
+                {
+                    this.createAudioContext(webRTCommCall.configuration.localMediaStream);
+                }
+                var participant = {
+                    webRTCommCall: webRTCommCall,
+                    sourceNode: this.audioContext.createMediaStreamSource(webRTCommCall.getRemoteAudioMediaStream()),
+                    gainNode: this.audioContext.createGain ? this.audioContext.createGain() : this.audioContext.createGainNode(),
+                    destinationNode: this.audioContext.createMediaStreamDestination(),
+                    mutedFlag: false
+                };
+                participant.sourceNode.connect(participant.gainNode);
+                this.participants[webRTCommCall.getId()] = participant;
+                webRTCommCall.webRTCommConference = this;
+                this.connectAudioNodes();
+                this.sendParticipantMediaStream(participant, participant.destinationNode.stream, true);
+                this.notifyParticipantEvent(webRTCommCall, true);
+            }
+            catch (exception)
+            {
+                console.error("WebRTCommConference:addParticipant(): catched exception:" + exception);
+                throw exception;
+            }
+        }
+        else
+        {
+            console.error("WebRTCommConference:addParticipant(): bad state, unauthorized action");
+            throw "WebRTCommConference:addParticipant(): bad state, unauthorized action";
+        }
+    }
+    else
+    {
+        console.error("WebRTCommConference:addParticipant(): bad argument, check API documentation");
+        throw "WebRTCommConference:addParticipant(): bad argument, check API documentation";
+    }
+};
+
+/**
+ * Remove a participant from the conference, the participant hears again only the local microphone,
+ * participant removed event is notified to the eventListener
+ * @public
+ * @param {WebRTCommCall} webRTCommCall participant call
+ * @throw {String} Exception "bad argument, check API documentation"
+ */
+WebRTCommConference.prototype.removeParticipant = function(webRTCommCall) {
+    console.debug("WebRTCommConference:removeParticipant()");
+    var participant = this.findParticipant(webRTCommCall);
+    if (participant !== undefined)
+    {
+        try
+        {
+            delete this.participants[webRTCommCall.getId()];
+            webRTCommCall.webRTCommConference = undefined;
+            participant.sourceNode.disconnect();
+            participant.gainNode.disconnect();
+            if (webRTCommCall.peerConnection)
+            {
+                this.sendParticipantMediaStream(participant, webRTCommCall.configuration.localMediaStream, false);
+            }
+            if (this.getParticipants().length === 0)
+            {
+                this.closeAudioContext();
+            }
+            else
+            {
+                this.connectAudioNodes();
+            }
+        }
+        catch (exception)
+        {
+            console.error("WebRTCommConference:removeParticipant(): catched exception:" + exception);
+        }
+        this.notifyParticipantEvent(webRTCommCall, false);
+    }
+    else
+    {
+        console.error("WebRTCommConference:removeParticipant(): bad argument, check API documentation");
+        throw "WebRTCommConference:removeParticipant(): bad argument, check API documentation";
+    }
+};
+
+/**
+ * Mute a participant: the participant is no more heard by the other participants and by the local user,
+ * participant muted event is notified to the eventListener
+ * @public
+ * @param {WebRTCommCall} webRTCommCall participant call
+ * @throw {String} Exception "bad argument, check API documentation"
+ */
+WebRTCommConference.prototype.muteParticipant = function(webRTCommCall) {
+    console.debug("WebRTCommConference:muteParticipant()");
+    var participant = this.findParticipant(webRTCommCall);
+    if (participant !== undefined)
+    {
+        if (participant.mutedFlag === false)
+        {
+            participant.mutedFlag = true;
+            participant.gainNode.gain.value = 0;
+            webRTCommCall.muteRemoteAudioMediaStream();
+            this.notifyParticipantMuteEvent(webRTCommCall, true);
+        }
+    }
+    else
+    {
+        console.error("WebRTCommConference:muteParticipant(): bad argument, check API documentation");
+        throw "WebRTCommConference:muteParticipant(): bad argument, check API documentation";
+    }
+};
+
+/**
+ * Unmute a participant muted by muteParticipant(),
+ * participant unmuted event is notified to the eventListener
+ * @public
+ * @param {WebRTCommCall} webRTCommCall participant call
+ * @throw {String} Exception "bad argument, check API documentation"
+ */
+WebRTCommConference.prototype.unmuteParticipant = function(webRTCommCall) {
+    console.debug("WebRTCommConference:unmuteParticipant()");
+    var participant = this.findParticipant(webRTCommCall);
+    if (participant !== undefined)
+    {
+        if (participant.mutedFlag === true)
+        {
+            participant.mutedFlag = false;
+            participant.gainNode.gain.value = 1;
+            webRTCommCall.unmuteRemoteAudioMediaStream();
+            this.notifyParticipantMuteEvent(webRTCommCall, false);
+        }
+    }
+    else
+    {
+        console.error("WebRTCommConference:unmuteParticipant(): bad argument, check API documentation");
+        throw "WebRTCommConference:unmuteParticipant(): bad argument, check API documentation";
+    }
+};
+
+/**
+ * Close the conference: all the participants are removed, their calls are not closed
+ * @public
+ */
+WebRTCommConference.prototype.close = function() {
+    console.debug("WebRTCommConference:close()");
+    var webRTCommCalls = this.getParticipants();
+    for (var i = 0; i < webRTCommCalls.length; i++)
+    {
+        this.removeParticipant(webRTCommCalls[i]);
+    }
+    this.closeAudioContext();
+};
+
+/**
+ * Find the participant record of a call
+ * @private
+ * @param {WebRTCommCall} webRTCommCall call
+ * @returns {object} participant or undefined
+ */
+WebRTCommConference.prototype.findParticipant = function(webRTCommCall) {
+    if (webRTCommCall instanceof WebRTCommCall && webRTCommCall.webRTCommConference === this)
+    {
+        return this.participants[webRTCommCall.getId()];
+    }
+    return undefined;
+};
+
+/**
+ * Create the Web Audio context mixing the participants and the local microphone
+ * @private
+ * @param {MediaStream} localMediaStream local microphone media stream
+ * @throw {String} Exception "Web Audio API not supported by this browser"
+ */
+WebRTCommConference.prototype.createAudioContext = function(localMediaStream) {
+    console.debug("WebRTCommConference:createAudioContext()");
+    var AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (AudioContextClass === undefined)
+    {
+        console.error("WebRTCommConference:createAudioContext(): Web Audio API not supported by this browser");
+        throw "WebRTCommConference:createAudioContext(): Web Audio API not supported by this browser";
+    }
+    this.audioContext = new AudioContextClass();
+    if (this.audioContext.createMediaStreamDestination === undefined)
+    {
+        this.audioContext = undefined;
+        console.error("WebRTCommConference:createAudioContext(): Web Audio API not supported by this browser");
+        throw "WebRTCommConference:createAudioContext(): Web Audio API not supported by this browser";
+    }
+    this.localAudioSourceNode = this.audioContext.createMediaStreamSource(localMediaStream);
+};
+
+/**
+ * Release the Web Audio context
+ * @private
+ */
+WebRTCommConference.prototype.closeAudioContext = function() {
+    console.debug("WebRTCommConference:closeAudioContext()");
+    if (this.audioContext)
+    {
+        this.localAudioSourceNode.disconnect();
+        if (this.audioContext.close)
+        {
+            this.audioContext.close();
+        }
+        this.localAudioSourceNode = undefined;
+        this.audioContext = undefined;
+    }
+};
+
+/**
+ * Replace the local microphone mixed in the conference (microphone change requested on a participant call), 
+ * the local media stream of all the participant calls is updated 
+ * @private
+ * @param {MediaStreamTrack} audioTrack new local microphone track
+ */
+WebRTCommConference.prototype.replaceLocalAudioTrack = function(audioTrack) {
+    console.debug("WebRTCommConference:replaceLocalAudioTrack()");
+    for (var participantId in this.participants)
+    {
+        var webRTCommCall = this.participants[participantId].webRTCommCall;
+        if (webRTCommCall.configuration.localMediaStream.getTrackById(audioTrack.id) === null)
+        {
+            webRTCommCall.setLocalMediaStreamTrack("audio", audioTrack);
+        }
+    }
+    if (this.audioContext)
+    {
+        this.localAudioSourceNode.disconnect();
+        this.localAudioSourceNode = this.audioContext.createMediaStreamSource(new MediaStream([audioTrack]));
+        this.connectAudioNodes();
+    }
+};
+
+/**
+ * (Re)build the mixing graph: the destination of each participant receives the local microphone
+ * and the audio of all the other participants
+ * @private
+ */
+WebRTCommConference.prototype.connectAudioNodes = function() {
+    console.debug("WebRTCommConference:connectAudioNodes()");
+    this.localAudioSourceNode.disconnect();
+    for (var participantId in this.participants)
+    {
+        this.participants[participantId].gainNode.disconnect();
+    }
+    for (var participantId in this.participants)
+    {
+        var participant = this.participants[participantId];
+        this.localAudioSourceNode.connect(participant.destinationNode);
+        for (var otherParticipantId in this.participants)
+        {
+            if (otherParticipantId !== participantId)
+            {
+                this.participants[otherParticipantId].gainNode.connect(participant.destinationNode);
+            }
+        }
+    }
+};
+
+/**
+ * Send a new audio media stream to a participant: the audio track is replaced on the RTCRtpSender of the communication
+ * @private
+ * @param {object} participant participant
+ * @param {MediaStream} mediaStream audio media stream to send (mixed or local microphone)
+ * @param {boolean} resumeFlag true to resume the communication if locally held
+ */
+WebRTCommConference.prototype.sendParticipantMediaStream = function(participant, mediaStream, resumeFlag) {
+    console.debug("WebRTCommConference:sendParticipantMediaStream(): resumeFlag=" + resumeFlag);
+    var that = this;
+    var webRTCommCall = participant.webRTCommCall;
+    var audioTrack = mediaStream.getAudioTracks()[0];
+    var replacedFlag = false;
+    var rtcRtpSenders = webRTCommCall.peerConnection.getSenders();
+    for (var i = 0; i < rtcRtpSenders.length; i++)
+    {
+        if (rtcRtpSenders[i].track && rtcRtpSenders[i].track.kind === "audio")
+        {
+            rtcRtpSenders[i].replaceTrack(audioTrack).then(function() {
+                console.debug("WebRTCommConference:sendParticipantMediaStream(): audio track replaced");
+            }, function(error) {
+                console.error("WebRTCommConference:sendParticipantMediaStream(): RTCRtpSender track replacement failed, error:" + error);
+                that.notifyParticipantMediaErrorEvent(webRTCommCall, "RTCRtpSender track replacement failed:" + error);
+            });
+            replacedFlag = true;
+        }
+    }
+    if (replacedFlag === false)
+    {
+        console.warn("WebRTCommConference:sendParticipantMediaStream(): no local audio sent to the participant");
+    }
+    if (webRTCommCall.peerConnectionState === 'established' && resumeFlag && webRTCommCall.isLocalHold())
+    {
+        webRTCommCall.createRtcPeerConnectionReOffer(false);
+    }
+};
+
+/**
+ * Notify participant added or removed event to the listener
+ * @private
+ * @param {WebRTCommCall} webRTCommCall participant call
+ * @param {boolean} addedFlag true if added, false if removed
+ */
+WebRTCommConference.prototype.notifyParticipantEvent = function(webRTCommCall, addedFlag) {
+    console.debug("WebRTCommConference:notifyParticipantEvent(): addedFlag=" + addedFlag);
+    var that = this;
+    if (addedFlag && this.eventListener.onWebRTCommConferenceParticipantAddedEvent)
+    {
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommConferenceParticipantAddedEvent(that, webRTCommCall);
+            }
+            catch (exception)
+            {
+                console.error("WebRTCommConference:notifyParticipantEvent(): catched exception in listener:" + exception);
+            }
+        }, 1);
+    }
+    else if (!addedFlag && this.eventListener.onWebRTCommConferenceParticipantRemovedEvent)
+    {
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommConferenceParticipantRemovedEvent(that, webRTCommCall);
+            }
+            catch (exception)
+            {
+                console.error("WebRTCommConference:notifyParticipantEvent(): catched exception in listener:" + exception);
+            }
+        }, 1);
+    }
+};
+
+/**
+ * Notify participant muted or unmuted event to the listener
+ * @private
+ * @param {WebRTCommCall} webRTCommCall participant call
+ * @param {boolean} mutedFlag true if muted, false if unmuted
+ */
+WebRTCommConference.prototype.notifyParticipantMuteEvent = function(webRTCommCall, mutedFlag) {
+    console.debug("WebRTCommConference:notifyParticipantMuteEvent(): mutedFlag=" + mutedFlag);
+    var that = this;
+    if (mutedFlag && this.eventListener.onWebRTCommConferenceParticipantMutedEvent)
+    {
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommConferenceParticipantMutedEvent(that, webRTCommCall);
+            }
+            catch (exception)
+            {
+                console.error("WebRTCommConference:notifyParticipantMuteEvent(): catched exception in listener:" + exception);
+            }
+        }, 1);
+    }
+    else if (!mutedFlag && this.eventListener.onWebRTCommConferenceParticipantUnmutedEvent)
+    {
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommConferenceParticipantUnmutedEvent(that, webRTCommCall);
+            }
+            catch (exception)
+            {
+                console.error("WebRTCommConference:notifyParticipantMuteEvent(): catched exception in listener:" + exception);
+            }
+        }, 1);
+    }
+};
+
+/**
+ * Notify participant media error event to the listener
+ * @private
+ * @param {WebRTCommCall} webRTCommCall participant call
+ * @param {String} error error message
+ */
+WebRTCommConference.prototype.notifyParticipantMediaErrorEvent = function(webRTCommCall, error) {
+    console.debug("WebRTCommConference:notifyParticipantMediaErrorEvent(): error=" + error);
+    var that = this;
+    if (this.eventListener.onWebRTCommConferenceParticipantMediaErrorEvent)
+    {
+        setTimeout(function() {
+            try {
+                that.eventListener.onWebRTCommConferenceParticipantMediaErrorEvent(that, webRTCommCall, error);
+            }
+            catch (exception)
+            {
+                console.error("WebRTCommConference:notifyParticipantMediaErrorEvent(): catched exception in listener:" + exception);
+            }
+        }, 1);
+    }
+};
+
+/**
+ * Implementation of the WebRTCommCall listener interface: a participant call has been closed, remove it from the conference
+ * @private
+ * @param {WebRTCommCall} webRTCommCall closed participant call
+ */
+WebRTCommConference.prototype.onPrivateCallClosedEvent = function(webRTCommCall) {
+    console.debug("WebRTCommConference:onPrivateCallClosedEvent()");
+    try {
+        this.removeParticipant(webRTCommCall);
+    } catch (exception) {
+        console.error("WebRTCommConference:onPrivateCallClosedEvent(): catched exception:" + exception);
+    }
+};
@@ -0,0 +1,60 @@
+/**
+ * @class WebRTCommConferenceEventListenerInterface
+ * @classdesc Abstract class describing  WebRTCommConference event listener interface
+ *            required to be implented by the webapp
+ * @constructor
+ * @public
+ */
+WebRTCommConferenceEventListenerInterface = function() {
+};
+
+/**
+ * Participant added event, the audio of the participant is mixed in the conference
+ * @public
+ * @param {WebRTCommConference} webRTCommConference source WebRTCommConference object
+ * @param {WebRTCommCall} webRTCommCall participant WebRTCommCall object
+ */
+WebRTCommConferenceEventListenerInterface.prototype.onWebRTCommConferenceParticipantAddedEvent = function(webRTCommConference, webRTCommCall) {
+    throw "WebRTCommConferenceEventListenerInterface:onWebRTCommConferenceParticipantAddedEvent(): not implemented;";
+};
+
+/**
+ * Participant removed event, removed by the webapp or call closed
+ * @public
+ * @param {WebRTCommConference} webRTCommConference source WebRTCommConference object
+ * @param {WebRTCommCall} webRTCommCall participant WebRTCommCall object
+ */
+WebRTCommConferenceEventListenerInterface.prototype.onWebRTCommConferenceParticipantRemovedEvent = function(webRTCommConference, webRTCommCall) {
+    throw "WebRTCommConferenceEventListenerInterface:onWebRTCommConferenceParticipantRemovedEvent(): not implemented;";
+};
+
+/**
+ * Participant muted event
+ * @public
+ * @param {WebRTCommConference} webRTCommConference source WebRTCommConference object
+ * @param {WebRTCommCall} webRTCommCall participant WebRTCommCall object
+ */
+WebRTCommConferenceEventListenerInterface.prototype.onWebRTCommConferenceParticipantMutedEvent = function(webRTCommConference, webRTCommCall) {
+    throw "WebRTCommConferenceEventListenerInterface:onWebRTCommConferenceParticipantMutedEvent(): not implemented;";
+};
+
+/**
+ * Participant unmuted event
+ * @public
+ * @param {WebRTCommConference} webRTCommConference source WebRTCommConference object
+ * @param {WebRTCommCall} webRTCommCall participant WebRTCommCall object
+ */
+WebRTCommConferenceEventListenerInterface.prototype.onWebRTCommConferenceParticipantUnmutedEvent = function(webRTCommConference, webRTCommCall) {
+    throw "WebRTCommConferenceEventListenerInterface:onWebRTCommConferenceParticipantUnmutedEvent(): not implemented;";
+};
+
+/**
+ * Participant media error event, the conference audio could not be sent to the participant
+ * @public
+ * @param {WebRTCommConference} webRTCommConference source WebRTCommConference object
+ * @param {WebRTCommCall} webRTCommCall participant WebRTCommCall object
+ * @param {String} error error message
+ */
+WebRTCommConferenceEventListenerInterface.prototype.onWebRTCommConferenceParticipantMediaErrorEvent = function(webRTCommConference, webRTCommCall, error) {
+    throw "WebRTCommConferenceEventListenerInterface:onWebRTCommConferenceParticipantMediaErrorEvent(): not implemented;";
+};